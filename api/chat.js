@@ -1,135 +1,28 @@
-import { createSign } from 'crypto';
+import { getAccessToken, SCOPES } from './helpers/credentials.js';
 import { loadModelConfig } from './helpers/firestoreConfig.js';
-
-// CORS allowed origins
-const ALLOWED_ORIGINS = [
-  'http://localhost:5173',
-  'http://localhost:4173',
-  'https://ai-eataly-project.vercel.app'
-];
-
-// Cache for access token
-let cachedAccessToken = null;
-let cachedAccessTokenExpiry = 0;
-
-/**
- * Load Service Account from environment variable
- */
-const loadServiceAccount = () => {
-  const raw = process.env.GOOGLE_SERVICE_ACCOUNT_JSON;
-  if (!raw) {
-    throw new Error('Missing GOOGLE_SERVICE_ACCOUNT_JSON environment variable');
-  }
-  try {
-    return JSON.parse(raw);
-  } catch (error) {
-    throw new Error('Invalid GOOGLE_SERVICE_ACCOUNT_JSON: must be valid JSON');
-  }
-};
-
-/**
- * Generate JWT for OAuth2 authentication
- */
-const generateJWT = (serviceAccount) => {
-  const nowInSeconds = Math.floor(Date.now() / 1000);
-  
-  const header = {
-    alg: 'RS256',
-    typ: 'JWT',
-  };
-
-  const payload = {
-    iss: serviceAccount.client_email,
-    sub: serviceAccount.client_email,
-    scope: 'https://www.googleapis.com/auth/generative-language',
-    aud: serviceAccount.token_uri,
-    exp: nowInSeconds + 3600,
-    iat: nowInSeconds,
-  };
-
-  const base64UrlEncode = (obj) => {
-    return Buffer.from(JSON.stringify(obj))
-      .toString('base64')
-      .replace(/\+/g, '-')
-      .replace(/\//g, '_')
-      .replace(/=/g, '');
-  };
-
-  const unsignedToken = `${base64UrlEncode(header)}.${base64UrlEncode(payload)}`;
-
-  const privateKey = serviceAccount.private_key.replace(/\\n/g, '\n');
-  const sign = createSign('RSA-SHA256');
-  sign.update(unsignedToken);
-  const signature = sign.sign(privateKey, 'base64')
-    .replace(/\+/g, '-')
-    .replace(/\//g, '_')
-    .replace(/=/g, '');
-
-  return `${unsignedToken}.${signature}`;
-};
-
-/**
- * Get OAuth2 access token (cached for 1 hour)
- */
-const getAccessToken = async () => {
-  const now = Date.now();
-  
-  // Return cached token if still valid (refresh 60 seconds before expiry)
-  if (cachedAccessToken && now < cachedAccessTokenExpiry - 60000) {
-    return cachedAccessToken;
-  }
-
-  try {
-    const serviceAccount = loadServiceAccount();
-    const jwt = generateJWT(serviceAccount);
-
-    const tokenResponse = await fetch(serviceAccount.token_uri, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: new URLSearchParams({
-        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
-        assertion: jwt,
-      }),
-    });
-
-    if (!tokenResponse.ok) {
-      const errorText = await tokenResponse.text();
-      throw new Error(`Token request failed: ${tokenResponse.status} ${errorText}`);
-    }
-
-    const tokenData = await tokenResponse.json();
-    cachedAccessToken = tokenData.access_token;
-    cachedAccessTokenExpiry = now + (tokenData.expires_in * 1000);
-
-    return cachedAccessToken;
-  } catch (error) {
-    console.error('[API] Error getting access token:', error);
-    throw error;
-  }
-};
+import { startSSE, writeSSE, readSSE } from './helpers/sse.js';
+import { buildHistoryContents, resolveHistoryImageBudget, buildAttachmentParts } from './helpers/historyMedia.js';
+import { fitToContextWindow, resolveContextBudget } from './helpers/contextWindow.js';
+import { isGoogleGroundingEnabled, extractGrounding } from './helpers/grounding.js';
+import { isRetrievalEnabled, retrieveChunks, buildRetrievalPrompt, toRetrievalSources } from './helpers/retrieval.js';
+import { resolveResponseSchema, toGeminiSchema, checkStructuredReply } from './helpers/structuredOutput.js';
+import { resolveThinkingBudget, buildThinkingConfig, splitThoughtParts, toThinkingInfo } from './helpers/thinking.js';
+import { resolveSafetySettings, detectSafetyBlock, safetyBlockMessage } from './helpers/safety.js';
+import { resolveVariables, renderInstructions } from './helpers/promptTemplate.js';
+import { requireUser } from './helpers/auth.js';
+import { getUserWorkspaceId } from './helpers/pipelineConfig.js';
+import { enforceQuota, recordUsage } from './helpers/quota.js';
+import { extractUsage, recordUsageRollup } from './helpers/usage.js';
+import { withApi, sendError, errorBody, MAX_MEDIA_BODY_BYTES } from './helpers/middleware.js';
+import { upstreamError, describeError } from './helpers/errors.js';
+import { fetchUpstream, resolveUpstreamPolicy } from './helpers/upstream.js';
+import { resolveEndpointModel, MODEL_ENDPOINTS } from './helpers/modelRegistry.js';
 
 /**
- * Call Google Gemini API (REST API v1)
- * Generic function that can be used for both pre-model and main model
+ * Build Gemini generateContent request body
+ * Shared by the standard and the streaming call
  */
-const callModelAPI = async (model, message, modelConfig = null, modelSettings = null, debugMode = false, conversationHistory = []) => {
-  const accessToken = await getAccessToken();
-  
-  // Gemini 2.x models use v1 API
-  const apiVersion = "v1";
-  const endpoint = `https://generativelanguage.googleapis.com/${apiVersion}/models/${model}:generateContent`;
-  
-  const DEBUG_MODE = process.env.DEBUG_MODE === "true" || debugMode === true;
-  
-  if (DEBUG_MODE) {
-    console.log("[DEBUG] ============ GEMINI API CALL =============");
-    console.log("[DEBUG] Model:", model);
-    console.log("[DEBUG] Endpoint:", endpoint);
-    console.log("[DEBUG] Conversation history length:", conversationHistory?.length || 0);
-  }
-
+const buildRequestBody = async (message, modelConfig = null, modelSettings = null, conversationHistory = [], debugMode = false, { retrievalPrompt = null, attachmentParts = [] } = {}) => {
   // Extract modelSettings (override Firestore config if provided)
   const {
     system,
@@ -143,39 +36,20 @@ const callModelAPI = async (model, message, modelConfig = null, modelSettings =
   
   // Build contents array with conversation history (if provided)
   // Gemini ONLY accepts "user" or "model" roles
-  // System instructions are embedded in the user message text (NO XML tags, NO system role)
-  const contents = [];
-  
-  // Add conversation history (backwards compatible: empty array if not provided)
-  if (conversationHistory && Array.isArray(conversationHistory) && conversationHistory.length > 0) {
-    conversationHistory.forEach((msg) => {
-      // Skip current message (will be added at the end)
-      if (msg.content === message && msg.role === 'user') {
-        return;
-      }
-      
-      // Only add text content (SAFE MODE - Option C: no images in context)
-      if (msg.content && msg.content.trim() !== '') {
-        contents.push({
-          role: msg.role === 'user' ? 'user' : 'model',
-          parts: [{ text: msg.content }]
-        });
-      }
-    });
-  }
-  
-  // Prepare current user message text
-  let userMessageText = message;
-  
-  if (systemPrompt && systemPrompt.trim() !== "") {
-    // Prepend system instruction as plain text (NO XML tags)
-    userMessageText = `${systemPrompt}\n\n${message}`;
-  }
+  // The system prompt goes in the dedicated systemInstruction field, never in the turns
+  // Earlier images (attachments / generated images) are included within the configured budget
+  const budget = resolveHistoryImageBudget(modelSettings, modelConfig);
+  const { contents } = await buildHistoryContents(conversationHistory, message, budget, debugMode);
   
   // Add current user message at the end
+  // Images attached to this turn, then retrieved document excerpts (if any), then the message
   contents.push({
     role: 'user', // ONLY valid roles: "user" or "model"
-    parts: [{ text: userMessageText }]
+    parts: [
+      ...attachmentParts,
+      ...(retrievalPrompt ? [{ text: retrievalPrompt }] : []),
+      { text: message }
+    ]
   });
 
   // Build request body
@@ -183,6 +57,24 @@ const callModelAPI = async (model, message, modelConfig = null, modelSettings =
     contents: contents
   };
 
+  // Native system instruction (sent once per request, not repeated in the history)
+  if (systemPrompt && systemPrompt.trim() !== "") {
+    requestBody.systemInstruction = {
+      parts: [{ text: systemPrompt }]
+    };
+  }
+
+  // Safety filter thresholds per harm category (omitted categories use the model default)
+  const safetySettings = resolveSafetySettings(modelSettings, modelConfig);
+  if (safetySettings) {
+    requestBody.safetySettings = safetySettings;
+  }
+
+  // Google Search grounding
+  if (isGoogleGroundingEnabled(modelSettings, modelConfig)) {
+    requestBody.tools = [{ google_search: {} }];
+  }
+
   // Add generation config (only include defined fields)
   requestBody.generationConfig = {};
   if (temperature !== undefined) {
@@ -203,24 +95,210 @@ const callModelAPI = async (model, message, modelConfig = null, modelSettings =
     requestBody.generationConfig.maxOutputTokens = modelConfig.maxOutputTokens;
   }
 
+  // Thinking budget (auto = dynamic, manual = fixed tokens, off = 0) + thought summaries
+  const thinkingConfig = buildThinkingConfig(resolveThinkingBudget(modelSettings, modelConfig));
+  if (thinkingConfig) {
+    requestBody.generationConfig.thinkingConfig = thinkingConfig;
+  }
+
+  // Structured output: JSON reply constrained by the schema
+  const responseSchema = resolveResponseSchema(modelSettings, modelConfig);
+  if (responseSchema) {
+    requestBody.generationConfig.responseMimeType = 'application/json';
+    requestBody.generationConfig.responseSchema = toGeminiSchema(responseSchema);
+
+    // Gemini does not combine controlled generation with tools
+    if (requestBody.tools) {
+      console.warn('[API] Structured output enabled: Google Search grounding skipped for this request');
+      delete requestBody.tools;
+    }
+  }
+
+  return requestBody;
+};
+
+/**
+ * API version for a request body
+ * Gemini 2.x models use the v1 API; tools (Google Search grounding),
+ * responseSchema (structured output) and thinkingConfig are only accepted by v1beta
+ */
+const getApiVersion = (requestBody) => (
+  requestBody.tools ||
+  requestBody.generationConfig?.responseSchema ||
+  requestBody.generationConfig?.thinkingConfig
+    ? 'v1beta'
+    : 'v1'
+);
+
+/**
+ * Count prompt tokens with the Gemini countTokens API
+ */
+const countRequestTokens = async (model, requestBody, accessToken) => {
+  const endpoint = `https://generativelanguage.googleapis.com/${getApiVersion(requestBody)}/models/${model}:countTokens`;
+  const { generationConfig, ...countableRequest } = requestBody;
+
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${accessToken}`,
+    },
+    body: JSON.stringify({
+      generateContentRequest: { model: `models/${model}`, ...countableRequest }
+    }),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`countTokens error: ${response.status} ${errorText}`);
+  }
+
+  const data = await response.json();
+  return data.totalTokens;
+};
+
+/**
+ * Summarize older conversation turns (used by the 'summarize' context strategy)
+ * @returns {Promise<{text: string, usageMetadata: Object|null}>} the summary and the tokens it used
+ */
+const summarizeTurns = async (model, turns, accessToken) => {
+  const endpoint = `https://generativelanguage.googleapis.com/v1/models/${model}:generateContent`;
+  const transcript = turns
+    .map(turn => {
+      const text = (turn.parts || []).filter(p => p.text).map(p => p.text).join('\n');
+      const images = (turn.parts || []).filter(p => p.inline_data || p.file_data).length;
+      const speaker = turn.role === 'user' ? 'Utente' : 'Assistente';
+      return `${speaker}: ${text}${images > 0 ? ` [${images} immagine/i]` : ''}`;
+    })
+    .join('\n\n');
+
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${accessToken}`,
+    },
+    body: JSON.stringify({
+      contents: [{
+        role: 'user',
+        parts: [{
+          text: `Riassumi in modo conciso questa conversazione, mantenendo fatti, decisioni e richieste dell'utente utili a proseguirla. Rispondi nella lingua della conversazione.\n\n${transcript}`
+        }]
+      }],
+      generationConfig: { temperature: 0.2, maxOutputTokens: 2048 }
+    }),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Summary error: ${response.status} ${errorText}`);
+  }
+
+  const data = await response.json();
+  const text = (data.candidates?.[0]?.content?.parts || [])
+    .filter(p => p.text)
+    .map(p => p.text)
+    .join('');
+  return { text, usageMetadata: data.usageMetadata || null };
+};
+
+const USAGE_METADATA_FIELDS = ['promptTokenCount', 'candidatesTokenCount', 'thoughtsTokenCount', 'totalTokenCount'];
+
+/**
+ * Token counts of the reply plus those of the calls made to prepare it (the context summary)
+ */
+const addUsageMetadata = (usageMetadata, extra) => {
+  if (!extra) return usageMetadata;
+  return Object.fromEntries(USAGE_METADATA_FIELDS.map(field => [field, (usageMetadata?.[field] || 0) + (extra[field] || 0)]));
+};
+
+/**
+ * Build the request body and fit it into the context token budget
+ * Returns the body to send, the context usage reported to the client and the usageMetadata
+ * of the summary call ('summarize' strategy), to be added to the usage of the reply
+ */
+const prepareRequest = async (model, message, modelConfig, modelSettings, conversationHistory, accessToken, debugMode, { attachmentParts = [], workspaceId = null } = {}) => {
+  // Ground on your data: retrieve the most relevant chunks of the workspace documents for this message
+  let retrievedChunks = [];
+  if (isRetrievalEnabled(modelSettings, modelConfig)) {
+    try {
+      retrievedChunks = await retrieveChunks(message, modelSettings, debugMode, { workspaceId });
+    } catch (error) {
+      // Retrieval problems must not block the reply
+      console.warn('[API] Document retrieval failed, answering without documents:', error.message);
+    }
+  }
+
+  const requestBody = await buildRequestBody(message, modelConfig, modelSettings, conversationHistory, debugMode, {
+    retrievalPrompt: retrievedChunks.length > 0 ? buildRetrievalPrompt(retrievedChunks) : null,
+    attachmentParts
+  });
+  const budget = resolveContextBudget(modelSettings, modelConfig);
+
+  let summaryUsage = null;
+  const fitted = await fitToContextWindow(requestBody, budget, {
+    countTokens: (body) => countRequestTokens(model, body, accessToken),
+    summarize: async (turns) => {
+      const { text, usageMetadata } = await summarizeTurns(model, turns, accessToken);
+      summaryUsage = usageMetadata;
+      return text;
+    },
+    debugMode
+  });
+
+  return {
+    ...fitted,
+    retrieval: retrievedChunks.length > 0 ? { sources: toRetrievalSources(retrievedChunks) } : null,
+    summaryUsage
+  };
+};
+
+/**
+ * Add the actual prompt size reported by Gemini to the context usage
+ */
+const withPromptTokens = (context, usageMetadata) => {
+  if (!usageMetadata?.promptTokenCount) return context;
+  return { ...context, promptTokens: usageMetadata.promptTokenCount };
+};
+
+/**
+ * Call Google Gemini API (REST API v1)
+ * Generic function that can be used for both pre-model and main model
+ */
+const callModelAPI = async (model, message, modelConfig = null, modelSettings = null, debugMode = false, conversationHistory = [], { attachmentParts = [], workspaceId = null } = {}) => {
+  const accessToken = await getAccessToken(SCOPES.GENERATIVE_LANGUAGE);
+  
+  const DEBUG_MODE = process.env.DEBUG_MODE === "true" || debugMode === true;
+
+  const { requestBody, context, retrieval, summaryUsage } = await prepareRequest(model, message, modelConfig, modelSettings, conversationHistory, accessToken, DEBUG_MODE, { attachmentParts, workspaceId });
+  const endpoint = `https://generativelanguage.googleapis.com/${getApiVersion(requestBody)}/models/${model}:generateContent`;
+  
+  if (DEBUG_MODE) {
+    console.log("[DEBUG] ============ GEMINI API CALL =============");
+    console.log("[DEBUG] Model:", model);
+    console.log("[DEBUG] Endpoint:", endpoint);
+    console.log("[DEBUG] Conversation history length:", conversationHistory?.length || 0);
+  }
+
   if (DEBUG_MODE) {
     console.log("[DEBUG] ============ PAYLOAD =============");
-    console.log("[DEBUG GEMINI PAYLOAD]", JSON.stringify(contents, null, 2));
+    console.log("[DEBUG GEMINI PAYLOAD]", JSON.stringify(requestBody.contents, null, 2));
     console.log(JSON.stringify(requestBody, null, 2));
   }
 
-  const response = await fetch(endpoint, {
+  // Timeout, retries and circuit breaker per model (attempts are reported in the debug payload)
+  const { response, attempts } = await fetchUpstream(endpoint, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
       Authorization: `Bearer ${accessToken}`,
     },
     body: JSON.stringify(requestBody),
-  });
+  }, { service: 'Gemini', ...resolveUpstreamPolicy(modelConfig, 'text') });
 
   if (!response.ok) {
     const errorText = await response.text();
-    throw new Error(`Gemini API error: ${response.status} ${errorText}`);
+    throw upstreamError('Gemini', response.status, errorText);
   }
 
   const data = await response.json();
@@ -231,120 +309,332 @@ const callModelAPI = async (model, message, modelConfig = null, modelSettings =
   }
   
   console.log("[API] Gemini response OK");
-  return data;
+  return { data, context: withPromptTokens(context, data.usageMetadata), retrieval, summaryUsage, attempts };
 };
 
 /**
- * Main handler
+ * Call Google Gemini streaming API (streamGenerateContent with SSE)
+ * Calls onChunk(text, chunk) for every text delta and onThought(text) for every
+ * thought summary delta, and resolves with the full reply
+ * Aborting `signal` cancels the upstream request
  */
-export default async function handler(req, res) {
-  // Handle CORS
-  const origin = req.headers.origin || req.headers.referer?.split('/').slice(0, 3).join('/');
-  const isAllowed = origin && ALLOWED_ORIGINS.includes(origin);
+const streamModelAPI = async (model, message, modelConfig = null, modelSettings = null, debugMode = false, conversationHistory = [], { signal, onChunk, onThought, attachmentParts = [], workspaceId = null } = {}) => {
+  const accessToken = await getAccessToken(SCOPES.GENERATIVE_LANGUAGE);
+  
+  const DEBUG_MODE = process.env.DEBUG_MODE === "true" || debugMode === true;
 
-  if (isAllowed) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-    res.setHeader('Vary', 'Origin');
+  const { requestBody, context, retrieval, summaryUsage } = await prepareRequest(model, message, modelConfig, modelSettings, conversationHistory, accessToken, DEBUG_MODE, { attachmentParts, workspaceId });
+  const endpoint = `https://generativelanguage.googleapis.com/${getApiVersion(requestBody)}/models/${model}:streamGenerateContent?alt=sse`;
+  
+  if (DEBUG_MODE) {
+    console.log("[DEBUG] ============ GEMINI STREAM CALL =============");
+    console.log("[DEBUG] Model:", model);
+    console.log("[DEBUG] Endpoint:", endpoint);
   }
 
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  res.setHeader('Access-Control-Max-Age', '86400');
-
-  // Handle preflight
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
+  if (DEBUG_MODE) {
+    console.log("[DEBUG] ============ PAYLOAD =============");
+    console.log(JSON.stringify(requestBody, null, 2));
   }
 
-  // Only allow POST
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
+  // Retries only happen before the first chunk: once the stream has started, a failure ends it
+  const { response, attempts } = await fetchUpstream(endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${accessToken}`,
+    },
+    body: JSON.stringify(requestBody),
+  }, { service: 'Gemini', signal, ...resolveUpstreamPolicy(modelConfig, 'text') });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw upstreamError('Gemini', response.status, errorText);
   }
 
-  try {
-    const { message, conversationHistory, model: requestedModel, modelSettings, debugMode: requestDebugMode } = req.body;
-    const DEBUG_MODE = process.env.DEBUG_MODE === "true" || requestDebugMode === true;
-    
-    if (DEBUG_MODE) {
-      console.log("[DEBUG] ============ INCOMING =============");
-      console.log(JSON.stringify(req.body, null, 2));
+  let reply = '';
+  let thoughts = '';
+  let lastChunk = null;
+  let groundingMetadata = null;
+  let promptFeedback = null;
+  
+  await readSSE(response.body, async (chunk) => {
+    lastChunk = chunk;
+    // A blocked prompt is reported once, in the first chunk
+    if (chunk.promptFeedback) {
+      promptFeedback = chunk.promptFeedback;
     }
-
-    // Validate required fields
-    if (!message || typeof message !== 'string') {
-      return res.status(400).json({ error: 'Missing or invalid "message" field' });
+    // Grounding metadata arrives with the final chunks
+    if (chunk.candidates?.[0]?.groundingMetadata) {
+      groundingMetadata = chunk.candidates[0].groundingMetadata;
     }
+    // Thought summaries arrive as parts flagged `thought`, before the reply text
+    const { text, thoughts: thoughtText } = splitThoughtParts(chunk.candidates?.[0]?.content?.parts);
 
-    // ONLY allow gemini-2.5-flash (text model)
-    const model = requestedModel || "gemini-2.5-flash";
-    
-    if (model.toLowerCase() !== 'gemini-2.5-flash') {
-      return res.status(400).json({ 
-        error: `Wrong endpoint: model "${model}" is not supported. This endpoint only accepts "gemini-2.5-flash" (text model). Use /api/generateNanobananaImage for gemini-2.5-flash-image.` 
-      });
+    if (thoughtText) {
+      thoughts += thoughtText;
+      if (onThought) await onThought(thoughtText);
     }
-
-    // Pipeline is now handled entirely in the frontend (chatStore.js)
-    // The backend just processes the message it receives (already preprocessed if pipeline was used)
-    const finalUserMessage = message;
-    
-    // conversationHistory is optional - if not provided, use empty array (backwards compatible)
-    const history = Array.isArray(conversationHistory) ? conversationHistory : [];
     
-    // Load main model configuration from Firestore
-    console.log('[API] Loading model config from Firestore...');
-    const modelConfig = await loadModelConfig(model);
-    
-    // Check if model is enabled
-    if (!modelConfig.enabled) {
-      return res.status(403).json({ 
-        error: `Model "${model}" is currently disabled. Please enable it in Model Settings.` 
-      });
+    if (text) {
+      reply += text;
+      if (onChunk) await onChunk(text, chunk);
     }
+  });
 
-    // 5) Call main model API with processed message and conversation history
-    console.log('[API] Calling main model API:', { model, messageLength: finalUserMessage.length, historyLength: history.length });
-    const result = await callModelAPI(model, finalUserMessage, modelConfig, modelSettings, DEBUG_MODE, history);
+  if (DEBUG_MODE) {
+    console.log("[DEBUG] ============ LAST STREAM CHUNK =========");
+    console.log(JSON.stringify(lastChunk, null, 2));
+  }
 
-    // Extract reply from response
-    const reply =
-      result.candidates?.[0]?.content?.parts?.find(p => p.text)?.text ||
-      'No response generated';
+  console.log("[API] Gemini stream completed, reply length:", reply.length);
+  return {
+    reply,
+    finishReason: lastChunk?.candidates?.[0]?.finishReason || null,
+    lastChunk,
+    grounding: extractGrounding(groundingMetadata),
+    retrieval,
+    safety: detectSafetyBlock(lastChunk, promptFeedback),
+    thoughts,
+    thinking: toThinkingInfo(resolveThinkingBudget(modelSettings, modelConfig), lastChunk?.usageMetadata),
+    context: withPromptTokens(context, lastChunk?.usageMetadata),
+    summaryUsage,
+    attempts
+  };
+};
 
-    if (!reply || reply === 'No response generated') {
-      console.error(
-        '[API] Failed to extract text from response. Structure:',
-        JSON.stringify(result, null, 2)
-      );
+/**
+ * Relay a streamed reply to the client as SSE
+ * Events: { type: 'thought', text } ... { type: 'chunk', text } ... { type: 'done', reply, finishReason, context, usage, quota, grounding?, retrieval?, structured?, thoughts?, thinking?, safety? } | { type: 'error', error, code, retryable, requestId, ... } (same body as error responses)
+ * If the browser disconnects (stop generation), the upstream Gemini request is aborted too
+ */
+const streamReply = async (res, { model, googleModel = model, message, modelConfig, modelSettings, debugMode, history, attachmentParts, user, quota, chatId }) => {
+  const upstreamController = new AbortController();
+  
+  // res 'close' fires both on normal end and on client disconnect
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log('[API] Client disconnected, aborting upstream stream');
+      upstreamController.abort();
     }
+  });
 
-    if (DEBUG_MODE) {
-      console.log("[DEBUG] ============ EXTRACTED TEXT =========");
-      console.log(reply);
+  startSSE(res);
+
+  try {
+    const result = await streamModelAPI(googleModel, message, modelConfig, modelSettings, debugMode, history, {
+      signal: upstreamController.signal,
+      attachmentParts,
+      workspaceId: getUserWorkspaceId(user),
+      onChunk: (text) => writeSSE(res, { type: 'chunk', text }),
+      onThought: (text) => writeSSE(res, { type: 'thought', text })
+    });
+
+    if (result.safety) {
+      console.warn('[API] Reply blocked by safety filters:', result.safety);
     }
 
-    const responseData = {
-      reply
+    // Token counts and cost of this reply (and of the context summary), added to the user / chat rollups
+    const usage = extractUsage(model, addUsageMetadata(result.lastChunk?.usageMetadata, result.summaryUsage));
+    await recordUsageRollup(user, usage, { chatId });
+
+    const donePayload = {
+      type: 'done',
+      // Blocked before any text: explain which category triggered the filter
+      reply: result.reply || (result.safety ? safetyBlockMessage(result.safety) : 'No response generated'),
+      finishReason: result.finishReason,
+      context: result.context,
+      usage,
+      // Daily token budget left after this reply
+      quota: await recordUsage(user, quota, { tokens: usage.totalTokens }),
+      ...(result.grounding && { grounding: result.grounding }),
+      ...(result.retrieval && { retrieval: result.retrieval }),
+      ...(result.thoughts && { thoughts: result.thoughts }),
+      ...(result.thinking && { thinking: result.thinking }),
+      ...(result.safety && { safety: result.safety })
     };
 
-    if (DEBUG_MODE) {
-      responseData.debug = {
-        request: {
-          model,
-          message,
-          modelSettings,
-          modelConfig
-        },
-        response: result
+    // Structured output: validate the JSON reply against the schema (not for blocked replies)
+    const responseSchema = resolveResponseSchema(modelSettings, modelConfig);
+    if (responseSchema && !result.safety) {
+      donePayload.structured = checkStructuredReply(result.reply, responseSchema);
+    }
+
+    if (debugMode) {
+      donePayload.debug = {
+        request: { model, message, modelSettings, modelConfig },
+        response: result.lastChunk,
+        upstream: { attempts: result.attempts }
       };
     }
 
-    return res.status(200).json(responseData);
+    writeSSE(res, donePayload);
   } catch (error) {
-    console.error('[API] ERROR:', error);
-    return res.status(500).json({
-      error: 'Internal server error',
-      message: error.message,
-    });
+    if (error.name === 'AbortError') {
+      console.log('[API] Stream aborted');
+      return;
+    }
+    console.error('[API] STREAM ERROR:', error);
+    const { statusCode, code, message, details } = describeError(error);
+    writeSSE(res, { type: 'error', ...errorBody(res, statusCode, message, { code, ...details }) });
+  } finally {
+    if (!res.writableEnded) {
+      res.end();
+    }
+  }
+};
+
+/**
+ * Main handler
+ */
+async function handler(req, res) {
+  // Only signed-in users (Firebase ID token) can spend model quota
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const { message, conversationHistory, attachments, model: requestedModel, modelSettings: requestSettings, variables, chatId, debugMode: requestDebugMode } = req.body;
+  const DEBUG_MODE = process.env.DEBUG_MODE === "true" || requestDebugMode === true;
+  
+  if (DEBUG_MODE) {
+    console.log("[DEBUG] ============ INCOMING =============");
+    console.log(JSON.stringify(req.body, null, 2));
   }
+
+  // Validate required fields
+  if (!message || typeof message !== 'string') {
+    return sendError(res, 400, 'Missing or invalid "message" field');
+  }
+
+  // Only text models of the registry (400 for unknown models or models of another endpoint)
+  const definition = resolveEndpointModel(requestedModel, MODEL_ENDPOINTS.CHAT);
+  const model = definition.id;
+
+  // Pipeline is now handled entirely in the frontend (chatStore.js)
+  // The backend just processes the message it receives (already preprocessed if pipeline was used)
+  const finalUserMessage = message;
+  
+  // conversationHistory is optional - if not provided, use empty array (backwards compatible)
+  const history = Array.isArray(conversationHistory) ? conversationHistory : [];
+  
+  // Load main model configuration from Firestore
+  console.log('[API] Loading model config from Firestore...');
+  const modelConfig = await loadModelConfig(model);
+  
+  // Check if model is enabled
+  if (!modelConfig.enabled) {
+    return sendError(res, 403, `Model "${model}" is currently disabled. Please enable it in Model Settings.`, { code: 'model_disabled' });
+  }
+
+  // Prompt variables of the system instruction ({{brand}}, {{date}}, ...): 400 missing_variables without a value
+  const [systemPrompt] = renderInstructions([requestSettings?.system || modelConfig.systemPrompt], resolveVariables(variables));
+  const modelSettings = systemPrompt ? { ...requestSettings, system: systemPrompt } : requestSettings;
+
+  // Structured output: reject an invalid schema before calling the model
+  const responseSchema = resolveResponseSchema(modelSettings, modelConfig);
+
+  // Images attached to this turn (image understanding), only for models with the vision capability
+  const hasAttachments = Array.isArray(attachments) && attachments.length > 0;
+  if (hasAttachments && !definition.capabilities?.vision) {
+    return sendError(res, 400, `Model "${model}" does not accept images`, { code: 'invalid_input' });
+  }
+  const attachmentParts = await buildAttachmentParts(attachments, DEBUG_MODE);
+
+  // Requests per minute and daily token budget of this user (429 + Retry-After when exhausted)
+  const quota = await enforceQuota(res, user, model, modelConfig);
+  if (!quota) return;
+
+  // 5a) Streaming mode: relay chunks as SSE instead of a single JSON reply
+  if (modelSettings?.streaming === true) {
+    console.log('[API] Streaming main model reply:', { model, messageLength: finalUserMessage.length, historyLength: history.length, images: attachmentParts.length });
+    return streamReply(res, { model, googleModel: definition.googleModel, message: finalUserMessage, modelConfig, modelSettings, debugMode: DEBUG_MODE, history, attachmentParts, user, quota, chatId });
+  }
+
+  // 5) Call main model API with processed message and conversation history
+  console.log('[API] Calling main model API:', { model, messageLength: finalUserMessage.length, historyLength: history.length, images: attachmentParts.length });
+  const { data: result, context, retrieval, summaryUsage, attempts } = await callModelAPI(definition.googleModel, finalUserMessage, modelConfig, modelSettings, DEBUG_MODE, history, { attachmentParts, workspaceId: getUserWorkspaceId(user) });
+
+  // Extract reply from response
+  // Grounded replies can be split across several text parts; thought summaries are kept apart
+  const { text: replyText, thoughts } = splitThoughtParts(result.candidates?.[0]?.content?.parts);
+
+  // Blocked prompt or reply stopped by the safety filters
+  const safety = detectSafetyBlock(result);
+  if (safety) {
+    console.warn('[API] Reply blocked by safety filters:', safety);
+  }
+
+  const reply = replyText || (safety ? safetyBlockMessage(safety) : 'No response generated');
+
+  if (reply === 'No response generated') {
+    console.error(
+      '[API] Failed to extract text from response. Structure:',
+      JSON.stringify(result, null, 2)
+    );
+  }
+
+  if (DEBUG_MODE) {
+    console.log("[DEBUG] ============ EXTRACTED TEXT =========");
+    console.log(reply);
+  }
+
+  // Token counts and cost of this reply (and of the context summary), added to the user / chat rollups
+  const usage = extractUsage(model, addUsageMetadata(result.usageMetadata, summaryUsage));
+  await recordUsageRollup(user, usage, { chatId });
+
+  const responseData = {
+    reply,
+    context, // Context window usage (tokens vs budget, trimmed/summarized turns)
+    usage,
+    quota: await recordUsage(user, quota, { tokens: usage.totalTokens }) // Budget left after this reply
+  };
+
+  // Google Search grounding: queries, sources and the reply segments they support
+  const grounding = extractGrounding(result.candidates?.[0]?.groundingMetadata);
+  if (grounding) {
+    responseData.grounding = grounding;
+  }
+
+  // Ground on your data: document excerpts used for this reply ([D1], [D2], ...)
+  if (retrieval) {
+    responseData.retrieval = retrieval;
+  }
+
+  // Safety block: stage (prompt / response), reason and triggering categories
+  if (safety) {
+    responseData.safety = safety;
+  }
+
+  // Thinking: thought summary text and thinking tokens used
+  if (thoughts) {
+    responseData.thoughts = thoughts;
+  }
+  const thinking = toThinkingInfo(resolveThinkingBudget(modelSettings, modelConfig), result.usageMetadata);
+  if (thinking) {
+    responseData.thinking = thinking;
+  }
+
+  // Structured output: the reply is JSON, report whether it matches the schema
+  if (responseSchema && !safety) {
+    responseData.structured = checkStructuredReply(reply, responseSchema);
+    if (!responseData.structured.valid) {
+      console.warn('[API] Structured reply does not match the schema:', responseData.structured.errors);
+    }
+  }
+
+  if (DEBUG_MODE) {
+    responseData.debug = {
+      request: {
+        model,
+        message,
+        modelSettings,
+        modelConfig
+      },
+      response: result,
+      upstream: { attempts } // Upstream attempts (status / error, duration, backoff delay)
+    };
+  }
+
+  return res.status(200).json(responseData);
 }
+
+export default withApi(handler, { methods: ['POST'], maxBodyBytes: MAX_MEDIA_BODY_BYTES, logPrefix: '[API]' });
@@ -0,0 +1,108 @@
+import { ingestDocument, getVectorStore, getDocumentId, getIngestionModels } from './helpers/retrieval.js';
+import { requireUser, isAdmin } from './helpers/auth.js';
+import { detectDocumentType } from './helpers/documents.js';
+import { loadModelConfig } from './helpers/firestoreConfig.js';
+import { getUserWorkspaceId } from './helpers/pipelineConfig.js';
+import { enforceQuota, recordUsage } from './helpers/quota.js';
+import { recordUsageRollup } from './helpers/usage.js';
+import { withApi, sendError, MAX_MEDIA_BODY_BYTES } from './helpers/middleware.js';
+import { apiError } from './helpers/errors.js';
+
+const DOCUMENT_ID_PATTERN = /^[\w-]+$/;
+
+/**
+ * Only the uploader of a document or an admin can replace or remove it
+ * (documents uploaded before owners were recorded: admins only)
+ * @throws {Error} forbidden (403)
+ */
+const checkCanChange = (user, document) => {
+  if (!isAdmin(user) && document.owner?.uid !== user.uid) {
+    throw apiError('forbidden', 'Only the uploader or an admin can change this document');
+  }
+};
+
+/**
+ * Team document corpus for "Ground on your data"
+ * GET                  → list the documents of the user's workspace
+ * POST { fileName, mimeType, base64, debugMode? } → upload (PDF, Markdown, CSV): chunk + embed + store
+ *   (uploading a file name again replaces that document); PDF extraction and embeddings count
+ *   against the user's limits of their models
+ * DELETE ?id=<documentId> → remove a document and its chunks (uploader or admin only)
+ */
+async function handler(req, res) {
+  // Only signed-in users (Firebase ID token) can read or change the team corpus
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const store = getVectorStore();
+
+  if (req.method === 'GET') {
+    const documents = await store.listDocuments({ workspaceId: getUserWorkspaceId(user) });
+    return res.status(200).json({ documents });
+  }
+
+  if (req.method === 'POST') {
+    const { fileName, mimeType, base64, debugMode: requestDebugMode } = req.body || {};
+    const DEBUG_MODE = process.env.DEBUG_MODE === "true" || requestDebugMode === true;
+
+    if (!fileName || typeof fileName !== 'string') {
+      return sendError(res, 400, 'Missing or invalid "fileName" field');
+    }
+    if (!base64 || typeof base64 !== 'string') {
+      return sendError(res, 400, 'Missing or invalid "base64" field');
+    }
+
+    // Same file name in the same workspace: the document is replaced, not duplicated
+    const workspaceId = getUserWorkspaceId(user);
+    const existing = await store.getDocument(getDocumentId(fileName, workspaceId));
+    if (existing) checkCanChange(user, existing);
+
+    // Unsupported types are rejected by ingestDocument before any call
+    const quotas = {};
+    for (const model of getIngestionModels(detectDocumentType(fileName, mimeType))) {
+      const quota = await enforceQuota(res, user, model, await loadModelConfig(model));
+      if (!quota) return;
+      quotas[model] = quota;
+    }
+
+    console.log('[API:DOCUMENTS] Ingesting document:', { fileName, mimeType });
+    const { document, usage } = await ingestDocument({
+      fileName,
+      mimeType,
+      base64,
+      workspaceId,
+      owner: { uid: user.uid, email: user.email || null }
+    }, DEBUG_MODE);
+    console.log('[API:DOCUMENTS] Document stored:', { id: document.id, chunks: document.chunkCount });
+
+    for (const modelUsage of usage) {
+      await recordUsageRollup(user, modelUsage);
+      quotas[modelUsage.model] = await recordUsage(user, quotas[modelUsage.model], { tokens: modelUsage.totalTokens });
+    }
+
+    return res.status(201).json({ document });
+  }
+
+  if (req.method === 'DELETE') {
+    const documentId = req.query?.id;
+    if (!documentId || typeof documentId !== 'string') {
+      return sendError(res, 400, 'Missing "id" query parameter');
+    }
+    if (!DOCUMENT_ID_PATTERN.test(documentId)) {
+      throw apiError('invalid_input', 'Invalid document id');
+    }
+
+    // Documents of other workspaces are not visible, so they are "not found" too
+    const document = await store.getDocument(documentId);
+    if (!document || (document.workspaceId || null) !== getUserWorkspaceId(user)) {
+      throw apiError('not_found', 'Document not found');
+    }
+    checkCanChange(user, document);
+
+    await store.deleteDocument(documentId);
+    console.log('[API:DOCUMENTS] Document deleted:', documentId);
+    return res.status(200).json({ success: true });
+  }
+}
+
+export default withApi(handler, { methods: ['GET', 'POST', 'DELETE'], maxBodyBytes: MAX_MEDIA_BODY_BYTES, logPrefix: '[API:DOCUMENTS]' });
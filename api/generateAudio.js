@@ -1,119 +1,17 @@
-import { createSign } from 'crypto';
-
-// CORS allowed origins
-const ALLOWED_ORIGINS = [
-  'http://localhost:5173',
-  'http://localhost:4173',
-  'https://ai-eataly-project.vercel.app'
-];
-
-// Cache for access token
-let cachedAccessToken = null;
-let cachedAccessTokenExpiry = 0;
-
-/**
- * Load Service Account from environment variable
- */
-const loadServiceAccount = () => {
-  const raw = process.env.GOOGLE_SERVICE_ACCOUNT_JSON;
-  if (!raw) {
-    throw new Error('Missing GOOGLE_SERVICE_ACCOUNT_JSON environment variable');
-  }
-  try {
-    return JSON.parse(raw);
-  } catch (error) {
-    throw new Error('Invalid GOOGLE_SERVICE_ACCOUNT_JSON: must be valid JSON');
-  }
-};
-
-/**
- * Generate JWT for OAuth2 authentication
- */
-const generateJWT = (serviceAccount) => {
-  const nowInSeconds = Math.floor(Date.now() / 1000);
-  
-  const header = {
-    alg: 'RS256',
-    typ: 'JWT',
-  };
-
-  const payload = {
-    iss: serviceAccount.client_email,
-    sub: serviceAccount.client_email,
-    scope: 'https://www.googleapis.com/auth/generative-language',
-    aud: serviceAccount.token_uri,
-    exp: nowInSeconds + 3600,
-    iat: nowInSeconds,
-  };
-
-  const base64UrlEncode = (obj) => {
-    return Buffer.from(JSON.stringify(obj))
-      .toString('base64')
-      .replace(/\+/g, '-')
-      .replace(/\//g, '_')
-      .replace(/=/g, '');
-  };
-
-  const unsignedToken = `${base64UrlEncode(header)}.${base64UrlEncode(payload)}`;
-
-  const privateKey = serviceAccount.private_key.replace(/\\n/g, '\n');
-  const sign = createSign('RSA-SHA256');
-  sign.update(unsignedToken);
-  const signature = sign.sign(privateKey, 'base64')
-    .replace(/\+/g, '-')
-    .replace(/\//g, '_')
-    .replace(/=/g, '');
-
-  return `${unsignedToken}.${signature}`;
-};
-
-/**
- * Get OAuth2 access token (cached for 1 hour)
- */
-const getAccessToken = async () => {
-  const now = Date.now();
-  
-  // Return cached token if still valid (refresh 60 seconds before expiry)
-  if (cachedAccessToken && now < cachedAccessTokenExpiry - 60000) {
-    return cachedAccessToken;
-  }
-
-  try {
-    const serviceAccount = loadServiceAccount();
-    const jwt = generateJWT(serviceAccount);
-
-    const tokenResponse = await fetch(serviceAccount.token_uri, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: new URLSearchParams({
-        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
-        assertion: jwt,
-      }),
-    });
-
-    if (!tokenResponse.ok) {
-      const errorText = await tokenResponse.text();
-      throw new Error(`Token request failed: ${tokenResponse.status} ${errorText}`);
-    }
-
-    const tokenData = await tokenResponse.json();
-    cachedAccessToken = tokenData.access_token;
-    cachedAccessTokenExpiry = now + (tokenData.expires_in * 1000);
-
-    return cachedAccessToken;
-  } catch (error) {
-    console.error('[API] Error getting access token:', error);
-    throw error;
-  }
-};
+import { getAccessToken, SCOPES } from './helpers/credentials.js';
+import { requireUser } from './helpers/auth.js';
+import { enforceQuota, recordUsage } from './helpers/quota.js';
+import { extractUsage, recordUsageRollup } from './helpers/usage.js';
+import { withApi, MAX_MEDIA_BODY_BYTES } from './helpers/middleware.js';
+import { upstreamError } from './helpers/errors.js';
+import { fetchUpstream, resolveUpstreamPolicy } from './helpers/upstream.js';
+import { resolveEndpointModel, MODEL_ENDPOINTS } from './helpers/modelRegistry.js';
 
 /**
  * Call Google Gemini Audio API
  */
 const callGeminiAudioAPI = async (model, message, audioData = null) => {
-  const accessToken = await getAccessToken();
+  const accessToken = await getAccessToken(SCOPES.GENERATIVE_LANGUAGE);
   const apiVersion = "v1";
   const endpoint = `https://generativelanguage.googleapis.com/${apiVersion}/models/${model}:generateContent`;
   
@@ -149,18 +47,18 @@ const callGeminiAudioAPI = async (model, message, audioData = null) => {
     },
   };
 
-  const response = await fetch(endpoint, {
+  const { response } = await fetchUpstream(endpoint, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
       Authorization: `Bearer ${accessToken}`,
     },
     body: JSON.stringify(requestBody),
-  });
+  }, { service: 'Gemini', ...resolveUpstreamPolicy(null, 'text') });
 
   if (!response.ok) {
     const errorText = await response.text();
-    throw new Error(`Gemini API error: ${response.status} ${errorText}`);
+    throw upstreamError('Gemini', response.status, errorText);
   }
 
   const data = await response.json();
@@ -172,75 +70,49 @@ const callGeminiAudioAPI = async (model, message, audioData = null) => {
 /**
  * Main handler
  */
-export default async function handler(req, res) {
-  // Handle CORS
-  const origin = req.headers.origin || req.headers.referer?.split('/').slice(0, 3).join('/');
-  const isAllowed = origin && ALLOWED_ORIGINS.includes(origin);
-
-  if (isAllowed) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-    res.setHeader('Vary', 'Origin');
-  }
+async function handler(req, res) {
+  // Only signed-in users (Firebase ID token) can spend model quota
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  console.log('[API] Incoming audio request', {
+    method: req.method,
+    origin: req.headers.origin,
+    url: req.url
+  });
 
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  res.setHeader('Access-Control-Max-Age', '86400');
+  const { message, model: requestedModel, chatId, audioData } = req.body;
 
-  // Handle preflight
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+  // Only audio models of the registry (400 for unknown models or models of another endpoint)
+  const definition = resolveEndpointModel(requestedModel, MODEL_ENDPOINTS.AUDIO);
+  const model = definition.id;
 
-  // Only allow POST
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
+  // Requests per minute and daily token budget of this user (429 + Retry-After when exhausted)
+  const quota = await enforceQuota(res, user, model, null);
+  if (!quota) return;
 
-  try {
-    console.log('[API] Incoming audio request', {
-      method: req.method,
-      origin: req.headers.origin,
-      url: req.url
-    });
+  // Call Gemini Audio API
+  console.log('[API] Calling Gemini Audio API:', { model, messageLength: message?.length || 0 });
+  const result = await callGeminiAudioAPI(definition.googleModel, message, audioData);
 
-    const { message, model: requestedModel, audioData } = req.body;
-
-    // Validate that model is an audio model
-    const audioModels = [
-      'gemini-2.5-flash-audio',
-      'gemini-1.5-flash-audio'
-    ];
-    
-    const model = requestedModel || 'gemini-2.5-flash-audio';
-    
-    if (!audioModels.includes(model.toLowerCase())) {
-      return res.status(400).json({ 
-        error: `Wrong endpoint: model "${model}" is not an audio model. Use /api/chat, /api/generateImage, or /api/generateVision instead.` 
-      });
-    }
-
-    // Call Gemini Audio API
-    console.log('[API] Calling Gemini Audio API:', { model, messageLength: message?.length || 0 });
-    const result = await callGeminiAudioAPI(model, message, audioData);
-
-    // Extract transcript/response from response
-    const transcript = result.candidates?.[0]?.content?.parts?.[0]?.text || 'No transcript generated';
-    
-    // Check if response contains audio
-    const audioPart = result.candidates?.[0]?.content?.parts?.find(part => part.inlineData);
-    const audioUrl = audioPart?.inlineData?.data ? `data:${audioPart.inlineData.mimeType};base64,${audioPart.inlineData.data}` : null;
-
-    return res.status(200).json({
-      transcript,
-      audioUrl,
-      model
-    });
-  } catch (error) {
-    console.error('[API] ERROR:', error);
-    return res.status(500).json({
-      error: 'Internal server error',
-      message: error.message,
-    });
-  }
+  // Extract transcript/response from response
+  const transcript = result.candidates?.[0]?.content?.parts?.[0]?.text || 'No transcript generated';
+  
+  // Check if response contains audio
+  const audioPart = result.candidates?.[0]?.content?.parts?.find(part => part.inlineData);
+  const audioUrl = audioPart?.inlineData?.data ? `data:${audioPart.inlineData.mimeType};base64,${audioPart.inlineData.data}` : null;
+
+  // Token counts and cost of this request, added to the user / chat rollups
+  const usage = extractUsage(model, result.usageMetadata);
+  await recordUsageRollup(user, usage, { chatId });
+
+  return res.status(200).json({
+    transcript,
+    audioUrl,
+    model,
+    usage,
+    quota: await recordUsage(user, quota, { tokens: usage.totalTokens })
+  });
 }
 
+export default withApi(handler, { methods: ['POST'], maxBodyBytes: MAX_MEDIA_BODY_BYTES, logPrefix: '[API]' });
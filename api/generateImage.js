@@ -1,18 +1,85 @@
-import { GoogleAuth } from "google-auth-library";
+import { getAccessToken, SCOPES } from './helpers/credentials.js';
 import { loadModelConfig } from './helpers/firestoreConfig.js';
+import { resolveVertexLocation, buildVertexEndpoint, fetchVertexWithFailover } from './helpers/vertexRegion.js';
+import { requireUser } from './helpers/auth.js';
+import { enforceQuota, recordUsage } from './helpers/quota.js';
+import { extractUsage, recordUsageRollup } from './helpers/usage.js';
+import { withApi, sendError } from './helpers/middleware.js';
+import { apiError, upstreamError } from './helpers/errors.js';
+import { resolveUpstreamPolicy } from './helpers/upstream.js';
+import { resolveEndpointModel, MODEL_ENDPOINTS } from './helpers/modelRegistry.js';
+import { canStoreChatImages, uploadChatImage } from './helpers/storage.js';
 
-// CORS allowed origins
-const ALLOWED_ORIGINS = [
-  'http://localhost:5173',
-  'http://localhost:4173',
-  'https://ai-eataly-project.vercel.app'
-];
+const MAX_SAMPLE_COUNT = 4;
+const MAX_SEED = 4294967295;
+const PERSON_GENERATION_VALUES = ['dont_allow', 'allow_adult', 'allow_all'];
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Imagen parameters (priority: modelSettings > Firestore config > defaults)
+ * A seed only applies without watermark (Vertex AI rejects seed + addWatermark): a requested one
+ * is answered 400, the one of the Firestore config is skipped
+ * @throws {Error} invalid_input for out of range values
+ */
+function resolveImagenParameters(modelSettings, modelConfig) {
+  const {
+    sample_count,
+    aspect_ratio,
+    negative_prompt,
+    seed,
+    person_generation,
+    add_watermark
+  } = modelSettings || {};
+
+  const sampleCount = Number(sample_count ?? modelConfig?.sampleCount ?? 1);
+  if (!Number.isInteger(sampleCount) || sampleCount < 1 || sampleCount > MAX_SAMPLE_COUNT) {
+    throw apiError('invalid_input', `sample_count must be an integer between 1 and ${MAX_SAMPLE_COUNT}`);
+  }
+
+  const personGeneration = person_generation || modelConfig?.personGeneration || 'allow_adult';
+  if (!PERSON_GENERATION_VALUES.includes(personGeneration)) {
+    throw apiError('invalid_input', `person_generation must be one of: ${PERSON_GENERATION_VALUES.join(', ')}`);
+  }
+
+  const addWatermark = typeof add_watermark === 'boolean'
+    ? add_watermark
+    : modelConfig?.addWatermark !== false;
+
+  const parameters = {
+    sampleCount,
+    aspectRatio: aspect_ratio || modelConfig?.aspectRatio || '1:1',
+    personGeneration,
+    addWatermark,
+    includeRaiReason: true // filtered images come back with the reason instead of being dropped silently
+  };
+
+  const negativePrompt = negative_prompt ?? modelConfig?.negativePrompt;
+  if (typeof negativePrompt === 'string' && negativePrompt.trim() !== '') {
+    parameters.negativePrompt = negativePrompt.trim();
+  }
+
+  const seedValue = isSet(seed) ? seed : modelConfig?.seed;
+  if (isSet(seedValue)) {
+    const parsedSeed = Number(seedValue);
+    if (!Number.isInteger(parsedSeed) || parsedSeed < 0 || parsedSeed > MAX_SEED) {
+      throw apiError('invalid_input', `seed must be an integer between 0 and ${MAX_SEED}`);
+    }
+    if (!addWatermark) {
+      parameters.seed = parsedSeed;
+    } else if (isSet(seed)) {
+      throw apiError('invalid_input', 'seed requires the watermark to be disabled (add_watermark: false)');
+    }
+  }
+
+  return parameters;
+}
 
 /**
  * Call Vertex AI Imagen predict endpoint
- * ONLY for imagen-4
+ * `parameters` from resolveImagenParameters; `googleModel` is the Vertex model id from the model registry
  */
-const callImagenAPI = async (prompt, modelConfig = null, modelSettings = null, debugMode = false) => {
+const callImagenAPI = async (prompt, parameters, modelConfig = null, modelSettings = null, debugMode = false, googleModel = 'imagen-4.0-generate-001') => {
   const DEBUG_MODE = process.env.DEBUG_MODE === "true" || debugMode === true;
   
   if (DEBUG_MODE) {
@@ -21,40 +88,25 @@ const callImagenAPI = async (prompt, modelConfig = null, modelSettings = null, d
   }
 
   try {
-    // Generate access token using google-auth-library
-    const sa = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_JSON);
-    
-    const auth = new GoogleAuth({
-      credentials: sa,
-      scopes: ["https://www.googleapis.com/auth/cloud-platform"],
-    });
-
-    const client = await auth.getClient();
-    const { token: accessToken } = await client.getAccessToken();
+    // Access token (shared credentials, cached per scope)
+    const accessToken = await getAccessToken(SCOPES.CLOUD_PLATFORM);
 
-    // Endpoint corretto: imagen-4:predict
-    const endpoint = "https://us-central1-aiplatform.googleapis.com/v1/projects/eataly-creative-ai-suite/locations/us-central1/publishers/google/models/imagen-4:predict";
+    // Endpoint {model}:predict - project and region from the model config (secondary region on 429 / 503)
+    const location = resolveVertexLocation(modelSettings, modelConfig);
     
     if (DEBUG_MODE) {
-      console.log("[DEBUG] Endpoint:", endpoint);
+      console.log("[DEBUG] Endpoint:", buildVertexEndpoint(location, googleModel, 'predict'));
+      console.log("[DEBUG] Secondary region:", location.fallbackRegion || 'none');
     }
 
-    // Extract modelSettings (override Firestore config if provided)
-    const {
-      aspect_ratio
-    } = modelSettings || {};
-
-    // Request body: { instances: [{ prompt }], parameters: { sampleCount, aspectRatio } }
+    // Request body: { instances: [{ prompt }], parameters: { sampleCount, aspectRatio, negativePrompt, seed, ... } }
     const requestBody = {
       instances: [
         {
           prompt: prompt
         }
       ],
-      parameters: {
-        sampleCount: modelConfig?.sampleCount ?? 1,
-        aspectRatio: aspect_ratio || modelConfig?.aspectRatio || '1:1'
-      }
+      parameters
     };
 
     if (DEBUG_MODE) {
@@ -62,24 +114,25 @@ const callImagenAPI = async (prompt, modelConfig = null, modelSettings = null, d
       console.log(JSON.stringify(requestBody, null, 2));
     }
 
-    const response = await fetch(endpoint, {
+    const { response, region, failover, attempts } = await fetchVertexWithFailover(location, googleModel, 'predict', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
         Authorization: `Bearer ${accessToken}`,
       },
       body: JSON.stringify(requestBody),
-    });
+    }, { logPrefix: '[API:IMAGEN]', service: 'Imagen', ...resolveUpstreamPolicy(modelConfig, 'image') });
 
     if (!response.ok) {
       const errorText = await response.text();
       console.error("[API:IMAGEN] ========================================");
       console.error("[API:IMAGEN] IMAGEN API ERROR");
+      console.error("[API:IMAGEN] Region:", region);
       console.error("[API:IMAGEN] Status:", response.status);
       console.error("[API:IMAGEN] Status Text:", response.statusText);
       console.error("[API:IMAGEN] Raw Error Response:", errorText);
       console.error("[API:IMAGEN] ========================================");
-      throw new Error(`Imagen API error: ${response.status} ${errorText}`);
+      throw upstreamError('Imagen', response.status, errorText);
     }
 
     const data = await response.json();
@@ -89,31 +142,32 @@ const callImagenAPI = async (prompt, modelConfig = null, modelSettings = null, d
       console.log(JSON.stringify(data, null, 2));
     }
     
-    // Extract base64 image from response
-    // Try predictions[0].imageBase64 first, then bytesBase64Encoded
-    let imageBase64 = null;
+    // One prediction per image: base64 in imageBase64 or bytesBase64Encoded;
+    // images removed by the safety filters only carry raiFilteredReason
+    const predictions = Array.isArray(data.predictions) ? data.predictions : [];
+    const images = predictions
+      .map(prediction => prediction.imageBase64 || prediction.bytesBase64Encoded)
+      .filter(Boolean);
+    const filteredReasons = predictions
+      .filter(prediction => !(prediction.imageBase64 || prediction.bytesBase64Encoded) && prediction.raiFilteredReason)
+      .map(prediction => prediction.raiFilteredReason);
     
-    if (data.predictions?.[0]?.imageBase64) {
-      imageBase64 = data.predictions[0].imageBase64;
-    } else if (data.predictions?.[0]?.bytesBase64Encoded) {
-      imageBase64 = data.predictions[0].bytesBase64Encoded;
-    } else {
+    if (images.length === 0) {
       if (DEBUG_MODE) {
         console.error("[DEBUG] Imagen response structure:", JSON.stringify(data, null, 2));
       }
-      throw new Error('Imagen response missing image data in predictions[0].imageBase64 or predictions[0].bytesBase64Encoded');
-    }
-    
-    if (!imageBase64) {
-      throw new Error('No image data found in Imagen API response');
+      if (filteredReasons.length > 0) {
+        throw apiError('safety_blocked', 'All generated images were removed by the safety filters', { reasons: filteredReasons });
+      }
+      throw new Error('Imagen response missing image data in predictions[].imageBase64 or predictions[].bytesBase64Encoded');
     }
     
     if (DEBUG_MODE) {
-      console.log("[DEBUG] ============ EXTRACTED IMAGE =========");
-      console.log("[DEBUG] Base64 length:", imageBase64.length, "characters");
+      console.log("[DEBUG] ============ EXTRACTED IMAGES =========");
+      console.log("[DEBUG] Images:", images.length, "of", requestBody.parameters.sampleCount, "- filtered:", filteredReasons.length);
     }
     
-    return { imageBase64, rawResponse: DEBUG_MODE ? data : undefined };
+    return { images, filteredReasons, region, upstream: { region, failover, attempts }, rawResponse: DEBUG_MODE ? data : undefined };
   } catch (error) {
     console.error("[API:IMAGEN] ========================================");
     console.error("[API:IMAGEN] ERROR in callImagenAPI:");
@@ -127,95 +181,86 @@ const callImagenAPI = async (prompt, modelConfig = null, modelSettings = null, d
 /**
  * Main handler
  */
-export default async function handler(req, res) {
-  // Handle CORS
-  const origin = req.headers.origin || req.headers.referer?.split('/').slice(0, 3).join('/');
-  const isAllowed = origin && ALLOWED_ORIGINS.includes(origin);
-
-  if (isAllowed) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-    res.setHeader('Vary', 'Origin');
-  }
+async function handler(req, res) {
+  // Only signed-in users (Firebase ID token) can spend model quota
+  const user = await requireUser(req, res);
+  if (!user) return;
 
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  res.setHeader('Access-Control-Max-Age', '86400');
-
-  // Handle preflight
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
+  const { prompt, model, modelSettings, chatId, debugMode: requestDebugMode } = req.body;
+  const DEBUG_MODE = process.env.DEBUG_MODE === "true" || requestDebugMode === true;
+  
+  if (DEBUG_MODE) {
+    console.log("[DEBUG] ============ INCOMING =============");
+    console.log(JSON.stringify(req.body, null, 2));
   }
 
-  // Only allow POST
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
+  // Validate required fields
+  if (!prompt || typeof prompt !== 'string') {
+    return sendError(res, 400, 'Missing or invalid "prompt" field');
   }
 
-  try {
-    const { prompt, model, modelSettings, debugMode: requestDebugMode } = req.body;
-    const DEBUG_MODE = process.env.DEBUG_MODE === "true" || requestDebugMode === true;
-    
-    if (DEBUG_MODE) {
-      console.log("[DEBUG] ============ INCOMING =============");
-      console.log(JSON.stringify(req.body, null, 2));
-    }
+  // Only Imagen models of the registry (400 for unknown models or models of another endpoint)
+  const definition = resolveEndpointModel(model, MODEL_ENDPOINTS.IMAGEN);
+  const modelToUse = definition.id;
 
-    // Validate required fields
-    if (!prompt || typeof prompt !== 'string') {
-      return res.status(400).json({ error: 'Missing or invalid "prompt" field' });
-    }
+  // Load model configuration from Firestore
+  console.log('[API:IMAGEN] Loading model config from Firestore...');
+  const modelConfig = await loadModelConfig(modelToUse);
+  
+  // Check if model is enabled
+  if (!modelConfig.enabled) {
+    return sendError(res, 403, `Model "${modelToUse}" is currently disabled. Please enable it in Model Settings.`, { code: 'model_disabled' });
+  }
 
-    // ONLY allow imagen-4
-    const modelToUse = model || "imagen-4";
-    
-    if (modelToUse.toLowerCase() !== 'imagen-4') {
-      return res.status(400).json({ 
-        error: `Wrong endpoint: model "${modelToUse}" is not supported. This endpoint only accepts "imagen-4". Use /api/chat for Gemini 2.5 Flash or /api/generateNanobananaImage for Nanobanana.` 
-      });
-    }
+  // Invalid Imagen options are answered 400 before any quota is used
+  const parameters = resolveImagenParameters(modelSettings, modelConfig);
 
-    // Load model configuration from Firestore
-    console.log('[API:IMAGEN] Loading model config from Firestore...');
-    const modelConfig = await loadModelConfig(modelToUse);
-    
-    // Check if model is enabled
-    if (!modelConfig.enabled) {
-      return res.status(403).json({ 
-        error: `Model "${modelToUse}" is currently disabled. Please enable it in Model Settings.` 
-      });
-    }
+  // Requests per minute and daily image budget of this user (429 + Retry-After when exhausted);
+  // every requested image has to fit in the budget left today
+  const quota = await enforceQuota(res, user, modelToUse, modelConfig, { units: parameters.sampleCount });
+  if (!quota) return;
 
-    // Generate image via Vertex AI
-    console.log('[API:IMAGEN] Calling Imagen API:', { prompt, model: modelToUse });
-    const result = await callImagenAPI(prompt, modelConfig, modelSettings, DEBUG_MODE);
+  // Generate image via Vertex AI
+  console.log('[API:IMAGEN] Calling Imagen API:', { prompt, model: modelToUse });
+  const result = await callImagenAPI(prompt, parameters, modelConfig, modelSettings, DEBUG_MODE, definition.googleModel);
 
-    if (!result.imageBase64) {
-      return res.status(500).json({ error: 'Failed to generate image' });
-    }
+  if (result.images.length === 0) {
+    return sendError(res, 500, 'Failed to generate image');
+  }
 
-    const responseData = {
-      image: result.imageBase64,
-      imageBase64: result.imageBase64 // Backward compatibility
-    };
+  // Image count and cost of this generation (images actually returned), added to the user / chat rollups
+  const imageCount = result.images.length;
+  const usage = extractUsage(modelToUse, null, { images: imageCount });
+  await recordUsageRollup(user, usage, { chatId });
 
-    if (DEBUG_MODE) {
-      responseData.debug = {
-        request: {
-          model: modelToUse,
-          prompt,
-          modelSettings,
-          modelConfig
-        },
-        response: result.rawResponse
-      };
-    }
+  // Up to 4 PNGs do not fit in the 4.5 MB Vercel response limit: they are stored in the chat's
+  // Storage folder and sent as URLs; inline base64 (each image once) only without a bucket (local runs)
+  const imageUrls = canStoreChatImages(chatId)
+    ? await Promise.all(result.images.map(image => uploadChatImage(user, chatId, image)))
+    : null;
 
-    return res.status(200).json(responseData);
-  } catch (error) {
-    console.error('[API:IMAGEN] ERROR:', error);
-    return res.status(500).json({
-      error: 'Internal server error',
-      message: error.message,
-    });
+  const responseData = {
+    ...(imageUrls ? { imageUrls } : { images: result.images }),
+    ...(result.filteredReasons.length > 0 && { filtered: result.filteredReasons }), // Images removed by the safety filters
+    usage,
+    quota: await recordUsage(user, quota, { images: imageCount }) // Daily image budget left
+  };
+
+  if (DEBUG_MODE) {
+    responseData.debug = {
+      request: {
+        model: modelToUse,
+        prompt,
+        modelSettings,
+        modelConfig,
+        region: result.region
+      },
+      response: result.rawResponse,
+      upstream: result.upstream // Attempts per region (status / error, duration, backoff delay)
+    };
   }
+
+  return res.status(200).json(responseData);
 }
+
+export default withApi(handler, { methods: ['POST'], logPrefix: '[API:IMAGEN]' });
@@ -1,12 +1,15 @@
-import { GoogleAuth } from "google-auth-library";
+import { getAccessToken, SCOPES } from './helpers/credentials.js';
 import { loadModelConfig } from './helpers/firestoreConfig.js';
-
-// CORS allowed origins
-const ALLOWED_ORIGINS = [
-  'http://localhost:5173',
-  'http://localhost:4173',
-  'https://ai-eataly-project.vercel.app'
-];
+import { resolveSafetySettings, detectSafetyBlock, safetyBlockMessage } from './helpers/safety.js';
+import { resolveVariables, renderInstructions } from './helpers/promptTemplate.js';
+import { resolveVertexLocation, buildVertexEndpoint, fetchVertexWithFailover } from './helpers/vertexRegion.js';
+import { requireUser } from './helpers/auth.js';
+import { enforceQuota, recordUsage } from './helpers/quota.js';
+import { extractUsage, recordUsageRollup } from './helpers/usage.js';
+import { withApi, sendError, MAX_MEDIA_BODY_BYTES } from './helpers/middleware.js';
+import { upstreamError } from './helpers/errors.js';
+import { resolveUpstreamPolicy } from './helpers/upstream.js';
+import { resolveEndpointModel, MODEL_ENDPOINTS } from './helpers/modelRegistry.js';
 
 /**
  * Deep scan recursive function to find base64 image data
@@ -149,9 +152,9 @@ function extractText(obj) {
 
 /**
  * Call Vertex AI Gemini generateContent (NOT streaming)
- * Supports gemini-2.5-flash-image and gemini-2.5-nano-banana
+ * `googleModel` is the Vertex model id from the model registry
  */
-const callNanobananaAPI = async (prompt, modelConfig = null, modelSettings = null, debugMode = false, attachments = []) => {
+const callNanobananaAPI = async (prompt, modelConfig = null, modelSettings = null, debugMode = false, attachments = [], requestInstruction = null, googleModel = 'gemini-2.5-flash-image') => {
   const DEBUG_MODE = process.env.DEBUG_MODE === "true" || debugMode === true;
   
   if (DEBUG_MODE) {
@@ -160,22 +163,16 @@ const callNanobananaAPI = async (prompt, modelConfig = null, modelSettings = nul
     console.log("[API/NANOBANANA] Attachments received:", attachments);
   }
 
-  // STEP 1: Generate access token using google-auth-library
-  const sa = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_JSON);
-  
-  const auth = new GoogleAuth({
-    credentials: sa,
-    scopes: ["https://www.googleapis.com/auth/cloud-platform"],
-  });
-
-  const client = await auth.getClient();
-  const { token: accessToken } = await client.getAccessToken();
+  // STEP 1: Access token (shared credentials, cached per scope)
+  const accessToken = await getAccessToken(SCOPES.CLOUD_PLATFORM);
 
   // STEP 2: Call Vertex AI generateContent (NOT streaming)
-  const endpoint = "https://us-central1-aiplatform.googleapis.com/v1/projects/eataly-creative-ai-suite/locations/us-central1/publishers/google/models/gemini-2.5-flash-image:generateContent";
+  // Project and region from the model config (secondary region on 429 / 503)
+  const location = resolveVertexLocation(modelSettings, modelConfig);
   
   if (DEBUG_MODE) {
-    console.log("[DEBUG] Endpoint:", endpoint);
+    console.log("[DEBUG] Endpoint:", buildVertexEndpoint(location, googleModel, 'generateContent'));
+    console.log("[DEBUG] Secondary region:", location.fallbackRegion || 'none');
   }
 
   // Extract modelSettings (override Firestore config if provided)
@@ -188,19 +185,16 @@ const callNanobananaAPI = async (prompt, modelConfig = null, modelSettings = nul
   } = modelSettings || {};
 
   // Get system instruction (priority: modelSettings > Firestore config)
-  const systemPrompt = system || modelConfig?.systemPrompt;
+  // A per-request instruction (e.g. how to use multiple input images) is appended to it
+  const systemPrompt = [system || modelConfig?.systemPrompt, requestInstruction]
+    .filter(text => text && text.trim() !== "")
+    .join('\n\n');
   
   // Build parts array - start with text prompt
   const parts = [];
   
-  // Add text prompt (with system instruction prepended as plain text, NO XML)
-  let promptText = prompt;
-  if (systemPrompt && systemPrompt.trim() !== "") {
-    promptText = `${systemPrompt}\n\n${prompt}`;
-  }
-  
-  if (promptText.trim()) {
-    parts.push({ text: promptText });
+  if (prompt.trim()) {
+    parts.push({ text: prompt });
   }
   
   // Add image attachments as inline_data
@@ -230,6 +224,19 @@ const callNanobananaAPI = async (prompt, modelConfig = null, modelSettings = nul
     contents: contents
   };
 
+  // Native system instruction instead of prepending it to the prompt
+  if (systemPrompt) {
+    body.systemInstruction = {
+      parts: [{ text: systemPrompt }]
+    };
+  }
+
+  // Safety filter thresholds per harm category (omitted categories use the model default)
+  const safetySettings = resolveSafetySettings(modelSettings, modelConfig);
+  if (safetySettings) {
+    body.safetySettings = safetySettings;
+  }
+
   // Add generation config (only include defined fields)
   body.generationConfig = {};
   
@@ -281,24 +288,25 @@ const callNanobananaAPI = async (prompt, modelConfig = null, modelSettings = nul
     console.log("[DEBUG] Output Type:", normalizedOutputType);
   }
 
-  const response = await fetch(endpoint, {
+  const { response, region, failover, attempts } = await fetchVertexWithFailover(location, googleModel, 'generateContent', {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
       Authorization: `Bearer ${accessToken}`,
     },
     body: JSON.stringify(body),
-  });
+  }, { logPrefix: '[API:NANOBANANA]', service: 'Nanobanana', ...resolveUpstreamPolicy(modelConfig, 'image') });
 
   if (!response.ok) {
     const errorText = await response.text();
     console.error("[API:NANOBANANA] ========================================");
     console.error("[API:NANOBANANA] NANOBANANA API ERROR");
+    console.error("[API:NANOBANANA] Region:", region);
     console.error("[API:NANOBANANA] Status:", response.status);
     console.error("[API:NANOBANANA] Status Text:", response.statusText);
     console.error("[API:NANOBANANA] Raw Error Response:", errorText);
     console.error("[API:NANOBANANA] ========================================");
-    throw new Error(`Nanobanana API error: ${response.status} ${errorText}`);
+    throw upstreamError('Nanobanana', response.status, errorText);
   }
 
   // STEP 3: Extract image (NO STREAMING)
@@ -309,6 +317,13 @@ const callNanobananaAPI = async (prompt, modelConfig = null, modelSettings = nul
     console.log(JSON.stringify(data, null, 2));
   }
 
+  // Blocked prompt or image stopped by the safety filters: no image to extract
+  const safety = detectSafetyBlock(data);
+  if (safety) {
+    console.warn("[API:NANOBANANA] Blocked by safety filters:", safety);
+    return { text: safetyBlockMessage(safety), imageBase64: null, safety, region, upstream: { region, failover, attempts }, usageMetadata: data.usageMetadata, rawResponse: DEBUG_MODE ? data : undefined };
+  }
+
   // Extract both text and image based on outputType (reuse the same variable declared above)
   const text = extractText(data);
   const imageBase64 = extractImageBase64(data, DEBUG_MODE);
@@ -322,7 +337,7 @@ const callNanobananaAPI = async (prompt, modelConfig = null, modelSettings = nul
 
   // Handle response based on outputType
   if (normalizedOutputType === 'image_and_text') {
-    return { text, imageBase64, rawResponse: DEBUG_MODE ? data : undefined };
+    return { text, imageBase64, region, upstream: { region, failover, attempts }, usageMetadata: data.usageMetadata, rawResponse: DEBUG_MODE ? data : undefined };
   } else {
     // IMAGE mode (default)
     if (!imageBase64) {
@@ -337,125 +352,113 @@ const callNanobananaAPI = async (prompt, modelConfig = null, modelSettings = nul
       console.error("[API:NANOBANANA] ========================================");
       throw new Error('No image data found in Nanobanana API response. Check logs for response structure.');
     }
-    return { text: null, imageBase64, rawResponse: DEBUG_MODE ? data : undefined };
+    return { text: null, imageBase64, region, upstream: { region, failover, attempts }, usageMetadata: data.usageMetadata, rawResponse: DEBUG_MODE ? data : undefined };
   }
 };
 
 /**
  * Main handler
  */
-export default async function handler(req, res) {
-  // Handle CORS
-  const origin = req.headers.origin || req.headers.referer?.split('/').slice(0, 3).join('/');
-  const isAllowed = origin && ALLOWED_ORIGINS.includes(origin);
+async function handler(req, res) {
+  // Only signed-in users (Firebase ID token) can spend model quota
+  const user = await requireUser(req, res);
+  if (!user) return;
 
-  if (isAllowed) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-    res.setHeader('Vary', 'Origin');
+  const { prompt, model, modelSettings: requestSettings, attachments, systemInstruction, variables, chatId, debugMode: requestDebugMode } = req.body;
+  const DEBUG_MODE = process.env.DEBUG_MODE === "true" || requestDebugMode === true;
+  
+  if (DEBUG_MODE) {
+    console.log("[DEBUG] ============ INCOMING =============");
+    console.log(JSON.stringify(req.body, null, 2));
   }
 
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  res.setHeader('Access-Control-Max-Age', '86400');
-
-  // Handle preflight
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
+  // Validate required fields
+  if (!prompt || typeof prompt !== 'string') {
+    return sendError(res, 400, 'Missing or invalid "prompt" field');
   }
 
-  // Only allow POST
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
+  // Only Nanobanana models of the registry (400 for unknown models or models of another endpoint)
+  const definition = resolveEndpointModel(model, MODEL_ENDPOINTS.NANOBANANA);
+  const modelToUse = definition.id;
+
+  // Extract attachments
+  const imageAttachments = attachments || [];
+  console.log("[API/NANOBANANA] Attachments received:", imageAttachments);
+
+  // Load model configuration from Firestore
+  console.log('[API:NANOBANANA] Loading model config from Firestore...');
+  const modelConfig = await loadModelConfig(modelToUse);
+  
+  // Check if model is enabled
+  if (!modelConfig.enabled) {
+    return sendError(res, 403, `Model "${modelToUse}" is currently disabled. Please enable it in Model Settings.`, { code: 'model_disabled' });
   }
 
-  try {
-    const { prompt, model, modelSettings, attachments, debugMode: requestDebugMode } = req.body;
-    const DEBUG_MODE = process.env.DEBUG_MODE === "true" || requestDebugMode === true;
-    
-    if (DEBUG_MODE) {
-      console.log("[DEBUG] ============ INCOMING =============");
-      console.log(JSON.stringify(req.body, null, 2));
-    }
+  // Prompt variables of the system instruction ({{brand}}, {{date}}, ...): 400 missing_variables without a value
+  const [systemPrompt] = renderInstructions([requestSettings?.system || modelConfig.systemPrompt], resolveVariables(variables));
+  const modelSettings = systemPrompt ? { ...requestSettings, system: systemPrompt } : requestSettings;
 
-    // Validate required fields
-    if (!prompt || typeof prompt !== 'string') {
-      return res.status(400).json({ error: 'Missing or invalid "prompt" field' });
-    }
+  // Requests per minute and daily image budget of this user (429 + Retry-After when exhausted)
+  const quota = await enforceQuota(res, user, modelToUse, modelConfig);
+  if (!quota) return;
 
-    // ONLY allow gemini-2.5-flash-image
-    const modelToUse = model || "gemini-2.5-flash-image";
-    
-    if (modelToUse.toLowerCase() !== 'gemini-2.5-flash-image') {
-      return res.status(400).json({ 
-        error: `Wrong endpoint: model "${modelToUse}" is not supported. This endpoint only accepts "gemini-2.5-flash-image". Use /api/chat for gemini-2.5-flash.` 
-      });
-    }
+  // Determine output type (priority: modelSettings > Firestore config, with fallback)
+  const outputType = modelSettings?.output_type ?? modelConfig?.outputType ?? 'image';
+  const normalizedOutputType = outputType.toLowerCase();
+  
+  // Log payload building
+  console.log(`[MODEL] Payload built for ${modelToUse}`);
+  console.log(`[MODEL] Output type: ${normalizedOutputType}`);
+  if (DEBUG_MODE) {
+    console.log(`[MODEL] Applying merged config:`, modelSettings);
+  }
 
-    // Extract attachments
-    const imageAttachments = attachments || [];
-    console.log("[API/NANOBANANA] Attachments received:", imageAttachments);
-
-    // Load model configuration from Firestore
-    console.log('[API:NANOBANANA] Loading model config from Firestore...');
-    const modelConfig = await loadModelConfig(modelToUse);
-    
-    // Check if model is enabled
-    if (!modelConfig.enabled) {
-      return res.status(403).json({ 
-        error: `Model "${modelToUse}" is currently disabled. Please enable it in Model Settings.` 
-      });
-    }
+  // Generate via Vertex AI generateContent (NOT streaming)
+  console.log('[API:NANOBANANA] Calling Nanobanana API:', { prompt, model: modelToUse, outputType: normalizedOutputType, attachmentsCount: imageAttachments.length });
+  const result = await callNanobananaAPI(prompt, modelConfig, modelSettings, DEBUG_MODE, imageAttachments, systemInstruction, definition.googleModel);
 
-    // Determine output type (priority: modelSettings > Firestore config, with fallback)
-    const outputType = modelSettings?.output_type ?? modelConfig?.outputType ?? 'image';
-    const normalizedOutputType = outputType.toLowerCase();
-    
-    // Log payload building
-    console.log(`[MODEL] Payload built for ${modelToUse}`);
-    console.log(`[MODEL] Output type: ${normalizedOutputType}`);
-    if (DEBUG_MODE) {
-      console.log(`[MODEL] Applying merged config:`, modelSettings);
+  // Build response
+  const responseData = {};
+  
+  if (result.safety) {
+    // Blocked: explanation text (category + rephrase suggestion) instead of an image
+    responseData.text = result.text;
+    responseData.safety = result.safety;
+  } else if (normalizedOutputType === 'image_and_text') {
+    responseData.text = result.text;
+    responseData.image = result.imageBase64;
+    responseData.imageBase64 = result.imageBase64; // Backward compatibility
+  } else {
+    // IMAGE mode (default)
+    if (!result.imageBase64) {
+      return sendError(res, 500, 'Failed to generate image');
     }
+    responseData.image = result.imageBase64;
+    responseData.imageBase64 = result.imageBase64; // Backward compatibility
+  }
 
-    // Generate via Vertex AI generateContent (NOT streaming)
-    console.log('[API:NANOBANANA] Calling Nanobanana API:', { prompt, model: modelToUse, outputType: normalizedOutputType, attachmentsCount: imageAttachments.length });
-    const result = await callNanobananaAPI(prompt, modelConfig, modelSettings, DEBUG_MODE, imageAttachments);
-
-    // Build response
-    const responseData = {};
-    
-    if (normalizedOutputType === 'image_and_text') {
-      responseData.text = result.text;
-      responseData.image = result.imageBase64;
-      responseData.imageBase64 = result.imageBase64; // Backward compatibility
-    } else {
-      // IMAGE mode (default)
-      if (!result.imageBase64) {
-        return res.status(500).json({ error: 'Failed to generate image' });
-      }
-      responseData.image = result.imageBase64;
-      responseData.imageBase64 = result.imageBase64; // Backward compatibility
-    }
+  // Token / image counts and cost of this generation, added to the user / chat rollups
+  responseData.usage = extractUsage(modelToUse, result.usageMetadata, { images: result.imageBase64 ? 1 : 0 });
+  await recordUsageRollup(user, responseData.usage, { chatId });
 
-    if (DEBUG_MODE) {
-      responseData.debug = {
-        request: {
-          model: modelToUse,
-          prompt,
-          modelSettings,
-          modelConfig
-        },
-        response: result.rawResponse || result
-      };
-    }
+  // Daily image budget left after this generation
+  responseData.quota = await recordUsage(user, quota, { images: responseData.usage.images });
 
-    return res.status(200).json(responseData);
-  } catch (error) {
-    console.error('[API:NANOBANANA] ERROR:', error);
-    return res.status(500).json({
-      error: 'Internal server error',
-      message: error.message,
-    });
+  if (DEBUG_MODE) {
+    responseData.debug = {
+      request: {
+        model: modelToUse,
+        prompt,
+        modelSettings,
+        modelConfig,
+        region: result.region
+      },
+      response: result.rawResponse || result,
+      upstream: result.upstream // Attempts per region (status / error, duration, backoff delay)
+    };
   }
+
+  return res.status(200).json(responseData);
 }
 
+export default withApi(handler, { methods: ['POST'], maxBodyBytes: MAX_MEDIA_BODY_BYTES, logPrefix: '[API:NANOBANANA]' });
@@ -1,145 +1,32 @@
-import { createSign } from 'crypto';
-
-// CORS allowed origins
-const ALLOWED_ORIGINS = [
-  'http://localhost:5173',
-  'http://localhost:4173',
-  'https://ai-eataly-project.vercel.app'
-];
-
-// Cache for access token
-let cachedAccessToken = null;
-let cachedAccessTokenExpiry = 0;
-
-/**
- * Load Service Account from environment variable
- */
-const loadServiceAccount = () => {
-  const raw = process.env.GOOGLE_SERVICE_ACCOUNT_JSON;
-  if (!raw) {
-    throw new Error('Missing GOOGLE_SERVICE_ACCOUNT_JSON environment variable');
-  }
-  try {
-    return JSON.parse(raw);
-  } catch (error) {
-    throw new Error('Invalid GOOGLE_SERVICE_ACCOUNT_JSON: must be valid JSON');
-  }
-};
-
-/**
- * Generate JWT for OAuth2 authentication
- */
-const generateJWT = (serviceAccount) => {
-  const nowInSeconds = Math.floor(Date.now() / 1000);
-  
-  const header = {
-    alg: 'RS256',
-    typ: 'JWT',
-  };
-
-  const payload = {
-    iss: serviceAccount.client_email,
-    sub: serviceAccount.client_email,
-    scope: 'https://www.googleapis.com/auth/generative-language',
-    aud: serviceAccount.token_uri,
-    exp: nowInSeconds + 3600,
-    iat: nowInSeconds,
-  };
-
-  const base64UrlEncode = (obj) => {
-    return Buffer.from(JSON.stringify(obj))
-      .toString('base64')
-      .replace(/\+/g, '-')
-      .replace(/\//g, '_')
-      .replace(/=/g, '');
-  };
-
-  const unsignedToken = `${base64UrlEncode(header)}.${base64UrlEncode(payload)}`;
-
-  const privateKey = serviceAccount.private_key.replace(/\\n/g, '\n');
-  const sign = createSign('RSA-SHA256');
-  sign.update(unsignedToken);
-  const signature = sign.sign(privateKey, 'base64')
-    .replace(/\+/g, '-')
-    .replace(/\//g, '_')
-    .replace(/=/g, '');
-
-  return `${unsignedToken}.${signature}`;
-};
-
-/**
- * Get OAuth2 access token (cached for 1 hour)
- */
-const getAccessToken = async () => {
-  const now = Date.now();
-  
-  // Return cached token if still valid (refresh 60 seconds before expiry)
-  if (cachedAccessToken && now < cachedAccessTokenExpiry - 60000) {
-    return cachedAccessToken;
-  }
-
-  try {
-    const serviceAccount = loadServiceAccount();
-    const jwt = generateJWT(serviceAccount);
-
-    const tokenResponse = await fetch(serviceAccount.token_uri, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: new URLSearchParams({
-        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
-        assertion: jwt,
-      }),
-    });
-
-    if (!tokenResponse.ok) {
-      const errorText = await tokenResponse.text();
-      throw new Error(`Token request failed: ${tokenResponse.status} ${errorText}`);
-    }
-
-    const tokenData = await tokenResponse.json();
-    cachedAccessToken = tokenData.access_token;
-    cachedAccessTokenExpiry = now + (tokenData.expires_in * 1000);
-
-    return cachedAccessToken;
-  } catch (error) {
-    console.error('[API] Error getting access token:', error);
-    throw error;
-  }
-};
+import { getAccessToken, SCOPES } from './helpers/credentials.js';
+import { loadModelConfig } from './helpers/firestoreConfig.js';
+import { requireUser } from './helpers/auth.js';
+import { enforceQuota, recordUsage } from './helpers/quota.js';
+import { extractUsage, recordUsageRollup } from './helpers/usage.js';
+import { withApi, sendError, MAX_MEDIA_BODY_BYTES } from './helpers/middleware.js';
+import { upstreamError } from './helpers/errors.js';
+import { fetchUpstream, resolveUpstreamPolicy } from './helpers/upstream.js';
+import { resolveEndpointModel, MODEL_ENDPOINTS } from './helpers/modelRegistry.js';
+import { buildAttachmentParts } from './helpers/historyMedia.js';
 
 /**
  * Call Google Gemini Vision API
+ * `imageParts` from buildAttachmentParts (same image checks as the chat)
  */
-const callGeminiVisionAPI = async (model, message, imageData = null) => {
-  const accessToken = await getAccessToken();
+const callGeminiVisionAPI = async (model, message, imageParts = [], modelConfig = null) => {
+  const accessToken = await getAccessToken(SCOPES.GENERATIVE_LANGUAGE);
   const apiVersion = "v1";
   const endpoint = `https://generativelanguage.googleapis.com/${apiVersion}/models/${model}:generateContent`;
   
-  console.log("[API] Vision API call:", { model, messageLength: message.length, hasImage: !!imageData });
+  console.log("[API] Vision API call:", { model, messageLength: message.length, images: imageParts.length });
   console.log("[API] Endpoint:", endpoint);
 
+  // Images first, then the instruction
   const contents = [{
     role: 'user',
-    parts: []
+    parts: [...imageParts, { text: message }]
   }];
 
-  // Add text if provided
-  if (message) {
-    contents[0].parts.push({ text: message });
-  }
-
-  // Add image if provided (base64)
-  if (imageData) {
-    contents[0].parts.push({
-      inline_data: {
-        mime_type: imageData.mimeType || 'image/jpeg',
-        data: imageData.data
-      }
-    });
-  }
-
   const requestBody = {
     contents,
     generationConfig: {
@@ -149,18 +36,18 @@ const callGeminiVisionAPI = async (model, message, imageData = null) => {
     },
   };
 
-  const response = await fetch(endpoint, {
+  const { response } = await fetchUpstream(endpoint, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
       Authorization: `Bearer ${accessToken}`,
     },
     body: JSON.stringify(requestBody),
-  });
+  }, { service: 'Gemini', ...resolveUpstreamPolicy(modelConfig, 'text') });
 
   if (!response.ok) {
     const errorText = await response.text();
-    throw new Error(`Gemini API error: ${response.status} ${errorText}`);
+    throw upstreamError('Gemini', response.status, errorText);
   }
 
   const data = await response.json();
@@ -172,75 +59,66 @@ const callGeminiVisionAPI = async (model, message, imageData = null) => {
 /**
  * Main handler
  */
-export default async function handler(req, res) {
-  // Handle CORS
-  const origin = req.headers.origin || req.headers.referer?.split('/').slice(0, 3).join('/');
-  const isAllowed = origin && ALLOWED_ORIGINS.includes(origin);
-
-  if (isAllowed) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-    res.setHeader('Vary', 'Origin');
-  }
+async function handler(req, res) {
+  // Only signed-in users (Firebase ID token) can spend model quota
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  console.log('[API] Incoming vision request', {
+    method: req.method,
+    origin: req.headers.origin,
+    url: req.url
+  });
 
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  res.setHeader('Access-Control-Max-Age', '86400');
+  const { message, model: requestedModel, chatId, imageData, attachments } = req.body;
 
-  // Handle preflight
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
+  // Validate required fields
+  if (!message || typeof message !== 'string') {
+    return sendError(res, 400, 'Missing or invalid "message" field');
   }
 
-  // Only allow POST
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
+  // Images: `attachments` ([{ mimeType, base64 | imageUrl }], as in /api/chat) or the single `imageData` ({ mimeType, data })
+  const images = [
+    ...(Array.isArray(attachments) ? attachments : []),
+    ...(imageData?.data ? [{ mimeType: imageData.mimeType || 'image/jpeg', base64: imageData.data }] : [])
+  ];
+  if (images.length === 0) {
+    return sendError(res, 400, 'Missing image: send "attachments" or "imageData"');
   }
 
-  try {
-    console.log('[API] Incoming vision request', {
-      method: req.method,
-      origin: req.headers.origin,
-      url: req.url
-    });
-
-    const { message, model: requestedModel, imageData } = req.body;
-
-    // Validate required fields
-    if (!message || typeof message !== 'string') {
-      return res.status(400).json({ error: 'Missing or invalid "message" field' });
-    }
-
-    // Validate that model is a vision model
-    const visionModels = [
-      'gemini-2.5-pro-vision',
-      'gemini-1.5-pro-vision'
-    ];
-    
-    const model = requestedModel || 'gemini-2.5-pro-vision';
-    
-    if (!visionModels.includes(model.toLowerCase())) {
-      return res.status(400).json({ 
-        error: `Wrong endpoint: model "${model}" is not a vision model. Use /api/chat, /api/generateImage, or /api/generateAudio instead.` 
-      });
-    }
-
-    // Call Gemini Vision API
-    console.log('[API] Calling Gemini Vision API:', { model, messageLength: message.length });
-    const result = await callGeminiVisionAPI(model, message, imageData);
-
-    // Extract analysis from response
-    const analysis = result.candidates?.[0]?.content?.parts?.[0]?.text || 'No analysis generated';
-
-    return res.status(200).json({
-      analysis,
-      model
-    });
-  } catch (error) {
-    console.error('[API] ERROR:', error);
-    return res.status(500).json({
-      error: 'Internal server error',
-      message: error.message,
-    });
+  // Only vision models of the registry (400 for unknown models or models of another endpoint)
+  const definition = resolveEndpointModel(requestedModel, MODEL_ENDPOINTS.VISION);
+  const model = definition.id;
+
+  const modelConfig = await loadModelConfig(model);
+  if (!modelConfig.enabled) {
+    return sendError(res, 403, `Model "${model}" is currently disabled. Please enable it in Model Settings.`, { code: 'model_disabled' });
   }
+
+  // Requests per minute and daily token budget of this user (429 + Retry-After when exhausted)
+  const quota = await enforceQuota(res, user, model, modelConfig);
+  if (!quota) return;
+
+  // Images are read (and fetched from Storage) only once the request is allowed
+  const imageParts = await buildAttachmentParts(images);
+
+  // Call Gemini Vision API
+  console.log('[API] Calling Gemini Vision API:', { model, messageLength: message.length });
+  const result = await callGeminiVisionAPI(definition.googleModel, message, imageParts, modelConfig);
+
+  // Extract analysis from response
+  const analysis = result.candidates?.[0]?.content?.parts?.[0]?.text || 'No analysis generated';
+
+  // Token counts and cost of this request, added to the user / chat rollups
+  const usage = extractUsage(model, result.usageMetadata);
+  await recordUsageRollup(user, usage, { chatId });
+
+  return res.status(200).json({
+    analysis,
+    model,
+    usage,
+    quota: await recordUsage(user, quota, { tokens: usage.totalTokens })
+  });
 }
 
+export default withApi(handler, { methods: ['POST'], maxBodyBytes: MAX_MEDIA_BODY_BYTES, logPrefix: '[API]' });
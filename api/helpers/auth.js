@@ -0,0 +1,154 @@
+import { createVerify } from 'crypto';
+import { getProjectId } from './credentials.js';
+import { sendError } from './middleware.js';
+
+/**
+ * Firebase Auth ID token verification for the api/ handlers
+ * Tokens are RS256 JWTs signed with the securetoken@system.gserviceaccount.com keys
+ * (same checks as firebase-admin verifyIdToken, without the dependency)
+ */
+
+const CERTS_URL = 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+const CLOCK_SKEW_S = 300; // Tolerance on `iat` only: an expired token is never accepted
+
+let cachedCerts = null;
+let cachedCertsExpiry = 0;
+let idTokenVerifier = null;
+
+/**
+ * Firebase project the tokens must be issued for
+ */
+const getFirebaseProjectId = () => process.env.FIREBASE_PROJECT_ID || getProjectId();
+
+function authError(message) {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+}
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+/**
+ * Google public keys (kid -> PEM), cached for the Cache-Control max-age
+ */
+async function getSigningCerts() {
+  if (cachedCerts && Date.now() < cachedCertsExpiry) {
+    return cachedCerts;
+  }
+
+  const response = await fetch(CERTS_URL);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch Firebase signing keys: ${response.status}`);
+  }
+
+  const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+  cachedCerts = await response.json();
+  cachedCertsExpiry = Date.now() + (maxAge ? parseInt(maxAge[1], 10) : 3600) * 1000;
+  return cachedCerts;
+}
+
+/**
+ * Verify a Firebase ID token
+ * @returns {Promise<{uid: string, email: string|null, claims: Object}>}
+ * @throws {Error} statusCode 401 when the token is malformed, expired or not issued for this project
+ */
+async function verifyFirebaseIdToken(idToken) {
+  const segments = idToken.split('.');
+  if (segments.length !== 3) {
+    throw authError('Malformed ID token');
+  }
+
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(segments[0]);
+    claims = decodeSegment(segments[1]);
+  } catch {
+    throw authError('Malformed ID token');
+  }
+
+  if (header.alg !== 'RS256') {
+    throw authError('Invalid ID token algorithm');
+  }
+
+  const certs = await getSigningCerts();
+  const cert = certs[header.kid];
+  if (!cert) {
+    throw authError('ID token signed with an unknown key');
+  }
+
+  const verifier = createVerify('RSA-SHA256');
+  verifier.update(`${segments[0]}.${segments[1]}`);
+  if (!verifier.verify(cert, Buffer.from(segments[2], 'base64url'))) {
+    throw authError('Invalid ID token signature');
+  }
+
+  const projectId = getFirebaseProjectId();
+  const now = Math.floor(Date.now() / 1000);
+  if (claims.aud !== projectId || claims.iss !== `https://securetoken.google.com/${projectId}`) {
+    throw authError('ID token was not issued for this project');
+  }
+  if (!claims.exp || claims.exp <= now) {
+    throw authError('ID token expired');
+  }
+  if (!claims.iat || claims.iat > now + CLOCK_SKEW_S) {
+    throw authError('ID token issued in the future');
+  }
+  if (!claims.sub || typeof claims.sub !== 'string') {
+    throw authError('ID token has no subject');
+  }
+
+  return { uid: claims.sub, email: claims.email || null, claims };
+}
+
+/**
+ * Admins have the custom claim `admin: true` on their Firebase user (set with the Admin SDK)
+ */
+export function isAdmin(user) {
+  return user?.claims?.admin === true;
+}
+
+/**
+ * Replace the ID token verifier (e.g. async (token) => ({ uid: 'test-user' }) in offline tests);
+ * null restores the Firebase verification
+ */
+export function setIdTokenVerifier(verifier) {
+  idTokenVerifier = verifier;
+}
+
+/**
+ * Authenticate a request from its "Authorization: Bearer <Firebase ID token>" header
+ * AUTH_DISABLED=true skips the check (local development only)
+ * @returns {Promise<{uid: string, email: string|null}>}
+ * @throws {Error} statusCode 401 when the header is missing or the token is invalid
+ */
+export async function authenticateRequest(req) {
+  if (process.env.AUTH_DISABLED === 'true') {
+    return { uid: 'local-dev', email: null };
+  }
+
+  const header = req.headers.authorization || req.headers.Authorization || '';
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  if (!match) {
+    throw authError('Sign in required');
+  }
+
+  return (idTokenVerifier || verifyFirebaseIdToken)(match[1].trim());
+}
+
+/**
+ * Authenticate the request or answer 401
+ * @returns {Promise<Object|null>} the user, or null when the response has already been sent
+ */
+export async function requireUser(req, res) {
+  try {
+    return await authenticateRequest(req);
+  } catch (error) {
+    if (error.statusCode === 401) {
+      console.warn('[API:AUTH] Rejected request:', error.message);
+      sendError(res, 401, error.message);
+      return null;
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * Token-aware context window for Gemini requests
+ * Counts the prompt tokens (countTokens API or local approximation) and trims
+ * or summarizes the oldest turns so the request stays within a token budget
+ */
+
+export const DEFAULT_CONTEXT_TOKEN_BUDGET = 32000;
+export const CONTEXT_STRATEGIES = ['trim', 'summarize'];
+
+// Gemini bills each image part at a fixed size (up to 384px per side, larger images are tiled)
+const APPROX_IMAGE_TOKENS = 258;
+const APPROX_CHARS_PER_TOKEN = 4;
+// Below this share of the budget the local estimate is trusted without calling countTokens
+const SKIP_COUNT_RATIO = 0.5;
+
+const SUMMARY_PREFIX = '[Riepilogo della conversazione precedente]';
+
+/**
+ * Resolve the context budget (priority: modelSettings > Firestore config > env > defaults)
+ * A budget of 0 disables context management
+ */
+export function resolveContextBudget(modelSettings = null, modelConfig = null) {
+  const pickNumber = (...values) => {
+    for (const value of values) {
+      const n = typeof value === 'string' ? Number(value) : value;
+      if (typeof n === 'number' && Number.isFinite(n) && n >= 0) return n;
+    }
+    return undefined;
+  };
+
+  const pickStrategy = (...values) => values.find(value => CONTEXT_STRATEGIES.includes(value));
+
+  return {
+    maxTokens: pickNumber(
+      modelSettings?.context_token_budget,
+      modelConfig?.contextTokenBudget,
+      process.env.CONTEXT_TOKEN_BUDGET,
+      DEFAULT_CONTEXT_TOKEN_BUDGET
+    ),
+    strategy: pickStrategy(
+      modelSettings?.context_strategy,
+      modelConfig?.contextStrategy,
+      process.env.CONTEXT_STRATEGY
+    ) || 'trim'
+  };
+}
+
+/**
+ * Local token estimate for a list of parts (~4 characters per token, fixed cost per image)
+ */
+function estimatePartsTokens(parts = []) {
+  return parts.reduce((total, part) => {
+    if (part.text) return total + Math.ceil(part.text.length / APPROX_CHARS_PER_TOKEN);
+    if (part.inline_data || part.file_data) return total + APPROX_IMAGE_TOKENS;
+    return total;
+  }, 0);
+}
+
+/**
+ * Local token estimate for a generateContent request body
+ */
+export function estimateRequestTokens(requestBody) {
+  const contentsTokens = (requestBody.contents || [])
+    .reduce((total, content) => total + estimatePartsTokens(content.parts), 0);
+  return contentsTokens + estimatePartsTokens(requestBody.systemInstruction?.parts);
+}
+
+/**
+ * Count tokens with the injected counter, falling back to the local estimate
+ * @returns {Promise<{tokens: number, method: 'countTokens'|'approx'}>}
+ */
+async function measure(requestBody, countTokens, debugMode) {
+  if (countTokens) {
+    try {
+      const tokens = await countTokens(requestBody);
+      if (Number.isFinite(tokens)) return { tokens, method: 'countTokens' };
+    } catch (error) {
+      console.warn('[Context] countTokens failed, using approximation:', error.message);
+    }
+  }
+  const tokens = estimateRequestTokens(requestBody);
+  if (debugMode) {
+    console.log('[Context] Approximated prompt tokens:', tokens);
+  }
+  return { tokens, method: 'approx' };
+}
+
+/**
+ * Fit a request body into the token budget
+ * The last content (current user message) and the system instruction are never removed.
+ * Oldest turns are removed first; with the 'summarize' strategy the removed turns are
+ * replaced by a summary produced by `summarize(turns)`.
+ * @param {Object} requestBody - generateContent body (contents, systemInstruction, ...)
+ * @param {{maxTokens: number, strategy: string}} budget
+ * @param {Object} options
+ * @param {Function} [options.countTokens] - async (requestBody) => number
+ * @param {Function} [options.summarize] - async (contents) => string
+ * @returns {Promise<{requestBody: Object, context: Object}>}
+ */
+export async function fitToContextWindow(requestBody, budget, { countTokens, summarize, debugMode = false } = {}) {
+  const context = {
+    budget: budget.maxTokens,
+    strategy: budget.strategy,
+    tokens: 0,
+    method: 'approx',
+    trimmedTurns: 0,
+    summarized: false
+  };
+
+  // Clearly under budget (or management disabled): skip the countTokens round-trip,
+  // the exact prompt size comes back in the response usageMetadata anyway
+  const approxTokens = estimateRequestTokens(requestBody);
+  if (!budget.maxTokens || approxTokens <= budget.maxTokens * SKIP_COUNT_RATIO) {
+    context.tokens = approxTokens;
+    return { requestBody, context };
+  }
+
+  const measured = await measure(requestBody, countTokens, debugMode);
+  context.tokens = measured.tokens;
+  context.method = measured.method;
+
+  if (measured.tokens <= budget.maxTokens) {
+    return { requestBody, context };
+  }
+
+  const history = requestBody.contents.slice(0, -1);
+  const current = requestBody.contents[requestBody.contents.length - 1];
+
+  // Scale local estimates to the measured total so per-turn sizes match the real counter
+  const estimatedTotal = approxTokens || 1;
+  const ratio = measured.tokens / estimatedTotal;
+  const turnTokens = (content) => estimatePartsTokens(content.parts) * ratio;
+
+  let remaining = measured.tokens;
+  let cut = 0;
+  while (cut < history.length && remaining > budget.maxTokens) {
+    remaining -= turnTokens(history[cut]);
+    cut++;
+  }
+  // Keep the history starting on a user turn
+  while (cut < history.length && history[cut].role !== 'user') {
+    remaining -= turnTokens(history[cut]);
+    cut++;
+  }
+
+  const removed = history.slice(0, cut);
+  let kept = history.slice(cut);
+  context.trimmedTurns = removed.length;
+
+  if (budget.strategy === 'summarize' && removed.length > 0 && summarize) {
+    try {
+      const summary = await summarize(removed);
+      if (summary && summary.trim() !== '') {
+        kept = [
+          { role: 'user', parts: [{ text: `${SUMMARY_PREFIX}\n${summary.trim()}` }] },
+          { role: 'model', parts: [{ text: 'Ok.' }] },
+          ...kept
+        ];
+        context.summarized = true;
+      }
+    } catch (error) {
+      console.warn('[Context] Summary failed, older turns trimmed instead:', error.message);
+    }
+  }
+
+  const fittedBody = { ...requestBody, contents: [...kept, current] };
+  const remeasured = await measure(fittedBody, countTokens, debugMode);
+  context.tokens = remeasured.tokens;
+  context.method = remeasured.method;
+
+  if (debugMode) {
+    console.log('[Context] History fitted to budget:', context);
+  }
+
+  return { requestBody: fittedBody, context };
+}
@@ -0,0 +1,196 @@
+import { createSign } from 'crypto';
+import { GoogleAuth } from 'google-auth-library';
+
+/**
+ * Google credentials and OAuth2 access tokens shared by all api/ handlers
+ * - GOOGLE_SERVICE_ACCOUNT_JSON set: self-signed JWT exchanged at the service account token_uri
+ * - otherwise: Application Default Credentials (gcloud auth application-default login, metadata server)
+ * Tokens are cached per scope and refreshed 5 minutes before they expire
+ */
+
+export const SCOPES = {
+  GENERATIVE_LANGUAGE: 'https://www.googleapis.com/auth/generative-language',
+  CLOUD_PLATFORM: 'https://www.googleapis.com/auth/cloud-platform',
+  DATASTORE: 'https://www.googleapis.com/auth/datastore'
+};
+
+const DEFAULT_PROJECT_ID = 'eataly-creative-ai-suite';
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const DEFAULT_TOKEN_LIFETIME_S = 3600;
+
+// scope -> { token, expiresAt } and scope -> pending token request
+const tokenCache = new Map();
+const pendingTokens = new Map();
+
+let tokenProvider = null;
+
+/**
+ * Load the service account from GOOGLE_SERVICE_ACCOUNT_JSON (null when not set)
+ */
+export function loadServiceAccount() {
+  const raw = process.env.GOOGLE_SERVICE_ACCOUNT_JSON;
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error('Invalid GOOGLE_SERVICE_ACCOUNT_JSON: must be valid JSON');
+  }
+}
+
+/**
+ * Google Cloud project: service account project, then GOOGLE_CLOUD_PROJECT
+ */
+export function getProjectId() {
+  return loadServiceAccount()?.project_id || process.env.GOOGLE_CLOUD_PROJECT || DEFAULT_PROJECT_ID;
+}
+
+const base64UrlEncode = (value) => Buffer.from(value)
+  .toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=/g, '');
+
+/**
+ * Generate a signed JWT assertion for the OAuth2 jwt-bearer grant
+ */
+function generateJWT(serviceAccount, scope) {
+  const nowInSeconds = Math.floor(Date.now() / 1000);
+  const header = { alg: 'RS256', typ: 'JWT' };
+  const payload = {
+    iss: serviceAccount.client_email,
+    sub: serviceAccount.client_email,
+    scope,
+    aud: serviceAccount.token_uri,
+    exp: nowInSeconds + DEFAULT_TOKEN_LIFETIME_S,
+    iat: nowInSeconds,
+  };
+
+  const unsignedToken = `${base64UrlEncode(JSON.stringify(header))}.${base64UrlEncode(JSON.stringify(payload))}`;
+
+  const privateKey = serviceAccount.private_key.replace(/\\n/g, '\n');
+  const sign = createSign('RSA-SHA256');
+  sign.update(unsignedToken);
+  const signature = sign.sign(privateKey, 'base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=/g, '');
+
+  return `${unsignedToken}.${signature}`;
+}
+
+/**
+ * Token provider for a service account key
+ */
+export function createServiceAccountTokenProvider(serviceAccount) {
+  return async (scope) => {
+    const tokenResponse = await fetch(serviceAccount.token_uri, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion: generateJWT(serviceAccount, scope),
+      }),
+    });
+
+    if (!tokenResponse.ok) {
+      const errorText = await tokenResponse.text();
+      throw new Error(`Token request failed: ${tokenResponse.status} ${errorText}`);
+    }
+
+    const tokenData = await tokenResponse.json();
+    return {
+      token: tokenData.access_token,
+      expiresAt: Date.now() + (tokenData.expires_in || DEFAULT_TOKEN_LIFETIME_S) * 1000
+    };
+  };
+}
+
+/**
+ * Token provider for Application Default Credentials (one GoogleAuth client per scope)
+ */
+export function createAdcTokenProvider() {
+  const clients = new Map();
+  return async (scope) => {
+    if (!clients.has(scope)) {
+      clients.set(scope, new GoogleAuth({ scopes: [scope] }).getClient());
+    }
+    const client = await clients.get(scope);
+    const { token, res } = await client.getAccessToken();
+    const expiryDate = res?.data?.expiry_date || client.credentials?.expiry_date;
+    return {
+      token,
+      expiresAt: expiryDate || Date.now() + DEFAULT_TOKEN_LIFETIME_S * 1000
+    };
+  };
+}
+
+/**
+ * Fake provider for offline tests: fixed token, never calls Google
+ * setTokenProvider(createFakeTokenProvider('test-token'))
+ */
+export function createFakeTokenProvider(token = 'fake-access-token') {
+  const provider = async (scope) => {
+    provider.calls.push(scope);
+    return { token, expiresAt: Date.now() + DEFAULT_TOKEN_LIFETIME_S * 1000 };
+  };
+  provider.calls = [];
+  return provider;
+}
+
+/**
+ * Replace the token provider (null = back to service account / ADC); clears the cache
+ */
+export function setTokenProvider(provider) {
+  tokenProvider = provider;
+  clearTokenCache();
+}
+
+/**
+ * Drop cached tokens (e.g. after a 401)
+ */
+export function clearTokenCache() {
+  tokenCache.clear();
+  pendingTokens.clear();
+}
+
+function getTokenProvider() {
+  if (!tokenProvider) {
+    const serviceAccount = loadServiceAccount();
+    tokenProvider = serviceAccount
+      ? createServiceAccountTokenProvider(serviceAccount)
+      : createAdcTokenProvider();
+  }
+  return tokenProvider;
+}
+
+/**
+ * Get an OAuth2 access token for a scope (cached, refreshed early)
+ * Concurrent callers for the same scope share one token request
+ */
+export async function getAccessToken(scope = SCOPES.CLOUD_PLATFORM) {
+  const cached = tokenCache.get(scope);
+  if (cached && Date.now() < cached.expiresAt - REFRESH_MARGIN_MS) {
+    return cached.token;
+  }
+
+  if (!pendingTokens.has(scope)) {
+    const request = getTokenProvider()(scope)
+      .then(({ token, expiresAt }) => {
+        if (!token) {
+          throw new Error('Failed to get access token');
+        }
+        tokenCache.set(scope, { token, expiresAt });
+        return token;
+      })
+      .catch(error => {
+        console.error('[API] Error getting access token:', error);
+        throw error;
+      })
+      .finally(() => pendingTokens.delete(scope));
+    pendingTokens.set(scope, request);
+  }
+
+  return pendingTokens.get(scope);
+}
@@ -0,0 +1,223 @@
+/**
+ * Document parsing and chunking for "Ground on your data"
+ * Supported sources: PDF (text extracted upstream), Markdown, CSV
+ */
+
+export const DEFAULT_CHUNK_MAX_CHARS = 1500;
+export const DEFAULT_CHUNK_OVERLAP_CHARS = 200;
+export const DEFAULT_CSV_ROWS_PER_CHUNK = 20;
+
+// Marker inserted between pages by the PDF text extraction prompt
+export const PDF_PAGE_MARKER = /^\[\[Pagina (\d+)\]\]\s*$/;
+
+const EXTENSION_TYPES = {
+  pdf: 'pdf',
+  md: 'markdown',
+  markdown: 'markdown',
+  csv: 'csv'
+};
+
+const MIME_TYPES = {
+  'application/pdf': 'pdf',
+  'text/markdown': 'markdown',
+  'text/x-markdown': 'markdown',
+  'text/csv': 'csv',
+  'application/csv': 'csv'
+};
+
+/**
+ * Detect the document type from MIME type or file extension
+ * Browsers often send CSV/Markdown as text/plain or an empty type, so the extension wins
+ * @returns {'pdf'|'markdown'|'csv'|null}
+ */
+export function detectDocumentType(fileName = '', mimeType = '') {
+  const extension = fileName.split('.').pop()?.toLowerCase();
+  return EXTENSION_TYPES[extension] || MIME_TYPES[mimeType] || null;
+}
+
+/**
+ * Parse CSV text (RFC 4180 quotes, comma or semicolon separator)
+ * @returns {string[][]} rows
+ */
+export function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let value = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === separator) {
+      row.push(value.trim());
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(value.trim());
+      if (row.some(cell => cell !== '')) rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  row.push(value.trim());
+  if (row.some(cell => cell !== '')) rows.push(row);
+
+  return rows;
+}
+
+/**
+ * Split Markdown into sections by heading (section title = heading path)
+ */
+function markdownSections(text) {
+  const sections = [];
+  const headings = [];
+  let current = { title: '', lines: [] };
+
+  text.split(/\r?\n/).forEach(line => {
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      if (current.lines.join('').trim() !== '') sections.push(current);
+      const level = heading[1].length;
+      headings.splice(level - 1);
+      headings[level - 1] = heading[2].trim();
+      current = { title: headings.filter(Boolean).join(' › '), lines: [line] };
+    } else {
+      current.lines.push(line);
+    }
+  });
+  if (current.lines.join('').trim() !== '') sections.push(current);
+
+  return sections.map(section => ({ title: section.title, text: section.lines.join('\n').trim() }));
+}
+
+/**
+ * Split extracted PDF text into one section per page
+ */
+function pdfSections(text) {
+  const sections = [];
+  let current = { title: '', lines: [] };
+
+  text.split(/\r?\n/).forEach(line => {
+    const page = line.match(PDF_PAGE_MARKER);
+    if (page) {
+      if (current.lines.join('').trim() !== '') sections.push(current);
+      current = { title: `Pagina ${page[1]}`, lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  });
+  if (current.lines.join('').trim() !== '') sections.push(current);
+
+  return sections.map(section => ({ title: section.title, text: section.lines.join('\n').trim() }));
+}
+
+/**
+ * Pack the paragraphs of each section into chunks of at most maxChars,
+ * repeating the tail of the previous chunk (overlap) to keep context across boundaries
+ */
+function chunkSections(sections, { maxChars = DEFAULT_CHUNK_MAX_CHARS, overlapChars = DEFAULT_CHUNK_OVERLAP_CHARS } = {}) {
+  const chunks = [];
+
+  sections.forEach(section => {
+    // Paragraphs longer than maxChars are hard-split
+    const paragraphs = section.text
+      .split(/\n\s*\n/)
+      .map(p => p.trim())
+      .filter(Boolean)
+      .flatMap(p => {
+        if (p.length <= maxChars) return [p];
+        const parts = [];
+        for (let i = 0; i < p.length; i += maxChars - overlapChars) {
+          parts.push(p.slice(i, i + maxChars));
+        }
+        return parts;
+      });
+
+    let buffer = '';
+    paragraphs.forEach(paragraph => {
+      if (buffer && buffer.length + paragraph.length + 2 > maxChars) {
+        chunks.push({ section: section.title, text: buffer });
+        const tail = buffer.slice(-overlapChars);
+        buffer = tail.length < buffer.length ? `${tail}\n\n${paragraph}` : paragraph;
+      } else {
+        buffer = buffer ? `${buffer}\n\n${paragraph}` : paragraph;
+      }
+    });
+    if (buffer) chunks.push({ section: section.title, text: buffer });
+  });
+
+  return chunks;
+}
+
+/**
+ * Chunk CSV rows: every chunk repeats the header as "column: value" pairs,
+ * so a single row stays meaningful when retrieved on its own
+ */
+function chunkCsv(text, { maxChars = DEFAULT_CHUNK_MAX_CHARS, rowsPerChunk = DEFAULT_CSV_ROWS_PER_CHUNK } = {}) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  const formatRow = (row) => header
+    .map((column, i) => (row[i] ? `${column || `Colonna ${i + 1}`}: ${row[i]}` : null))
+    .filter(Boolean)
+    .join('; ');
+
+  const chunks = [];
+  let lines = [];
+  let firstRow = 1;
+
+  const flush = (lastRow) => {
+    if (lines.length === 0) return;
+    chunks.push({ section: `Righe ${firstRow}-${lastRow}`, text: lines.join('\n') });
+    lines = [];
+    firstRow = lastRow + 1;
+  };
+
+  rows.forEach((row, i) => {
+    const line = formatRow(row);
+    if (!line) return;
+    const size = lines.reduce((total, l) => total + l.length + 1, 0);
+    if (lines.length >= rowsPerChunk || (lines.length > 0 && size + line.length > maxChars)) {
+      flush(i);
+    }
+    lines.push(line);
+  });
+  flush(rows.length);
+
+  return chunks;
+}
+
+/**
+ * Split a document into chunks
+ * @param {'pdf'|'markdown'|'csv'} type
+ * @param {string} text - document text (for PDF: extracted text with page markers)
+ * @returns {Array<{index: number, section: string, text: string}>}
+ */
+export function chunkDocument(type, text, options = {}) {
+  let chunks;
+  if (type === 'csv') {
+    chunks = chunkCsv(text, options);
+  } else if (type === 'pdf') {
+    chunks = chunkSections(pdfSections(text), options);
+  } else {
+    chunks = chunkSections(markdownSections(text), options);
+  }
+  return chunks.map((chunk, index) => ({ index, ...chunk }));
+}
@@ -0,0 +1,63 @@
+import { upstreamError } from './errors.js';
+import { fetchUpstream, resolveUpstreamPolicy } from './upstream.js';
+
+/**
+ * Text embeddings via the Gemini API (batchEmbedContents)
+ */
+
+export const DEFAULT_EMBEDDING_MODEL = 'gemini-embedding-001';
+// Vectors are cut to the size of the ragChunks vector index (see VERCEL_SETUP.md)
+export const EMBEDDING_DIMENSIONS = 768;
+const MAX_BATCH_SIZE = 100; // API limit per batchEmbedContents call
+
+export const getEmbeddingModel = () => process.env.EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL;
+
+/**
+ * Embed a list of texts
+ * @param {string[]} texts
+ * @param {string} accessToken - OAuth token with generative-language or cloud-platform scope
+ * @param {Object} options
+ * @param {'RETRIEVAL_DOCUMENT'|'RETRIEVAL_QUERY'} [options.taskType]
+ * @param {string} [options.title] - document title (only used with RETRIEVAL_DOCUMENT)
+ * @returns {Promise<number[][]>} one vector per text, same order
+ */
+export async function embedTexts(texts, accessToken, { taskType = 'RETRIEVAL_DOCUMENT', title } = {}) {
+  const model = getEmbeddingModel();
+  const endpoint = `https://generativelanguage.googleapis.com/v1beta/models/${model}:batchEmbedContents`;
+  const vectors = [];
+
+  for (let i = 0; i < texts.length; i += MAX_BATCH_SIZE) {
+    const batch = texts.slice(i, i + MAX_BATCH_SIZE);
+
+    const { response } = await fetchUpstream(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${accessToken}`,
+      },
+      body: JSON.stringify({
+        requests: batch.map(text => ({
+          model: `models/${model}`,
+          content: { parts: [{ text }] },
+          taskType,
+          outputDimensionality: EMBEDDING_DIMENSIONS,
+          ...(title && taskType === 'RETRIEVAL_DOCUMENT' && { title })
+        }))
+      }),
+    }, { service: 'Embedding', ...resolveUpstreamPolicy(null, 'text'), logPrefix: '[RAG]' });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw upstreamError('Embedding', response.status, errorText);
+    }
+
+    const data = await response.json();
+    (data.embeddings || []).forEach(embedding => vectors.push(embedding.values));
+  }
+
+  if (vectors.length !== texts.length) {
+    throw new Error(`Embedding API returned ${vectors.length} vectors for ${texts.length} texts`);
+  }
+
+  return vectors;
+}
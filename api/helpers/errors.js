@@ -0,0 +1,155 @@
+/**
+ * Error taxonomy shared by all api/ handlers
+ * Every error body carries a `code` from ERROR_CODES and a `retryable` flag:
+ * retryable errors can succeed by sending the same request again (possibly after Retry-After),
+ * the others need a different request (another model, a different prompt, signing in)
+ */
+
+export const ERROR_CODES = {
+  invalid_input: { status: 400, retryable: false },
+  // A system prompt or pipeline instruction uses {{variables}} the request gives no value for
+  missing_variables: { status: 400, retryable: false },
+  unauthenticated: { status: 401, retryable: false },
+  forbidden: { status: 403, retryable: false },
+  model_disabled: { status: 403, retryable: false },
+  not_found: { status: 404, retryable: false },
+  method_not_allowed: { status: 405, retryable: false },
+  conflict: { status: 409, retryable: false },
+  payload_too_large: { status: 413, retryable: false },
+  unsupported_media_type: { status: 415, retryable: false },
+  // Blocked prompts / replies are answered 200 with `safety`; the status is used when nothing can be returned
+  safety_blocked: { status: 422, retryable: false },
+  rate_limited: { status: 429, retryable: true },
+  quota_exceeded: { status: 429, retryable: false },
+  internal: { status: 500, retryable: true },
+  upstream_error: { status: 502, retryable: false },
+  upstream_unavailable: { status: 503, retryable: true },
+  upstream_timeout: { status: 504, retryable: true }
+};
+
+// Code used when an error only has a status
+const STATUS_CODES = {
+  400: 'invalid_input',
+  401: 'unauthenticated',
+  403: 'forbidden',
+  404: 'not_found',
+  405: 'method_not_allowed',
+  409: 'conflict',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  422: 'invalid_input',
+  429: 'rate_limited'
+};
+
+/**
+ * Code of an HTTP status (fallback when a handler does not give one)
+ */
+export function codeForStatus(statusCode) {
+  return STATUS_CODES[statusCode] || (statusCode >= 500 ? 'internal' : 'invalid_input');
+}
+
+/**
+ * Whether the same request can succeed when sent again
+ */
+export function isRetryable(code) {
+  return ERROR_CODES[code]?.retryable ?? false;
+}
+
+/**
+ * Error with a taxonomy code, answered by withApi as { error: message, code, retryable, ...details }
+ * @param {string} code - key of ERROR_CODES
+ * @param {string} message - readable message, sent to the client
+ * @param {Object} [details] - extra fields of the error body
+ */
+export function apiError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = ERROR_CODES[code] ? code : 'internal';
+  error.statusCode = ERROR_CODES[error.code].status;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Message of a Google API error body ({ error: { message, status } }), raw text otherwise
+ */
+const upstreamMessage = (errorText) => {
+  try {
+    return JSON.parse(errorText)?.error?.message || errorText;
+  } catch {
+    return errorText;
+  }
+};
+
+/**
+ * Classify a failed upstream response (Gemini, Vertex AI, embeddings, ...)
+ * The raw body is logged here and kept out of the client message
+ * - 408 / 504 (or DEADLINE_EXCEEDED): upstream_timeout
+ * - 429 / 500 / 502 / 503: upstream_unavailable (capacity or transient outage)
+ * - 400: invalid_input (the model rejected the request, e.g. an unsupported attachment)
+ * - anything else (401, 403, 404, ...): upstream_error, a server configuration problem
+ * @param {string} service - name used in messages and logs (e.g. 'Gemini')
+ * @param {number} status
+ * @param {string} [errorText] - response body
+ */
+export function upstreamError(service, status, errorText = '') {
+  const message = upstreamMessage(errorText);
+  console.error(`[API] ${service} API error:`, status, errorText);
+
+  if (status === 408 || status === 504 || /DEADLINE_EXCEEDED/.test(errorText)) {
+    return apiError('upstream_timeout', `${service} did not answer in time`, { upstreamStatus: status });
+  }
+  if ([429, 500, 502, 503].includes(status)) {
+    return apiError('upstream_unavailable', `${service} is temporarily unavailable (${status})`, { upstreamStatus: status });
+  }
+  if (status === 400) {
+    return apiError('invalid_input', `${service} rejected the request: ${message}`, { upstreamStatus: status });
+  }
+  return apiError('upstream_error', `${service} API error (${status})`, { upstreamStatus: status });
+}
+
+/**
+ * Timeouts and dropped connections of fetch (undici) that never got a response
+ */
+export function isUpstreamTimeout(error) {
+  const cause = error?.cause?.code || error?.code;
+  return error?.name === 'TimeoutError'
+    || cause === 'UND_ERR_CONNECT_TIMEOUT'
+    || cause === 'UND_ERR_HEADERS_TIMEOUT'
+    || cause === 'UND_ERR_BODY_TIMEOUT'
+    || cause === 'ETIMEDOUT';
+}
+
+const isConnectionError = (error) => ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_SOCKET']
+  .includes(error?.cause?.code || error?.code);
+
+/**
+ * Status, code, client message and details of any thrown error
+ * Errors with a taxonomy code keep their message; unexpected ones get a generic
+ * message plus the original in `message` (as before the taxonomy)
+ * @returns {{statusCode: number, code: string, message: string, details: Object, unexpected: boolean}}
+ */
+export function describeError(error) {
+  if (error?.code && ERROR_CODES[error.code]) {
+    return {
+      statusCode: error.statusCode || ERROR_CODES[error.code].status,
+      code: error.code,
+      message: error.message,
+      details: error.details || {},
+      unexpected: false
+    };
+  }
+
+  // Request validation errors with a status only
+  if (error?.statusCode && error.statusCode < 500) {
+    return { statusCode: error.statusCode, code: codeForStatus(error.statusCode), message: error.message, details: {}, unexpected: false };
+  }
+
+  if (isUpstreamTimeout(error)) {
+    return { statusCode: 504, code: 'upstream_timeout', message: 'Upstream service did not answer in time', details: {}, unexpected: true };
+  }
+  if (isConnectionError(error)) {
+    return { statusCode: 503, code: 'upstream_unavailable', message: 'Upstream service unreachable', details: {}, unexpected: true };
+  }
+
+  return { statusCode: 500, code: 'internal', message: 'Internal server error', details: { message: error?.message }, unexpected: true };
+}
@@ -1,4 +1,4 @@
-import { GoogleAuth } from "google-auth-library";
+import { getAccessToken, getProjectId, SCOPES } from './credentials.js';
 
 /**
  * Load model configuration from Firestore using REST API
@@ -14,16 +14,10 @@ export async function loadModelConfig(modelId) {
  */
 export async function loadModelConfigFromFirestore(modelId) {
   try {
-    const sa = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_JSON);
-    const projectId = sa.project_id || 'eataly-creative-ai-suite';
+    const projectId = getProjectId();
     
-    // Get access token with cloud-platform scope (works for Firestore)
-    const auth = new GoogleAuth({
-      credentials: sa,
-      scopes: ["https://www.googleapis.com/auth/cloud-platform"],
-    });
-    const client = await auth.getClient();
-    const { token: accessToken } = await client.getAccessToken();
+    // Access token with cloud-platform scope (works for Firestore)
+    const accessToken = await getAccessToken(SCOPES.CLOUD_PLATFORM);
     
     // Firestore REST API v1 endpoint
     const url = `https://firestore.googleapis.com/v1/projects/${projectId}/databases/(default)/documents/modelConfigs/${modelId}`;
@@ -76,7 +70,30 @@ export async function loadModelConfigFromFirestore(modelId) {
       outputType: parseField(fields.outputType) || 'TEXT',
       aspectRatio: parseField(fields.aspectRatio) || '1:1',
       sampleCount: parseField(fields.sampleCount) ?? 1,
+      negativePrompt: parseField(fields.negativePrompt) || '',
+      seed: parseField(fields.seed),
+      personGeneration: parseField(fields.personGeneration) || null,
+      addWatermark: parseField(fields.addWatermark),
       safetySettings: parseField(fields.safetySettings) || {},
+      groundingGoogle: parseField(fields.groundingGoogle) === true,
+      groundingYourData: parseField(fields.groundingYourData) === true,
+      structuredOutput: parseField(fields.structuredOutput) === true,
+      responseSchema: parseField(fields.responseSchema) || null,
+      historyImageMaxTurns: parseField(fields.historyImageMaxTurns),
+      historyImageMaxBytes: parseField(fields.historyImageMaxBytes),
+      contextTokenBudget: parseField(fields.contextTokenBudget),
+      contextStrategy: parseField(fields.contextStrategy),
+      thoughtBudget: parseField(fields.thoughtBudget) || null,
+      thinkingBudgetTokens: parseField(fields.thinkingBudgetTokens),
+      projectId: parseField(fields.projectId) || null,
+      region: parseField(fields.region) || null,
+      fallbackRegion: parseField(fields.fallbackRegion) || null,
+      euDataResidency: parseField(fields.euDataResidency) === true,
+      rateLimitPerMinute: parseField(fields.rateLimitPerMinute),
+      dailyTokenBudget: parseField(fields.dailyTokenBudget),
+      dailyImageBudget: parseField(fields.dailyImageBudget),
+      timeoutMs: parseField(fields.timeoutMs),
+      maxRetries: parseField(fields.maxRetries),
       enabled: parseField(fields.enabled) !== false,
       updatedAt: parseField(fields.updatedAt) || Date.now()
     };
@@ -122,7 +139,30 @@ function getDefaultConfig(modelId) {
     outputType: isImageModel ? 'IMAGE' : 'TEXT',
     aspectRatio: '1:1',
     sampleCount: 1,
+    negativePrompt: '',
+    seed: null,
+    personGeneration: null,
+    addWatermark: null,
     safetySettings: {},
+    groundingGoogle: false,
+    groundingYourData: false,
+    structuredOutput: false,
+    responseSchema: null,
+    historyImageMaxTurns: null,
+    historyImageMaxBytes: null,
+    contextTokenBudget: null,
+    contextStrategy: null,
+    thoughtBudget: null,
+    thinkingBudgetTokens: null,
+    projectId: null,
+    region: null,
+    fallbackRegion: null,
+    euDataResidency: false,
+    rateLimitPerMinute: null,
+    dailyTokenBudget: null,
+    dailyImageBudget: null,
+    timeoutMs: null,
+    maxRetries: null,
     enabled: true,
     updatedAt: Date.now()
   };
@@ -134,16 +174,10 @@ function getDefaultConfig(modelId) {
  */
 export async function saveModelConfig(modelId, data) {
   try {
-    const sa = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_JSON);
-    const projectId = sa.project_id || 'eataly-creative-ai-suite';
+    const projectId = getProjectId();
     
-    // Get access token with cloud-platform scope (works for Firestore)
-    const auth = new GoogleAuth({
-      credentials: sa,
-      scopes: ["https://www.googleapis.com/auth/cloud-platform"],
-    });
-    const client = await auth.getClient();
-    const { token: accessToken } = await client.getAccessToken();
+    // Access token with cloud-platform scope (works for Firestore)
+    const accessToken = await getAccessToken(SCOPES.CLOUD_PLATFORM);
     
     // Firestore REST API v1 endpoint
     const url = `https://firestore.googleapis.com/v1/projects/${projectId}/databases/(default)/documents/modelConfigs/${modelId}`;
@@ -166,6 +200,92 @@ export async function saveModelConfig(modelId, data) {
       updatedAt: { integerValue: String(Date.now()) }
     };
     
+    // Add history image budget if present (otherwise server defaults apply)
+    if (data.historyImageMaxTurns !== undefined && data.historyImageMaxTurns !== null) {
+      fields.historyImageMaxTurns = { integerValue: String(data.historyImageMaxTurns) };
+    }
+    if (data.historyImageMaxBytes !== undefined && data.historyImageMaxBytes !== null) {
+      fields.historyImageMaxBytes = { integerValue: String(data.historyImageMaxBytes) };
+    }
+    
+    // Add Google Search grounding flag if present
+    if (typeof data.groundingGoogle === 'boolean') {
+      fields.groundingGoogle = { booleanValue: data.groundingGoogle };
+    }
+    
+    // Add Ground on your data flag if present
+    if (typeof data.groundingYourData === 'boolean') {
+      fields.groundingYourData = { booleanValue: data.groundingYourData };
+    }
+    
+    // Add structured output settings if present (schema stored as JSON text)
+    if (typeof data.structuredOutput === 'boolean') {
+      fields.structuredOutput = { booleanValue: data.structuredOutput };
+    }
+    if (data.responseSchema) {
+      fields.responseSchema = {
+        stringValue: typeof data.responseSchema === 'string' ? data.responseSchema : JSON.stringify(data.responseSchema)
+      };
+    }
+    
+    // Add context window budget if present
+    if (data.contextTokenBudget !== undefined && data.contextTokenBudget !== null) {
+      fields.contextTokenBudget = { integerValue: String(data.contextTokenBudget) };
+    }
+    if (data.contextStrategy) {
+      fields.contextStrategy = { stringValue: data.contextStrategy };
+    }
+    
+    // Add thinking budget mode (auto / manual / off) and manual token budget if present
+    if (data.thoughtBudget) {
+      fields.thoughtBudget = { stringValue: data.thoughtBudget };
+    }
+    if (data.thinkingBudgetTokens !== undefined && data.thinkingBudgetTokens !== null) {
+      fields.thinkingBudgetTokens = { integerValue: String(data.thinkingBudgetTokens) };
+    }
+    
+    // Add Vertex AI location (project, region, secondary region, EU residency) if present
+    if (data.projectId) {
+      fields.projectId = { stringValue: data.projectId };
+    }
+    if (data.region) {
+      fields.region = { stringValue: data.region };
+    }
+    if (data.fallbackRegion) {
+      fields.fallbackRegion = { stringValue: data.fallbackRegion };
+    }
+    if (typeof data.euDataResidency === 'boolean') {
+      fields.euDataResidency = { booleanValue: data.euDataResidency };
+    }
+    
+    // Add per-user limits (requests per minute, daily token / image budget, 0 = unlimited) if present
+    for (const key of ['rateLimitPerMinute', 'dailyTokenBudget', 'dailyImageBudget']) {
+      if (data[key] !== undefined && data[key] !== null) {
+        fields[key] = { integerValue: String(data[key]) };
+      }
+    }
+
+    // Add upstream timeout (ms per attempt) and retries if present
+    for (const key of ['timeoutMs', 'maxRetries']) {
+      if (data[key] !== undefined && data[key] !== null) {
+        fields[key] = { integerValue: String(data[key]) };
+      }
+    }
+    
+    // Add Imagen options (negative prompt, seed, person generation, watermark) if present
+    if (data.negativePrompt) {
+      fields.negativePrompt = { stringValue: data.negativePrompt };
+    }
+    if (data.seed !== undefined && data.seed !== null) {
+      fields.seed = { integerValue: String(data.seed) };
+    }
+    if (data.personGeneration) {
+      fields.personGeneration = { stringValue: data.personGeneration };
+    }
+    if (typeof data.addWatermark === 'boolean') {
+      fields.addWatermark = { booleanValue: data.addWatermark };
+    }
+    
     // Add safetySettings if present
     if (data.safetySettings && Object.keys(data.safetySettings).length > 0) {
       fields.safetySettings = { mapValue: { fields: convertToFirestoreMap(data.safetySettings) } };
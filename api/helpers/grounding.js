@@ -0,0 +1,43 @@
+/**
+ * Google Search grounding helpers
+ * Normalizes Gemini groundingMetadata into the shape saved on assistant messages
+ */
+
+/**
+ * Check whether Google Search grounding is enabled (priority: modelSettings > Firestore config)
+ */
+export function isGoogleGroundingEnabled(modelSettings = null, modelConfig = null) {
+  if (typeof modelSettings?.grounding_google === 'boolean') {
+    return modelSettings.grounding_google;
+  }
+  return modelConfig?.groundingGoogle === true;
+}
+
+/**
+ * Normalize candidate.groundingMetadata
+ * @returns {{queries: string[], sources: Array<{uri, title}>, supports: Array<{text, sources: number[]}>}|null}
+ *   `supports[].sources` are indexes into `sources`
+ */
+export function extractGrounding(groundingMetadata) {
+  if (!groundingMetadata) return null;
+
+  const queries = Array.isArray(groundingMetadata.webSearchQueries)
+    ? groundingMetadata.webSearchQueries.filter(Boolean)
+    : [];
+
+  const sources = (groundingMetadata.groundingChunks || [])
+    .map(chunk => chunk.web || chunk.retrievedContext || null)
+    .map(source => source ? { uri: source.uri || null, title: source.title || source.uri || '' } : { uri: null, title: '' });
+
+  const supports = (groundingMetadata.groundingSupports || [])
+    .filter(support => support.segment?.text && Array.isArray(support.groundingChunkIndices))
+    .map(support => ({
+      text: support.segment.text,
+      sources: support.groundingChunkIndices.filter(index => sources[index]?.uri)
+    }))
+    .filter(support => support.sources.length > 0);
+
+  if (queries.length === 0 && sources.length === 0) return null;
+
+  return { queries, sources, supports };
+}
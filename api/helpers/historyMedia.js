@@ -0,0 +1,324 @@
+import { apiError } from './errors.js';
+import { getStorageBucket } from './storage.js';
+
+/**
+ * Multimodal conversation history for Gemini requests
+ * Turns chat history (text + image references) into Gemini `contents`,
+ * inlining earlier images within a byte and turn budget.
+ * Images attached to the current turn are always sent (buildAttachmentParts)
+ */
+
+export const DEFAULT_HISTORY_IMAGE_MAX_TURNS = 4;
+export const DEFAULT_HISTORY_IMAGE_MAX_BYTES = 8 * 1024 * 1024; // 8 MB of decoded image data
+
+// Image types Gemini accepts as input
+export const ATTACHMENT_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/heic', 'image/heif'];
+export const MAX_ATTACHMENT_IMAGES = 10;
+export const MAX_ATTACHMENT_BYTES = 7 * 1024 * 1024; // per image fetched from Storage (Gemini inline image limit)
+
+const OMITTED_IMAGE_TEXT = '[Immagine non inclusa nel contesto: limite di memoria superato]';
+
+/**
+ * Resolve the image budget (priority: modelSettings > Firestore config > env > defaults)
+ */
+export function resolveHistoryImageBudget(modelSettings = null, modelConfig = null) {
+  const pickNumber = (...values) => {
+    for (const value of values) {
+      const n = typeof value === 'string' ? Number(value) : value;
+      if (typeof n === 'number' && Number.isFinite(n) && n >= 0) return n;
+    }
+    return undefined;
+  };
+
+  return {
+    maxTurns: pickNumber(
+      modelSettings?.history_image_max_turns,
+      modelConfig?.historyImageMaxTurns,
+      process.env.HISTORY_IMAGE_MAX_TURNS,
+      DEFAULT_HISTORY_IMAGE_MAX_TURNS
+    ),
+    maxBytes: pickNumber(
+      modelSettings?.history_image_max_bytes,
+      modelConfig?.historyImageMaxBytes,
+      process.env.HISTORY_IMAGE_MAX_BYTES,
+      DEFAULT_HISTORY_IMAGE_MAX_BYTES
+    )
+  };
+}
+
+/**
+ * Check that an image URL points to the app's Storage bucket (FIREBASE_STORAGE_BUCKET), so that no
+ * other bucket or host is ever fetched: firebasestorage.googleapis.com/v0/b/<bucket>/,
+ * storage.googleapis.com/<bucket>/ or gs://<bucket>/ (nothing is allowed without a bucket)
+ */
+function isAllowedImageUrl(url) {
+  const bucket = getStorageBucket();
+  if (!bucket) return false;
+  try {
+    const { protocol, hostname, pathname } = new URL(url);
+    if (protocol === 'gs:') return hostname === bucket;
+    return protocol === 'https:' && (
+      (hostname === 'firebasestorage.googleapis.com' && pathname.startsWith(`/v0/b/${bucket}/`)) ||
+      (hostname === 'storage.googleapis.com' && pathname.startsWith(`/${bucket}/`))
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Decoded size of a base64 string in bytes
+ */
+function base64Bytes(base64) {
+  const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+  return Math.floor((base64.length * 3) / 4) - padding;
+}
+
+/**
+ * Collect image references from a history message
+ * Sources (same fields chatStore saves): attachments[].imageUrl/base64, root imageUrl, root base64 data URL
+ */
+function collectImageRefs(msg) {
+  const refs = [];
+  const seen = new Set();
+
+  const add = (ref) => {
+    const key = ref.imageUrl || ref.fileUri || ref.base64;
+    if (!key || seen.has(key)) return;
+    seen.add(key);
+    refs.push(ref);
+  };
+
+  const fromDataUrl = (value, fallbackMime) => {
+    const matches = value.match(/^data:([^;]+);base64,(.+)$/);
+    return matches
+      ? { mimeType: matches[1], base64: matches[2] }
+      : { mimeType: fallbackMime, base64: value };
+  };
+
+  (Array.isArray(msg.images) ? msg.images : []).forEach(img => {
+    if (!img) return;
+    if (img.fileUri) {
+      add({ mimeType: img.mimeType || 'image/png', fileUri: img.fileUri });
+    } else if (img.imageUrl) {
+      add({ mimeType: img.mimeType || 'image/png', imageUrl: img.imageUrl });
+    } else if (img.base64) {
+      add(fromDataUrl(img.base64, img.mimeType || 'image/png'));
+    }
+  });
+
+  (Array.isArray(msg.attachments) ? msg.attachments : []).forEach(att => {
+    if (!att) return;
+    if (att.imageUrl) {
+      add({ mimeType: att.mimeType || 'image/jpeg', imageUrl: att.imageUrl });
+    } else if (att.base64) {
+      add(fromDataUrl(att.base64, att.mimeType || 'image/jpeg'));
+    }
+  });
+
+  if (msg.imageUrl) {
+    add({ mimeType: 'image/png', imageUrl: msg.imageUrl });
+  }
+
+  return refs;
+}
+
+/**
+ * Read a response body, giving up (null) as soon as it goes over maxBytes
+ */
+async function readBodyWithin(response, maxBytes) {
+  const declared = parseInt(response.headers.get('content-length'), 10);
+  if (Number.isFinite(declared) && declared > maxBytes) {
+    await response.body?.cancel();
+    return null;
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let total = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.byteLength;
+    if (total > maxBytes) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks, total);
+}
+
+/**
+ * Turn one image reference into a Gemini part, or null if it cannot be used
+ * gs:// references are sent as file_data, storage URLs are fetched and inlined
+ * Fetched images larger than `maxBytes` are not downloaded: { part: null, bytes: Infinity }
+ */
+async function resolveImagePart(ref, debugMode = false, { maxBytes = Infinity } = {}) {
+  if (ref.fileUri) {
+    if (!ref.fileUri.startsWith('gs://')) return null;
+    return { part: { file_data: { mime_type: ref.mimeType, file_uri: ref.fileUri } }, bytes: 0 };
+  }
+
+  if (ref.base64) {
+    return {
+      part: { inline_data: { mime_type: ref.mimeType, data: ref.base64 } },
+      bytes: base64Bytes(ref.base64)
+    };
+  }
+
+  if (ref.imageUrl) {
+    if (!isAllowedImageUrl(ref.imageUrl)) {
+      console.warn('[History] Skipping image from outside the Storage bucket');
+      return null;
+    }
+
+    if (ref.imageUrl.startsWith('gs://')) {
+      return { part: { file_data: { mime_type: ref.mimeType, file_uri: ref.imageUrl } }, bytes: 0 };
+    }
+
+    const response = await fetch(ref.imageUrl);
+    if (!response.ok) {
+      console.warn('[History] Failed to fetch history image:', response.status);
+      return null;
+    }
+
+    const buffer = await readBodyWithin(response, maxBytes);
+    if (!buffer) {
+      console.warn('[History] Skipping image over the byte limit');
+      return { part: null, bytes: Infinity };
+    }
+    const mimeType = response.headers.get('content-type')?.split(';')[0] || ref.mimeType;
+
+    if (debugMode) {
+      console.log('[History] Fetched history image:', { mimeType, bytes: buffer.length });
+    }
+
+    return {
+      part: { inline_data: { mime_type: mimeType, data: buffer.toString('base64') } },
+      bytes: buffer.length
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Build Gemini `contents` from chat history
+ * - text of every turn is kept
+ * - images are included only for the most recent `maxTurns` turns that carry images,
+ *   newest first, until `maxBytes` of image data is reached
+ * - images over budget are replaced by a short text marker
+ * @param {Array} history - [{ role, content, attachments?, imageUrl?, images? }]
+ * @param {string} currentMessage - current user message (skipped if echoed in history)
+ * @param {{maxTurns: number, maxBytes: number}} budget
+ * @returns {Promise<{contents: Array, stats: Object}>}
+ */
+export async function buildHistoryContents(history, currentMessage, budget, debugMode = false) {
+  const turns = (Array.isArray(history) ? history : []).filter(msg => {
+    // Skip current message (added separately at the end)
+    return !(msg.role === 'user' && msg.content === currentMessage && collectImageRefs(msg).length === 0);
+  });
+
+  const stats = { imagesIncluded: 0, imagesOmitted: 0, imageBytes: 0, imageTurns: 0 };
+  const imagePartsByTurn = new Map();
+
+  // Walk newest → oldest so the budget favours recent images
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const refs = collectImageRefs(turns[i]);
+    if (refs.length === 0) continue;
+
+    const parts = [];
+    const withinTurnBudget = stats.imageTurns < budget.maxTurns;
+    if (withinTurnBudget) stats.imageTurns++;
+
+    for (const ref of refs) {
+      if (!withinTurnBudget) {
+        stats.imagesOmitted++;
+        continue;
+      }
+
+      try {
+        const resolved = await resolveImagePart(ref, debugMode, { maxBytes: budget.maxBytes - stats.imageBytes });
+        if (!resolved) {
+          stats.imagesOmitted++;
+          continue;
+        }
+        if (stats.imageBytes + resolved.bytes > budget.maxBytes) {
+          stats.imagesOmitted++;
+          parts.push({ text: OMITTED_IMAGE_TEXT });
+          continue;
+        }
+        stats.imageBytes += resolved.bytes;
+        stats.imagesIncluded++;
+        parts.push(resolved.part);
+      } catch (error) {
+        console.warn('[History] Error resolving history image:', error.message);
+        stats.imagesOmitted++;
+      }
+    }
+
+    imagePartsByTurn.set(i, parts);
+  }
+
+  const contents = [];
+  turns.forEach((msg, i) => {
+    const parts = [];
+    if (msg.content && msg.content.trim() !== '') {
+      parts.push({ text: msg.content });
+    }
+    parts.push(...(imagePartsByTurn.get(i) || []));
+
+    if (parts.length > 0) {
+      contents.push({
+        role: msg.role === 'user' ? 'user' : 'model',
+        parts
+      });
+    }
+  });
+
+  if (debugMode) {
+    console.log('[History] Multimodal history built:', { turns: contents.length, ...stats, budget });
+  }
+
+  return { contents, stats };
+}
+
+/**
+ * Gemini parts for the images attached to the current turn (not limited by the history budget:
+ * base64 images are bounded by the request body size limit, images fetched by URL by MAX_ATTACHMENT_BYTES each)
+ * @param {Array} attachments - [{ mimeType, base64 | imageUrl }]
+ * @returns {Promise<Array>} inline_data / file_data parts
+ * @throws {Error} invalid_input (too many images, unreadable or too large image), unsupported_media_type
+ */
+export async function buildAttachmentParts(attachments, debugMode = false) {
+  if (!Array.isArray(attachments) || attachments.length === 0) return [];
+
+  if (attachments.length > MAX_ATTACHMENT_IMAGES) {
+    throw apiError('invalid_input', `Too many images: at most ${MAX_ATTACHMENT_IMAGES} per message`);
+  }
+
+  const refs = collectImageRefs({ attachments });
+  const unsupported = refs.find(ref => !ATTACHMENT_MIME_TYPES.includes(ref.mimeType));
+  if (unsupported) {
+    throw apiError('unsupported_media_type', `Unsupported image type "${unsupported.mimeType}". Supported: ${ATTACHMENT_MIME_TYPES.join(', ')}`);
+  }
+
+  const parts = [];
+  for (const ref of refs) {
+    const resolved = await resolveImagePart(ref, debugMode, { maxBytes: MAX_ATTACHMENT_BYTES });
+    if (!resolved) {
+      throw apiError('invalid_input', 'An attached image could not be read');
+    }
+    if (!resolved.part) {
+      throw apiError('invalid_input', `An attached image is larger than ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB`);
+    }
+    parts.push(resolved.part);
+  }
+
+  if (debugMode) {
+    console.log('[History] Current turn images:', parts.length);
+  }
+
+  return parts;
+}
@@ -0,0 +1,154 @@
+import { randomUUID } from 'crypto';
+import { codeForStatus, describeError, isRetryable } from './errors.js';
+
+/**
+ * Shared request handling for the api/ handlers
+ * CORS (ALLOWED_ORIGINS with wildcard patterns), method check, JSON body limit,
+ * request ids and one error envelope: { error, code, retryable, requestId, ...details }
+ * (codes and retryable flags: errors.js)
+ *
+ *   export default withApi(handler, { methods: ['POST'], logPrefix: '[API:IMAGEN]' });
+ */
+
+// Used when ALLOWED_ORIGINS is not set
+export const DEFAULT_ALLOWED_ORIGINS = [
+  'http://localhost:5173',
+  'http://localhost:4173',
+  'https://ai-eataly-project.vercel.app',
+  'https://ai-eataly-project-*.vercel.app', // Vercel preview deployments
+  'https://giovannim-maker.github.io' // GitHub Pages (.github/workflows/deploy.yml)
+];
+
+export const DEFAULT_MAX_BODY_BYTES = 1024 * 1024;
+// Vercel rejects request bodies above 4.5 MB: handlers receiving base64 media use the full size
+export const MAX_MEDIA_BODY_BYTES = 4.5 * 1024 * 1024;
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[\w-]{8,64}$/;
+
+/**
+ * Allowed origins: ALLOWED_ORIGINS (comma separated) replaces the default list
+ */
+export function getAllowedOrigins() {
+  const configured = (process.env.ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+  return configured.length > 0 ? configured : DEFAULT_ALLOWED_ORIGINS;
+}
+
+/**
+ * Check an origin against the allowed list; "*" matches one host label part
+ * (e.g. https://ai-eataly-project-*.vercel.app matches https://ai-eataly-project-git-main-team.vercel.app)
+ */
+export function isOriginAllowed(origin, allowedOrigins = getAllowedOrigins()) {
+  if (!origin) return false;
+  return allowedOrigins.some(pattern => {
+    if (!pattern.includes('*')) return pattern === origin;
+    const regex = pattern
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[A-Za-z0-9-]*');
+    return new RegExp(`^${regex}$`).test(origin);
+  });
+}
+
+/**
+ * Body of an error: { error, code, retryable, requestId, ...details }
+ * `error` stays a readable string so older clients keep working
+ */
+export function errorBody(res, statusCode, message, { code, ...details } = {}) {
+  const requestId = res.getHeader(REQUEST_ID_HEADER);
+  const errorCode = code || codeForStatus(statusCode);
+  return {
+    error: message,
+    code: errorCode,
+    retryable: isRetryable(errorCode),
+    ...(requestId && { requestId }),
+    ...details
+  };
+}
+
+/**
+ * Send an error envelope (see errorBody)
+ */
+export function sendError(res, statusCode, message, details = {}) {
+  return res.status(statusCode).json(errorBody(res, statusCode, message, details));
+}
+
+const bodySize = (req) => {
+  const declared = parseInt(req.headers['content-length'], 10);
+  if (Number.isFinite(declared)) return declared;
+  if (req.body === undefined || req.body === null) return 0;
+  return Buffer.byteLength(typeof req.body === 'string' ? req.body : JSON.stringify(req.body));
+};
+
+/**
+ * Wrap a handler with CORS, method / body checks, a request id and error envelopes
+ * Errors thrown with apiError() / upstreamError() (or a plain `statusCode`) are answered with
+ * their status and code, anything else is logged and answered 500 (504 / 503 for network failures)
+ * @param {Function} handler - async (req, res)
+ * @param {Object} [options]
+ * @param {string[]} [options.methods] - allowed methods (OPTIONS is always answered)
+ * @param {number} [options.maxBodyBytes] - largest accepted JSON body
+ * @param {string} [options.logPrefix]
+ */
+export function withApi(handler, { methods = ['POST'], maxBodyBytes = DEFAULT_MAX_BODY_BYTES, logPrefix = '[API]' } = {}) {
+  const allowedMethods = [...methods, 'OPTIONS'].join(', ');
+
+  return async (req, res) => {
+    // Request id: kept from the caller when valid, echoed in the response and in error bodies
+    const incomingId = req.headers['x-request-id'];
+    const requestId = typeof incomingId === 'string' && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : randomUUID();
+    req.requestId = requestId;
+    res.setHeader(REQUEST_ID_HEADER, requestId);
+
+    // Handle CORS
+    const origin = req.headers.origin || req.headers.referer?.split('/').slice(0, 3).join('/');
+    if (isOriginAllowed(origin)) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Vary', 'Origin');
+    }
+
+    res.setHeader('Access-Control-Allow-Methods', allowedMethods);
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Request-Id');
+    res.setHeader('Access-Control-Expose-Headers', 'X-Request-Id, Retry-After');
+    res.setHeader('Access-Control-Max-Age', '86400');
+
+    // Handle preflight
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    if (!methods.includes(req.method)) {
+      res.setHeader('Allow', allowedMethods);
+      return sendError(res, 405, 'Method not allowed');
+    }
+
+    if (req.method === 'POST') {
+      if (!(req.headers['content-type'] || '').includes('application/json')) {
+        return sendError(res, 415, 'Request body must be JSON (Content-Type: application/json)');
+      }
+      if (bodySize(req) > maxBodyBytes) {
+        return sendError(res, 413, `Request body too large (max ${Math.floor(maxBodyBytes / 1024)} KB)`);
+      }
+    }
+
+    try {
+      return await handler(req, res);
+    } catch (error) {
+      // Streamed replies: the status is already sent, the handler reports errors in the stream
+      if (res.headersSent) {
+        console.error(`${logPrefix} ERROR after response started (${requestId}):`, error);
+        if (!res.writableEnded) res.end();
+        return;
+      }
+
+      const { statusCode, code, message, details, unexpected } = describeError(error);
+      if (unexpected || statusCode >= 500) {
+        console.error(`${logPrefix} ERROR (${requestId}):`, error);
+      }
+      return sendError(res, statusCode, message, { code, ...details });
+    }
+  };
+}
@@ -0,0 +1,228 @@
+import { apiError } from './errors.js';
+
+/**
+ * Model registry - the one list of models served by the api/ handlers
+ * Each model has its endpoint, provider, capabilities (the options shown in Model Settings),
+ * default settings and list prices. The client loads it from /api/models.
+ * MODEL_REGISTRY (JSON array, same shape) adds models or overrides fields of the ones below, by id
+ *
+ * Capabilities: `true` for a plain option, `{ enabled, values }` for a select;
+ * `outputTypes` limits an option to some output types (e.g. maxTokens only with image_and_text)
+ */
+
+export const MODEL_ENDPOINTS = {
+  CHAT: '/api/chat',
+  NANOBANANA: '/api/generateNanobananaImage',
+  IMAGEN: '/api/generateImage',
+  VISION: '/api/generateVision',
+  AUDIO: '/api/generateAudio'
+};
+
+export const DEFAULT_MODEL_ID = 'gemini-2.5-flash';
+
+const MODEL_TYPES = ['text', 'image', 'vision', 'audio'];
+const MODEL_ID_PATTERN = /^[\w.-]+$/;
+
+const NO_PRICE = { inputPerMillion: 0, outputPerMillion: 0, perImage: 0 };
+
+// Prices: list prices per 1M tokens / per image (USD). Thinking tokens are billed as output tokens;
+// image models are priced per image only (the image is also counted in their output tokens)
+const BUILTIN_MODELS = [
+  {
+    id: 'gemini-2.5-flash',
+    label: 'Gemini 2.5 Flash Preview (Testo)',
+    description: 'Gemini 2.5 Flash: modello avanzato per generazione testo, multimodale, ottimo per task generali con buon tradeoff tra qualità e velocità.',
+    type: 'text',
+    provider: 'google-text',
+    endpoint: MODEL_ENDPOINTS.CHAT,
+    googleModel: 'gemini-2.5-flash',
+    selectable: true,
+    capabilities: {
+      temperature: true,
+      topP: true,
+      maxTokens: true,
+      systemInstruction: true,
+      thoughtBudget: { enabled: true, values: ['auto', 'manual', 'off'] },
+      groundingGoogle: true,
+      groundingYourData: true,
+      structuredOutput: true,
+      streaming: true,
+      safetySettings: true,
+      region: true,
+      vision: true, // images attached to the current turn (image understanding, presets)
+      historyImages: true, // images of earlier turns in the context
+      contextWindow: true // context token budget (trim / summary)
+    },
+    defaults: { temperature: 0.7, topP: 0.95, maxOutputTokens: 8192, outputType: 'TEXT' },
+    prices: { inputPerMillion: 0.30, outputPerMillion: 2.50, perImage: 0 }
+  },
+  {
+    id: 'gemini-2.5-flash-image',
+    label: 'Nano Banana (Generazione Immagini)',
+    description: 'Nano Banana: modello per generazione immagini tramite Vertex AI. Genera immagini da prompt testuali.',
+    type: 'image',
+    provider: 'nanobanana',
+    endpoint: MODEL_ENDPOINTS.NANOBANANA,
+    googleModel: 'gemini-2.5-flash-image',
+    selectable: true,
+    capabilities: {
+      outputType: { enabled: true, values: ['image', 'image_and_text'] },
+      imageFormat: { enabled: true, values: ['1:1', '3:2', '2:3', '3:4', '4:3', '4:5', '5:4', '9:16'] },
+      temperature: true,
+      topP: true,
+      maxTokens: { enabled: true, outputTypes: ['image_and_text'] },
+      systemInstruction: true,
+      streaming: false, // images are never streamed
+      safetySettings: true,
+      region: true
+    },
+    defaults: { temperature: 0.7, topP: 0.95, maxOutputTokens: 8192, outputType: 'IMAGE', aspectRatio: '1:1' },
+    prices: { inputPerMillion: 0.30, outputPerMillion: 0, perImage: 0.039 }
+  },
+  {
+    id: 'imagen-4',
+    label: 'Imagen 4',
+    description: 'Imagen 4: generazione di immagini fotorealistiche tramite Vertex AI.',
+    type: 'image',
+    provider: 'imagen',
+    endpoint: MODEL_ENDPOINTS.IMAGEN,
+    googleModel: 'imagen-4.0-generate-001',
+    selectable: true,
+    capabilities: {
+      sampleCount: { enabled: true, values: [1, 2, 3, 4] }, // images per request, shown as a gallery
+      imageFormat: { enabled: true, values: ['1:1', '3:4', '4:3', '9:16', '16:9'] },
+      negativePrompt: true,
+      seed: true, // only without watermark (Vertex AI rule)
+      personGeneration: { enabled: true, values: ['dont_allow', 'allow_adult', 'allow_all'] },
+      watermark: true, // SynthID watermark
+      region: true
+    },
+    defaults: { outputType: 'IMAGE', aspectRatio: '1:1', sampleCount: 1, personGeneration: 'allow_adult', addWatermark: true },
+    prices: { inputPerMillion: 0, outputPerMillion: 0, perImage: 0.04 }
+  },
+  // Image analysis without chat history (/api/generateVision); Gemini has no separate vision
+  // models, the ids below are aliases of the multimodal ones
+  {
+    id: 'gemini-2.5-flash-vision',
+    label: 'Gemini 2.5 Flash (Analisi immagini)',
+    type: 'vision',
+    provider: 'google-vision',
+    endpoint: MODEL_ENDPOINTS.VISION,
+    googleModel: 'gemini-2.5-flash',
+    selectable: false,
+    prices: { inputPerMillion: 0.30, outputPerMillion: 2.50, perImage: 0 }
+  },
+  {
+    id: 'gemini-2.5-pro-vision',
+    label: 'Gemini 2.5 Pro (Analisi immagini)',
+    type: 'vision',
+    provider: 'google-vision',
+    endpoint: MODEL_ENDPOINTS.VISION,
+    googleModel: 'gemini-2.5-pro',
+    selectable: false,
+    prices: { inputPerMillion: 1.25, outputPerMillion: 10.00, perImage: 0 }
+  },
+  {
+    id: 'gemini-2.5-flash-audio',
+    label: 'Gemini 2.5 Flash Audio',
+    type: 'audio',
+    provider: 'google-audio',
+    endpoint: MODEL_ENDPOINTS.AUDIO,
+    googleModel: 'gemini-2.5-flash-audio',
+    selectable: false,
+    prices: { inputPerMillion: 1.00, outputPerMillion: 2.50, perImage: 0 }
+  },
+  {
+    id: 'gemini-1.5-flash-audio',
+    label: 'Gemini 1.5 Flash Audio',
+    type: 'audio',
+    provider: 'google-audio',
+    endpoint: MODEL_ENDPOINTS.AUDIO,
+    googleModel: 'gemini-1.5-flash-audio',
+    selectable: false,
+    prices: { inputPerMillion: 0.075, outputPerMillion: 0.30, perImage: 0 }
+  }
+];
+
+/**
+ * Fill the optional fields of a model definition
+ */
+const normalizeModel = (model) => ({
+  description: '',
+  googleModel: model.id,
+  selectable: true,
+  capabilities: {},
+  defaults: {},
+  ...model,
+  prices: { ...NO_PRICE, ...(model.prices || {}) }
+});
+
+// Registry built from the current MODEL_REGISTRY value (rebuilt when it changes)
+let cached = { source: undefined, models: null };
+
+/**
+ * Built-in models merged with MODEL_REGISTRY; invalid entries are logged and skipped
+ * @returns {Array<Object>}
+ */
+export function getModelRegistry() {
+  if (cached.models && cached.source === process.env.MODEL_REGISTRY) {
+    return cached.models;
+  }
+
+  const models = new Map(BUILTIN_MODELS.map(model => [model.id, model]));
+
+  if (process.env.MODEL_REGISTRY) {
+    let entries = [];
+    try {
+      entries = JSON.parse(process.env.MODEL_REGISTRY);
+    } catch (error) {
+      console.error('[API:MODELS] Invalid MODEL_REGISTRY JSON, using the built-in models:', error.message);
+    }
+
+    for (const entry of Array.isArray(entries) ? entries : []) {
+      const merged = { ...(models.get(entry?.id) || {}), ...entry };
+      if (!MODEL_ID_PATTERN.test(merged.id || '')
+        || !MODEL_TYPES.includes(merged.type)
+        || !Object.values(MODEL_ENDPOINTS).includes(merged.endpoint)) {
+        console.error('[API:MODELS] Skipping invalid MODEL_REGISTRY entry:', entry);
+        continue;
+      }
+      models.set(merged.id, merged);
+    }
+  }
+
+  cached = { source: process.env.MODEL_REGISTRY, models: [...models.values()].map(normalizeModel) };
+  return cached.models;
+}
+
+/**
+ * Definition of a model (case insensitive), null when unknown
+ */
+export function getModelDefinition(modelId) {
+  const id = (modelId || '').toLowerCase().trim();
+  return getModelRegistry().find(model => model.id.toLowerCase() === id) || null;
+}
+
+/**
+ * Model requested from an endpoint: the default one of the endpoint when none is given
+ * @param {string|undefined} requestedModel
+ * @param {string} endpoint - one of MODEL_ENDPOINTS
+ * @returns {Object} the model definition
+ * @throws {Error} invalid_input (400) when the model is unknown or served by another endpoint
+ */
+export function resolveEndpointModel(requestedModel, endpoint) {
+  const registry = getModelRegistry();
+  const served = registry.filter(model => model.endpoint === endpoint);
+
+  if (!requestedModel) {
+    const fallback = served.find(model => model.id === DEFAULT_MODEL_ID) || served[0];
+    if (fallback) return fallback;
+  }
+
+  const definition = getModelDefinition(requestedModel);
+  if (definition?.endpoint === endpoint) return definition;
+
+  throw apiError('invalid_input', definition
+    ? `Wrong endpoint: model "${requestedModel}" is served by ${definition.endpoint}, not ${endpoint}`
+    : `Unknown model "${requestedModel}". Models served by ${endpoint}: ${served.map(model => model.id).join(', ')}`);
+}
@@ -1,145 +1,240 @@
-import { loadModelConfig } from './firestoreConfig.js';
+import { getAccessToken, getProjectId, SCOPES } from './credentials.js';
 
 /**
- * Load pipeline configuration from Firestore
- * Returns default config if not found
+ * Pipeline config - one versioned schema for every layer, resolved server side
+ * Layers, from the most general to the most specific:
+ *   global     configs/modelPipeline                       (server only, edited in the Firestore console)
+ *   workspace  workspaces/{workspaceId}/pipeline/config    (server only, edited in the Firestore console)
+ *   chat       users/{uid}/chats/{chatId}/pipeline/config  (written by the client)
+ * A later layer turns the pipeline on / off (enabled: null inherits) and adds stages;
+ * a stage with the id of an inherited one replaces its fields (e.g. enabled: false)
+ *
+ * Schema versions: 1 = single pre-model (global: preModel / instructions / extraPrompt,
+ * chat: model / systemInstruction / maxTokens), 2 = ordered stages
  */
-export async function loadPipelineConfig() {
-  try {
-    // Use the same Firestore REST API approach as firestoreConfig.js
-    const serviceAccount = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_JSON);
-    const projectId = serviceAccount.project_id;
-    
-    // Get access token using Google Auth Library
-    const { GoogleAuth } = await import('google-auth-library');
-    const auth = new GoogleAuth({
-      credentials: serviceAccount,
-      scopes: ['https://www.googleapis.com/auth/datastore']
-    });
-    const client = await auth.getClient();
-    const { token: accessToken } = await client.getAccessToken();
-    
-    if (!accessToken) {
-      throw new Error('Failed to get access token');
-    }
-    
-    // Firestore REST API endpoint
-    const url = `https://firestore.googleapis.com/v1/projects/${projectId}/databases/(default)/documents/configs/modelPipeline`;
-    
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json'
-      }
-    });
-    
-    if (response.status === 404) {
-      // Document doesn't exist, return default
-      console.log('[PIPELINE] Config not found, using defaults');
-      return getDefaultPipelineConfig();
-    }
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Firestore API error: ${response.status} ${errorText}`);
-    }
-    
-    const data = await response.json();
-    
-    // Parse Firestore document format
-    const fields = data.fields || {};
-    
-    const config = {
-      enabled: fields.enabled?.booleanValue === true || false,
-      preModel: fields.preModel?.stringValue || null,
-      instructions: fields.instructions?.stringValue || '',
-      extraPrompt: fields.extraPrompt?.stringValue || '',
-      temperature: fields.temperature?.doubleValue ?? 0.4,
-      topP: fields.topP?.doubleValue ?? 0.9
+
+export const PIPELINE_SCHEMA_VERSION = 2;
+
+export const PIPELINE_LAYERS = ['global', 'workspace', 'chat'];
+
+export const STAGE_POSITIONS = {
+  BEFORE: 'before',
+  AFTER: 'after'
+};
+
+export const STAGE_MODES = {
+  REPLACE: 'replace',
+  ANNOTATE: 'annotate'
+};
+
+const DEFAULT_STAGE_PARAMS = { temperature: 0.8, topP: 0.95, maxTokens: 2048 };
+const ID_PATTERN = /^[\w-]+$/;
+
+const stringOr = (value, fallback) => (typeof value === 'string' && value ? value : fallback);
+const numberOr = (value, fallback) => (typeof value === 'number' && Number.isFinite(value) ? value : fallback);
+
+/**
+ * Stage with every field, of the right type (unknown fields are dropped)
+ */
+export const normalizeStage = (stage, index) => ({
+  id: typeof stage.id === 'string' && ID_PATTERN.test(stage.id) ? stage.id : `stage-${index + 1}`,
+  kind: stringOr(stage.kind, 'custom'),
+  name: stringOr(stage.name, `Passaggio ${index + 1}`),
+  position: stage.position === STAGE_POSITIONS.AFTER ? STAGE_POSITIONS.AFTER : STAGE_POSITIONS.BEFORE,
+  mode: stage.mode === STAGE_MODES.ANNOTATE ? STAGE_MODES.ANNOTATE : STAGE_MODES.REPLACE,
+  enabled: stage.enabled !== false,
+  model: stringOr(stage.model, null),
+  instruction: stringOr(stage.instruction, ''),
+  temperature: numberOr(stage.temperature, DEFAULT_STAGE_PARAMS.temperature),
+  topP: numberOr(stage.topP, DEFAULT_STAGE_PARAMS.topP),
+  maxTokens: numberOr(stage.maxTokens, DEFAULT_STAGE_PARAMS.maxTokens)
+});
+
+/**
+ * Layer document in the current schema
+ * Stages keep only the fields they set, so that a stage overriding an inherited one
+ * (same id) changes just those; defaults are filled in by resolvePipelineConfig
+ * Version 1 documents become one "rewrite" stage with an id of their layer ('global-rewrite' for a
+ * global preModel, 'chat-rewrite' for a chat model), so a chat pre-model never replaces the global one;
+ * their `enabled: false` only meant "no pre-model", so it turns that stage off and the layer inherits
+ * @returns {{version: number, enabled: boolean|null, stages: Array<Object>}}
+ */
+export function migratePipelineConfig(data = {}) {
+  if (Array.isArray(data.stages)) {
+    return {
+      version: PIPELINE_SCHEMA_VERSION,
+      enabled: typeof data.enabled === 'boolean' ? data.enabled : null,
+      stages: data.stages
+        .filter(stage => stage && typeof stage === 'object')
+        .map((stage, index) => ({ ...stage, id: stage.id || `stage-${index + 1}` }))
     };
-    
-    console.log('[PIPELINE] CONFIG LOADED:', config);
-    return config;
-  } catch (error) {
-    console.error('[PIPELINE] Error loading config:', error);
-    // Return default on error
-    return getDefaultPipelineConfig();
   }
+
+  // Global v1: preModel + instructions + extraPrompt; chat v1: model + systemInstruction
+  const model = data.preModel || data.model;
+  const instruction = data.preModel
+    ? [data.instructions, data.extraPrompt].filter(text => text?.trim()).join('\n\n')
+    : data.systemInstruction;
+
+  return {
+    version: PIPELINE_SCHEMA_VERSION,
+    enabled: data.enabled === true ? true : null,
+    stages: model
+      ? [normalizeStage({
+          id: data.preModel ? 'global-rewrite' : 'chat-rewrite',
+          kind: 'rewrite',
+          name: 'Riformula',
+          enabled: data.enabled !== false,
+          model,
+          instruction,
+          temperature: data.temperature,
+          topP: data.topP,
+          maxTokens: data.maxTokens
+        }, 0)]
+      : []
+  };
 }
 
 /**
- * Save pipeline configuration to Firestore
+ * Combine the layers (in PIPELINE_LAYERS order, missing ones skipped)
+ * Each stage records the layer it comes from in `source`
+ * @param {Object<string, Object|null>} layers - migrated layer configs by name
+ * @returns {{version: number, enabled: boolean, stages: Array<Object>, layers: Array<string>}}
  */
-export async function savePipelineConfig(config) {
-  try {
-    const serviceAccount = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_JSON);
-    const projectId = serviceAccount.project_id;
-    
-    // Get access token
-    const { GoogleAuth } = await import('google-auth-library');
-    const auth = new GoogleAuth({
-      credentials: serviceAccount,
-      scopes: ['https://www.googleapis.com/auth/datastore']
-    });
-    const client = await auth.getClient();
-    const { token: accessToken } = await client.getAccessToken();
-    
-    if (!accessToken) {
-      throw new Error('Failed to get access token');
+export function resolvePipelineConfig(layers) {
+  let enabled = false;
+  const stages = [];
+  const present = [];
+
+  for (const name of PIPELINE_LAYERS) {
+    const layer = layers[name];
+    if (!layer) continue;
+    present.push(name);
+
+    if (typeof layer.enabled === 'boolean') {
+      enabled = layer.enabled;
     }
-    
-    // Firestore REST API endpoint
-    const url = `https://firestore.googleapis.com/v1/projects/${projectId}/databases/(default)/documents/configs/modelPipeline`;
-    
-    // Convert config to Firestore document format
-    const fields = {
-      enabled: { booleanValue: config.enabled || false },
-      preModel: config.preModel ? { stringValue: config.preModel } : { nullValue: null },
-      instructions: { stringValue: config.instructions || '' },
-      extraPrompt: { stringValue: config.extraPrompt || '' },
-      temperature: { doubleValue: config.temperature ?? 0.4 },
-      topP: { doubleValue: config.topP ?? 0.9 }
-    };
-    
-    const document = {
-      fields: fields
-    };
-    
-    // Use PATCH to update or create
-    const response = await fetch(url, {
-      method: 'PATCH',
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(document)
-    });
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Firestore API error: ${response.status} ${errorText}`);
+    for (const stage of layer.stages) {
+      const index = stages.findIndex(existing => existing.id === stage.id);
+      if (index >= 0) {
+        stages[index] = { ...stages[index], ...stage, source: name };
+      } else {
+        stages.push({ ...stage, source: name });
+      }
     }
-    
-    console.log('[PIPELINE] Config saved successfully');
-    return true;
-  } catch (error) {
-    console.error('[PIPELINE] Error saving config:', error);
-    throw error;
   }
+
+  return {
+    version: PIPELINE_SCHEMA_VERSION,
+    enabled,
+    stages: stages.map((stage, index) => ({ ...normalizeStage(stage, index), source: stage.source })),
+    layers: present
+  };
 }
 
 /**
- * Get default pipeline configuration
+ * Stages that run at a position: enabled, with a model and an instruction
  */
-function getDefaultPipelineConfig() {
-  return {
-    enabled: false,
-    preModel: null,
-    instructions: '',
-    extraPrompt: '',
-    temperature: 0.4,
-    topP: 0.9
-  };
+export function getActiveStages(config, position) {
+  if (!config?.enabled) return [];
+  return config.stages.filter(stage =>
+    stage.enabled && stage.position === position && stage.model && stage.instruction?.trim()
+  );
+}
+
+/**
+ * Workspace of a user: the `workspace` custom claim of the ID token, else DEFAULT_WORKSPACE_ID
+ */
+export function getUserWorkspaceId(user) {
+  const workspaceId = user?.claims?.workspace || process.env.DEFAULT_WORKSPACE_ID || null;
+  return workspaceId && ID_PATTERN.test(workspaceId) ? workspaceId : null;
+}
+
+const layerPath = (layer, { uid, workspaceId, chatId }) => {
+  if (layer === 'global') return 'configs/modelPipeline';
+  if (layer === 'workspace') return workspaceId ? `workspaces/${workspaceId}/pipeline/config` : null;
+  return uid && chatId && ID_PATTERN.test(chatId) ? `users/${uid}/chats/${chatId}/pipeline/config` : null;
+};
+
+// Firestore REST values <-> plain values (the chat layer holds an array of stage maps;
+// also used for the shared pipeline templates)
+const fromFirestoreValue = (value = {}) => {
+  if (value.stringValue !== undefined) return value.stringValue;
+  if (value.integerValue !== undefined) return parseInt(value.integerValue, 10);
+  if (value.doubleValue !== undefined) return parseFloat(value.doubleValue);
+  if (value.booleanValue !== undefined) return value.booleanValue;
+  if (value.timestampValue !== undefined) return new Date(value.timestampValue).getTime();
+  if (value.arrayValue) return (value.arrayValue.values || []).map(fromFirestoreValue);
+  if (value.mapValue) return fromFirestoreFields(value.mapValue.fields);
+  return null;
+};
+
+export function fromFirestoreFields(fields = {}) {
+  return Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, fromFirestoreValue(value)]));
+}
+
+const toFirestoreValue = (value) => {
+  if (value === null || value === undefined) return { nullValue: null };
+  if (typeof value === 'string') return { stringValue: value };
+  if (typeof value === 'boolean') return { booleanValue: value };
+  if (typeof value === 'number') return Number.isInteger(value) ? { integerValue: String(value) } : { doubleValue: value };
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toFirestoreValue) } };
+  return { mapValue: { fields: toFirestoreFields(value) } };
+};
+
+export function toFirestoreFields(object) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, toFirestoreValue(value)]));
 }
 
+/**
+ * Load and migrate the layers of a user / chat in one batchGet
+ * Missing documents are null; a failed read is thrown (callers decide whether to run without pipeline)
+ * @returns {Promise<Object<string, Object|null>>} layer configs by name
+ */
+export async function loadPipelineLayers(user, { chatId = null } = {}) {
+  const projectId = getProjectId();
+  const databasePath = `projects/${projectId}/databases/(default)/documents`;
+  const paths = Object.fromEntries(PIPELINE_LAYERS.map(layer => [
+    layer,
+    layerPath(layer, { uid: user.uid, workspaceId: getUserWorkspaceId(user), chatId })
+  ]));
+  const documents = Object.values(paths).filter(Boolean).map(path => `${databasePath}/${path}`);
+
+  const accessToken = await getAccessToken(SCOPES.DATASTORE);
+  const response = await fetch(`https://firestore.googleapis.com/v1/${databasePath}:batchGet`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ documents })
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Firestore API error: ${response.status} ${errorText}`);
+  }
+
+  const found = new Map((await response.json())
+    .filter(result => result.found)
+    .map(result => [result.found.name, fromFirestoreFields(result.found.fields)]));
+
+  return Object.fromEntries(PIPELINE_LAYERS.map(layer => {
+    const data = paths[layer] && found.get(`${databasePath}/${paths[layer]}`);
+    return [layer, data ? migratePipelineConfig(data) : null];
+  }));
+}
+
+/**
+ * Resolved pipeline of a user / chat (global → workspace → chat)
+ * @param {Object} [options.chatLayer] - unsaved chat layer used instead of the stored one (dry runs)
+ */
+export async function loadResolvedPipelineConfig(user, { chatId = null, chatLayer = null } = {}) {
+  const layers = await loadPipelineLayers(user, { chatId });
+  if (chatLayer) {
+    layers.chat = migratePipelineConfig(chatLayer);
+  }
+  const config = resolvePipelineConfig(layers);
+  console.log('[PIPELINE] Resolved config:', { layers: config.layers, enabled: config.enabled, stages: config.stages.length });
+  return config;
+}
@@ -0,0 +1,129 @@
+import { getAccessToken, SCOPES } from './credentials.js';
+import { loadModelConfig } from './firestoreConfig.js';
+import { splitThoughtParts } from './thinking.js';
+import { detectSafetyBlock } from './safety.js';
+import { extractUsage } from './usage.js';
+import { apiError, upstreamError } from './errors.js';
+import { fetchUpstream, resolveUpstreamPolicy } from './upstream.js';
+import { resolveEndpointModel, MODEL_ENDPOINTS } from './modelRegistry.js';
+import { STAGE_POSITIONS, STAGE_MODES } from './pipelineConfig.js';
+
+/**
+ * Pipeline runner - runs the stages of one position in order with the Gemini API
+ * Each stage is a single turn: its instruction as systemInstruction, the current text as message
+ * (no history, documents or tools). A failed stage is recorded and skipped, the text flows on unchanged
+ */
+
+/**
+ * Text sent to a stage: the current text before the main model; after it the
+ * reply to work on, with the user's request for context
+ */
+const buildStageMessage = (stage, text, originalMessage) => {
+  if (stage.position !== STAGE_POSITIONS.AFTER) return text;
+  return `Richiesta dell'utente:\n${originalMessage}\n\nRisposta da elaborare:\n${text}`;
+};
+
+// Tags some models echo back from the instruction
+const cleanStageOutput = (text) => text
+  .replace(/<system_instruction>.*?<\/system_instruction>/gis, '')
+  .replace(/<system>.*?<\/system>/gis, '')
+  .trim();
+
+/**
+ * Run one stage
+ * @returns {Promise<{output: string, usage: Object}>}
+ */
+async function runStage(stage, message, { signal, debugMode }) {
+  const definition = resolveEndpointModel(stage.model, MODEL_ENDPOINTS.CHAT);
+  const modelConfig = await loadModelConfig(definition.id);
+  if (!modelConfig.enabled) {
+    throw apiError('model_disabled', `Model "${definition.id}" is currently disabled`);
+  }
+
+  const requestBody = {
+    contents: [{ role: 'user', parts: [{ text: message }] }],
+    systemInstruction: { parts: [{ text: stage.instruction }] },
+    generationConfig: {
+      temperature: stage.temperature,
+      topP: stage.topP,
+      maxOutputTokens: stage.maxTokens
+    }
+  };
+
+  if (debugMode) {
+    console.log('[DEBUG] Pipeline stage request:', JSON.stringify({ stage: stage.id, model: definition.googleModel, requestBody }, null, 2));
+  }
+
+  const accessToken = await getAccessToken(SCOPES.GENERATIVE_LANGUAGE);
+  const { response } = await fetchUpstream(`https://generativelanguage.googleapis.com/v1/models/${definition.googleModel}:generateContent`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${accessToken}`,
+    },
+    body: JSON.stringify(requestBody),
+  }, { service: 'Gemini', signal, logPrefix: '[API:PIPELINE]', ...resolveUpstreamPolicy(modelConfig, 'text') });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw upstreamError('Gemini', response.status, errorText);
+  }
+
+  const data = await response.json();
+  const usage = extractUsage(definition.id, data.usageMetadata);
+
+  const safety = detectSafetyBlock(data);
+  if (safety) {
+    const error = apiError('safety_blocked', `Stage blocked by the safety filters (${safety.reason})`);
+    error.usage = usage;
+    throw error;
+  }
+
+  const { text } = splitThoughtParts(data.candidates?.[0]?.content?.parts);
+  return { output: cleanStageOutput(text || ''), usage };
+}
+
+/**
+ * Run stages in order
+ * @param {Array} stages - active stages of one position (getActiveStages)
+ * @param {string} input - user message (before) or main model reply (after)
+ * @param {Object} options
+ * @param {string} [options.originalMessage] - the user's message, context for the stages after the main model
+ * @param {AbortSignal} [options.signal]
+ * @param {boolean} [options.debugMode]
+ * @returns {Promise<{output: string, steps: Array<{stageId, name, kind, position, source, model, annotation, output, usage, durationMs, error}>}>}
+ */
+export async function runPipelineStages(stages, input, { originalMessage = input, signal, debugMode = false } = {}) {
+  let text = input;
+  const steps = [];
+
+  for (const stage of stages) {
+    const startedAt = Date.now();
+    const step = {
+      stageId: stage.id,
+      name: stage.name,
+      kind: stage.kind,
+      position: stage.position,
+      source: stage.source,
+      model: stage.model,
+      annotation: stage.mode === STAGE_MODES.ANNOTATE
+    };
+
+    try {
+      const { output, usage } = await runStage(stage, buildStageMessage(stage, text, originalMessage), { signal, debugMode });
+      console.log(`[API:PIPELINE] Stage "${stage.name}" (${stage.model}) done`);
+      steps.push({ ...step, output, usage, durationMs: Date.now() - startedAt });
+
+      // Annotations (e.g. critique) and empty outputs leave the text unchanged
+      if (!step.annotation && output) {
+        text = output;
+      }
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.error(`[API:PIPELINE] Stage "${stage.name}" failed, continuing without it:`, error.message);
+      steps.push({ ...step, output: null, usage: error.usage || null, error: error.message, durationMs: Date.now() - startedAt });
+    }
+  }
+
+  return { output: text, steps };
+}
@@ -0,0 +1,181 @@
+import { randomUUID } from 'crypto';
+import { getAccessToken, getProjectId, SCOPES } from './credentials.js';
+import { apiError } from './errors.js';
+import { migratePipelineConfig, normalizeStage, getUserWorkspaceId, fromFirestoreFields, toFirestoreFields } from './pipelineConfig.js';
+
+/**
+ * Pipeline templates shared with the team (the user's workspace, or everyone without one)
+ * Stored in workspaces/{workspaceId}/pipelineTemplates or pipelineTemplates (server only);
+ * personal templates live in users/{uid}/pipelineTemplates and never pass through here
+ */
+
+export const TEMPLATE_LIMITS = {
+  nameChars: 100,
+  descriptionChars: 500,
+  tags: 10,
+  tagChars: 30,
+  stages: 20,
+  instructionChars: 10000,
+  kindChars: 30,
+  modelChars: 100,
+  templates: 200
+};
+
+const ID_PATTERN = /^[\w-]+$/;
+
+const cleanText = (value, maxChars) => (typeof value === 'string' ? value.trim().slice(0, maxChars) : '');
+
+/**
+ * Stage as stored in a template: every field normalized, texts cut to the template limits
+ */
+const normalizeTemplateStage = (stage, index) => {
+  const normalized = normalizeStage(stage, index);
+  return {
+    ...normalized,
+    kind: normalized.kind.slice(0, TEMPLATE_LIMITS.kindChars),
+    name: cleanText(normalized.name, TEMPLATE_LIMITS.nameChars) || `Passaggio ${index + 1}`,
+    model: normalized.model ? normalized.model.slice(0, TEMPLATE_LIMITS.modelChars) : null,
+    instruction: cleanText(normalized.instruction, TEMPLATE_LIMITS.instructionChars)
+  };
+};
+
+/**
+ * Template as stored: name, description, tags and the pipeline stages (current schema)
+ * @throws {Error} invalid_input (400) without a name or stages, or with too many stages
+ */
+export function normalizeTemplate(data = {}) {
+  const name = cleanText(data.name, TEMPLATE_LIMITS.nameChars);
+  if (!name) {
+    throw apiError('invalid_input', 'Template "name" is required');
+  }
+
+  const pipeline = migratePipelineConfig(data.pipeline || {});
+  if (pipeline.stages.length === 0) {
+    throw apiError('invalid_input', 'Template pipeline has no stages');
+  }
+  if (pipeline.stages.length > TEMPLATE_LIMITS.stages) {
+    throw apiError('invalid_input', `Template pipeline has more than ${TEMPLATE_LIMITS.stages} stages`);
+  }
+
+  const tags = [...new Set((Array.isArray(data.tags) ? data.tags : [])
+    .map(tag => cleanText(tag, TEMPLATE_LIMITS.tagChars).toLowerCase())
+    .filter(Boolean))]
+    .slice(0, TEMPLATE_LIMITS.tags);
+
+  return {
+    name,
+    description: cleanText(data.description, TEMPLATE_LIMITS.descriptionChars),
+    tags,
+    pipeline: { version: pipeline.version, stages: pipeline.stages.map(normalizeTemplateStage) },
+    forkedFrom: data.forkedFrom?.id ? { id: String(data.forkedFrom.id), name: cleanText(data.forkedFrom.name, TEMPLATE_LIMITS.nameChars) } : null
+  };
+}
+
+const TEMPLATES_COLLECTION = 'pipelineTemplates';
+
+// Document holding the templates collection ('' for the top-level one)
+const parentPath = (user) => {
+  const workspaceId = getUserWorkspaceId(user);
+  return workspaceId ? `workspaces/${workspaceId}` : '';
+};
+
+const collectionPath = (user) => [parentPath(user), TEMPLATES_COLLECTION].filter(Boolean).join('/');
+
+// path: a document / collection path, or ":method" / "<parent>:method"
+async function firestoreRequest(method, path, body) {
+  const accessToken = await getAccessToken(SCOPES.DATASTORE);
+  const separator = path.startsWith(':') ? '' : '/';
+  const response = await fetch(`https://firestore.googleapis.com/v1/projects/${getProjectId()}/databases/(default)/documents${separator}${path}`, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json'
+    },
+    ...(body && { body: JSON.stringify(body) })
+  });
+
+  if (response.status === 404 && method === 'GET') return null;
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Firestore API error: ${response.status} ${errorText}`);
+  }
+  return response.json();
+}
+
+const toTemplate = (document) => ({
+  id: document.name.split('/').pop(),
+  ...fromFirestoreFields(document.fields)
+});
+
+/**
+ * Templates shared in the user's team, newest first (at most TEMPLATE_LIMITS.templates)
+ */
+export async function listSharedTemplates(user) {
+  const results = await firestoreRequest('POST', `${parentPath(user)}:runQuery`, {
+    structuredQuery: {
+      from: [{ collectionId: TEMPLATES_COLLECTION }],
+      orderBy: [{ field: { fieldPath: 'updatedAt' }, direction: 'DESCENDING' }],
+      limit: TEMPLATE_LIMITS.templates
+    }
+  });
+  return results.filter(result => result.document).map(result => toTemplate(result.document));
+}
+
+/**
+ * Number of templates shared in the user's team, counted up to TEMPLATE_LIMITS.templates
+ */
+async function countSharedTemplates(user) {
+  const [result] = await firestoreRequest('POST', `${parentPath(user)}:runAggregationQuery`, {
+    structuredAggregationQuery: {
+      structuredQuery: { from: [{ collectionId: TEMPLATES_COLLECTION }] },
+      aggregations: [{ alias: 'templates', count: { upTo: String(TEMPLATE_LIMITS.templates) } }]
+    }
+  });
+  return parseInt(result?.result?.aggregateFields?.templates?.integerValue || '0');
+}
+
+/**
+ * Share a template with the team (a new copy, owned by the user)
+ * @returns {Promise<Object>} the stored template
+ * @throws {Error} conflict (409) when the team already has TEMPLATE_LIMITS.templates templates
+ */
+export async function shareTemplate(user, data) {
+  const normalized = normalizeTemplate(data);
+  if (await countSharedTemplates(user) >= TEMPLATE_LIMITS.templates) {
+    throw apiError('conflict', `The team already shares ${TEMPLATE_LIMITS.templates} templates: remove one before sharing another`);
+  }
+
+  const template = {
+    ...normalized,
+    owner: { uid: user.uid, email: user.email || null },
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  };
+  const id = randomUUID();
+
+  await firestoreRequest('PATCH', `${collectionPath(user)}/${id}`, { fields: toFirestoreFields(template) });
+  console.log('[API:TEMPLATES] Template shared:', { id, name: template.name });
+  return { id, ...template };
+}
+
+/**
+ * Remove a shared template; only its owner can
+ * @throws {Error} not_found (404) / forbidden (403)
+ */
+export async function unshareTemplate(user, templateId) {
+  if (!ID_PATTERN.test(templateId || '')) {
+    throw apiError('invalid_input', 'Invalid template id');
+  }
+
+  const path = `${collectionPath(user)}/${templateId}`;
+  const document = await firestoreRequest('GET', path);
+  if (!document) {
+    throw apiError('not_found', 'Template not found');
+  }
+  if (toTemplate(document).owner?.uid !== user.uid) {
+    throw apiError('forbidden', 'Only the owner can remove a shared template');
+  }
+
+  await firestoreRequest('DELETE', path);
+  console.log('[API:TEMPLATES] Template removed:', templateId);
+}
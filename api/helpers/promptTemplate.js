@@ -0,0 +1,81 @@
+import { apiError } from './errors.js';
+
+/**
+ * Prompt variables in system instructions: {{brand}}, {{language}}, {{date}}, {{chat.title}}, ...
+ * One engine for the main model system prompt and every pipeline stage instruction
+ * Values come from the request (`variables`, filled in the chat variables panel);
+ * `date` is filled in here when the request does not set it
+ */
+
+export const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w.]*)\s*\}\}/g;
+
+export const VARIABLE_LIMITS = {
+  variables: 50,
+  valueChars: 2000
+};
+
+const NAME_PATTERN = /^[A-Za-z_][\w.]*$/;
+const DATE_TIME_ZONE = 'Europe/Rome';
+
+/**
+ * Names of the variables used in a text, in order of appearance, without repeats
+ */
+export function extractVariables(text) {
+  if (typeof text !== 'string') return [];
+  return [...new Set([...text.matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+}
+
+/**
+ * Values of a request: valid names with a non-empty string (or number) value, plus the built-in `date`
+ * @param {Object} values - `variables` field of the request body
+ * @returns {Object<string, string>}
+ */
+export function resolveVariables(values) {
+  const resolved = {
+    date: new Intl.DateTimeFormat('it-IT', { dateStyle: 'long', timeZone: DATE_TIME_ZONE }).format(new Date())
+  };
+  if (!values || typeof values !== 'object' || Array.isArray(values)) return resolved;
+
+  for (const [name, value] of Object.entries(values).slice(0, VARIABLE_LIMITS.variables)) {
+    if (!NAME_PATTERN.test(name) || (typeof value !== 'string' && typeof value !== 'number')) continue;
+    const text = String(value).trim().slice(0, VARIABLE_LIMITS.valueChars);
+    if (text) resolved[name] = text;
+  }
+  return resolved;
+}
+
+/**
+ * Replace the variables of a text
+ * @returns {{text: string, missing: Array<string>}} missing: used variables without a value (left as written)
+ */
+export function renderPromptTemplate(text, variables = {}) {
+  if (typeof text !== 'string' || !text) return { text: text || '', missing: [] };
+  const missing = new Set();
+  const rendered = text.replace(VARIABLE_PATTERN, (placeholder, name) => {
+    if (Object.prototype.hasOwnProperty.call(variables, name)) return variables[name];
+    missing.add(name);
+    return placeholder;
+  });
+  return { text: rendered, missing: [...missing] };
+}
+
+/**
+ * Render several instructions, failing if any of them uses a variable without a value
+ * @param {Array<string>} texts
+ * @returns {Array<string>} the rendered texts, in the same order
+ * @throws {Error} missing_variables (400) with `missingVariables`
+ */
+export function renderInstructions(texts, variables) {
+  const missing = new Set();
+  const rendered = texts.map(text => {
+    const result = renderPromptTemplate(text, variables);
+    result.missing.forEach(name => missing.add(name));
+    return result.text;
+  });
+
+  if (missing.size > 0) {
+    const names = [...missing];
+    throw apiError('missing_variables', `Missing values for prompt variables: ${names.join(', ')}`, { missingVariables: names });
+  }
+  return rendered;
+}
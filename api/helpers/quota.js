@@ -0,0 +1,236 @@
+import { getAccessToken, getProjectId, SCOPES } from './credentials.js';
+import { createFirestoreQuotaStore, createMemoryQuotaStore } from './quotaStore.js';
+import { sendError } from './middleware.js';
+import { getModelDefinition } from './modelRegistry.js';
+
+/**
+ * Per-user, per-model rate limits and daily budgets
+ * - requests per minute (fixed one-minute windows)
+ * - daily budget in tokens (text models) or generated images (image models), reset at 00:00 UTC
+ * Limits come from the Firestore model config, then env, then the defaults below (0 = unlimited)
+ * When the counter store is unreachable, QUOTA_FAIL_OPEN decides: "true" lets every request through,
+ * "false" answers 503; unset, text models are let through and image models (paid per image) are not
+ */
+
+export const DEFAULT_QUOTA_LIMITS = {
+  text: { requestsPerMinute: 20, dailyBudget: 1000000 },
+  image: { requestsPerMinute: 5, dailyBudget: 100 }
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+let quotaStore = null;
+
+/**
+ * Get the configured counter store (QUOTA_STORE=memory for local runs, Firestore otherwise)
+ */
+export function getQuotaStore() {
+  if (!quotaStore) {
+    if (process.env.QUOTA_STORE === 'memory') {
+      quotaStore = createMemoryQuotaStore();
+    } else {
+      quotaStore = createFirestoreQuotaStore({
+        projectId: getProjectId(),
+        getAccessToken: () => getAccessToken(SCOPES.DATASTORE)
+      });
+    }
+  }
+  return quotaStore;
+}
+
+/**
+ * Replace the counter store (e.g. with createMemoryQuotaStore() in tests)
+ */
+export function setQuotaStore(store) {
+  quotaStore = store;
+}
+
+/**
+ * Image models are budgeted in generated images, every other model in tokens
+ * (type from the model registry, guessed from the id for unknown models)
+ */
+export function getModelKind(modelId) {
+  const definition = getModelDefinition(modelId);
+  if (definition) return definition.type === 'image' ? 'image' : 'text';
+
+  const id = (modelId || '').toLowerCase();
+  return id.includes('image') || id.includes('imagen') || id.includes('nanobanana') ? 'image' : 'text';
+}
+
+const parseLimit = (value) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : undefined;
+};
+
+/**
+ * Resolve the limits of a model (priority: Firestore config > env > defaults)
+ * @returns {{requestsPerMinute: number, dailyBudget: number, unit: 'tokens'|'images'}}
+ */
+export function resolveQuotaLimits(modelConfig, kind) {
+  const isImage = kind === 'image';
+  const defaults = DEFAULT_QUOTA_LIMITS[isImage ? 'image' : 'text'];
+
+  const requestsPerMinute = parseLimit(modelConfig?.rateLimitPerMinute)
+    ?? parseLimit(isImage ? process.env.IMAGE_RATE_LIMIT_PER_MINUTE : process.env.RATE_LIMIT_PER_MINUTE)
+    ?? defaults.requestsPerMinute;
+
+  const dailyBudget = parseLimit(isImage ? modelConfig?.dailyImageBudget : modelConfig?.dailyTokenBudget)
+    ?? parseLimit(isImage ? process.env.DAILY_IMAGE_BUDGET : process.env.DAILY_TOKEN_BUDGET)
+    ?? defaults.dailyBudget;
+
+  return { requestsPerMinute, dailyBudget, unit: isImage ? 'images' : 'tokens' };
+}
+
+const minuteWindow = (now) => {
+  const start = Math.floor(now / MINUTE_MS) * MINUTE_MS;
+  return { id: String(start / MINUTE_MS), resetAt: start + MINUTE_MS };
+};
+
+const dayWindow = (now) => {
+  const start = Math.floor(now / DAY_MS) * DAY_MS;
+  return { id: new Date(start).toISOString().slice(0, 10), resetAt: start + DAY_MS };
+};
+
+// Firestore document ids: no "/" allowed
+const counterKey = (uid, model, window) => `${uid}_${model}_${window}`.replace(/\//g, '-');
+
+/**
+ * Remaining budget as sent to the client (null = unlimited)
+ */
+function buildStatus(model, limits, { requests = 0, used = 0, now = Date.now() } = {}) {
+  return {
+    model,
+    requestsPerMinute: limits.requestsPerMinute > 0 ? {
+      limit: limits.requestsPerMinute,
+      remaining: Math.max(0, limits.requestsPerMinute - requests),
+      resetAt: minuteWindow(now).resetAt
+    } : null,
+    daily: limits.dailyBudget > 0 ? {
+      unit: limits.unit,
+      limit: limits.dailyBudget,
+      used,
+      remaining: Math.max(0, limits.dailyBudget - used),
+      resetAt: dayWindow(now).resetAt
+    } : null
+  };
+}
+
+/**
+ * Current budget of a user for a model, without counting a request
+ */
+export async function getQuotaStatus(user, model, modelConfig) {
+  const limits = resolveQuotaLimits(modelConfig, getModelKind(model));
+  const now = Date.now();
+  const store = getQuotaStore();
+
+  const [minute, day] = await Promise.all([
+    store.read(counterKey(user.uid, model, `m${minuteWindow(now).id}`)),
+    store.read(counterKey(user.uid, model, `d${dayWindow(now).id}`))
+  ]);
+
+  return buildStatus(model, limits, { requests: minute.requests || 0, used: day[limits.unit] || 0, now });
+}
+
+/**
+ * Whether requests go through without limits while the counter store is unreachable
+ */
+export function shouldFailOpen(kind) {
+  if (process.env.QUOTA_FAIL_OPEN === 'true') return true;
+  if (process.env.QUOTA_FAIL_OPEN === 'false') return false;
+  return kind !== 'image';
+}
+
+function sendQuotaError(res, code, message, resetAt, status) {
+  const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+  res.setHeader('Retry-After', String(retryAfter));
+  sendError(res, 429, message, { code, retryAfter, quota: status });
+}
+
+/**
+ * Count a request against the user's limits for this model, or answer 429 with Retry-After
+ * The daily budget is checked before the call (usage is only known afterwards, see recordUsage),
+ * so the last request of the day can go over it, unless the request says how much it will use
+ * If the counter store is unreachable the request is let through or answered 503 (see shouldFailOpen)
+ * @param {Object} [options]
+ * @param {number} [options.requests=1] - upstream calls the request makes (e.g. one per pipeline stage)
+ * @param {number} [options.units=0] - budget the request will use when known upfront (e.g. images requested):
+ *   rejected when it does not fit in what is left today
+ * @returns {Promise<Object|null>} the quota status, or null when the response has already been sent
+ */
+export async function enforceQuota(res, user, model, modelConfig, { requests: calls = 1, units = 0 } = {}) {
+  const kind = getModelKind(model);
+  const limits = resolveQuotaLimits(modelConfig, kind);
+  const now = Date.now();
+  const minute = minuteWindow(now);
+  const day = dayWindow(now);
+  const store = getQuotaStore();
+
+  try {
+    const used = limits.dailyBudget > 0
+      ? (await store.read(counterKey(user.uid, model, `d${day.id}`)))[limits.unit] || 0
+      : 0;
+
+    if (limits.dailyBudget > 0 && (used >= limits.dailyBudget || used + units > limits.dailyBudget)) {
+      console.warn('[API:QUOTA] Daily budget exhausted:', { uid: user.uid, model, used, units, limit: limits.dailyBudget });
+      sendQuotaError(res, 'quota_exceeded', `Daily ${limits.unit} budget for "${model}" exhausted`, day.resetAt,
+        buildStatus(model, limits, { used, now }));
+      return null;
+    }
+
+    let requests = 0;
+    if (limits.requestsPerMinute > 0) {
+      ({ requests } = await store.increment(counterKey(user.uid, model, `m${minute.id}`), { requests: calls }, minute.resetAt));
+
+      if (requests > limits.requestsPerMinute) {
+        console.warn('[API:QUOTA] Rate limit hit:', { uid: user.uid, model, requests, limit: limits.requestsPerMinute });
+        sendQuotaError(res, 'rate_limited', `Too many requests for "${model}", retry shortly`, minute.resetAt,
+          buildStatus(model, limits, { requests, used, now }));
+        return null;
+      }
+    }
+
+    return buildStatus(model, limits, { requests, used, now });
+  } catch (error) {
+    if (!shouldFailOpen(kind)) {
+      console.error('[API:QUOTA] Quota check failed, request refused:', { uid: user.uid, model, error: error.message });
+      res.setHeader('Retry-After', '30');
+      sendError(res, 503, 'Usage limits cannot be checked right now, retry shortly', { code: 'upstream_unavailable', retryAfter: 30 });
+      return null;
+    }
+    console.error('[API:QUOTA] Quota check failed, request allowed without limits (QUOTA_FAIL_OPEN):', { uid: user.uid, model, error: error.message });
+    return buildStatus(model, limits, { now });
+  }
+}
+
+/**
+ * Add the usage of a completed request to today's counters
+ * @param {Object} user
+ * @param {Object} quota - status returned by enforceQuota
+ * @param {{tokens?: number, images?: number}} usage
+ * @returns {Promise<Object>} the updated quota status
+ */
+export async function recordUsage(user, quota, usage) {
+  if (!quota?.daily) return quota;
+
+  const amount = Math.round(usage?.[quota.daily.unit] || 0);
+  if (amount <= 0) return quota;
+
+  try {
+    const day = dayWindow(Date.now());
+    const counters = await getQuotaStore().increment(
+      counterKey(user.uid, quota.model, `d${day.id}`),
+      { [quota.daily.unit]: amount },
+      // Kept one extra day so the TTL policy never removes a counter still in use
+      day.resetAt + DAY_MS
+    );
+    const used = counters[quota.daily.unit] || 0;
+    return {
+      ...quota,
+      daily: { ...quota.daily, used, remaining: Math.max(0, quota.daily.limit - used) }
+    };
+  } catch (error) {
+    console.error('[API:QUOTA] Failed to record usage:', error.message);
+    return quota;
+  }
+}
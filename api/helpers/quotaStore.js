@@ -0,0 +1,117 @@
+/**
+ * Counter stores for rate limits and daily quotas
+ *
+ * Every store implements the same interface:
+ *   increment(key, deltas, expiresAt) - adds deltas ({ requests: 1 } / { tokens: 512 }) to the
+ *                                       counters of `key`, returns all the counters after the update
+ *   read(key)                         - current counters of `key` ({} when none)
+ *
+ * createFirestoreQuotaStore persists to Firestore (atomic field increments),
+ * createMemoryQuotaStore keeps everything in process memory (tests / local runs).
+ */
+
+const COUNTERS_COLLECTION = 'quotaCounters';
+
+/**
+ * In-memory counter store (expired keys are dropped when read)
+ */
+export function createMemoryQuotaStore() {
+  const counters = new Map();
+
+  const current = (key) => {
+    const entry = counters.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      counters.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  return {
+    async increment(key, deltas, expiresAt) {
+      const entry = current(key) || { values: {}, expiresAt };
+      for (const [field, delta] of Object.entries(deltas)) {
+        entry.values[field] = (entry.values[field] || 0) + delta;
+      }
+      entry.expiresAt = expiresAt;
+      counters.set(key, entry);
+      return { ...entry.values };
+    },
+
+    async read(key) {
+      return { ...(current(key)?.values || {}) };
+    }
+  };
+}
+
+/**
+ * Firestore counter store (REST API v1)
+ * Documents carry an `expiresAt` timestamp: enable a TTL policy on it (see VERCEL_SETUP.md)
+ * @param {Object} options
+ * @param {string} options.projectId
+ * @param {Function} options.getAccessToken - async () => OAuth token with datastore scope
+ */
+export function createFirestoreQuotaStore({ projectId, getAccessToken }) {
+  const databasePath = `projects/${projectId}/databases/(default)/documents`;
+  const baseUrl = `https://firestore.googleapis.com/v1/${databasePath}`;
+
+  const request = async (url, options = {}) => {
+    const accessToken = await getAccessToken();
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+      },
+    });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Firestore API error: ${response.status} ${errorText}`);
+    }
+    return response.json();
+  };
+
+  const parseCount = (value) => parseInt(value?.integerValue || '0');
+
+  return {
+    async increment(key, deltas, expiresAt) {
+      const fieldPaths = Object.keys(deltas);
+      // Single write: field increments are applied atomically by Firestore
+      const result = await request(`${baseUrl}:commit`, {
+        method: 'POST',
+        body: JSON.stringify({
+          writes: [{
+            update: {
+              name: `${databasePath}/${COUNTERS_COLLECTION}/${key}`,
+              fields: { expiresAt: { timestampValue: new Date(expiresAt).toISOString() } }
+            },
+            updateMask: { fieldPaths: ['expiresAt'] },
+            updateTransforms: fieldPaths.map(fieldPath => ({
+              fieldPath,
+              increment: { integerValue: String(Math.round(deltas[fieldPath])) }
+            }))
+          }]
+        }),
+      });
+
+      // transformResults are in the same order as updateTransforms
+      const transformResults = result?.writeResults?.[0]?.transformResults || [];
+      return Object.fromEntries(fieldPaths.map((fieldPath, i) => [fieldPath, parseCount(transformResults[i])]));
+    },
+
+    async read(key) {
+      const document = await request(`${baseUrl}/${COUNTERS_COLLECTION}/${key}`);
+      const fields = document?.fields || {};
+      // An expired document may still exist until the TTL policy removes it
+      if (fields.expiresAt?.timestampValue && new Date(fields.expiresAt.timestampValue).getTime() <= Date.now()) {
+        return {};
+      }
+      return Object.fromEntries(
+        Object.entries(fields)
+          .filter(([, value]) => value.integerValue !== undefined)
+          .map(([field, value]) => [field, parseCount(value)])
+      );
+    }
+  };
+}
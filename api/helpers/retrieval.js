@@ -0,0 +1,247 @@
+import { createHash } from 'crypto';
+import { getAccessToken, getProjectId, SCOPES } from './credentials.js';
+import { detectDocumentType, chunkDocument } from './documents.js';
+import { embedTexts, getEmbeddingModel } from './embeddings.js';
+import { extractUsage } from './usage.js';
+import { upstreamError } from './errors.js';
+import { fetchUpstream, resolveUpstreamPolicy } from './upstream.js';
+import { createFirestoreVectorStore, createMemoryVectorStore } from './vectorStore.js';
+
+/**
+ * "Ground on your data" - ingestion and retrieval over the team document corpus
+ */
+
+export const DEFAULT_RETRIEVAL_TOP_K = 4;
+export const DEFAULT_RETRIEVAL_MIN_SCORE = 0.5;
+export const MAX_DOCUMENT_BYTES = 3 * 1024 * 1024; // Vercel body limit is 4.5 MB and base64 adds ~33%
+export const DEFAULT_EXTRACTION_MODEL = 'gemini-2.5-flash';
+
+const SNIPPET_LENGTH = 300;
+
+let vectorStore = null;
+
+/**
+ * Access token for Firestore and the Gemini API (cloud-platform scope)
+ */
+const getCloudAccessToken = () => getAccessToken(SCOPES.CLOUD_PLATFORM);
+
+/**
+ * Get the configured vector store (VECTOR_STORE=memory for local runs, Firestore otherwise)
+ */
+export function getVectorStore() {
+  if (!vectorStore) {
+    if (process.env.VECTOR_STORE === 'memory') {
+      vectorStore = createMemoryVectorStore();
+    } else {
+      vectorStore = createFirestoreVectorStore({
+        projectId: getProjectId(),
+        getAccessToken: getCloudAccessToken
+      });
+    }
+  }
+  return vectorStore;
+}
+
+/**
+ * Replace the vector store (e.g. with createMemoryVectorStore() in tests)
+ */
+export function setVectorStore(store) {
+  vectorStore = store;
+}
+
+/**
+ * Check whether retrieval is enabled (priority: modelSettings > Firestore config)
+ */
+export function isRetrievalEnabled(modelSettings = null, modelConfig = null) {
+  if (typeof modelSettings?.grounding_your_data === 'boolean') {
+    return modelSettings.grounding_your_data;
+  }
+  return modelConfig?.groundingYourData === true;
+}
+
+export const getExtractionModel = () => process.env.DOCUMENT_EXTRACTION_MODEL || DEFAULT_EXTRACTION_MODEL;
+
+/**
+ * Models an upload calls: the extraction model for PDFs, then the embedding model
+ */
+export function getIngestionModels(type) {
+  return type === 'pdf' ? [getExtractionModel(), getEmbeddingModel()] : [getEmbeddingModel()];
+}
+
+// batchEmbedContents reports no token counts: ~4 characters per token
+const estimateTokens = (texts) => texts.reduce((sum, text) => sum + Math.ceil(text.length / 4), 0);
+
+/**
+ * Extract the text of a PDF with Gemini (keeps page boundaries as [[Pagina N]] markers)
+ * @returns {Promise<{text: string, usage: Object}>}
+ */
+async function extractPdfText(base64, accessToken) {
+  const model = getExtractionModel();
+  const endpoint = `https://generativelanguage.googleapis.com/v1/models/${model}:generateContent`;
+
+  const { response } = await fetchUpstream(endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${accessToken}`,
+    },
+    body: JSON.stringify({
+      contents: [{
+        role: 'user',
+        parts: [
+          { inline_data: { mime_type: 'application/pdf', data: base64 } },
+          {
+            text: 'Trascrivi integralmente il testo di questo PDF, senza riassumere né commentare. ' +
+              'Prima del testo di ogni pagina scrivi una riga "[[Pagina N]]" con il numero di pagina. ' +
+              'Rendi le tabelle come righe di testo separate da " | ".'
+          }
+        ]
+      }],
+      generationConfig: { temperature: 0 }
+    }),
+  }, { service: 'PDF extraction', ...resolveUpstreamPolicy(null, 'text'), logPrefix: '[RAG]' });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw upstreamError('PDF extraction', response.status, errorText);
+  }
+
+  const data = await response.json();
+  const text = (data.candidates?.[0]?.content?.parts || [])
+    .filter(p => p.text)
+    .map(p => p.text)
+    .join('');
+  return { text, usage: extractUsage(model, data.usageMetadata) };
+}
+
+/**
+ * Stable document id: the same file name uploaded again in a workspace replaces the document
+ */
+export function getDocumentId(fileName, workspaceId = null) {
+  return createHash('sha256').update(`${workspaceId || ''}/${fileName.trim().toLowerCase()}`).digest('hex').slice(0, 32);
+}
+
+/**
+ * Parse, chunk, embed and store an uploaded document
+ * @param {{fileName: string, mimeType: string, base64: string, workspaceId?: string, owner?: {uid, email}}} upload
+ * @returns {Promise<{document: Object, usage: Array<Object>}>} stored document
+ *   ({ id, name, type, mimeType, size, owner, workspaceId, chunkCount, createdAt }) and the usage of every model called
+ */
+export async function ingestDocument({ fileName, mimeType, base64, workspaceId = null, owner = null }, debugMode = false) {
+  const type = detectDocumentType(fileName, mimeType);
+  if (!type) {
+    const error = new Error('Unsupported file type: only PDF, Markdown (.md) and CSV files are accepted');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const buffer = Buffer.from(base64, 'base64');
+  if (buffer.length > MAX_DOCUMENT_BYTES) {
+    const error = new Error(`File too large: maximum size is ${MAX_DOCUMENT_BYTES / (1024 * 1024)} MB`);
+    error.statusCode = 413;
+    throw error;
+  }
+
+  const accessToken = await getCloudAccessToken();
+  const usage = [];
+  // Markdown / CSV are read as UTF-8 (BOM stripped), PDF text is extracted by Gemini
+  let text;
+  if (type === 'pdf') {
+    const extraction = await extractPdfText(base64, accessToken);
+    text = extraction.text;
+    usage.push(extraction.usage);
+  } else {
+    text = buffer.toString('utf-8').replace(/^\uFEFF/, '');
+  }
+
+  const chunks = chunkDocument(type, text);
+  if (chunks.length === 0) {
+    const error = new Error('No text found in the document');
+    error.statusCode = 422;
+    throw error;
+  }
+
+  const texts = chunks.map(chunk => chunk.text);
+  const embeddings = await embedTexts(texts, accessToken, {
+    taskType: 'RETRIEVAL_DOCUMENT',
+    title: fileName
+  });
+  const embeddingTokens = estimateTokens(texts);
+  usage.push(extractUsage(getEmbeddingModel(), { promptTokenCount: embeddingTokens, totalTokenCount: embeddingTokens }));
+
+  const document = {
+    id: getDocumentId(fileName, workspaceId),
+    name: fileName,
+    type,
+    mimeType: mimeType || '',
+    size: buffer.length,
+    owner,
+    workspaceId,
+    createdAt: Date.now()
+  };
+
+  await getVectorStore().addDocument(
+    document,
+    chunks.map((chunk, i) => ({ ...chunk, embedding: embeddings[i] }))
+  );
+
+  if (debugMode) {
+    console.log('[RAG] Document ingested:', { ...document, chunks: chunks.length, textLength: text.length });
+  }
+
+  return { document: { ...document, chunkCount: chunks.length }, usage };
+}
+
+/**
+ * Retrieve the chunks most relevant to a query
+ * Options (priority: modelSettings > env > defaults): retrieval_top_k, retrieval_min_score
+ * Only the documents of the user's workspace are searched
+ * @returns {Promise<Array>} chunks with score >= min score, best first
+ */
+export async function retrieveChunks(query, modelSettings = null, debugMode = false, { workspaceId = null } = {}) {
+  const topK = Number(modelSettings?.retrieval_top_k ?? process.env.RETRIEVAL_TOP_K ?? DEFAULT_RETRIEVAL_TOP_K);
+  const minScore = Number(modelSettings?.retrieval_min_score ?? process.env.RETRIEVAL_MIN_SCORE ?? DEFAULT_RETRIEVAL_MIN_SCORE);
+
+  const accessToken = await getCloudAccessToken();
+  const [embedding] = await embedTexts([query], accessToken, { taskType: 'RETRIEVAL_QUERY' });
+  const results = await getVectorStore().search(embedding, { topK, workspaceId });
+  const relevant = results.filter(result => result.score >= minScore);
+
+  if (debugMode) {
+    console.log('[RAG] Retrieved chunks:', results.map(r => ({ document: r.documentName, section: r.section, score: r.score.toFixed(3) })));
+  }
+
+  return relevant;
+}
+
+/**
+ * Build the prompt block with the retrieved chunks, labelled [D1], [D2], ...
+ */
+export function buildRetrievalPrompt(chunks) {
+  const excerpts = chunks
+    .map((chunk, i) => {
+      const location = chunk.section ? ` — ${chunk.section}` : '';
+      return `[D${i + 1}] ${chunk.documentName}${location}\n${chunk.text}`;
+    })
+    .join('\n\n');
+
+  return 'Estratti dai documenti del team, da usare se pertinenti alla richiesta. ' +
+    'Quando usi un estratto, cita la fonte con la sua etichetta (es. [D1]). ' +
+    'Se gli estratti non contengono la risposta, dillo invece di inventare.\n\n' +
+    excerpts;
+}
+
+/**
+ * Citations returned to the client (same order/labels as the prompt block)
+ */
+export function toRetrievalSources(chunks) {
+  return chunks.map((chunk, i) => ({
+    label: `D${i + 1}`,
+    documentId: chunk.documentId,
+    documentName: chunk.documentName,
+    section: chunk.section,
+    chunkIndex: chunk.chunkIndex,
+    score: Math.round(chunk.score * 1000) / 1000,
+    snippet: chunk.text.length > SNIPPET_LENGTH ? `${chunk.text.slice(0, SNIPPET_LENGTH)}…` : chunk.text
+  }));
+}
@@ -0,0 +1,100 @@
+/**
+ * Safety settings (per harm category thresholds) and blocked response detection
+ * Same format for the Generative Language API (Gemini) and Vertex AI
+ */
+
+export const HARM_CATEGORIES = [
+  'HARM_CATEGORY_HARASSMENT',
+  'HARM_CATEGORY_HATE_SPEECH',
+  'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+  'HARM_CATEGORY_DANGEROUS_CONTENT'
+];
+
+export const SAFETY_THRESHOLDS = [
+  'BLOCK_NONE',
+  'BLOCK_ONLY_HIGH',
+  'BLOCK_MEDIUM_AND_ABOVE',
+  'BLOCK_LOW_AND_ABOVE',
+  'OFF'
+];
+
+// Italian labels used in the blocked reply text
+const CATEGORY_LABELS = {
+  HARM_CATEGORY_HARASSMENT: 'molestie',
+  HARM_CATEGORY_HATE_SPEECH: 'incitamento all\'odio',
+  HARM_CATEGORY_SEXUALLY_EXPLICIT: 'contenuti sessualmente espliciti',
+  HARM_CATEGORY_DANGEROUS_CONTENT: 'contenuti pericolosi',
+  HARM_CATEGORY_CIVIC_INTEGRITY: 'integrità civica'
+};
+
+// finishReason values meaning the candidate was blocked by a content filter
+const BLOCKED_FINISH_REASONS = ['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII', 'IMAGE_SAFETY'];
+
+/**
+ * Resolve safety settings (priority: modelSettings > Firestore config)
+ * Both store a map { category: threshold }; categories left on the model default are omitted
+ * @returns {Array<{category: string, threshold: string}>|null}
+ */
+export function resolveSafetySettings(modelSettings = null, modelConfig = null) {
+  const map = modelSettings?.safety_settings ?? modelConfig?.safetySettings ?? null;
+  if (!map || typeof map !== 'object') return null;
+
+  const settings = Object.entries(map)
+    .filter(([category, threshold]) => HARM_CATEGORIES.includes(category) && SAFETY_THRESHOLDS.includes(threshold))
+    .map(([category, threshold]) => ({ category, threshold }));
+
+  return settings.length > 0 ? settings : null;
+}
+
+/**
+ * Detect a blocked prompt or a reply stopped by the safety filters
+ * @param {Object} data - generateContent response (or the last stream chunk)
+ * @param {Object} [promptFeedback] - promptFeedback seen earlier in a stream
+ * @returns {{code: 'safety_blocked', stage: 'prompt'|'response', reason: string, categories: string[]}|null}
+ */
+export function detectSafetyBlock(data, promptFeedback = null) {
+  const feedback = data?.promptFeedback || promptFeedback;
+  if (feedback?.blockReason) {
+    return {
+      code: 'safety_blocked', // error taxonomy code (errors.js), the reply itself is a 200
+      stage: 'prompt',
+      reason: feedback.blockReason,
+      categories: blockedCategories(feedback.safetyRatings)
+    };
+  }
+
+  const candidate = data?.candidates?.[0];
+  if (candidate && BLOCKED_FINISH_REASONS.includes(candidate.finishReason)) {
+    return {
+      code: 'safety_blocked',
+      stage: 'response',
+      reason: candidate.finishReason,
+      categories: blockedCategories(candidate.safetyRatings)
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Categories that triggered the block: flagged as blocked, otherwise rated MEDIUM or HIGH
+ */
+function blockedCategories(ratings = []) {
+  const blocked = ratings.filter(rating => rating.blocked);
+  const flagged = blocked.length > 0
+    ? blocked
+    : ratings.filter(rating => rating.probability === 'HIGH' || rating.probability === 'MEDIUM');
+  return flagged.map(rating => rating.category);
+}
+
+/**
+ * Reply text shown instead of "No response generated" for a blocked request
+ */
+export function safetyBlockMessage(block) {
+  const labels = block.categories.map(category => CATEGORY_LABELS[category] || category);
+  const subject = block.stage === 'prompt' ? 'La richiesta è stata bloccata' : 'La risposta è stata bloccata';
+  const cause = labels.length > 0
+    ? ` (categoria: ${labels.join(', ')})`
+    : ` (motivo: ${block.reason})`;
+  return `${subject} dai filtri di sicurezza${cause}. Prova a riformulare il messaggio.`;
+}
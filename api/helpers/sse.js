@@ -0,0 +1,74 @@
+/**
+ * Server-Sent Events helpers
+ * Used to relay Gemini streamGenerateContent chunks to the browser
+ */
+
+/**
+ * Prepare response headers for an SSE stream
+ */
+export function startSSE(res) {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Disable proxy buffering so chunks reach the browser immediately
+  res.setHeader('X-Accel-Buffering', 'no');
+  if (typeof res.flushHeaders === 'function') {
+    res.flushHeaders();
+  }
+}
+
+/**
+ * Write a single SSE event with a JSON payload
+ */
+export function writeSSE(res, payload) {
+  if (res.writableEnded) return;
+  res.write(`data: ${JSON.stringify(payload)}\n\n`);
+}
+
+/**
+ * Parse one raw SSE event block into its JSON data payload
+ */
+function parseEvent(rawEvent) {
+  const data = rawEvent
+    .split(/\r?\n/)
+    .filter(line => line.startsWith('data:'))
+    .map(line => line.slice(5).trimStart())
+    .join('\n');
+
+  if (!data || data === '[DONE]') return null;
+
+  try {
+    return JSON.parse(data);
+  } catch {
+    console.warn('[SSE] Skipping non-JSON event:', data.substring(0, 200));
+    return null;
+  }
+}
+
+/**
+ * Read an upstream SSE body (web ReadableStream) and call onEvent for each JSON payload
+ */
+export async function readSSE(body, onEvent) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = events.pop();
+
+    for (const rawEvent of events) {
+      const payload = parseEvent(rawEvent);
+      if (payload) await onEvent(payload);
+    }
+  }
+
+  buffer += decoder.decode();
+  const payload = buffer.trim() ? parseEvent(buffer) : null;
+  if (payload) await onEvent(payload);
+}
@@ -0,0 +1,73 @@
+import { randomUUID } from 'crypto';
+import { getAccessToken, SCOPES } from './credentials.js';
+import { upstreamError } from './errors.js';
+import { fetchUpstream, resolveUpstreamPolicy } from './upstream.js';
+
+/**
+ * Firebase Storage bucket of the app (Cloud Storage JSON API with the service account)
+ * FIREBASE_STORAGE_BUCKET (e.g. my-project.firebasestorage.app), else the frontend VITE_FIREBASE_STORAGE_BUCKET
+ */
+
+const CHAT_ID_PATTERN = /^[\w-]+$/;
+
+/**
+ * Configured bucket name, null when Storage is not configured
+ */
+export function getStorageBucket() {
+  const bucket = (process.env.FIREBASE_STORAGE_BUCKET || process.env.VITE_FIREBASE_STORAGE_BUCKET || '').trim();
+  return bucket.replace(/^gs:\/\//, '').replace(/\/+$/, '') || null;
+}
+
+/**
+ * Whether generated images of this chat can be stored (bucket configured and a valid chat id)
+ */
+export function canStoreChatImages(chatId) {
+  return Boolean(getStorageBucket()) && typeof chatId === 'string' && CHAT_ID_PATTERN.test(chatId);
+}
+
+/**
+ * Store a generated image under users/{uid}/chats/{chatId}/ (the path storage.rules let the owner read)
+ * The object gets a Firebase download token, so the URL works like the ones of getDownloadURL()
+ * @param {Object} user
+ * @param {string} chatId
+ * @param {string} base64 - image data without the data: prefix
+ * @param {{mimeType?: string, name?: string}} [options]
+ * @returns {Promise<string>} download URL
+ */
+export async function uploadChatImage(user, chatId, base64, { mimeType = 'image/png', name = randomUUID() } = {}) {
+  const bucket = getStorageBucket();
+  if (!bucket || !CHAT_ID_PATTERN.test(chatId || '')) {
+    throw new Error('Storage bucket or chat id missing');
+  }
+
+  const extension = mimeType.split('/')[1] || 'png';
+  const path = `users/${user.uid}/chats/${chatId}/${name}.${extension}`;
+  const token = randomUUID();
+  const boundary = `image-${randomUUID()}`;
+  const metadata = { name: path, contentType: mimeType, metadata: { firebaseStorageDownloadTokens: token } };
+
+  // Multipart upload: JSON metadata, then the image bytes
+  const body = Buffer.concat([
+    Buffer.from(`--${boundary}\r\nContent-Type: application/json; charset=UTF-8\r\n\r\n${JSON.stringify(metadata)}\r\n` +
+      `--${boundary}\r\nContent-Type: ${mimeType}\r\n\r\n`),
+    Buffer.from(base64, 'base64'),
+    Buffer.from(`\r\n--${boundary}--`)
+  ]);
+
+  const accessToken = await getAccessToken(SCOPES.CLOUD_PLATFORM);
+  const { response } = await fetchUpstream(`https://storage.googleapis.com/upload/storage/v1/b/${encodeURIComponent(bucket)}/o?uploadType=multipart`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': `multipart/related; boundary=${boundary}`
+    },
+    body
+  }, { service: 'Storage', ...resolveUpstreamPolicy(null, 'text'), logPrefix: '[API:STORAGE]' });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw upstreamError('Storage upload', response.status, errorText);
+  }
+
+  return `https://firebasestorage.googleapis.com/v0/b/${bucket}/o/${encodeURIComponent(path)}?alt=media&token=${token}`;
+}
@@ -0,0 +1,146 @@
+/**
+ * Structured JSON output
+ * Converts a JSON Schema into a Gemini responseSchema and validates the reply against it
+ */
+
+// JSON Schema keywords supported by Gemini responseSchema (OpenAPI 3.0 subset)
+const GEMINI_SCHEMA_KEYS = ['description', 'format', 'enum', 'required', 'minItems', 'maxItems', 'minimum', 'maximum', 'propertyOrdering'];
+
+/**
+ * Resolve the response schema (priority: modelSettings > Firestore config)
+ * Accepts an object or a JSON string; returns null when structured output is off
+ */
+export function resolveResponseSchema(modelSettings = null, modelConfig = null) {
+  const enabled = typeof modelSettings?.structured_output === 'boolean'
+    ? modelSettings.structured_output
+    : modelConfig?.structuredOutput === true;
+  if (!enabled) return null;
+
+  const schema = modelSettings?.response_schema ?? modelConfig?.responseSchema ?? null;
+  if (!schema) return null;
+
+  if (typeof schema === 'string') {
+    try {
+      return JSON.parse(schema);
+    } catch (error) {
+      const parseError = new Error(`Invalid response schema: ${error.message}`);
+      parseError.statusCode = 400;
+      throw parseError;
+    }
+  }
+  return schema;
+}
+
+/**
+ * Convert a JSON Schema into Gemini responseSchema format
+ * - type names uppercased, ["string", "null"] → STRING + nullable
+ * - unsupported keywords ($schema, additionalProperties, ...) dropped
+ */
+export function toGeminiSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const result = {};
+  let type = schema.type;
+  if (Array.isArray(type)) {
+    if (type.includes('null')) result.nullable = true;
+    type = type.find(t => t !== 'null');
+  }
+  if (!type && schema.properties) type = 'object';
+  if (!type && schema.items) type = 'array';
+  if (type) result.type = type.toUpperCase();
+  if (schema.nullable) result.nullable = true;
+
+  GEMINI_SCHEMA_KEYS.forEach(key => {
+    if (schema[key] !== undefined) result[key] = schema[key];
+  });
+
+  if (schema.properties) {
+    result.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([name, property]) => [name, toGeminiSchema(property)])
+    );
+  }
+  if (schema.items) {
+    result.items = toGeminiSchema(schema.items);
+  }
+
+  return result;
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * Covers the keywords used in responseSchema: type, properties, required, items,
+ * enum, minimum/maximum, minLength/maxLength, minItems/maxItems
+ * @returns {string[]} validation errors ("$.path: message"), empty when valid
+ */
+export function validateAgainstSchema(value, schema, path = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+
+  const errors = [];
+  // Accept Gemini-style upper-case type names too
+  const types = (Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : [])
+    .map(type => String(type).toLowerCase());
+
+  if (value === null) {
+    if (schema.nullable || types.includes('null') || types.length === 0) return [];
+    return [`${path}: expected ${types.join(' | ')}, got null`];
+  }
+
+  const actualType = Array.isArray(value)
+    ? 'array'
+    : Number.isInteger(value) ? 'integer' : typeof value;
+  const matchesType = (type) => type === actualType ||
+    (type === 'number' && actualType === 'integer');
+
+  if (types.length > 0 && !types.some(matchesType)) {
+    return [`${path}: expected ${types.join(' | ')}, got ${actualType}`];
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: shorter than ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: longer than ${schema.maxLength} characters`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: fewer than ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: more than ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${i}]`)));
+    }
+  } else if (typeof value === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${path}.${key}: required`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, property]) => {
+      if (value[key] !== undefined) {
+        errors.push(...validateAgainstSchema(value[key], property, `${path}.${key}`));
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Parse and validate a structured reply
+ * @returns {{valid: boolean, errors: string[]}} the parsed JSON stays in the reply text
+ */
+export function checkStructuredReply(reply, schema) {
+  let data;
+  try {
+    data = JSON.parse(reply);
+  } catch (error) {
+    return { valid: false, errors: [`Invalid JSON: ${error.message}`] };
+  }
+
+  const errors = validateAgainstSchema(data, schema);
+  return { valid: errors.length === 0, errors };
+}
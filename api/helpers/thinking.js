@@ -0,0 +1,80 @@
+/**
+ * Thinking budget and thought summaries (Gemini 2.5 thinking models)
+ */
+
+// gemini-2.5-flash accepts 0 (off) or 1..24576 tokens; -1 lets the model decide
+export const THINKING_BUDGET_AUTO = -1;
+export const THINKING_BUDGET_OFF = 0;
+export const MAX_THINKING_BUDGET = 24576;
+
+/**
+ * Resolve the thinking budget (priority: modelSettings > Firestore config)
+ * modelSettings.thinking_budget is already numeric; the Firestore config stores
+ * the mode (auto / manual / off) plus thinkingBudgetTokens for manual
+ * @returns {number|null} null when nothing is configured (model default)
+ */
+export function resolveThinkingBudget(modelSettings = null, modelConfig = null) {
+  if (Number.isFinite(modelSettings?.thinking_budget)) {
+    return clampBudget(modelSettings.thinking_budget);
+  }
+
+  switch (modelConfig?.thoughtBudget) {
+    case 'off':
+      return THINKING_BUDGET_OFF;
+    case 'manual':
+      return Number.isFinite(modelConfig.thinkingBudgetTokens)
+        ? clampBudget(modelConfig.thinkingBudgetTokens)
+        : THINKING_BUDGET_AUTO;
+    case 'auto':
+      return THINKING_BUDGET_AUTO;
+    default:
+      return null;
+  }
+}
+
+function clampBudget(budget) {
+  if (budget < 0) return THINKING_BUDGET_AUTO;
+  return Math.min(Math.round(budget), MAX_THINKING_BUDGET);
+}
+
+/**
+ * Build generationConfig.thinkingConfig
+ * Thought summaries are requested whenever thinking is on
+ */
+export function buildThinkingConfig(budget) {
+  if (budget === null || budget === undefined) return null;
+  if (budget === THINKING_BUDGET_OFF) {
+    return { thinkingBudget: THINKING_BUDGET_OFF };
+  }
+  return { thinkingBudget: budget, includeThoughts: true };
+}
+
+/**
+ * Split response parts into reply text and thought summary text
+ */
+export function splitThoughtParts(parts = []) {
+  let text = '';
+  let thoughts = '';
+  parts.forEach(part => {
+    if (!part.text) return;
+    if (part.thought) {
+      thoughts += part.text;
+    } else {
+      text += part.text;
+    }
+  });
+  return { text, thoughts };
+}
+
+/**
+ * Thinking info saved on the assistant message
+ */
+export function toThinkingInfo(budget, usageMetadata) {
+  if (budget === null || budget === undefined) {
+    return usageMetadata?.thoughtsTokenCount ? { tokens: usageMetadata.thoughtsTokenCount } : null;
+  }
+  return {
+    budget,
+    tokens: usageMetadata?.thoughtsTokenCount || 0
+  };
+}
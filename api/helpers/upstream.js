@@ -0,0 +1,213 @@
+import { apiError } from './errors.js';
+
+/**
+ * Resilient fetch for the upstream model APIs (Gemini, Vertex AI)
+ * - timeout per attempt, per model (Firestore config > env > defaults below)
+ * - retries with jittered exponential backoff on 408 / 429 / 5xx, timeouts and network errors
+ * - circuit breaker per endpoint: after CIRCUIT_FAILURE_THRESHOLD consecutive failures the
+ *   endpoint is skipped for CIRCUIT_COOLDOWN_MS, then a single trial request closes or reopens it
+ * Breaker state lives in the function instance, it is not shared between Vercel instances
+ */
+
+export const DEFAULT_UPSTREAM_POLICY = {
+  text: { timeoutMs: 60000, maxRetries: 2 },
+  image: { timeoutMs: 90000, maxRetries: 2 }
+};
+
+export const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 8000;
+const MAX_RETRIES_LIMIT = 5;
+const CIRCUIT_FAILURE_THRESHOLD = 5;
+const CIRCUIT_COOLDOWN_MS = 30 * 1000;
+
+// endpoint (origin + path) -> { failures, openUntil, probing }
+const circuits = new Map();
+
+const parsePositive = (value) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : undefined;
+};
+
+const parseRetries = (value) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? Math.min(parsed, MAX_RETRIES_LIMIT) : undefined;
+};
+
+/**
+ * Resolve timeout and retries of a model (priority: Firestore config > env > defaults)
+ * @param {Object|null} modelConfig - timeoutMs, maxRetries
+ * @param {'text'|'image'} kind
+ * @returns {{timeoutMs: number, maxRetries: number}}
+ */
+export function resolveUpstreamPolicy(modelConfig, kind = 'text') {
+  const isImage = kind === 'image';
+  const defaults = DEFAULT_UPSTREAM_POLICY[isImage ? 'image' : 'text'];
+
+  return {
+    timeoutMs: parsePositive(modelConfig?.timeoutMs)
+      ?? parsePositive(isImage ? process.env.IMAGE_UPSTREAM_TIMEOUT_MS : process.env.UPSTREAM_TIMEOUT_MS)
+      ?? defaults.timeoutMs,
+    maxRetries: parseRetries(modelConfig?.maxRetries)
+      ?? parseRetries(process.env.UPSTREAM_MAX_RETRIES)
+      ?? defaults.maxRetries
+  };
+}
+
+/**
+ * Delay before retry number `retry` (0-based): full jitter over an exponential cap,
+ * at least the upstream Retry-After when it fits under MAX_DELAY_MS
+ */
+export function backoffDelay(retry, retryAfter = null) {
+  const cap = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** retry);
+  const jittered = Math.round(Math.random() * cap);
+  const retryAfterMs = parseInt(retryAfter, 10) * 1000;
+  return Number.isFinite(retryAfterMs) ? Math.max(jittered, Math.min(retryAfterMs, MAX_DELAY_MS)) : jittered;
+}
+
+const circuitKey = (url) => {
+  const { origin, pathname } = new URL(url);
+  return `${origin}${pathname}`;
+};
+
+/**
+ * Whether a request may go to the endpoint; after the cooldown one trial request is let through
+ * @returns {number} 0 when allowed, otherwise milliseconds until the next trial
+ */
+function checkCircuit(key, now = Date.now()) {
+  const circuit = circuits.get(key);
+  if (!circuit || circuit.openUntil === 0) return 0;
+  if (now < circuit.openUntil) return circuit.openUntil - now;
+  if (circuit.probing) return CIRCUIT_COOLDOWN_MS;
+  circuit.probing = true;
+  return 0;
+}
+
+function recordFailure(key, logPrefix) {
+  const circuit = circuits.get(key) || { failures: 0, openUntil: 0, probing: false };
+  circuit.failures += 1;
+  if (circuit.probing || circuit.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+    if (circuit.openUntil === 0 || circuit.probing) {
+      console.warn(`${logPrefix} Circuit open for ${key} after ${circuit.failures} failures`);
+    }
+    circuit.openUntil = Date.now() + CIRCUIT_COOLDOWN_MS;
+  }
+  circuit.probing = false;
+  circuits.set(key, circuit);
+}
+
+/**
+ * Close all circuits (tests)
+ */
+export function resetCircuits() {
+  circuits.clear();
+}
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(signal.reason);
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * fetch() with timeout, retries and circuit breaker
+ * The last response is returned even with an error status (callers turn it into upstreamError);
+ * when no response arrived at all it throws upstream_timeout / upstream_unavailable.
+ * Aborting `signal` (client disconnected) stops at once with the AbortError, without retries
+ * @param {string} url
+ * @param {Object} init - fetch options (the body must be a string so it can be sent again)
+ * @param {Object} options
+ * @param {string} [options.service] - name used in messages and logs (e.g. 'Gemini')
+ * @param {number} options.timeoutMs - time allowed for each attempt until the response headers
+ * @param {number} options.maxRetries - attempts after the first one
+ * @param {AbortSignal} [options.signal]
+ * @param {string} [options.logPrefix]
+ * @returns {Promise<{response: Response, attempts: Array<{attempt: number, status?: number, error?: string, durationMs: number, delayMs?: number}>}>}
+ */
+export async function fetchUpstream(url, init = {}, { service = 'Upstream', timeoutMs, maxRetries, signal, logPrefix = '[API]' } = {}) {
+  const key = circuitKey(url);
+  const attempts = [];
+
+  for (let attempt = 1; ; attempt++) {
+    const openForMs = checkCircuit(key);
+    if (openForMs > 0) {
+      const error = apiError('upstream_unavailable', `${service} is temporarily unavailable after repeated failures`, {
+        retryAfter: Math.ceil(openForMs / 1000)
+      });
+      error.attempts = attempts;
+      throw error;
+    }
+
+    const controller = new AbortController();
+    const forwardAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', forwardAbort, { once: true });
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+
+    const startedAt = Date.now();
+    let response = null;
+    let failure = null;
+    try {
+      // A streamed body keeps the caller's signal attached: stopping the client still cancels it
+      response = await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      signal?.removeEventListener('abort', forwardAbort);
+      if (signal?.aborted) {
+        // A trial request cut short by the client says nothing about the endpoint
+        if (circuits.has(key)) circuits.get(key).probing = false;
+        throw error;
+      }
+      failure = error;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const entry = { attempt, durationMs: Date.now() - startedAt };
+    if (failure) {
+      entry.error = timedOut ? 'timeout' : (failure.cause?.code || failure.name);
+    } else {
+      entry.status = response.status;
+    }
+    attempts.push(entry);
+
+    if (!failure && !RETRYABLE_STATUS_CODES.includes(response.status)) {
+      circuits.delete(key);
+      return { response, attempts };
+    }
+
+    recordFailure(key, logPrefix);
+
+    if (attempt > maxRetries && response) return { response, attempts };
+    // Only the attempt whose response is returned keeps forwarding the caller's abort
+    signal?.removeEventListener('abort', forwardAbort);
+
+    if (attempt > maxRetries) {
+      const error = timedOut
+        ? apiError('upstream_timeout', `${service} did not answer within ${Math.round(timeoutMs / 1000)} s`)
+        : apiError('upstream_unavailable', `${service} is unreachable`);
+      error.attempts = attempts;
+      console.error(`${logPrefix} ${service} failed after ${attempts.length} attempts:`, failure);
+      throw error;
+    }
+
+    entry.delayMs = backoffDelay(attempt - 1, response?.headers.get('retry-after'));
+    console.warn(`${logPrefix} ${service} attempt ${attempt} failed (${entry.status || entry.error}), retrying in ${entry.delayMs} ms`);
+    // Free the connection of the failed response before waiting
+    await response?.body?.cancel().catch(() => {});
+    await sleep(entry.delayMs, signal);
+  }
+}
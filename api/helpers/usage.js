@@ -0,0 +1,199 @@
+import { getAccessToken, getProjectId, SCOPES } from './credentials.js';
+import { getModelRegistry } from './modelRegistry.js';
+
+/**
+ * Usage and cost accounting
+ * Token / image counts of every reply, priced with the model price table, rolled up
+ * per user and day (users/{uid}/usageDaily/{YYYY-MM-DD}) and per chat (users/{uid}/chats/{chatId}.usage);
+ * firestore.rules keep both read-only for the client
+ */
+
+export const PRICE_CURRENCY = 'USD';
+
+// List prices come from the model registry (prices per 1M tokens / per image);
+// MODEL_PRICES (JSON, { model: { inputPerMillion, outputPerMillion, perImage } }) overrides them per model
+
+// Counters added to the daily and chat rollups
+const USAGE_FIELDS = ['requests', 'promptTokens', 'outputTokens', 'thinkingTokens', 'images'];
+const DAILY_COLLECTION = 'usageDaily';
+const CHAT_ID_PATTERN = /^[\w-]+$/;
+
+/**
+ * Price table (model registry prices merged with MODEL_PRICES)
+ */
+export function getModelPrices() {
+  let overrides = {};
+  if (process.env.MODEL_PRICES) {
+    try {
+      overrides = JSON.parse(process.env.MODEL_PRICES);
+    } catch (error) {
+      console.error('[API:USAGE] Invalid MODEL_PRICES JSON, using the default prices:', error.message);
+    }
+  }
+
+  const prices = Object.fromEntries(getModelRegistry().map(model => [model.id, model.prices]));
+  for (const [model, price] of Object.entries(overrides)) {
+    prices[model] = { ...(prices[model] || { inputPerMillion: 0, outputPerMillion: 0, perImage: 0 }), ...price };
+  }
+  return prices;
+}
+
+/**
+ * Cost of a usage record with the price table (0 for models without a price)
+ */
+export function priceUsage(model, usage, prices = getModelPrices()) {
+  const price = prices[model];
+  if (!price) return 0;
+
+  const cost = (usage.promptTokens * (price.inputPerMillion || 0)
+    + (usage.outputTokens + usage.thinkingTokens) * (price.outputPerMillion || 0)) / 1000000
+    + usage.images * (price.perImage || 0);
+  // Micro-dollar precision is enough and keeps the JSON short
+  return Math.round(cost * 1000000) / 1000000;
+}
+
+/**
+ * Usage of one reply from the Gemini / Vertex usageMetadata
+ * @param {string} model
+ * @param {Object|null} usageMetadata - { promptTokenCount, candidatesTokenCount, thoughtsTokenCount, totalTokenCount }
+ * @param {{images?: number}} [options] - images generated by the request
+ * @returns {{model, promptTokens, outputTokens, thinkingTokens, totalTokens, images, cost, currency}}
+ */
+export function extractUsage(model, usageMetadata, { images = 0 } = {}) {
+  const usage = {
+    model,
+    promptTokens: usageMetadata?.promptTokenCount || 0,
+    outputTokens: usageMetadata?.candidatesTokenCount || 0,
+    thinkingTokens: usageMetadata?.thoughtsTokenCount || 0,
+    totalTokens: usageMetadata?.totalTokenCount || 0,
+    images
+  };
+  return { ...usage, cost: priceUsage(model, usage), currency: PRICE_CURRENCY };
+}
+
+const firestoreRequest = async (path, body) => {
+  const accessToken = await getAccessToken(SCOPES.DATASTORE);
+  const response = await fetch(`https://firestore.googleapis.com/v1/projects/${getProjectId()}/databases/(default)/documents${path}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  });
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Firestore API error: ${response.status} ${errorText}`);
+  }
+  return response.json();
+};
+
+// Model ids contain "." and "-": field path segments have to be quoted
+const quoteSegment = (segment) => `\`${segment.replace(/[`\\]/g, '\\$&')}\``;
+
+const incrementTransforms = (prefix, usage) => [
+  ...USAGE_FIELDS.map(field => ({
+    fieldPath: `${prefix}.${field}`,
+    increment: { integerValue: String(field === 'requests' ? 1 : Math.round(usage[field] || 0)) }
+  })),
+  { fieldPath: `${prefix}.cost`, increment: { doubleValue: usage.cost || 0 } }
+];
+
+/**
+ * Add the usage of a reply to the user's daily rollup (by model) and to the chat rollup
+ * Failures are logged, never thrown: accounting must not break a reply already generated
+ */
+export async function recordUsageRollup(user, usage, { chatId = null } = {}) {
+  const databasePath = `projects/${getProjectId()}/databases/(default)/documents`;
+  const date = new Date().toISOString().slice(0, 10);
+
+  try {
+    await firestoreRequest(':commit', {
+      writes: [{
+        update: {
+          name: `${databasePath}/users/${user.uid}/${DAILY_COLLECTION}/${date}`,
+          fields: {
+            date: { stringValue: date },
+            updatedAt: { timestampValue: new Date().toISOString() }
+          }
+        },
+        updateMask: { fieldPaths: ['date', 'updatedAt'] },
+        updateTransforms: incrementTransforms(`models.${quoteSegment(usage.model)}`, usage)
+      }]
+    });
+  } catch (error) {
+    console.error('[API:USAGE] Failed to record daily usage:', error.message);
+  }
+
+  if (!chatId || !CHAT_ID_PATTERN.test(chatId)) return;
+
+  // Chat documents are created by the client: never create one here
+  try {
+    await firestoreRequest(':commit', {
+      writes: [{
+        transform: {
+          document: `${databasePath}/users/${user.uid}/chats/${chatId}`,
+          fieldTransforms: incrementTransforms('usage', usage)
+        },
+        currentDocument: { exists: true }
+      }]
+    });
+  } catch (error) {
+    console.warn('[API:USAGE] Chat usage not recorded:', chatId, error.message);
+  }
+}
+
+const parseNumber = (value) => {
+  if (value?.integerValue !== undefined) return parseInt(value.integerValue);
+  if (value?.doubleValue !== undefined) return parseFloat(value.doubleValue);
+  return 0;
+};
+
+const parseUsageMap = (fields = {}) => Object.fromEntries(
+  [...USAGE_FIELDS, 'cost'].map(field => [field, parseNumber(fields[field])])
+);
+
+/**
+ * Daily rollups of the last `days` days (newest first) and, if requested, the rollup of one chat
+ * @returns {Promise<{days: Array<{date, models: Object}>, chat: Object|null}>}
+ */
+export async function loadUsageRollups(user, { days = 30, chatId = null } = {}) {
+  const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  const results = await firestoreRequest(`/users/${user.uid}:runQuery`, {
+    structuredQuery: {
+      from: [{ collectionId: DAILY_COLLECTION }],
+      where: {
+        fieldFilter: {
+          field: { fieldPath: 'date' },
+          op: 'GREATER_THAN_OR_EQUAL',
+          value: { stringValue: since }
+        }
+      },
+      orderBy: [{ field: { fieldPath: 'date' }, direction: 'DESCENDING' }]
+    }
+  });
+
+  const dailyRollups = results
+    .filter(result => result.document)
+    .map(({ document }) => {
+      const models = document.fields?.models?.mapValue?.fields || {};
+      return {
+        date: document.fields?.date?.stringValue,
+        models: Object.fromEntries(
+          Object.entries(models).map(([model, value]) => [model, parseUsageMap(value.mapValue?.fields)])
+        )
+      };
+    });
+
+  let chat = null;
+  if (chatId && CHAT_ID_PATTERN.test(chatId)) {
+    const [result] = await firestoreRequest(':batchGet', {
+      documents: [`projects/${getProjectId()}/databases/(default)/documents/users/${user.uid}/chats/${chatId}`],
+      mask: { fieldPaths: ['usage'] }
+    });
+    chat = result?.found ? parseUsageMap(result.found.fields?.usage?.mapValue?.fields) : null;
+  }
+
+  return { days: dailyRollups, chat };
+}
@@ -0,0 +1,119 @@
+import { getAccessToken, getProjectId, SCOPES } from './credentials.js';
+
+/**
+ * Move the data of an anonymous (localStorage UUID) user to a signed-in Firebase account
+ * users/{legacyUserId}/... → users/{uid}/... (chats with messages and pipeline docs, modelSettings)
+ * The legacy user document keeps a `migratedTo` marker so the data cannot be claimed twice
+ */
+
+const LEGACY_USER_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_WRITES_PER_COMMIT = 500;
+const PAGE_SIZE = 300;
+
+// Subcollections copied for every chat document
+const CHAT_SUBCOLLECTIONS = ['messages', 'pipeline'];
+
+function migrationError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+export function isLegacyUserId(value) {
+  return typeof value === 'string' && LEGACY_USER_ID_PATTERN.test(value);
+}
+
+/**
+ * Copy every document of users/{legacyUserId} to users/{uid}, then delete the originals
+ * @returns {Promise<{migrated: boolean, documents: number}>}
+ * @throws {Error} statusCode 400 (invalid id) / 409 (already moved to another account)
+ */
+export async function migrateLegacyUser(legacyUserId, uid, debugMode = false) {
+  if (!isLegacyUserId(legacyUserId)) {
+    throw migrationError('Invalid "legacyUserId"', 400);
+  }
+
+  const databasePath = `projects/${getProjectId()}/databases/(default)/documents`;
+  const baseUrl = `https://firestore.googleapis.com/v1/${databasePath}`;
+  const legacyUserPath = `${databasePath}/users/${legacyUserId}`;
+
+  const request = async (url, options = {}) => {
+    const accessToken = await getAccessToken(SCOPES.DATASTORE);
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+      },
+    });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Firestore API error: ${response.status} ${errorText}`);
+    }
+    return response.json();
+  };
+
+  const listCollection = async (parentPath, collectionId) => {
+    const documents = [];
+    let pageToken = '';
+    do {
+      const query = new URLSearchParams({ pageSize: String(PAGE_SIZE), ...(pageToken && { pageToken }) });
+      const page = await request(`https://firestore.googleapis.com/v1/${parentPath}/${collectionId}?${query}`);
+      documents.push(...(page?.documents || []));
+      pageToken = page?.nextPageToken || '';
+    } while (pageToken);
+    return documents;
+  };
+
+  const commit = async (writes) => {
+    for (let i = 0; i < writes.length; i += MAX_WRITES_PER_COMMIT) {
+      await request(`${baseUrl}:commit`, {
+        method: 'POST',
+        body: JSON.stringify({ writes: writes.slice(i, i + MAX_WRITES_PER_COMMIT) }),
+      });
+    }
+  };
+
+  // Already migrated (to this account: nothing left to do; to another one: refuse)
+  const legacyUser = await request(`https://firestore.googleapis.com/v1/${legacyUserPath}`);
+  const migratedTo = legacyUser?.fields?.migratedTo?.stringValue;
+  if (migratedTo && migratedTo !== uid) {
+    throw migrationError('This anonymous profile has already been moved to another account', 409);
+  }
+  if (migratedTo === uid) {
+    return { migrated: false, documents: 0 };
+  }
+
+  const chats = await listCollection(legacyUserPath, 'chats');
+  const documents = [...chats, ...await listCollection(legacyUserPath, 'modelSettings')];
+  for (const chat of chats) {
+    for (const collectionId of CHAT_SUBCOLLECTIONS) {
+      documents.push(...await listCollection(chat.name, collectionId));
+    }
+  }
+
+  if (debugMode) {
+    console.log('[API:MIGRATE] Documents to move:', documents.length);
+  }
+
+  const targetName = (name) => name.replace(`/users/${legacyUserId}/`, `/users/${uid}/`);
+
+  // Copy first, delete only once every copy is committed
+  await commit(documents.map(document => ({
+    update: { name: targetName(document.name), fields: document.fields || {} }
+  })));
+  await commit(documents.map(document => ({ delete: document.name })));
+
+  await commit([{
+    update: {
+      name: legacyUserPath,
+      fields: {
+        migratedTo: { stringValue: uid },
+        migratedAt: { integerValue: String(Date.now()) }
+      }
+    }
+  }]);
+
+  return { migrated: true, documents: documents.length };
+}
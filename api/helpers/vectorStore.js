@@ -0,0 +1,309 @@
+/**
+ * Vector stores for "Ground on your data"
+ *
+ * Every store implements the same interface:
+ *   addDocument(document, chunks)  - document: { id, name, type, mimeType, size, owner, workspaceId, createdAt }
+ *                                    chunks: [{ index, section, text, embedding }]
+ *   listDocuments({ workspaceId }) - documents of a workspace sorted by createdAt (newest first)
+ *   getDocument(documentId)        - one document, or null
+ *   deleteDocument(documentId)     - removes the document and all its chunks
+ *   search(embedding, { topK, workspaceId }) - nearest chunks of a workspace:
+ *                                    [{ documentId, documentName, chunkIndex, section, text, score }]
+ *
+ * Every document and chunk belongs to one workspace (workspaceId '' for users without one):
+ * listing and search never cross workspaces
+ * createFirestoreVectorStore persists to Firestore (vector search with findNearest),
+ * createMemoryVectorStore keeps everything in process memory (tests / local runs).
+ */
+
+const DOCUMENTS_COLLECTION = 'ragDocuments';
+const CHUNKS_COLLECTION = 'ragChunks';
+const MAX_WRITES_PER_COMMIT = 500; // Firestore limit
+const LIST_PAGE_SIZE = 300;
+
+// Stored workspace of users without one
+const workspaceKey = (workspaceId) => workspaceId || '';
+
+/**
+ * Cosine similarity between two vectors
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+/**
+ * In-memory vector store (brute-force cosine similarity)
+ */
+export function createMemoryVectorStore() {
+  const documents = new Map();
+  let chunks = [];
+
+  return {
+    async addDocument(document, documentChunks) {
+      const workspaceId = workspaceKey(document.workspaceId);
+      documents.set(document.id, { ...document, workspaceId, chunkCount: documentChunks.length });
+      chunks = chunks
+        .filter(chunk => chunk.documentId !== document.id)
+        .concat(documentChunks.map(chunk => ({ ...chunk, documentId: document.id, documentName: document.name, workspaceId })));
+    },
+
+    async listDocuments({ workspaceId = null } = {}) {
+      return [...documents.values()]
+        .filter(document => document.workspaceId === workspaceKey(workspaceId))
+        .sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    async getDocument(documentId) {
+      return documents.get(documentId) || null;
+    },
+
+    async deleteDocument(documentId) {
+      documents.delete(documentId);
+      chunks = chunks.filter(chunk => chunk.documentId !== documentId);
+    },
+
+    async search(embedding, { topK = 4, workspaceId = null } = {}) {
+      return chunks
+        .filter(chunk => chunk.workspaceId === workspaceKey(workspaceId))
+        .map(chunk => ({
+          documentId: chunk.documentId,
+          documentName: chunk.documentName,
+          chunkIndex: chunk.index,
+          section: chunk.section || '',
+          text: chunk.text,
+          score: cosineSimilarity(embedding, chunk.embedding)
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK);
+    }
+  };
+}
+
+/**
+ * Firestore vector store (REST API v1)
+ * Requires a vector index on ragChunks.embedding (see VERCEL_SETUP.md)
+ * @param {Object} options
+ * @param {string} options.projectId
+ * @param {Function} options.getAccessToken - async () => OAuth token with datastore scope
+ */
+export function createFirestoreVectorStore({ projectId, getAccessToken }) {
+  const databasePath = `projects/${projectId}/databases/(default)/documents`;
+  const baseUrl = `https://firestore.googleapis.com/v1/${databasePath}`;
+
+  const request = async (url, options = {}) => {
+    const accessToken = await getAccessToken();
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+      },
+    });
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Firestore API error: ${response.status} ${errorText}`);
+    }
+    return response.json();
+  };
+
+  const commit = async (writes) => {
+    for (let i = 0; i < writes.length; i += MAX_WRITES_PER_COMMIT) {
+      await request(`${baseUrl}:commit`, {
+        method: 'POST',
+        body: JSON.stringify({ writes: writes.slice(i, i + MAX_WRITES_PER_COMMIT) }),
+      });
+    }
+  };
+
+  const chunkIdsForDocument = async (documentId) => {
+    const results = await request(`${baseUrl}:runQuery`, {
+      method: 'POST',
+      body: JSON.stringify({
+        structuredQuery: {
+          from: [{ collectionId: CHUNKS_COLLECTION }],
+          where: {
+            fieldFilter: {
+              field: { fieldPath: 'documentId' },
+              op: 'EQUAL',
+              value: { stringValue: documentId }
+            }
+          },
+          select: { fields: [{ fieldPath: 'documentId' }] }
+        }
+      }),
+    });
+    return results.filter(result => result.document).map(result => result.document.name);
+  };
+
+  const workspaceFilter = (workspaceId) => ({
+    fieldFilter: {
+      field: { fieldPath: 'workspaceId' },
+      op: 'EQUAL',
+      value: { stringValue: workspaceKey(workspaceId) }
+    }
+  });
+
+  const toDocument = (doc) => {
+    const fields = doc.fields || {};
+    const owner = fields.owner?.mapValue?.fields;
+    return {
+      id: doc.name.split('/').pop(),
+      name: fields.name?.stringValue || '',
+      workspaceId: fields.workspaceId?.stringValue ?? null,
+      type: fields.type?.stringValue || '',
+      mimeType: fields.mimeType?.stringValue || '',
+      size: parseInt(fields.size?.integerValue || '0'),
+      // Documents uploaded before owners were recorded have none
+      owner: owner ? { uid: owner.uid?.stringValue || '', email: owner.email?.stringValue || null } : null,
+      chunkCount: parseInt(fields.chunkCount?.integerValue || '0'),
+      createdAt: parseInt(fields.createdAt?.integerValue || '0')
+    };
+  };
+
+  const toVectorValue = (embedding) => ({
+    mapValue: {
+      fields: {
+        __type__: { stringValue: '__vector__' },
+        value: { arrayValue: { values: embedding.map(v => ({ doubleValue: v })) } }
+      }
+    }
+  });
+
+  return {
+    async addDocument(document, documentChunks) {
+      // Replace previous chunks of the same document (re-upload); the ones with the index
+      // of a new chunk are overwritten, the others deleted
+      const chunkNames = new Set(documentChunks.map(chunk => `${databasePath}/${CHUNKS_COLLECTION}/${document.id}_${chunk.index}`));
+      const staleChunks = await chunkIdsForDocument(document.id);
+      const writes = staleChunks.filter(name => !chunkNames.has(name)).map(name => ({ delete: name }));
+
+      documentChunks.forEach(chunk => {
+        writes.push({
+          update: {
+            name: `${databasePath}/${CHUNKS_COLLECTION}/${document.id}_${chunk.index}`,
+            fields: {
+              documentId: { stringValue: document.id },
+              documentName: { stringValue: document.name },
+              workspaceId: { stringValue: workspaceKey(document.workspaceId) },
+              chunkIndex: { integerValue: String(chunk.index) },
+              section: { stringValue: chunk.section || '' },
+              text: { stringValue: chunk.text },
+              embedding: toVectorValue(chunk.embedding)
+            }
+          }
+        });
+      });
+
+      writes.push({
+        update: {
+          name: `${databasePath}/${DOCUMENTS_COLLECTION}/${document.id}`,
+          fields: {
+            name: { stringValue: document.name },
+            workspaceId: { stringValue: workspaceKey(document.workspaceId) },
+            type: { stringValue: document.type },
+            mimeType: { stringValue: document.mimeType || '' },
+            size: { integerValue: String(document.size || 0) },
+            ...(document.owner && {
+              owner: {
+                mapValue: {
+                  fields: {
+                    uid: { stringValue: document.owner.uid },
+                    email: document.owner.email ? { stringValue: document.owner.email } : { nullValue: null }
+                  }
+                }
+              }
+            }),
+            chunkCount: { integerValue: String(documentChunks.length) },
+            createdAt: { integerValue: String(document.createdAt) }
+          }
+        }
+      });
+
+      await commit(writes);
+    },
+
+    async listDocuments({ workspaceId = null } = {}) {
+      // Pages ordered by document name, each one starting after the last document of the previous
+      const documents = [];
+      let lastName = null;
+      for (;;) {
+        const results = await request(`${baseUrl}:runQuery`, {
+          method: 'POST',
+          body: JSON.stringify({
+            structuredQuery: {
+              from: [{ collectionId: DOCUMENTS_COLLECTION }],
+              where: workspaceFilter(workspaceId),
+              orderBy: [{ field: { fieldPath: '__name__' }, direction: 'ASCENDING' }],
+              ...(lastName && { startAt: { values: [{ referenceValue: lastName }], before: false } }),
+              limit: LIST_PAGE_SIZE
+            }
+          }),
+        });
+        const page = results.filter(result => result.document).map(result => result.document);
+        documents.push(...page.map(toDocument));
+        if (page.length < LIST_PAGE_SIZE) break;
+        lastName = page[page.length - 1].name;
+      }
+      return documents.sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    async getDocument(documentId) {
+      const [result] = await request(`${baseUrl}:batchGet`, {
+        method: 'POST',
+        body: JSON.stringify({ documents: [`${databasePath}/${DOCUMENTS_COLLECTION}/${documentId}`] }),
+      });
+      return result?.found ? toDocument(result.found) : null;
+    },
+
+    async deleteDocument(documentId) {
+      const chunkNames = await chunkIdsForDocument(documentId);
+      await commit([
+        ...chunkNames.map(name => ({ delete: name })),
+        { delete: `${databasePath}/${DOCUMENTS_COLLECTION}/${documentId}` }
+      ]);
+    },
+
+    async search(embedding, { topK = 4, workspaceId = null } = {}) {
+      const results = await request(`${baseUrl}:runQuery`, {
+        method: 'POST',
+        body: JSON.stringify({
+          structuredQuery: {
+            from: [{ collectionId: CHUNKS_COLLECTION }],
+            // Pre-filter: needs the composite vector index on (workspaceId, embedding)
+            where: workspaceFilter(workspaceId),
+            findNearest: {
+              vectorField: { fieldPath: 'embedding' },
+              queryVector: toVectorValue(embedding),
+              distanceMeasure: 'COSINE',
+              limit: topK,
+              distanceResultField: 'vectorDistance'
+            }
+          }
+        }),
+      });
+
+      return results
+        .filter(result => result.document)
+        .map(result => {
+          const fields = result.document.fields || {};
+          const distance = fields.vectorDistance?.doubleValue ?? 1;
+          return {
+            documentId: fields.documentId?.stringValue || '',
+            documentName: fields.documentName?.stringValue || '',
+            chunkIndex: parseInt(fields.chunkIndex?.integerValue || '0'),
+            section: fields.section?.stringValue || '',
+            text: fields.text?.stringValue || '',
+            score: 1 - distance // COSINE distance = 1 - similarity
+          };
+        });
+    }
+  };
+}
@@ -0,0 +1,131 @@
+import { getProjectId } from './credentials.js';
+import { fetchUpstream } from './upstream.js';
+
+/**
+ * Vertex AI region / project selection
+ * Region and project come from the model config, restricted to an allow-list;
+ * 429 / 503 (or no response) from the primary region fail over to the secondary region
+ */
+
+// Regions where the Vertex models used by the app are available
+export const SUPPORTED_REGIONS = [
+  'us-central1',
+  'us-east1',
+  'us-east4',
+  'us-west1',
+  'europe-west1',
+  'europe-west4',
+  'europe-west8',
+  'europe-west9',
+  'asia-northeast1',
+  'asia-southeast1'
+];
+
+// Regions that keep data in the EU (EU data residency)
+export const EU_REGIONS = SUPPORTED_REGIONS.filter(region => region.startsWith('europe-'));
+
+// Status codes that trigger the failover to the secondary region
+const FAILOVER_STATUS_CODES = [429, 503];
+
+const DEFAULT_REGION = process.env.VERTEX_REGION || 'us-central1';
+
+/**
+ * Default project: VERTEX_PROJECT_ID, then the credentials project
+ */
+const getDefaultProjectId = () => process.env.VERTEX_PROJECT_ID || getProjectId();
+
+function invalidLocation(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Resolve project, region and secondary region (priority: modelSettings > Firestore config > env;
+ * the project comes from the Firestore config or env only)
+ * @returns {{projectId: string, region: string, fallbackRegion: string|null, euDataResidency: boolean}}
+ * @throws {Error} statusCode 400 for a region outside the allow-list or outside the EU with EU residency on
+ */
+export function resolveVertexLocation(modelSettings = null, modelConfig = null) {
+  // A request can turn EU data residency on, never off when the Firestore config enforces it
+  const euDataResidency = modelConfig?.euDataResidency === true || modelSettings?.eu_data_residency === true;
+  const allowed = euDataResidency ? EU_REGIONS : SUPPORTED_REGIONS;
+
+  const region = modelSettings?.region || modelConfig?.region || (euDataResidency ? 'europe-west1' : DEFAULT_REGION);
+  const fallbackRegion = modelSettings?.fallback_region ?? modelConfig?.fallbackRegion ?? process.env.VERTEX_FALLBACK_REGION ?? null;
+
+  if (!allowed.includes(region)) {
+    throw invalidLocation(euDataResidency
+      ? `Region "${region}" is not in the EU. With EU data residency use one of: ${EU_REGIONS.join(', ')}`
+      : `Region "${region}" is not supported. Use one of: ${SUPPORTED_REGIONS.join(', ')}`);
+  }
+  if (fallbackRegion && !allowed.includes(fallbackRegion)) {
+    throw invalidLocation(euDataResidency
+      ? `Secondary region "${fallbackRegion}" is not in the EU. With EU data residency use one of: ${EU_REGIONS.join(', ')}`
+      : `Secondary region "${fallbackRegion}" is not supported. Use one of: ${SUPPORTED_REGIONS.join(', ')}`);
+  }
+
+  return {
+    // Never from the request: the project decides what the service account is billed and allowed for
+    projectId: modelConfig?.projectId || getDefaultProjectId(),
+    region,
+    fallbackRegion: fallbackRegion && fallbackRegion !== region ? fallbackRegion : null,
+    euDataResidency
+  };
+}
+
+/**
+ * Vertex AI publisher model endpoint (e.g. method = 'generateContent', 'predict')
+ */
+export function buildVertexEndpoint({ projectId, region }, model, method) {
+  return `https://${region}-aiplatform.googleapis.com/v1/projects/${projectId}/locations/${region}/publishers/google/models/${model}:${method}`;
+}
+
+/**
+ * POST to a Vertex model through fetchUpstream (timeout, retries, circuit breaker),
+ * failing over to the secondary region on 429 / 503 or when the primary region gives no response
+ * With a secondary region the primary gets a single attempt, the retries go to the secondary
+ * @param {Object} location - from resolveVertexLocation
+ * @param {Object} options - logPrefix, service and the upstream policy (timeoutMs, maxRetries)
+ * @returns {Promise<{response: Response, region: string, failover: boolean, attempts: Array<Object>}>}
+ */
+export async function fetchVertexWithFailover(location, model, method, init, { logPrefix = '[API:VERTEX]', service = 'Vertex AI', timeoutMs, maxRetries } = {}) {
+  const endpoint = buildVertexEndpoint(location, model, method);
+  const options = { logPrefix, service, timeoutMs, maxRetries };
+  const withRegion = (attempts, region) => attempts.map(attempt => ({ ...attempt, region }));
+
+  if (!location.fallbackRegion) {
+    const { response, attempts } = await fetchUpstream(endpoint, init, options);
+    return { response, region: location.region, failover: false, attempts: withRegion(attempts, location.region) };
+  }
+
+  let primaryAttempts;
+  try {
+    const { response, attempts } = await fetchUpstream(endpoint, init, { ...options, maxRetries: 0 });
+    if (!FAILOVER_STATUS_CODES.includes(response.status)) {
+      return { response, region: location.region, failover: false, attempts: withRegion(attempts, location.region) };
+    }
+    console.warn(`${logPrefix} ${location.region} returned ${response.status}, failing over to ${location.fallbackRegion}`);
+    await response.body?.cancel().catch(() => {});
+    primaryAttempts = attempts;
+  } catch (error) {
+    // No response from the primary region (timeout, network error, open circuit)
+    if (!error.attempts) throw error;
+    console.warn(`${logPrefix} ${location.region} failed (${error.code}), failing over to ${location.fallbackRegion}`);
+    primaryAttempts = error.attempts;
+  }
+
+  const fallbackEndpoint = buildVertexEndpoint({ ...location, region: location.fallbackRegion }, model, method);
+  try {
+    const { response, attempts } = await fetchUpstream(fallbackEndpoint, init, options);
+    return {
+      response,
+      region: location.fallbackRegion,
+      failover: true,
+      attempts: [...withRegion(primaryAttempts, location.region), ...withRegion(attempts, location.fallbackRegion)]
+    };
+  } catch (error) {
+    error.attempts = [...withRegion(primaryAttempts, location.region), ...withRegion(error.attempts || [], location.fallbackRegion)];
+    throw error;
+  }
+}
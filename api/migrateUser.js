@@ -0,0 +1,24 @@
+import { requireUser } from './helpers/auth.js';
+import { migrateLegacyUser } from './helpers/userMigration.js';
+import { withApi } from './helpers/middleware.js';
+
+/**
+ * First sign-in: move the anonymous localStorage user data to the signed-in account
+ * POST { legacyUserId, debugMode? } → { migrated, documents }
+ */
+async function handler(req, res) {
+  // The data is moved to the account of the ID token, never to a uid sent in the body
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const { legacyUserId, debugMode: requestDebugMode } = req.body || {};
+  const DEBUG_MODE = process.env.DEBUG_MODE === "true" || requestDebugMode === true;
+
+  console.log('[API:MIGRATE] Moving anonymous data:', { legacyUserId, uid: user.uid });
+  const result = await migrateLegacyUser(legacyUserId, user.uid, DEBUG_MODE);
+  console.log('[API:MIGRATE] Done:', result);
+
+  return res.status(200).json(result);
+}
+
+export default withApi(handler, { methods: ['POST'], logPrefix: '[API:MIGRATE]' });
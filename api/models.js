@@ -0,0 +1,19 @@
+import { requireUser } from './helpers/auth.js';
+import { getModelRegistry, DEFAULT_MODEL_ID } from './helpers/modelRegistry.js';
+import { withApi } from './helpers/middleware.js';
+
+/**
+ * Model registry as used by the client (model selector, Model Settings, request routing)
+ * GET → { defaultModel, models: [{ id, label, description, type, provider, endpoint, googleModel, selectable, capabilities, defaults }] }
+ * Prices are served by /api/usage
+ */
+async function handler(req, res) {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const models = getModelRegistry().map(({ prices, ...model }) => model);
+  res.setHeader('Cache-Control', 'private, max-age=300');
+  return res.status(200).json({ defaultModel: DEFAULT_MODEL_ID, models });
+}
+
+export default withApi(handler, { methods: ['GET'], logPrefix: '[API:MODELS]' });
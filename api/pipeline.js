@@ -0,0 +1,188 @@
+import { requireUser } from './helpers/auth.js';
+import { loadModelConfig } from './helpers/firestoreConfig.js';
+import { loadResolvedPipelineConfig, getActiveStages, STAGE_POSITIONS } from './helpers/pipelineConfig.js';
+import { runPipelineStages } from './helpers/pipelineRunner.js';
+import { TEMPLATE_LIMITS } from './helpers/pipelineTemplates.js';
+import { resolveVariables, renderInstructions } from './helpers/promptTemplate.js';
+import { enforceQuota, recordUsage } from './helpers/quota.js';
+import { recordUsageRollup } from './helpers/usage.js';
+import { withApi, sendError } from './helpers/middleware.js';
+import { apiError } from './helpers/errors.js';
+import { resolveEndpointModel, MODEL_ENDPOINTS } from './helpers/modelRegistry.js';
+
+/**
+ * Render the instructions of the stages that will run
+ * Every instruction is checked before the first stage runs, so a missing value spends no quota
+ * @throws {Error} missing_variables (400)
+ */
+const renderStages = (stages, variables) => {
+  const instructions = renderInstructions(stages.map(stage => stage.instruction), resolveVariables(variables));
+  return stages.map((stage, index) => ({ ...stage, instruction: instructions[index] }));
+};
+
+/**
+ * The chat layer is written by the client: a resolved pipeline gets at most as many stages as a template
+ * @throws {Error} invalid_input (400)
+ */
+const checkStageLimit = (config) => {
+  if (config.stages.length > TEMPLATE_LIMITS.stages) {
+    throw apiError('invalid_input', `Pipeline has more than ${TEMPLATE_LIMITS.stages} stages`);
+  }
+};
+
+/**
+ * Every stage counts one request against the limits of its model; unknown models fail in their stage
+ * @returns {Promise<Object|null>} quotas by model id, null when a 429 has been sent
+ */
+const enforceStageQuotas = async (res, user, stages) => {
+  const calls = new Map();
+  for (const stage of stages) {
+    calls.set(stage.model, (calls.get(stage.model) || 0) + 1);
+  }
+
+  const quotas = {};
+  for (const [model, requests] of calls) {
+    let definition;
+    try {
+      definition = resolveEndpointModel(model, MODEL_ENDPOINTS.CHAT);
+    } catch {
+      continue;
+    }
+    const quota = await enforceQuota(res, user, definition.id, await loadModelConfig(definition.id), { requests });
+    if (!quota) return null;
+    quotas[definition.id] = quota;
+  }
+  return quotas;
+};
+
+/**
+ * Stage usage goes to the user (and chat) rollups and to the daily budget of each model
+ */
+const recordStageUsage = async (user, quotas, steps, { chatId = null } = {}) => {
+  for (const step of steps.filter(step => step.usage)) {
+    await recordUsageRollup(user, step.usage, { chatId });
+    if (quotas[step.usage.model]) {
+      quotas[step.usage.model] = await recordUsage(user, quotas[step.usage.model], { tokens: step.usage.totalTokens });
+    }
+  }
+};
+
+// Client gone: stop the remaining stages
+const abortOnClose = (res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  return controller.signal;
+};
+
+/**
+ * Dry run: the stages before the main model on a sample message and, with a sample reply,
+ * the stages after it; the main model is not called and nothing is written to the chat
+ * (usage still counts against the user's limits)
+ */
+const dryRun = async (req, res, user) => {
+  const { chatId, input, reply, config: chatLayer, variables, debugMode: requestDebugMode } = req.body;
+  const DEBUG_MODE = process.env.DEBUG_MODE === "true" || requestDebugMode === true;
+
+  if (!input || typeof input !== 'string') {
+    return sendError(res, 400, 'Missing or invalid "input" field');
+  }
+  if (reply !== undefined && reply !== null && typeof reply !== 'string') {
+    return sendError(res, 400, 'Invalid "reply" field');
+  }
+  if (chatLayer !== undefined && chatLayer !== null && (typeof chatLayer !== 'object' || Array.isArray(chatLayer))) {
+    return sendError(res, 400, 'Invalid "config" field');
+  }
+
+  const config = await loadResolvedPipelineConfig(user, {
+    chatId: typeof chatId === 'string' ? chatId : null,
+    chatLayer: chatLayer || null
+  });
+  checkStageLimit(config);
+  const sampleReply = reply?.trim() ? reply : null;
+  const before = renderStages(getActiveStages(config, STAGE_POSITIONS.BEFORE), variables);
+  const after = sampleReply ? renderStages(getActiveStages(config, STAGE_POSITIONS.AFTER), variables) : [];
+
+  const quotas = await enforceStageQuotas(res, user, [...before, ...after]);
+  if (!quotas) return;
+  const signal = abortOnClose(res);
+
+  console.log('[API:PIPELINE] Dry run:', { before: before.map(stage => stage.id), after: after.map(stage => stage.id) });
+  const startedAt = Date.now();
+  const beforeRun = await runPipelineStages(before, input, { signal, debugMode: DEBUG_MODE });
+  const afterRun = await runPipelineStages(after, sampleReply || '', { originalMessage: input, signal, debugMode: DEBUG_MODE });
+  const steps = [...beforeRun.steps, ...afterRun.steps];
+
+  await recordStageUsage(user, quotas, steps);
+
+  return res.status(200).json({
+    dryRun: true,
+    prompt: beforeRun.output,
+    reply: sampleReply ? afterRun.output : null,
+    steps,
+    durationMs: Date.now() - startedAt,
+    version: config.version
+  });
+};
+
+/**
+ * Pipeline of a chat, resolved from the global, workspace and chat layers
+ * GET ?chatId=...  → { config: { version, enabled, stages, layers } }
+ * POST { chatId, position: 'before'|'after', input, originalMessage?, variables?, debugMode? }
+ *   → { output, steps, version } - runs the active stages of the position in order
+ *   ("before": input is the user's message; "after": input is the main model reply)
+ *   Stage instructions are rendered with `variables` first: 400 missing_variables if any value is missing
+ * POST { dryRun: true, chatId, input, reply?, config?, variables?, debugMode? }
+ *   → { dryRun, prompt, reply, steps, durationMs, version } - preview of the pipeline on sample text;
+ *   `config` is an unsaved chat layer that replaces the stored one
+ */
+async function handler(req, res) {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  if (req.method === 'GET') {
+    const chatId = typeof req.query?.chatId === 'string' ? req.query.chatId : null;
+    const config = await loadResolvedPipelineConfig(user, { chatId });
+    return res.status(200).json({ config });
+  }
+
+  if (req.body?.dryRun === true) {
+    return dryRun(req, res, user);
+  }
+
+  const { chatId, position, input, originalMessage, variables, debugMode: requestDebugMode } = req.body || {};
+  const DEBUG_MODE = process.env.DEBUG_MODE === "true" || requestDebugMode === true;
+
+  if (!Object.values(STAGE_POSITIONS).includes(position)) {
+    return sendError(res, 400, `Invalid "position": use ${Object.values(STAGE_POSITIONS).join(' or ')}`);
+  }
+  if (!input || typeof input !== 'string') {
+    return sendError(res, 400, 'Missing or invalid "input" field');
+  }
+
+  const config = await loadResolvedPipelineConfig(user, { chatId: typeof chatId === 'string' ? chatId : null });
+  checkStageLimit(config);
+  const activeStages = getActiveStages(config, position);
+  if (activeStages.length === 0) {
+    return res.status(200).json({ output: input, steps: [], version: config.version });
+  }
+
+  const stages = renderStages(activeStages, variables);
+  const quotas = await enforceStageQuotas(res, user, stages);
+  if (!quotas) return;
+  const signal = abortOnClose(res);
+
+  console.log('[API:PIPELINE] Running stages:', { position, stages: stages.map(stage => stage.id) });
+  const { output, steps } = await runPipelineStages(stages, input, {
+    originalMessage: typeof originalMessage === 'string' ? originalMessage : input,
+    signal,
+    debugMode: DEBUG_MODE
+  });
+
+  await recordStageUsage(user, quotas, steps, { chatId });
+
+  return res.status(200).json({ output, steps, version: config.version });
+}
+
+export default withApi(handler, { methods: ['GET', 'POST'], logPrefix: '[API:PIPELINE]' });
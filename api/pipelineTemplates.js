@@ -0,0 +1,41 @@
+import { requireUser } from './helpers/auth.js';
+import { listSharedTemplates, shareTemplate, unshareTemplate } from './helpers/pipelineTemplates.js';
+import { withApi, sendError } from './helpers/middleware.js';
+
+/**
+ * Pipeline templates shared with the team
+ * GET                                   → { templates }
+ * POST { template: { name, description, tags, pipeline, forkedFrom? } } → { template } (201)
+ * DELETE ?id=<templateId>               → remove a template you shared
+ */
+async function handler(req, res) {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  if (req.method === 'GET') {
+    const templates = await listSharedTemplates(user);
+    return res.status(200).json({ templates });
+  }
+
+  if (req.method === 'POST') {
+    const { template } = req.body || {};
+    if (!template || typeof template !== 'object') {
+      return sendError(res, 400, 'Missing or invalid "template" field');
+    }
+
+    const shared = await shareTemplate(user, template);
+    return res.status(201).json({ template: shared });
+  }
+
+  if (req.method === 'DELETE') {
+    const templateId = req.query?.id;
+    if (!templateId || typeof templateId !== 'string') {
+      return sendError(res, 400, 'Missing "id" query parameter');
+    }
+
+    await unshareTemplate(user, templateId);
+    return res.status(200).json({ success: true });
+  }
+}
+
+export default withApi(handler, { methods: ['GET', 'POST', 'DELETE'], logPrefix: '[API:TEMPLATES]' });
@@ -0,0 +1,24 @@
+import { requireUser } from './helpers/auth.js';
+import { loadModelConfig } from './helpers/firestoreConfig.js';
+import { getQuotaStatus } from './helpers/quota.js';
+import { withApi, sendError } from './helpers/middleware.js';
+
+/**
+ * Remaining budget of the signed-in user for a model
+ * GET ?model=gemini-2.5-flash → { model, requestsPerMinute, daily }
+ */
+async function handler(req, res) {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const model = req.query?.model;
+  // Model ids end up in Firestore document paths
+  if (!model || typeof model !== 'string' || !/^[\w.-]+$/.test(model)) {
+    return sendError(res, 400, 'Missing or invalid "model" parameter');
+  }
+
+  const modelConfig = await loadModelConfig(model);
+  return res.status(200).json(await getQuotaStatus(user, model, modelConfig));
+}
+
+export default withApi(handler, { methods: ['GET'], logPrefix: '[API:QUOTA]' });
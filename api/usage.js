@@ -0,0 +1,26 @@
+import { requireUser } from './helpers/auth.js';
+import { loadUsageRollups, getModelPrices, PRICE_CURRENCY } from './helpers/usage.js';
+import { withApi } from './helpers/middleware.js';
+
+const MAX_DAYS = 90;
+
+/**
+ * Usage and spend of the signed-in user
+ * GET ?days=30&chatId=... → { currency, prices, days: [{ date, models }], chat }
+ */
+async function handler(req, res) {
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const days = Math.min(MAX_DAYS, Math.max(1, parseInt(req.query?.days, 10) || 30));
+  const chatId = typeof req.query?.chatId === 'string' ? req.query.chatId : null;
+
+  const rollups = await loadUsageRollups(user, { days, chatId });
+  return res.status(200).json({
+    currency: PRICE_CURRENCY,
+    prices: getModelPrices(),
+    ...rollups
+  });
+}
+
+export default withApi(handler, { methods: ['GET'], logPrefix: '[API:USAGE]' });
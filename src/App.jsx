@@ -1,7 +1,44 @@
+import { useState, useEffect } from 'react';
 import ChatUI from './components/ChatUI';
 import ChatSidebar from './components/ChatSidebar';
+import LoginScreen from './components/LoginScreen';
+import { useChatStore } from './store/chatStore';
+import { subscribeToAuth, completeEmailLinkSignIn, migrateLegacyUser } from './lib/auth';
 
 export default function App() {
+  // undefined = auth state not known yet, null = signed out
+  const [user, setUser] = useState(undefined);
+  const [authError, setAuthError] = useState(null);
+
+  useEffect(() => {
+    // Opened from an email sign-in link
+    completeEmailLinkSignIn().catch((error) => {
+      console.error('[Auth] Email link sign-in error:', error);
+      setAuthError('Il link di accesso non è valido o è scaduto. Richiedine uno nuovo.');
+    });
+
+    return subscribeToAuth(async (firebaseUser) => {
+      if (firebaseUser) {
+        // First sign-in: bring over the chats of the anonymous localStorage user
+        await migrateLegacyUser();
+      }
+      useChatStore.getState().setAuthUser(firebaseUser?.uid || null);
+      setUser(firebaseUser);
+    });
+  }, []);
+
+  if (user === undefined) {
+    return (
+      <div className="flex h-screen items-center justify-center text-text-muted text-sm" style={{ backgroundColor: 'var(--bg-app)' }}>
+        Caricamento...
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <LoginScreen error={authError} />;
+  }
+
   return (
     <div className="flex h-screen" style={{ backgroundColor: 'var(--bg-app)' }}>
       <ChatSidebar />
@@ -9,4 +46,3 @@ export default function App() {
     </div>
   );
 }
-
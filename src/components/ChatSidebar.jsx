@@ -20,7 +20,9 @@ import {
   verticalListSortingStrategy,
 } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
-import { PlusCircle, Pin, MoreVertical, Edit3, ChevronUp, ChevronDown, Trash2 } from 'lucide-react';
+import { PlusCircle, Pin, MoreVertical, Edit3, ChevronUp, ChevronDown, Trash2, LogOut } from 'lucide-react';
+import { auth } from '../config/firebase';
+import { signOutUser } from '../lib/auth';
 
 /**
  * Chat Sidebar Component with CRUD, Pin, and Drag & Drop
@@ -322,6 +324,21 @@ const ChatSidebar = () => {
           </div>
         )}
       </div>
+
+      {/* Signed-in account */}
+      <div className="p-3 border-t border-subtle flex items-center gap-2">
+        <span className="flex-1 truncate text-xs text-text-muted" title={auth?.currentUser?.email || ''}>
+          {auth?.currentUser?.email || auth?.currentUser?.displayName || 'Account'}
+        </span>
+        <button
+          type="button"
+          onClick={() => signOutUser().catch(error => console.error('[Auth] Sign-out error:', error))}
+          className="p-1.5 hover:bg-glass-white-hover rounded-full transition-all duration-fast"
+          title="Esci"
+        >
+          <LogOut size={16} strokeWidth={1.5} className="text-text-muted" />
+        </button>
+      </div>
     </div>
   );
 };
@@ -3,7 +3,19 @@ import { useChatStore, testFirestoreRead, testFirestoreWrite } from '../store/ch
 import ModelSelector from './ModelSelector';
 import ModelSettings from './ModelSettings';
 import PipelineConfig from './PipelineConfig';
-import { getModelDisplayName } from '../constants/models';
+import PromptVariables from './PromptVariables';
+import DocumentLibrary from './DocumentLibrary';
+import UsageDashboard from './UsageDashboard';
+import JsonTree from './JsonTree';
+import { getAvailableModels, getModelDisplayName } from '../constants/models';
+import { splitCitedText, getSourceLabel } from '../lib/grounding';
+import { HARM_CATEGORY_LABELS_IT } from '../lib/safetySettings';
+import { formatCost } from '../lib/usage';
+import { describeApiError, ERROR_ACTIONS } from '../lib/apiErrors';
+import { signOutUser } from '../lib/auth';
+import { modelSupportsOption } from '../lib/modelCapabilities';
+import { VISION_PRESETS } from '../lib/visionPresets';
+import { getActiveStages, STAGE_POSITIONS } from '../lib/pipelineConfig';
 import { 
   Copy, 
   RotateCcw, 
@@ -15,9 +27,256 @@ import {
   Workflow, 
   Send, 
   Image as ImageIcon,
-  X
+  X,
+  Globe,
+  Search,
+  FileText,
+  Braces,
+  Brain,
+  ChevronDown,
+  ChevronRight,
+  ShieldAlert,
+  Gauge,
+  BarChart3,
+  AlertCircle,
+  LogIn,
+  ScanEye,
+  Variable
 } from 'lucide-react';
 
+/**
+ * Compact token count (e.g. 12.3k)
+ */
+const formatTokenCount = (count) => {
+  if (!Number.isFinite(count)) return '0';
+  return count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(Math.round(count));
+};
+
+/**
+ * Remaining budget of the selected model: daily tokens / images and requests per minute
+ * Turns amber when less than 10% of either is left
+ */
+const QuotaIndicator = ({ quota }) => {
+  const { daily, requestsPerMinute } = quota;
+  if (!daily && !requestsPerMinute) return null;
+
+  const isLow = (part) => part && part.remaining <= part.limit * 0.1;
+  const low = isLow(daily) || isLow(requestsPerMinute);
+  const dailyLabel = daily && (daily.unit === 'images'
+    ? `${daily.remaining}/${daily.limit} immagini`
+    : `${formatTokenCount(daily.remaining)}/${formatTokenCount(daily.limit)} token`);
+
+  return (
+    <div
+      className="mt-2 flex items-center justify-center gap-1.5 text-xs"
+      style={{ color: low ? '#b45309' : 'rgba(74,79,88,0.7)' }}
+      title={daily ? `Si rinnova alle ${new Date(daily.resetAt).toLocaleTimeString('it-IT', { hour: '2-digit', minute: '2-digit' })}` : undefined}
+    >
+      <Gauge size={12} strokeWidth={1.5} />
+      {dailyLabel && <span>Budget oggi: {dailyLabel}</span>}
+      {dailyLabel && requestsPerMinute && <span>·</span>}
+      {requestsPerMinute && <span>{requestsPerMinute.remaining}/{requestsPerMinute.limit} richieste al minuto</span>}
+    </div>
+  );
+};
+
+/**
+ * Failed request: localized message and the action that can fix it
+ * (retry, put the prompt back in the composer, switch to another model, sign in again,
+ * fill in the prompt variables)
+ */
+const ErrorNotice = ({ error, selectedModel, onRetry, onEditPrompt, onSwitchModel, onFillVariables, onDismiss }) => {
+  const buttonClass = 'inline-flex items-center gap-1 px-2.5 py-1 rounded-full text-xs font-medium bg-white border border-red-200 text-red-700 hover:bg-red-100 transition-colors';
+
+  return (
+    <div className="mb-3 p-3 bg-red-50 border border-red-200 rounded-lg text-red-600 text-sm">
+      <div className="flex items-start gap-2">
+        <AlertCircle size={16} strokeWidth={1.5} className="flex-shrink-0 mt-0.5" />
+        <div className="flex-1 min-w-0">
+          <p>{error.message}</p>
+          {error.requestId && (
+            <p className="mt-0.5 text-xs text-red-400">ID richiesta: {error.requestId}</p>
+          )}
+          <div className="mt-2 flex flex-wrap gap-2 empty:hidden">
+            {error.action === ERROR_ACTIONS.RETRY && onRetry && (
+              <button type="button" onClick={onRetry} className={buttonClass}>
+                <RotateCcw size={12} strokeWidth={1.5} />
+                Riprova
+              </button>
+            )}
+            {error.action === ERROR_ACTIONS.EDIT_PROMPT && onEditPrompt && (
+              <button type="button" onClick={onEditPrompt} className={buttonClass}>
+                <Edit3 size={12} strokeWidth={1.5} />
+                Modifica il prompt
+              </button>
+            )}
+            {error.action === ERROR_ACTIONS.SWITCH_MODEL && getAvailableModels().filter(model => model !== selectedModel).map(model => (
+              <button key={model} type="button" onClick={() => onSwitchModel(model)} className={buttonClass}>
+                <Sparkles size={12} strokeWidth={1.5} />
+                Usa {getModelDisplayName(model)}
+              </button>
+            ))}
+            {error.action === ERROR_ACTIONS.FILL_VARIABLES && onFillVariables && (
+              <button type="button" onClick={onFillVariables} className={buttonClass}>
+                <Variable size={12} strokeWidth={1.5} />
+                Compila le variabili
+              </button>
+            )}
+            {error.action === ERROR_ACTIONS.SIGN_IN && (
+              <button type="button" onClick={() => signOutUser()} className={buttonClass}>
+                <LogIn size={12} strokeWidth={1.5} />
+                Accedi di nuovo
+              </button>
+            )}
+          </div>
+        </div>
+        <button type="button" onClick={onDismiss} className="flex-shrink-0 text-red-400 hover:text-red-600" title="Chiudi">
+          <X size={14} strokeWidth={1.5} />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Parse a structured output reply (null if the text is not a JSON object/array)
+ */
+const parseStructuredContent = (content) => {
+  try {
+    const data = JSON.parse(content);
+    return data !== null && typeof data === 'object' ? { data } : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Structured output reply: JSON tree with schema check and copy button
+ */
+const StructuredReply = ({ data, structured, onCopy }) => (
+  <div
+    className="mb-2 rounded-lg px-3 py-2"
+    style={{ background: 'rgba(74,79,88,0.05)', border: '1px solid rgba(74,79,88,0.12)' }}
+  >
+    <div className="flex items-center justify-between mb-1.5">
+      <span
+        className="inline-flex items-center gap-1.5 px-2 py-0.5 rounded-full text-xs font-medium"
+        style={structured.valid
+          ? { background: 'rgba(22,163,74,0.12)', color: '#16A34A' }
+          : { background: 'rgba(220,38,38,0.12)', color: '#DC2626' }}
+        title={(structured.errors || []).join('\n')}
+      >
+        <Braces size={11} strokeWidth={1.5} />
+        {structured.valid
+          ? 'JSON conforme allo schema'
+          : `JSON non conforme (${structured.errors?.length || 0} errori)`}
+      </span>
+      <button
+        type="button"
+        onClick={() => onCopy(JSON.stringify(data, null, 2))}
+        className="p-1 rounded transition-all duration-fast hover:bg-glass-white-hover"
+        style={{ color: 'rgba(74,79,88,0.5)' }}
+        title="Copia JSON"
+        onMouseEnter={(e) => e.currentTarget.style.color = 'var(--accent-primary)'}
+        onMouseLeave={(e) => e.currentTarget.style.color = 'rgba(74,79,88,0.5)'}
+      >
+        <Copy size={14} strokeWidth={1.5} />
+      </button>
+    </div>
+    <JsonTree data={data} />
+  </div>
+);
+
+/**
+ * Collapsible thought summary of a thinking model, with thinking tokens used
+ * Open while the reply is still streaming, collapsed afterwards
+ */
+const ReasoningSection = ({ thoughts, thinking, streaming }) => {
+  const [expanded, setExpanded] = useState(false);
+  const open = expanded || (streaming && !!thoughts);
+
+  return (
+    <div className="mb-2">
+      <button
+        type="button"
+        onClick={() => thoughts && setExpanded(prev => !prev)}
+        className="flex items-center gap-1.5 text-xs font-medium text-text-muted hover:opacity-80"
+        style={{ cursor: thoughts ? 'pointer' : 'default' }}
+      >
+        {thoughts && (open
+          ? <ChevronDown size={12} strokeWidth={1.5} />
+          : <ChevronRight size={12} strokeWidth={1.5} />)}
+        <Brain size={12} strokeWidth={1.5} />
+        Ragionamento
+        {thinking?.tokens > 0 && (
+          <span className="font-normal">· {formatTokenCount(thinking.tokens)} token</span>
+        )}
+      </button>
+      {open && thoughts && (
+        <p
+          className="whitespace-pre-wrap mt-1 pl-3 text-xs leading-relaxed text-text-muted border-l"
+          style={{ borderColor: 'rgba(74,79,88,0.15)' }}
+        >
+          {thoughts}
+        </p>
+      )}
+    </div>
+  );
+};
+
+const PIPELINE_POSITION_LABELS = { before: 'prima', main: 'principale', after: 'dopo' };
+
+/**
+ * Collapsible pipeline steps of a reply: the output of each stage and of the main model, in order
+ */
+const PipelineSection = ({ steps }) => {
+  const [expanded, setExpanded] = useState(false);
+  const failed = steps.filter(step => step.error).length;
+
+  return (
+    <div className="mb-2">
+      <button
+        type="button"
+        onClick={() => setExpanded(prev => !prev)}
+        className="flex items-center gap-1.5 text-xs font-medium hover:opacity-80"
+        style={{ color: '#CA8A04' }}
+      >
+        {expanded
+          ? <ChevronDown size={12} strokeWidth={1.5} />
+          : <ChevronRight size={12} strokeWidth={1.5} />}
+        <Workflow size={12} strokeWidth={1.5} />
+        Pipeline
+        <span className="font-normal">
+          · {steps.length} passaggi{failed > 0 && ` · ${failed} non riusciti`}
+        </span>
+      </button>
+      {expanded && (
+        <ol className="mt-1 pl-3 space-y-2 border-l" style={{ borderColor: 'rgba(202,138,4,0.3)' }}>
+          {steps.map((step, stepIndex) => (
+            <li key={`${step.stageId}-${stepIndex}`} className="text-xs text-text-muted">
+              <div className="font-medium text-text-main">
+                {stepIndex + 1}. {step.name}
+                <span className="font-normal text-text-muted">
+                  {' '}· {PIPELINE_POSITION_LABELS[step.position] || step.position}
+                  {step.model && ` · ${getModelDisplayName(step.model)}`}
+                  {step.source && step.source !== 'chat' && ` · ${step.source === 'global' ? 'globale' : step.source}`}
+                  {step.annotation && ' · nota'}
+                  {step.durationMs > 0 && ` · ${(step.durationMs / 1000).toFixed(1)} s`}
+                </span>
+              </div>
+              {step.error ? (
+                <p style={{ color: '#DC2626' }}>Non riuscito, saltato: {step.error}</p>
+              ) : (
+                <p className="whitespace-pre-wrap leading-relaxed">{step.output}</p>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
 /**
  * Minimal Chat UI Component with Firestore persistence
  */
@@ -36,37 +295,57 @@ const ChatUI = () => {
     regenerateMessage,
     editUserMessage,
     stopGeneration,
-    isGenerating
+    isGenerating,
+    streamingMessageId,
+    quotaByModel,
+    loadQuotaStatus,
+    setSelectedModel
   } = useChatStore();
   const [input, setInput] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  // { message, action, code, retryable, requestId } from describeApiError, plus the handlers of its actions
   const [error, setError] = useState(null);
   const [firestoreStatus, setFirestoreStatus] = useState(null);
   // Pending composer state (like ChatGPT)
   const [pendingImages, setPendingImages] = useState([]); // Array of { file: File, base64: string }
   const [showModelSettings, setShowModelSettings] = useState(false);
   const [showPipelineConfig, setShowPipelineConfig] = useState(false);
+  // Variables panel; `missing` lists the variables a failed request had no value for
+  const [variablesPanel, setVariablesPanel] = useState(null);
+  const [showDocumentLibrary, setShowDocumentLibrary] = useState(false);
+  const [showUsageDashboard, setShowUsageDashboard] = useState(false);
   const [editingMessageId, setEditingMessageId] = useState(null);
   const [editedText, setEditedText] = useState('');
   const [snackbar, setSnackbar] = useState(null);
   const [hoveredMessageId, setHoveredMessageId] = useState(null);
+  const [galleryImage, setGalleryImage] = useState(null); // Gallery image shown at full size
   const messagesEndRef = useRef(null);
   const fileInputRef = useRef(null);
 
-  const { activeChatId, loadChatsFromFirestore, pipelineConfig: currentPipelineConfig } = useChatStore();
+  const { activeChatId, loadChatsFromFirestore, resolvedPipelineConfig } = useChatStore();
+  // Stages that run in this chat, inherited ones (global / workspace) included
+  const activeStageCount = getActiveStages(resolvedPipelineConfig, STAGE_POSITIONS.BEFORE).length
+    + getActiveStages(resolvedPipelineConfig, STAGE_POSITIONS.AFTER).length;
 
   // Load chats and messages on mount
   useEffect(() => {
     loadChatsFromFirestore();
-    // Load model configs on mount to ensure settings are available
-    const { loadAllModelConfigs } = useChatStore.getState();
+    // Load the model registry and model configs on mount to ensure settings are available
+    const { loadModels, loadAllModelConfigs } = useChatStore.getState();
+    loadModels();
     loadAllModelConfigs();
   }, [loadChatsFromFirestore]);
 
+  // Remaining budget of the selected model
+  useEffect(() => {
+    loadQuotaStatus(selectedModel);
+  }, [selectedModel, loadQuotaStatus]);
+
   // Load messages when active chat changes
   useEffect(() => {
     if (activeChatId) {
       loadMessages();
+      useChatStore.getState().loadPipelineConfig(); // Pipeline badge of this chat
     }
     
     // Cleanup: unsubscribe listener when component unmounts or chat changes
@@ -96,6 +375,22 @@ const ChatUI = () => {
     // Clear composer state
     setInput('');
     setPendingImages([]);
+    await submitMessage(text, images);
+  };
+
+  /**
+   * Put a failed prompt (and its images) back in the composer
+   */
+  const restorePrompt = (text, images) => {
+    setInput(text);
+    setPendingImages(images);
+    setError(null);
+  };
+
+  /**
+   * Send a prompt; on failure the error notice offers retry / edit / switch model with the same prompt
+   */
+  const submitMessage = async (text, images) => {
     setIsLoading(true);
     setError(null);
 
@@ -140,7 +435,19 @@ const ChatUI = () => {
       });
     } catch (error) {
       console.error('Error sending message:', error);
-      setError(error.message || 'Failed to send message');
+      setError({
+        ...describeApiError(error),
+        onRetry: () => submitMessage(text, images),
+        onEditPrompt: () => restorePrompt(text, images),
+        onSwitchModel: (model) => {
+          setSelectedModel(model);
+          restorePrompt(text, images);
+        },
+        onFillVariables: () => {
+          setVariablesPanel({ missing: error.missingVariables || [] });
+          restorePrompt(text, images);
+        }
+      });
     } finally {
       setIsLoading(false);
     }
@@ -251,10 +558,22 @@ const ChatUI = () => {
   const handleRegenerate = async (messageId) => {
     try {
       setIsLoading(true);
+      setError(null);
       await regenerateMessage(messageId);
     } catch (error) {
       console.error('Error regenerating message:', error);
-      setError(error.message || 'Errore durante la rigenerazione');
+      setError({
+        ...describeApiError(error),
+        onRetry: () => handleRegenerate(messageId),
+        onSwitchModel: (model) => {
+          setSelectedModel(model);
+          setError(null);
+        },
+        onFillVariables: () => {
+          setVariablesPanel({ missing: error.missingVariables || [] });
+          setError(null);
+        }
+      });
     } finally {
       setIsLoading(false);
     }
@@ -277,14 +596,31 @@ const ChatUI = () => {
       return;
     }
 
+    const text = editedText.trim();
     try {
       setIsLoading(true);
-      await editUserMessage(messageId, editedText.trim());
+      setError(null);
+      await editUserMessage(messageId, text);
       setEditingMessageId(null);
       setEditedText('');
     } catch (error) {
       console.error('Error editing message:', error);
-      setError(error.message || 'Errore durante la modifica');
+      setError({
+        ...describeApiError(error),
+        onRetry: () => handleSaveEdit(messageId),
+        onEditPrompt: () => {
+          handleEditMessage(messageId, text);
+          setError(null);
+        },
+        onSwitchModel: (model) => {
+          setSelectedModel(model);
+          setError(null);
+        },
+        onFillVariables: () => {
+          setVariablesPanel({ missing: error.missingVariables || [] });
+          setError(null);
+        }
+      });
     } finally {
       setIsLoading(false);
     }
@@ -311,7 +647,7 @@ const ChatUI = () => {
         <div className="flex items-center gap-3">
           <h1 className="text-xl font-semibold text-text-main">AI Chat</h1>
           {/* Pipeline Active Badge */}
-          {currentPipelineConfig?.enabled && currentPipelineConfig?.model && (
+          {activeStageCount > 0 && (
             <span 
               className="inline-flex items-center gap-1.5 px-2 py-1 rounded-full text-xs font-medium pipeline-pulse"
               style={{
@@ -321,7 +657,7 @@ const ChatUI = () => {
               }}
             >
               <Workflow size={12} strokeWidth={1.5} />
-              Pipeline attiva – {getModelDisplayName(currentPipelineConfig.model)}
+              Pipeline attiva – {activeStageCount} {activeStageCount === 1 ? 'passaggio' : 'passaggi'}
             </span>
           )}
         </div>
@@ -337,24 +673,54 @@ const ChatUI = () => {
           >
             <SlidersHorizontal size={20} strokeWidth={1.5} />
           </button>
+          <button
+            onClick={() => setShowDocumentLibrary(true)}
+            className="p-2 rounded-lg transition-all duration-fast hover:bg-glass-white-hover"
+            style={{ color: 'rgba(74,79,88,0.8)' }}
+            title="Documenti del team"
+            onMouseEnter={(e) => e.currentTarget.style.color = 'var(--accent-primary)'}
+            onMouseLeave={(e) => e.currentTarget.style.color = 'rgba(74,79,88,0.8)'}
+          >
+            <FileText size={20} strokeWidth={1.5} />
+          </button>
+          <button
+            onClick={() => setShowUsageDashboard(true)}
+            className="p-2 rounded-lg transition-all duration-fast hover:bg-glass-white-hover"
+            style={{ color: 'rgba(74,79,88,0.8)' }}
+            title="Utilizzo e costi"
+            onMouseEnter={(e) => e.currentTarget.style.color = 'var(--accent-primary)'}
+            onMouseLeave={(e) => e.currentTarget.style.color = 'rgba(74,79,88,0.8)'}
+          >
+            <BarChart3 size={20} strokeWidth={1.5} />
+          </button>
+          <button
+            onClick={() => setVariablesPanel({ missing: [] })}
+            className="p-2 rounded-lg transition-all duration-fast hover:bg-glass-white-hover"
+            style={{ color: 'rgba(74,79,88,0.8)' }}
+            title="Variabili del prompt"
+            onMouseEnter={(e) => e.currentTarget.style.color = 'var(--accent-primary)'}
+            onMouseLeave={(e) => e.currentTarget.style.color = 'rgba(74,79,88,0.8)'}
+          >
+            <Variable size={20} strokeWidth={1.5} />
+          </button>
           <button
             onClick={() => setShowPipelineConfig(true)}
             className={`p-2 rounded-lg transition-all duration-fast ${
-              currentPipelineConfig?.enabled 
+              activeStageCount > 0
                 ? 'text-accent-warning' 
                 : ''
             }`}
             style={{ 
-              color: currentPipelineConfig?.enabled ? 'var(--accent-warning)' : 'rgba(74,79,88,0.8)',
+              color: activeStageCount > 0 ? 'var(--accent-warning)' : 'rgba(74,79,88,0.8)',
             }}
-            title="Modello prima"
+            title="Pipeline"
             onMouseEnter={(e) => {
-              if (!currentPipelineConfig?.enabled) {
+              if (activeStageCount === 0) {
                 e.currentTarget.style.color = 'var(--accent-primary)';
               }
             }}
             onMouseLeave={(e) => {
-              if (!currentPipelineConfig?.enabled) {
+              if (activeStageCount === 0) {
                 e.currentTarget.style.color = 'rgba(74,79,88,0.8)';
               }
             }}
@@ -370,6 +736,15 @@ const ChatUI = () => {
       {/* Pipeline Config Modal */}
       <PipelineConfig isOpen={showPipelineConfig} onClose={() => setShowPipelineConfig(false)} />
 
+      {/* Prompt Variables Modal ({{brand}}, {{language}}, custom per-chat values) */}
+      <PromptVariables isOpen={Boolean(variablesPanel)} missing={variablesPanel?.missing} onClose={() => setVariablesPanel(null)} />
+
+      {/* Document Library Modal (Ground on your data) */}
+      <DocumentLibrary isOpen={showDocumentLibrary} onClose={() => setShowDocumentLibrary(false)} />
+
+      {/* Usage Dashboard Modal (spend by model and by day) */}
+      <UsageDashboard isOpen={showUsageDashboard} onClose={() => setShowUsageDashboard(false)} />
+
       {/* Messages Area */}
       <div className="flex-1 overflow-y-auto px-6 py-8" style={{ backgroundColor: 'var(--bg-app)' }}>
         <div className="max-w-[900px] mx-auto space-y-3">
@@ -382,7 +757,7 @@ const ChatUI = () => {
               <p>Start a conversation by typing a message below</p>
             </div>
           ) : (
-            messages.map((message) => (
+            messages.map((message, index) => (
               <div
                 key={message.id || `msg-${message.timestamp}`}
                 className={`flex ${message.role === 'user' ? 'justify-end' : 'justify-start'} group message-enter`}
@@ -503,6 +878,48 @@ const ChatUI = () => {
                         </span>
                       </div>
                     )}
+
+                    {/* Pipeline: output of each stage (collapsible) */}
+                    {message.role === 'assistant' && message.metadata?.pipeline?.steps?.length > 0 && (
+                      <PipelineSection steps={message.metadata.pipeline.steps} />
+                    )}
+
+                    {/* Thinking: thought summary (collapsible) and thinking tokens */}
+                    {message.role === 'assistant' && (message.metadata?.thoughts || message.metadata?.thinking?.tokens > 0) && (
+                      <ReasoningSection
+                        thoughts={message.metadata.thoughts}
+                        thinking={message.metadata.thinking}
+                        streaming={message.metadata.streaming === true}
+                      />
+                    )}
+
+                    {/* Safety filters: blocked prompt / reply and the categories that triggered it */}
+                    {message.role === 'assistant' && message.metadata?.safety && (
+                      <div
+                        className="mb-2 inline-flex flex-wrap items-center gap-1.5 px-2 py-0.5 rounded-full text-xs font-medium"
+                        style={{ background: 'rgba(220,38,38,0.12)', color: '#DC2626' }}
+                        title={message.metadata.safety.reason}
+                      >
+                        <ShieldAlert size={11} strokeWidth={1.5} />
+                        {message.metadata.safety.stage === 'prompt' ? 'Richiesta bloccata' : 'Risposta bloccata'}
+                        {message.metadata.safety.categories?.length > 0 && (
+                          <span className="font-normal">
+                            · {message.metadata.safety.categories.map(category => HARM_CATEGORY_LABELS_IT[category] || category).join(', ')}
+                          </span>
+                        )}
+                        {/* safety_blocked: rephrase the prompt that triggered the filter */}
+                        {messages[index - 1]?.role === 'user' && messages[index - 1].content && (
+                          <button
+                            type="button"
+                            onClick={() => handleEditMessage(messages[index - 1].id, messages[index - 1].content)}
+                            className="ml-1 inline-flex items-center gap-1 underline underline-offset-2 hover:opacity-80"
+                          >
+                            <Edit3 size={11} strokeWidth={1.5} />
+                            Modifica il prompt
+                          </button>
+                        )}
+                      </div>
+                    )}
                     
                     {/* Text content (editable if editing) */}
                     {message.content && (
@@ -532,6 +949,12 @@ const ChatUI = () => {
                             </button>
                           </div>
                         </div>
+                      ) : message.metadata?.structured && parseStructuredContent(message.content) ? (
+                        <StructuredReply
+                          data={parseStructuredContent(message.content).data}
+                          structured={message.metadata.structured}
+                          onCopy={copyToClipboard}
+                        />
                       ) : (
                         <p 
                           className="whitespace-pre-wrap mb-2"
@@ -541,10 +964,66 @@ const ChatUI = () => {
                             color: 'var(--text-main)',
                           }}
                         >
-                          {message.content}
+                          {message.metadata?.grounding
+                            ? splitCitedText(message.content, message.metadata.grounding).map((piece, index) => (
+                                <span key={`piece-${message.id}-${index}`}>
+                                  {piece.text}
+                                  {piece.citations.map(sourceIndex => (
+                                    <a
+                                      key={sourceIndex}
+                                      href={message.metadata.grounding.sources[sourceIndex]?.uri}
+                                      target="_blank"
+                                      rel="noopener noreferrer"
+                                      title={getSourceLabel(message.metadata.grounding.sources[sourceIndex])}
+                                      className="align-super text-[10px] font-medium ml-0.5 text-accent-primary hover:underline"
+                                    >
+                                      [{sourceIndex + 1}]
+                                    </a>
+                                  ))}
+                                </span>
+                              ))
+                            : message.content}
                         </p>
                       )
                     )}
+
+                    {/* Google Search grounding: sources and search queries */}
+                    {message.role === 'assistant' && message.metadata?.grounding?.sources?.length > 0 && (
+                      <div className="mt-1 mb-2">
+                        <div className="flex items-center gap-1.5 text-xs font-medium text-text-muted mb-1">
+                          <Globe size={12} strokeWidth={1.5} />
+                          Fonti
+                        </div>
+                        <ol className="space-y-0.5">
+                          {message.metadata.grounding.sources.map((source, index) => source.uri && (
+                            <li key={`source-${message.id}-${index}`} className="text-xs">
+                              <a
+                                href={source.uri}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                className="text-accent-primary hover:underline"
+                              >
+                                [{index + 1}] {getSourceLabel(source)}
+                              </a>
+                            </li>
+                          ))}
+                        </ol>
+                        {message.metadata.grounding.queries?.length > 0 && (
+                          <div className="flex flex-wrap gap-1.5 mt-1.5">
+                            {message.metadata.grounding.queries.map((query, index) => (
+                              <span
+                                key={`query-${message.id}-${index}`}
+                                className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs text-text-muted"
+                                style={{ background: 'rgba(74,79,88,0.08)' }}
+                              >
+                                <Search size={10} strokeWidth={1.5} />
+                                {query}
+                              </span>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    )}
                     
                     {/* Image rendering: supports root imageUrl/base64 OR attachments array */}
                     {(() => {
@@ -578,6 +1057,11 @@ const ChatUI = () => {
                           addUrlIfUnique(msg.base64, 'root-base64');
                         }
                         
+                        // Imagen gallery (sampleCount > 1): all images of the generation
+                        if (Array.isArray(msg.images)) {
+                          msg.images.forEach((image, index) => addUrlIfUnique(image, `images[${index}]`));
+                        }
+                        
                         // Priority 3: Attachments array (user messages)
                         if (msg.attachments && Array.isArray(msg.attachments) && msg.attachments.length > 0) {
                           msg.attachments.forEach((att, index) => {
@@ -592,6 +1076,39 @@ const ChatUI = () => {
                       
                       const imageUrls = extractAllImageUrls(message);
                       
+                      // Several generated images: gallery, each image opens at full size
+                      if (message.role === 'assistant' && imageUrls.length > 1) {
+                        return (
+                          <div className="mt-2">
+                            <div className="grid grid-cols-2 gap-2">
+                              {imageUrls.map((img, index) => (
+                                <button
+                                  key={`img-${message.id}-${index}`}
+                                  type="button"
+                                  onClick={() => setGalleryImage(img.url)}
+                                  className="block overflow-hidden rounded-xl focus:outline-none focus:ring-2 focus:ring-accent-primary"
+                                  title={`Immagine ${index + 1} di ${imageUrls.length}`}
+                                >
+                                  <img
+                                    src={img.url}
+                                    alt={`Generated image ${index + 1}`}
+                                    className="w-full h-full object-cover"
+                                    onError={(e) => console.error('[UI] Error rendering image:', e)}
+                                  />
+                                </button>
+                              ))}
+                            </div>
+                            {message.metadata?.filteredImages > 0 && (
+                              <div className="mt-1 text-xs text-text-muted">
+                                {message.metadata.filteredImages === 1
+                                  ? '1 immagine rimossa dai filtri di sicurezza'
+                                  : `${message.metadata.filteredImages} immagini rimosse dai filtri di sicurezza`}
+                              </div>
+                            )}
+                          </div>
+                        );
+                      }
+                      
                       // Render images if any found (for any message type)
                       if (imageUrls.length > 0) {
                         return imageUrls.map((img, index) => (
@@ -609,6 +1126,80 @@ const ChatUI = () => {
                       
                       return null;
                     })()}
+
+                    {/* Ground on your data: document excerpts cited as [D1], [D2], ... */}
+                    {message.role === 'assistant' && message.metadata?.retrieval?.sources?.length > 0 && (
+                      <div className="mt-1 mb-2">
+                        <div className="flex items-center gap-1.5 text-xs font-medium text-text-muted mb-1">
+                          <FileText size={12} strokeWidth={1.5} />
+                          Documenti
+                        </div>
+                        <ul className="space-y-0.5">
+                          {message.metadata.retrieval.sources.map(source => (
+                            <li
+                              key={`doc-${message.id}-${source.label}`}
+                              className="text-xs text-text-muted"
+                              title={source.snippet}
+                            >
+                              <span className="font-medium text-accent-primary">[{source.label}]</span>{' '}
+                              {source.documentName}
+                              {source.section && ` — ${source.section}`}
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+
+                    {/* Context window usage (tokens sent with this request vs budget) */}
+                    {message.role === 'assistant' && message.metadata?.context && (() => {
+                      const { budget, tokens, promptTokens, trimmedTurns, summarized } = message.metadata.context;
+                      const used = promptTokens ?? tokens;
+                      const percent = budget ? Math.min(100, Math.round((used / budget) * 100)) : null;
+
+                      return (
+                        <div
+                          className="mt-2 flex items-center gap-2 text-xs text-text-muted"
+                          title={percent !== null ? `${used} / ${budget} token` : `${used} token`}
+                        >
+                          {percent !== null && (
+                            <div className="w-16 h-1 rounded-full overflow-hidden" style={{ background: 'rgba(74,79,88,0.15)' }}>
+                              <div
+                                className="h-full rounded-full"
+                                style={{
+                                  width: `${percent}%`,
+                                  background: percent >= 90 ? '#DC2626' : percent >= 70 ? '#CA8A04' : '#16A34A',
+                                }}
+                              />
+                            </div>
+                          )}
+                          <span>
+                            Contesto: {formatTokenCount(used)}{budget ? ` / ${formatTokenCount(budget)}` : ''} token
+                            {percent !== null && ` (${percent}%)`}
+                            {trimmedTurns > 0 && (summarized
+                              ? ` · ${trimmedTurns} turni riassunti`
+                              : ` · ${trimmedTurns} turni esclusi`)}
+                          </span>
+                        </div>
+                      );
+                    })()}
+
+                    {/* Tokens / images and estimated cost of this reply */}
+                    {message.role === 'assistant' && message.metadata?.usage && (() => {
+                      const { promptTokens, outputTokens, thinkingTokens, images, cost, currency } = message.metadata.usage;
+                      const parts = [
+                        promptTokens > 0 && `${formatTokenCount(promptTokens)} token input`,
+                        outputTokens > 0 && `${formatTokenCount(outputTokens)} output`,
+                        thinkingTokens > 0 && `${formatTokenCount(thinkingTokens)} ragionamento`,
+                        images > 0 && `${images} ${images === 1 ? 'immagine' : 'immagini'}`,
+                        `~${formatCost(cost, currency)}`
+                      ].filter(Boolean);
+
+                      return (
+                        <div className="mt-1 text-xs text-text-muted">
+                          {parts.join(' · ')}
+                        </div>
+                      );
+                    })()}
                   </div>
                 </div>
               </div>
@@ -625,7 +1216,7 @@ const ChatUI = () => {
                   boxShadow: '0 8px 24px rgba(0,0,0,0.05)',
                 }}
               >
-                <p className="text-text-muted text-sm">Thinking...</p>
+                <p className="text-text-muted text-sm">{streamingMessageId ? 'Streaming...' : 'Thinking...'}</p>
                 {/* Stop Generation Button */}
                 {isGenerating && (
                   <button
@@ -647,6 +1238,28 @@ const ChatUI = () => {
         </div>
       </div>
 
+      {/* Gallery image at full size (click anywhere to close) */}
+      {galleryImage && (
+        <div
+          className="fixed inset-0 z-50 flex items-center justify-center p-6 bg-black/70"
+          onClick={() => setGalleryImage(null)}
+        >
+          <img
+            src={galleryImage}
+            alt="Generated image"
+            className="max-w-full max-h-full rounded-xl shadow-xl"
+          />
+          <button
+            type="button"
+            onClick={() => setGalleryImage(null)}
+            className="absolute top-4 right-4 w-8 h-8 rounded-full flex items-center justify-center bg-white/90 text-text-main"
+            title="Chiudi"
+          >
+            <X size={16} strokeWidth={1.5} />
+          </button>
+        </div>
+      )}
+
       {/* Snackbar for feedback */}
       {snackbar && (
         <div 
@@ -674,9 +1287,15 @@ const ChatUI = () => {
       >
         <form onSubmit={handleSubmit} className="max-w-[900px] mx-auto">
           {error && (
-            <div className="mb-3 p-3 bg-red-50 border border-red-200 rounded-lg text-red-600 text-sm">
-              {error}
-            </div>
+            <ErrorNotice
+              error={error}
+              selectedModel={selectedModel}
+              onRetry={error.onRetry}
+              onEditPrompt={error.onEditPrompt}
+              onSwitchModel={error.onSwitchModel}
+              onFillVariables={error.onFillVariables}
+              onDismiss={() => setError(null)}
+            />
           )}
           {firestoreError && (
             <div className="mb-3 p-3 bg-red-50 border border-red-200 rounded-lg text-red-600 text-sm">
@@ -739,6 +1358,24 @@ const ChatUI = () => {
               ))}
             </div>
           )}
+          {/* Image understanding presets (models that accept images): fill in the prompt */}
+          {pendingImages.length > 0 && modelSupportsOption(selectedModel, 'vision') && (
+            <div className="mb-3 flex flex-wrap items-center gap-1.5">
+              <span className="text-xs text-text-muted mr-1">Analisi immagine:</span>
+              {VISION_PRESETS.map(preset => (
+                <button
+                  key={preset.id}
+                  type="button"
+                  onClick={() => setInput(input.trim() ? `${preset.prompt}\n\n${input}` : preset.prompt)}
+                  className="inline-flex items-center gap-1 px-2.5 py-1 rounded-full text-xs text-text-main transition-colors hover:bg-white"
+                  style={{ background: 'rgba(255,255,255,0.6)', border: '1px solid rgba(200,200,200,0.4)' }}
+                >
+                  <ScanEye size={12} strokeWidth={1.5} />
+                  {preset.label}
+                </button>
+              ))}
+            </div>
+          )}
           <div 
             className="flex gap-2 items-end"
             style={{
@@ -752,7 +1389,7 @@ const ChatUI = () => {
             <input
               ref={fileInputRef}
               type="file"
-              accept="image/*"
+              accept="image/png,image/jpeg,image/webp,image/heic,image/heif"
               onChange={handleImageSelect}
               multiple
               className="hidden"
@@ -814,6 +1451,7 @@ const ChatUI = () => {
               <Send size={16} strokeWidth={2} className="text-white" />
             </button>
           </div>
+          {quotaByModel[selectedModel] && <QuotaIndicator quota={quotaByModel[selectedModel]} />}
         </form>
       </div>
     </div>
@@ -0,0 +1,176 @@
+import { useState, useEffect, useRef } from 'react';
+import { FileText, Trash2, Upload } from 'lucide-react';
+import { listDocuments, uploadDocument, deleteDocument, ACCEPTED_DOCUMENT_TYPES } from '../lib/documents';
+
+/**
+ * Document Library Modal - team corpus for "Ground on your data"
+ * Upload PDF / Markdown / CSV (cataloghi, menu, brand guide); used when the model has grounding on your data enabled
+ */
+const DocumentLibrary = ({ isOpen, onClose }) => {
+  const [documents, setDocuments] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [uploading, setUploading] = useState(null); // name of the file being uploaded
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      loadDocuments();
+    }
+  }, [isOpen]);
+
+  const loadDocuments = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setDocuments(await listDocuments());
+    } catch (err) {
+      console.error('[DocumentLibrary] Error loading documents:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFileSelect = async (e) => {
+    const files = Array.from(e.target.files || []);
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+
+    setError(null);
+    for (const file of files) {
+      setUploading(file.name);
+      try {
+        const document = await uploadDocument(file);
+        console.log('[DocumentLibrary] Document uploaded:', document);
+        setDocuments(prev => [document, ...prev]);
+      } catch (err) {
+        console.error('[DocumentLibrary] Upload failed:', err);
+        setError(`${file.name}: ${err.message}`);
+      }
+    }
+    setUploading(null);
+  };
+
+  const handleDelete = async (document) => {
+    if (!window.confirm(`Eliminare "${document.name}" dai documenti del team?`)) return;
+
+    try {
+      await deleteDocument(document.id);
+      setDocuments(prev => prev.filter(d => d.id !== document.id));
+    } catch (err) {
+      console.error('[DocumentLibrary] Delete failed:', err);
+      setError(err.message);
+    }
+  };
+
+  const formatSize = (bytes) => {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
+      <div className="bg-gray-900 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-hidden flex flex-col">
+        {/* Header */}
+        <div className="px-6 py-4 border-b border-gray-800 flex items-center justify-between">
+          <h2 className="text-xl font-semibold text-white">Documenti del team</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white transition-colors"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-y-auto px-6 py-4 space-y-4">
+          <p className="text-sm text-gray-400">
+            Cataloghi prodotti, menu e brand guide in PDF, Markdown o CSV. Quando "Grounding (Your Data)" è attivo nelle Model Settings,
+            i passaggi più pertinenti vengono aggiunti alla richiesta e citati nella risposta.
+          </p>
+
+          {error && (
+            <div className="bg-red-900/30 border border-red-800 text-red-300 text-sm rounded-lg px-4 py-2">
+              {error}
+            </div>
+          )}
+
+          {loading ? (
+            <div className="text-center text-gray-400 py-8">
+              <p>Loading documents...</p>
+            </div>
+          ) : documents.length === 0 && !uploading ? (
+            <div className="text-center text-gray-400 py-8">
+              <p>Nessun documento caricato</p>
+            </div>
+          ) : (
+            <ul className="space-y-2">
+              {uploading && (
+                <li className="flex items-center gap-3 bg-gray-800 border border-gray-700 rounded-lg px-4 py-3 opacity-70">
+                  <Upload className="w-4 h-4 text-blue-400 animate-pulse" />
+                  <span className="text-sm text-white truncate flex-1">{uploading}</span>
+                  <span className="text-xs text-gray-400">Indicizzazione...</span>
+                </li>
+              )}
+              {documents.map(document => (
+                <li
+                  key={document.id}
+                  className="flex items-center gap-3 bg-gray-800 border border-gray-700 rounded-lg px-4 py-3"
+                >
+                  <FileText className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm text-white truncate">{document.name}</p>
+                    <p className="text-xs text-gray-400">
+                      {document.type?.toUpperCase()} · {formatSize(document.size)} · {document.chunkCount} passaggi
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleDelete(document)}
+                    className="p-1.5 text-gray-400 hover:text-red-400 transition-colors"
+                    title="Elimina"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="px-6 py-4 border-t border-gray-800 flex items-center justify-end gap-3">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={ACCEPTED_DOCUMENT_TYPES}
+            multiple
+            onChange={handleFileSelect}
+            className="hidden"
+          />
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            disabled={!!uploading}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-800 disabled:text-gray-500 disabled:cursor-not-allowed text-white rounded-lg transition-colors flex items-center gap-2"
+          >
+            <Upload className="w-4 h-4" />
+            {uploading ? 'Caricamento...' : 'Carica documenti'}
+          </button>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors"
+          >
+            Chiudi
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DocumentLibrary;
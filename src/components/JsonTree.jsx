@@ -0,0 +1,82 @@
+import { useState } from 'react';
+import { ChevronRight, ChevronDown } from 'lucide-react';
+
+/**
+ * Scalar value with type-based color
+ */
+const JsonValue = ({ value }) => {
+  if (value === null) {
+    return <span style={{ color: 'rgba(74,79,88,0.6)' }}>null</span>;
+  }
+  if (typeof value === 'string') {
+    return <span className="whitespace-pre-wrap break-words" style={{ color: '#16A34A' }}>"{value}"</span>;
+  }
+  if (typeof value === 'number') {
+    return <span style={{ color: '#4A74FF' }}>{value}</span>;
+  }
+  if (typeof value === 'boolean') {
+    return <span style={{ color: '#CA8A04' }}>{String(value)}</span>;
+  }
+  return <span>{String(value)}</span>;
+};
+
+/**
+ * One node of the tree (object / array entries are collapsible)
+ */
+const JsonNode = ({ name, value, depth }) => {
+  const isContainer = value !== null && typeof value === 'object';
+  // Top two levels open by default, deeper levels collapsed
+  const [expanded, setExpanded] = useState(depth < 2);
+
+  const label = name !== undefined && (
+    <span className="font-medium" style={{ color: 'var(--text-main)' }}>{name}: </span>
+  );
+
+  if (!isContainer) {
+    return (
+      <div className="pl-5">
+        {label}
+        <JsonValue value={value} />
+      </div>
+    );
+  }
+
+  const entries = Array.isArray(value)
+    ? value.map((item, index) => [index, item])
+    : Object.entries(value);
+  const summary = Array.isArray(value) ? `[${entries.length}]` : `{${entries.length}}`;
+
+  return (
+    <div>
+      <button
+        type="button"
+        onClick={() => setExpanded(prev => !prev)}
+        className="flex items-center gap-1 text-left hover:opacity-80"
+      >
+        {expanded
+          ? <ChevronDown size={14} strokeWidth={1.5} className="text-text-muted" />
+          : <ChevronRight size={14} strokeWidth={1.5} className="text-text-muted" />}
+        {label}
+        <span className="text-text-muted">{summary}</span>
+      </button>
+      {expanded && (
+        <div className="pl-4 border-l ml-1.5" style={{ borderColor: 'rgba(74,79,88,0.15)' }}>
+          {entries.map(([key, item]) => (
+            <JsonNode key={key} name={key} value={item} depth={depth + 1} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Collapsible JSON tree (structured output replies)
+ */
+const JsonTree = ({ data }) => (
+  <div className="font-mono text-xs leading-relaxed">
+    <JsonNode value={data} depth={0} />
+  </div>
+);
+
+export default JsonTree;
@@ -0,0 +1,115 @@
+import { useState } from 'react';
+import { Mail, Sparkles } from 'lucide-react';
+import { sendEmailSignInLink, signInWithGoogle } from '../lib/auth';
+
+/**
+ * Sign-in screen: email link or Google account
+ */
+const LoginScreen = ({ error: authError = null }) => {
+  const [email, setEmail] = useState('');
+  const [sending, setSending] = useState(false);
+  const [linkSent, setLinkSent] = useState(false);
+  const [error, setError] = useState(null);
+  // Errors from this screen first, then the email link error passed by App
+  const shownError = error || authError;
+
+  const handleEmailSubmit = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+
+    setSending(true);
+    setError(null);
+    try {
+      await sendEmailSignInLink(email.trim());
+      setLinkSent(true);
+    } catch (err) {
+      console.error('[Auth] Email link error:', err);
+      setError('Impossibile inviare il link. Controlla l\'indirizzo email e riprova.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleGoogle = async () => {
+    setError(null);
+    try {
+      await signInWithGoogle();
+    } catch (err) {
+      // Popup closed by the user: not an error worth showing
+      if (err.code !== 'auth/popup-closed-by-user') {
+        console.error('[Auth] Google sign-in error:', err);
+        setError('Accesso con Google non riuscito. Riprova.');
+      }
+    }
+  };
+
+  return (
+    <div className="flex h-screen items-center justify-center" style={{ backgroundColor: 'var(--bg-app)' }}>
+      <div
+        className="w-full max-w-sm rounded-2xl p-8"
+        style={{
+          background: 'rgba(255,255,255,0.55)',
+          backdropFilter: 'blur(24px)',
+          border: '1px solid rgba(200,200,200,0.35)',
+          boxShadow: '0 12px 32px rgba(0,0,0,0.06)',
+        }}
+      >
+        <div className="flex items-center gap-2 mb-1">
+          <Sparkles size={20} strokeWidth={1.5} className="text-accent-primary" />
+          <h1 className="text-lg font-semibold text-text-main">Accedi</h1>
+        </div>
+        <p className="text-sm text-text-muted mb-6">
+          Accedi per ritrovare le tue chat su ogni dispositivo.
+        </p>
+
+        {linkSent ? (
+          <div className="text-sm text-text-main rounded-lg px-4 py-3 mb-4" style={{ background: 'rgba(22,163,74,0.1)' }}>
+            Ti abbiamo inviato un link di accesso a <strong>{email}</strong>. Aprilo da questo dispositivo per entrare.
+          </div>
+        ) : (
+          <form onSubmit={handleEmailSubmit} className="space-y-3 mb-4">
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="nome@eataly.com"
+              className="w-full bg-bg-surface border border-border-subtle text-text-main rounded-full px-4 py-2.5 text-sm focus:outline-none focus:ring-2 focus:ring-accent-primary/30"
+              required
+            />
+            <button
+              type="submit"
+              disabled={sending}
+              className="w-full flex items-center justify-center gap-2 px-4 py-2.5 bg-accent-primary hover:bg-accent-primary/90 text-white rounded-full text-sm font-medium transition-all duration-fast disabled:opacity-50"
+            >
+              <Mail size={16} strokeWidth={1.5} />
+              {sending ? 'Invio in corso...' : 'Invia link di accesso'}
+            </button>
+          </form>
+        )}
+
+        <div className="flex items-center gap-3 my-4">
+          <div className="h-px flex-1 bg-border-subtle" />
+          <span className="text-xs text-text-muted">oppure</span>
+          <div className="h-px flex-1 bg-border-subtle" />
+        </div>
+
+        <button
+          type="button"
+          onClick={handleGoogle}
+          className="w-full px-4 py-2.5 bg-bg-surface hover:bg-glass-white-hover rounded-full text-sm font-medium text-text-main transition-all duration-default shadow-soft"
+          style={{ border: '1px solid var(--border-subtle)' }}
+        >
+          Continua con Google
+        </button>
+
+        {shownError && (
+          <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg text-red-600 text-xs">
+            {shownError}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LoginScreen;
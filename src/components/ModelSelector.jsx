@@ -1,12 +1,14 @@
 import { useState } from 'react';
 import { useChatStore } from '../store/chatStore';
-import { ALL_MODELS, MODEL_INFO, getModelDisplayName, DEFAULT_MODEL } from '../constants/models';
 
 /**
  * Model Selector Component with tooltips
+ * Models, labels and descriptions come from the model registry (store `models`)
  */
 const ModelSelector = () => {
-  const { selectedModel, setSelectedModel } = useChatStore();
+  const { selectedModel, setSelectedModel, models } = useChatStore();
+  const selectableModels = models.filter(model => model.selectable);
+  const selectedLabel = models.find(model => model.id === selectedModel)?.label || selectedModel;
   const [isOpen, setIsOpen] = useState(false);
   const [hoveredModel, setHoveredModel] = useState(null);
 
@@ -22,7 +24,7 @@ const ModelSelector = () => {
         onClick={() => setIsOpen(!isOpen)}
         className="flex items-center gap-2 px-3 py-2 bg-gray-800 hover:bg-gray-700 border border-gray-700 rounded-lg text-sm text-white transition-colors"
       >
-        <span>{getModelDisplayName(selectedModel)}</span>
+        <span>{selectedLabel}</span>
         <svg
           className={`w-4 h-4 transition-transform ${isOpen ? 'rotate-180' : ''}`}
           fill="none"
@@ -43,7 +45,7 @@ const ModelSelector = () => {
           />
           {/* Menu */}
           <div className="absolute right-0 mt-2 w-64 bg-gray-800 border border-gray-700 rounded-lg shadow-xl z-20 max-h-96 overflow-y-auto">
-            {ALL_MODELS.map((model) => (
+            {selectableModels.map(({ id: model, label, description }) => (
               <div
                 key={model}
                 className="relative group"
@@ -56,7 +58,7 @@ const ModelSelector = () => {
                     selectedModel === model ? 'bg-gray-700' : ''
                   }`}
                 >
-                  <span className="text-sm text-white">{getModelDisplayName(model)}</span>
+                  <span className="text-sm text-white">{label}</span>
                   <div className="flex items-center gap-2">
                     {selectedModel === model && (
                       <svg className="w-4 h-4 text-blue-500" fill="currentColor" viewBox="0 0 20 20">
@@ -75,7 +77,7 @@ const ModelSelector = () => {
                       {/* Tooltip */}
                       {hoveredModel === model && (
                         <div className="absolute right-0 top-6 w-56 p-3 bg-gray-900 border border-gray-700 rounded-lg shadow-lg z-30 text-xs text-gray-200">
-                          {MODEL_INFO[model]}
+                          {description}
                         </div>
                       )}
                     </div>
@@ -1,12 +1,16 @@
 import { useState, useEffect } from 'react';
 import { useChatStore } from '../store/chatStore';
-import { ALL_MODELS, getModelDisplayName } from '../constants/models';
+import { DEFAULT_MODEL } from '../constants/models';
 import { 
   getModelCapabilities, 
   modelSupportsOption, 
-  getOptionValues 
+  getOptionValues,
+  isOptionActive
 } from '../lib/modelCapabilities';
 import { isImageModel } from '../lib/modelRouter';
+import { parseJsonSchema, EXAMPLE_RESPONSE_SCHEMA } from '../lib/jsonSchema';
+import { HARM_CATEGORIES, SAFETY_THRESHOLDS } from '../lib/safetySettings';
+import { getAvailableRegions, isEuRegion } from '../lib/vertexRegions';
 import { HelpCircle } from 'lucide-react';
 
 /**
@@ -35,10 +39,12 @@ const Tooltip = ({ text, children }) => {
 
 /**
  * Model Settings Panel - Dynamic configuration UI based on model capabilities
+ * (models and capabilities from the model registry, store `models`)
  */
 const ModelSettings = ({ isOpen, onClose }) => {
-  const { modelConfigs, loadModelConfig, saveModelConfig, loadAllModelConfigs, debugMode, setDebugMode, userId, reuseLastAssistantImage, toggleReuseLastAssistantImage } = useChatStore();
-  const [selectedModel, setSelectedModel] = useState(ALL_MODELS[0]);
+  const { modelConfigs, loadModelConfig, saveModelConfig, loadAllModelConfigs, debugMode, setDebugMode, userId, reuseLastAssistantImage, toggleReuseLastAssistantImage, models } = useChatStore();
+  const selectableModels = models.filter(model => model.selectable);
+  const [selectedModel, setSelectedModel] = useState(DEFAULT_MODEL);
   const [config, setConfig] = useState(null);
   const [loading, setLoading] = useState(false);
   const [saving, setSaving] = useState(false);
@@ -148,9 +154,9 @@ const ModelSettings = ({ isOpen, onClose }) => {
                   onChange={(e) => setSelectedModel(e.target.value)}
                   className="w-full bg-gray-800 border border-gray-700 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
                 >
-                  {ALL_MODELS.map(model => (
-                    <option key={model} value={model}>
-                      {getModelDisplayName(model)}
+                  {selectableModels.map(model => (
+                    <option key={model.id} value={model.id}>
+                      {model.label}
                     </option>
                   ))}
                 </select>
@@ -226,14 +232,10 @@ const ModelSettings = ({ isOpen, onClose }) => {
                 </div>
               ))}
 
-              {/* Max Tokens - Only show if outputType is not "image" for nanobanana */}
+              {/* Max Tokens - hidden for output types it does not apply to (nanobanana: image only) */}
               {renderField('maxTokens', () => {
-                // For nanobanana, only show if outputType is "image_and_text"
-                if (selectedModel === 'gemini-2.5-flash-image') {
-                  const outputType = config.outputType || 'image';
-                  if (outputType === 'image') {
-                    return null; // Don't show maxTokens for image-only mode
-                  }
+                if (!isOptionActive(selectedModel, 'maxTokens', config.outputType)) {
+                  return null;
                 }
                 return (
                   <div>
@@ -281,7 +283,7 @@ const ModelSettings = ({ isOpen, onClose }) => {
                 );
               })}
 
-              {/* Image Format / Aspect Ratio (for nanobanana) */}
+              {/* Image Format / Aspect Ratio (nanobanana, Imagen) */}
               {renderField('imageFormat', () => {
                 const values = getOptionValues(selectedModel, 'imageFormat');
                 return (
@@ -307,6 +309,129 @@ const ModelSettings = ({ isOpen, onClose }) => {
                 );
               })}
 
+              {/* Number of images (Imagen) - more than one is shown as a gallery */}
+              {renderField('sampleCount', () => {
+                const values = getOptionValues(selectedModel, 'sampleCount');
+                return (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2 flex items-center gap-2">
+                      Number of Images
+                      <Tooltip text="Images generated per request; more than one is shown as a gallery">
+                        <HelpCircle className="w-4 h-4 text-gray-400" />
+                      </Tooltip>
+                    </label>
+                    <select
+                      value={config.sampleCount ?? 1}
+                      onChange={(e) => handleConfigChange('sampleCount', parseInt(e.target.value))}
+                      className="w-full bg-gray-800 border border-gray-700 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {values.map(value => (
+                        <option key={value} value={value}>
+                          {value}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                );
+              })}
+
+              {/* Negative Prompt (Imagen) */}
+              {renderField('negativePrompt', () => (
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2 flex items-center gap-2">
+                    Negative Prompt
+                    <Tooltip text="What the images should not contain">
+                      <HelpCircle className="w-4 h-4 text-gray-400" />
+                    </Tooltip>
+                  </label>
+                  <textarea
+                    value={config.negativePrompt || ''}
+                    onChange={(e) => handleConfigChange('negativePrompt', e.target.value)}
+                    rows={2}
+                    placeholder="e.g. text, blurry, low quality"
+                    className="w-full bg-gray-800 border border-gray-700 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-blue-500 resize-none text-sm"
+                  />
+                </div>
+              ))}
+
+              {/* Person Generation (Imagen) */}
+              {renderField('personGeneration', () => {
+                const values = getOptionValues(selectedModel, 'personGeneration');
+                const labels = {
+                  dont_allow: "Don't allow people",
+                  allow_adult: 'Adults only',
+                  allow_all: 'Adults and children'
+                };
+                return (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2 flex items-center gap-2">
+                      Person Generation
+                      <Tooltip text="Whether the images may show people (allow_all may be restricted in some regions)">
+                        <HelpCircle className="w-4 h-4 text-gray-400" />
+                      </Tooltip>
+                    </label>
+                    <select
+                      value={config.personGeneration || 'allow_adult'}
+                      onChange={(e) => handleConfigChange('personGeneration', e.target.value)}
+                      className="w-full bg-gray-800 border border-gray-700 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {values.map(value => (
+                        <option key={value} value={value}>
+                          {labels[value] || value}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                );
+              })}
+
+              {/* Watermark (Imagen) */}
+              {renderField('watermark', () => (
+                <div className="flex items-center gap-3">
+                  <input
+                    type="checkbox"
+                    id="addWatermark"
+                    checked={config.addWatermark !== false}
+                    onChange={(e) => handleConfigChange('addWatermark', e.target.checked)}
+                    className="w-4 h-4 text-blue-600 bg-gray-800 border-gray-700 rounded focus:ring-blue-500"
+                  />
+                  <label htmlFor="addWatermark" className="text-sm font-medium text-gray-300 flex items-center gap-2">
+                    Add Watermark
+                    <Tooltip text="Invisible SynthID watermark on generated images. Turn it off to use a seed">
+                      <HelpCircle className="w-4 h-4 text-gray-400" />
+                    </Tooltip>
+                  </label>
+                </div>
+              ))}
+
+              {/* Seed (Imagen) - only applies with the watermark off */}
+              {renderField('seed', () => {
+                const watermarkOn = config.addWatermark !== false;
+                return (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2 flex items-center gap-2">
+                      Seed
+                      <Tooltip text="Same seed + same prompt = same images. Empty for a random seed">
+                        <HelpCircle className="w-4 h-4 text-gray-400" />
+                      </Tooltip>
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="4294967295"
+                      value={config.seed ?? ''}
+                      disabled={watermarkOn}
+                      onChange={(e) => handleConfigChange('seed', e.target.value === '' ? null : parseInt(e.target.value))}
+                      placeholder="Random"
+                      className="w-full bg-gray-800 border border-gray-700 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+                    />
+                    {watermarkOn && (
+                      <p className="text-xs text-gray-400 mt-1">Disable the watermark to use a seed.</p>
+                    )}
+                  </div>
+                );
+              })}
+
               {/* Thought Budget (for text model) */}
               {renderField('thoughtBudget', () => {
                 const values = getOptionValues(selectedModel, 'thoughtBudget');
@@ -314,7 +439,7 @@ const ModelSettings = ({ isOpen, onClose }) => {
                   <div>
                     <label className="block text-sm font-medium text-gray-300 mb-2 flex items-center gap-2">
                       Thought Budget
-                      <Tooltip text="Controls reasoning depth: auto, manual, or off">
+                      <Tooltip text="Controls reasoning depth: auto (model decides), manual (fixed token budget), or off">
                         <HelpCircle className="w-4 h-4 text-gray-400" />
                       </Tooltip>
                     </label>
@@ -329,6 +454,20 @@ const ModelSettings = ({ isOpen, onClose }) => {
                         </option>
                       ))}
                     </select>
+                    {config.thoughtBudget === 'manual' && (
+                      <div className="mt-3">
+                        <span className="block text-xs text-gray-400 mb-1">Thinking tokens (1 - 24576)</span>
+                        <input
+                          type="number"
+                          min="1"
+                          max="24576"
+                          step="256"
+                          value={config.thinkingBudgetTokens ?? 1024}
+                          onChange={(e) => handleConfigChange('thinkingBudgetTokens', parseInt(e.target.value))}
+                          className="w-full bg-gray-800 border border-gray-700 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                      </div>
+                    )}
                   </div>
                 );
               })}
@@ -372,23 +511,45 @@ const ModelSettings = ({ isOpen, onClose }) => {
               ))}
 
               {/* Structured Output */}
-              {renderField('structuredOutput', () => (
-                <div className="flex items-center gap-3">
-                  <input
-                    type="checkbox"
-                    id="structuredOutput"
-                    checked={config.structuredOutput || false}
-                    onChange={(e) => handleConfigChange('structuredOutput', e.target.checked)}
-                    className="w-4 h-4 text-blue-600 bg-gray-800 border-gray-700 rounded focus:ring-blue-500"
-                  />
-                  <label htmlFor="structuredOutput" className="text-sm font-medium text-gray-300 flex items-center gap-2">
-                    Structured Output
-                    <Tooltip text="Enable structured output format (JSON Schema)">
-                      <HelpCircle className="w-4 h-4 text-gray-400" />
-                    </Tooltip>
-                  </label>
-                </div>
-              ))}
+              {renderField('structuredOutput', () => {
+                const schemaError = config.structuredOutput ? parseJsonSchema(config.responseSchema).error : null;
+                return (
+                  <div>
+                    <div className="flex items-center gap-3">
+                      <input
+                        type="checkbox"
+                        id="structuredOutput"
+                        checked={config.structuredOutput || false}
+                        onChange={(e) => handleConfigChange('structuredOutput', e.target.checked)}
+                        className="w-4 h-4 text-blue-600 bg-gray-800 border-gray-700 rounded focus:ring-blue-500"
+                      />
+                      <label htmlFor="structuredOutput" className="text-sm font-medium text-gray-300 flex items-center gap-2">
+                        Structured Output
+                        <Tooltip text="Reply with JSON matching this JSON Schema (a chat can override it in the pipeline settings)">
+                          <HelpCircle className="w-4 h-4 text-gray-400" />
+                        </Tooltip>
+                      </label>
+                    </div>
+                    {config.structuredOutput && (
+                      <div className="mt-3">
+                        <textarea
+                          value={config.responseSchema || ''}
+                          onChange={(e) => handleConfigChange('responseSchema', e.target.value)}
+                          rows={8}
+                          spellCheck={false}
+                          className="w-full bg-gray-800 border border-gray-700 rounded-lg px-4 py-2 text-white font-mono text-xs placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500 resize-y"
+                          placeholder={EXAMPLE_RESPONSE_SCHEMA}
+                        />
+                        {schemaError ? (
+                          <p className="mt-1 text-xs text-red-400">{schemaError}</p>
+                        ) : (
+                          <p className="mt-1 text-xs text-gray-400">Schema valido</p>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
 
               {/* Streaming */}
               {renderField('streaming', () => (
@@ -409,17 +570,109 @@ const ModelSettings = ({ isOpen, onClose }) => {
                 </div>
               ))}
 
+              {/* Context Window (token budget for the conversation history) */}
+              {renderField('contextWindow', () => (
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2 flex items-center gap-2">
+                    Context Window
+                    <Tooltip text="Maximum prompt tokens per request. Older turns above the budget are trimmed or summarized (0 = no limit)">
+                      <HelpCircle className="w-4 h-4 text-gray-400" />
+                    </Tooltip>
+                  </label>
+                  <div className="grid grid-cols-2 gap-3">
+                    <div>
+                      <span className="block text-xs text-gray-400 mb-1">Token budget</span>
+                      <input
+                        type="number"
+                        min="0"
+                        max="1000000"
+                        step="1000"
+                        value={config.contextTokenBudget ?? 32000}
+                        onChange={(e) => handleConfigChange('contextTokenBudget', parseInt(e.target.value))}
+                        className="w-full bg-gray-800 border border-gray-700 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                    </div>
+                    <div>
+                      <span className="block text-xs text-gray-400 mb-1">Older turns</span>
+                      <select
+                        value={config.contextStrategy || 'trim'}
+                        onChange={(e) => handleConfigChange('contextStrategy', e.target.value)}
+                        className="w-full bg-gray-800 border border-gray-700 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="trim">Trim</option>
+                        <option value="summarize">Summarize</option>
+                      </select>
+                    </div>
+                  </div>
+                </div>
+              ))}
+
+              {/* History Images (images from earlier turns sent as context) */}
+              {renderField('historyImages', () => (
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2 flex items-center gap-2">
+                    History Images
+                    <Tooltip text="Images from earlier turns sent to the model: most recent turns with images and total size limit">
+                      <HelpCircle className="w-4 h-4 text-gray-400" />
+                    </Tooltip>
+                  </label>
+                  <div className="grid grid-cols-2 gap-3">
+                    <div>
+                      <span className="block text-xs text-gray-400 mb-1">Max turns</span>
+                      <input
+                        type="number"
+                        min="0"
+                        max="20"
+                        value={config.historyImageMaxTurns ?? 4}
+                        onChange={(e) => handleConfigChange('historyImageMaxTurns', parseInt(e.target.value))}
+                        className="w-full bg-gray-800 border border-gray-700 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                    </div>
+                    <div>
+                      <span className="block text-xs text-gray-400 mb-1">Max size (MB)</span>
+                      <input
+                        type="number"
+                        min="0"
+                        max="20"
+                        step="0.5"
+                        value={(config.historyImageMaxBytes ?? 8 * 1024 * 1024) / (1024 * 1024)}
+                        onChange={(e) => handleConfigChange('historyImageMaxBytes', Math.round(parseFloat(e.target.value) * 1024 * 1024))}
+                        className="w-full bg-gray-800 border border-gray-700 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                    </div>
+                  </div>
+                </div>
+              ))}
+
               {/* Safety Settings */}
               {renderField('safetySettings', () => (
                 <div>
                   <label className="block text-sm font-medium text-gray-300 mb-2 flex items-center gap-2">
                     Safety Settings
-                    <Tooltip text="Configure content safety filters">
+                    <Tooltip text="Block threshold per harm category. Blocked replies show the category that triggered the filter">
                       <HelpCircle className="w-4 h-4 text-gray-400" />
                     </Tooltip>
                   </label>
-                  <div className="bg-gray-800 border border-gray-700 rounded-lg p-4 space-y-2">
-                    <p className="text-xs text-gray-400">Safety settings configuration coming soon</p>
+                  <div className="bg-gray-800 border border-gray-700 rounded-lg p-4 space-y-3">
+                    {HARM_CATEGORIES.map(category => (
+                      <div key={category.id} className="grid grid-cols-2 gap-3 items-center">
+                        <span className="text-sm text-gray-300">{category.label}</span>
+                        <select
+                          value={config.safetySettings?.[category.id] || ''}
+                          onChange={(e) => handleConfigChange('safetySettings', {
+                            ...(config.safetySettings || {}),
+                            [category.id]: e.target.value
+                          })}
+                          className="w-full bg-gray-900 border border-gray-700 rounded-lg px-3 py-1.5 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          {SAFETY_THRESHOLDS.map(threshold => (
+                            <option key={threshold.value} value={threshold.value}>
+                              {threshold.label}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    ))}
                   </div>
                 </div>
               ))}
@@ -429,20 +682,62 @@ const ModelSettings = ({ isOpen, onClose }) => {
                 <div>
                   <label className="block text-sm font-medium text-gray-300 mb-2 flex items-center gap-2">
                     Region
-                    <Tooltip text="Select the region for API calls">
+                    <Tooltip text="Vertex AI region for image generation. On 429 / 503 the call is retried in the secondary region">
                       <HelpCircle className="w-4 h-4 text-gray-400" />
                     </Tooltip>
                   </label>
-                  <select
-                    value={config.region || 'us-central1'}
-                    onChange={(e) => handleConfigChange('region', e.target.value)}
-                    className="w-full bg-gray-800 border border-gray-700 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  >
-                    <option value="us-central1">US Central 1</option>
-                    <option value="us-east1">US East 1</option>
-                    <option value="europe-west1">Europe West 1</option>
-                    <option value="asia-southeast1">Asia Southeast 1</option>
-                  </select>
+                  <div className="flex items-center gap-3 mb-3">
+                    <input
+                      type="checkbox"
+                      id="euDataResidency"
+                      checked={config.euDataResidency || false}
+                      onChange={(e) => {
+                        handleConfigChange('euDataResidency', e.target.checked);
+                        // Keep only EU regions selected when residency is turned on
+                        if (e.target.checked) {
+                          if (!isEuRegion(config.region || 'us-central1')) {
+                            handleConfigChange('region', 'europe-west1');
+                          }
+                          if (config.fallbackRegion && !isEuRegion(config.fallbackRegion)) {
+                            handleConfigChange('fallbackRegion', '');
+                          }
+                        }
+                      }}
+                      className="w-4 h-4 text-blue-600 bg-gray-800 border-gray-700 rounded focus:ring-blue-500"
+                    />
+                    <label htmlFor="euDataResidency" className="text-sm text-gray-300">
+                      EU data residency (EU regions only)
+                    </label>
+                  </div>
+                  <div className="grid grid-cols-2 gap-3">
+                    <div>
+                      <span className="block text-xs text-gray-400 mb-1">Primary</span>
+                      <select
+                        value={config.region || 'us-central1'}
+                        onChange={(e) => handleConfigChange('region', e.target.value)}
+                        className="w-full bg-gray-800 border border-gray-700 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        {getAvailableRegions(config.euDataResidency).map(region => (
+                          <option key={region.id} value={region.id}>{region.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <span className="block text-xs text-gray-400 mb-1">Secondary (failover)</span>
+                      <select
+                        value={config.fallbackRegion || ''}
+                        onChange={(e) => handleConfigChange('fallbackRegion', e.target.value)}
+                        className="w-full bg-gray-800 border border-gray-700 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="">None</option>
+                        {getAvailableRegions(config.euDataResidency)
+                          .filter(region => region.id !== (config.region || 'us-central1'))
+                          .map(region => (
+                            <option key={region.id} value={region.id}>{region.label}</option>
+                          ))}
+                      </select>
+                    </div>
+                  </div>
                 </div>
               ))}
 
@@ -1,19 +1,32 @@
 import { useState, useEffect, useRef } from 'react';
 import { useChatStore } from '../store/chatStore';
-import { ALL_MODELS, getModelDisplayName } from '../constants/models';
-import { loadPipelineConfig, savePipelineConfig } from '../lib/pipelineConfig';
+import { getModelDisplayName } from '../constants/models';
+import { loadChatSystemPrompt, saveChatSystemPrompt, loadChatResponseSchema, saveChatResponseSchema, getDefaultPipelineConfig, createStage, STAGE_KINDS, STAGE_POSITIONS, STAGE_MODES } from '../lib/pipelineConfig';
+import { parseJsonSchema, EXAMPLE_RESPONSE_SCHEMA } from '../lib/jsonSchema';
+import { getTemplateStages } from '../lib/pipelineTemplates';
+import PipelineTemplates from './PipelineTemplates';
+import PipelineDryRun from './PipelineDryRun';
+import { ArrowUp, ArrowDown, Trash2, Plus, LayoutTemplate } from 'lucide-react';
+
+const PIPELINE_SOURCE_LABELS = { global: 'globale', workspace: 'workspace', chat: 'chat' };
 
 /**
- * Pipeline Config Modal - "Il modello prima" configuration
+ * Pipeline Config Modal - stages before / after the main model
  * Per chat specifica: users/{uid}/chats/{chatId}/pipeline
  */
 const PipelineConfig = ({ isOpen, onClose }) => {
-  const { activeChatId } = useChatStore();
+  const { activeChatId, models, loadPipelineConfig, savePipelineConfig, resolvedPipelineConfig } = useChatStore();
   const [config, setConfig] = useState(null);
   const [loading, setLoading] = useState(false);
   const [saving, setSaving] = useState(false);
   const [hasChanges, setHasChanges] = useState(false);
+  const [chatSystemPrompt, setChatSystemPrompt] = useState('');
+  const [chatResponseSchema, setChatResponseSchema] = useState('');
+  const [newStageKind, setNewStageKind] = useState('rewrite');
+  const [showTemplates, setShowTemplates] = useState(false);
   const saveTimeoutRef = useRef(null);
+  const promptSaveTimeoutRef = useRef(null);
+  const schemaSaveTimeoutRef = useRef(null);
 
   // Load config when modal opens or chat changes
   useEffect(() => {
@@ -22,18 +35,13 @@ const PipelineConfig = ({ isOpen, onClose }) => {
     } else if (isOpen && !activeChatId) {
       // No active chat, use default config
       setConfig(getDefaultConfig());
+      setChatSystemPrompt('');
+      setChatResponseSchema('');
       setHasChanges(false);
     }
   }, [isOpen, activeChatId]);
 
-  const getDefaultConfig = () => ({
-    enabled: false,
-    model: null,
-    systemInstruction: '',
-    temperature: 0.8,
-    topP: 0.95,
-    maxTokens: 2048
-  });
+  const getDefaultConfig = () => getDefaultPipelineConfig();
 
   const loadConfig = async () => {
     if (!activeChatId) {
@@ -43,8 +51,14 @@ const PipelineConfig = ({ isOpen, onClose }) => {
 
     setLoading(true);
     try {
-      const loadedConfig = await loadPipelineConfig(activeChatId);
+      const [loadedConfig, loadedPrompt, loadedSchema] = await Promise.all([
+        loadPipelineConfig(), // Store action: also refreshes the pipeline badge
+        loadChatSystemPrompt(activeChatId),
+        loadChatResponseSchema(activeChatId)
+      ]);
       setConfig(loadedConfig);
+      setChatSystemPrompt(loadedPrompt);
+      setChatResponseSchema(loadedSchema);
       setHasChanges(false);
     } catch (error) {
       console.error('[PipelineConfig] Error loading config:', error);
@@ -55,10 +69,8 @@ const PipelineConfig = ({ isOpen, onClose }) => {
   };
 
   const handleConfigChange = (field, value) => {
-    setConfig(prev => ({
-      ...prev,
-      [field]: value
-    }));
+    const nextConfig = { ...config, [field]: value };
+    setConfig(nextConfig);
     setHasChanges(true);
 
     // Auto-save with debounce (400ms)
@@ -66,12 +78,46 @@ const PipelineConfig = ({ isOpen, onClose }) => {
       clearTimeout(saveTimeoutRef.current);
     }
     saveTimeoutRef.current = setTimeout(() => {
-      handleSave(true); // silent save
+      handleSave(true, nextConfig); // silent save of this change (the closure's config is the old one)
+    }, 400);
+  };
+
+  const handleChatSystemPromptChange = (value) => {
+    setChatSystemPrompt(value);
+    if (!activeChatId) return;
+
+    // Auto-save with debounce (400ms), independent from the pipeline config
+    if (promptSaveTimeoutRef.current) {
+      clearTimeout(promptSaveTimeoutRef.current);
+    }
+    promptSaveTimeoutRef.current = setTimeout(async () => {
+      try {
+        await saveChatSystemPrompt(activeChatId, value);
+      } catch (error) {
+        console.error('[PipelineConfig] Error saving chat system prompt:', error);
+      }
+    }, 400);
+  };
+
+  const handleChatResponseSchemaChange = (value) => {
+    setChatResponseSchema(value);
+    if (!activeChatId) return;
+
+    // Auto-save with debounce (400ms); an invalid schema is saved too, but ignored when sending
+    if (schemaSaveTimeoutRef.current) {
+      clearTimeout(schemaSaveTimeoutRef.current);
+    }
+    schemaSaveTimeoutRef.current = setTimeout(async () => {
+      try {
+        await saveChatResponseSchema(activeChatId, value);
+      } catch (error) {
+        console.error('[PipelineConfig] Error saving chat response schema:', error);
+      }
     }, 400);
   };
 
-  const handleSave = async (silent = false) => {
-    if (!config || !activeChatId) {
+  const handleSave = async (silent = false, configToSave = config) => {
+    if (!configToSave || !activeChatId) {
       if (!activeChatId && !silent) {
         alert('Nessuna chat attiva. Crea una nuova chat prima di configurare la pipeline.');
       }
@@ -80,7 +126,7 @@ const PipelineConfig = ({ isOpen, onClose }) => {
     
     setSaving(true);
     try {
-      await savePipelineConfig(activeChatId, config);
+      await savePipelineConfig(configToSave);
       setHasChanges(false);
       if (!silent) {
         alert('Pipeline configuration saved successfully!');
@@ -95,17 +141,53 @@ const PipelineConfig = ({ isOpen, onClose }) => {
     }
   };
 
+  // Stages: edit, reorder, add, remove (saved like any other config change)
+  const updateStage = (stageId, field, value) => {
+    handleConfigChange('stages', config.stages.map(stage =>
+      stage.id === stageId ? { ...stage, [field]: value } : stage
+    ));
+  };
+
+  const moveStage = (index, offset) => {
+    const stages = [...config.stages];
+    const target = index + offset;
+    if (target < 0 || target >= stages.length) return;
+    [stages[index], stages[target]] = [stages[target], stages[index]];
+    handleConfigChange('stages', stages);
+  };
+
+  const removeStage = (stageId) => {
+    handleConfigChange('stages', config.stages.filter(stage => stage.id !== stageId));
+  };
+
+  const addStage = () => {
+    handleConfigChange('stages', [...config.stages, createStage(newStageKind, textModels[0] || null)]);
+  };
+
+  // Template: its stages replace the chat ones and turn the pipeline on
+  const applyTemplate = (template) => {
+    const nextConfig = {
+      ...config,
+      enabled: true,
+      stages: getTemplateStages(template, { defaultModel: textModels[0] || null, availableModels: textModels })
+    };
+    setConfig(nextConfig);
+    handleSave(true, nextConfig);
+  };
+
   const handleReset = () => {
     if (window.confirm('Reset to default values? This will discard all changes.')) {
       loadConfig();
     }
   };
 
-  // Filter only text-capable models
-  const textModels = ALL_MODELS.filter(model => {
-    // Exclude image-only models
-    return !model.includes('imagen') && !model.includes('image');
-  });
+  // Stages of the workspace / global layers that this chat inherits
+  const inheritedStages = (resolvedPipelineConfig?.stages || []).filter(stage => stage.source !== 'chat');
+
+  // Only text models of the registry can run a stage
+  const textModels = models
+    .filter(model => model.selectable && model.type === 'text')
+    .map(model => model.id);
 
   if (!isOpen) return null;
 
@@ -114,7 +196,7 @@ const PipelineConfig = ({ isOpen, onClose }) => {
       <div className="bg-gray-900 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-hidden flex flex-col">
         {/* Header */}
         <div className="px-6 py-4 border-b border-gray-800 flex items-center justify-between">
-          <h2 className="text-xl font-semibold text-white">Modello Prima (Pipeline)</h2>
+          <h2 className="text-xl font-semibold text-white">Pipeline</h2>
           <button
             onClick={onClose}
             className="text-gray-400 hover:text-white transition-colors"
@@ -133,123 +215,246 @@ const PipelineConfig = ({ isOpen, onClose }) => {
             </div>
           ) : config ? (
             <>
-              {/* Enable Toggle */}
-              <div className="flex items-center justify-between">
-                <label className="text-white font-medium">Abilita pre-processing</label>
-                <button
-                  type="button"
-                  onClick={() => handleConfigChange('enabled', !config.enabled)}
-                  className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
-                    config.enabled ? 'bg-blue-600' : 'bg-gray-700'
-                  }`}
-                >
-                  <span
-                    className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
-                      config.enabled ? 'translate-x-6' : 'translate-x-1'
-                    }`}
-                  />
-                </button>
-              </div>
-
-              {/* Pre-Model Selector */}
-              <div>
+              {/* Per-chat System Prompt (persona) */}
+              <div className="pb-6 border-b border-gray-800">
                 <label className="block text-white font-medium mb-2">
-                  Modello pre-processing *
+                  System prompt della chat
                 </label>
-                <select
-                  value={config.model || ''}
-                  onChange={(e) => handleConfigChange('model', e.target.value || null)}
-                  disabled={!config.enabled}
-                  className="w-full bg-gray-800 border border-gray-700 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
-                >
-                  <option value="">Seleziona modello...</option>
-                  {textModels.map((model) => (
-                    <option key={model} value={model}>
-                      {getModelDisplayName(model)}
-                    </option>
-                  ))}
-                </select>
+                <textarea
+                  value={chatSystemPrompt}
+                  onChange={(e) => handleChatSystemPromptChange(e.target.value)}
+                  disabled={!activeChatId}
+                  rows={4}
+                  className="w-full bg-gray-800 border border-gray-700 rounded-lg px-4 py-2 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 resize-none disabled:opacity-50 disabled:cursor-not-allowed"
+                  placeholder="Esempio: 'Sei il copywriter di Eataly, rispondi con tono caldo e conciso...'"
+                />
+                <p className="mt-1 text-xs text-gray-400">
+                  Sostituisce la System Instruction del modello solo per questa chat. Lascia vuoto per usare quella del modello.
+                </p>
                 <p className="mt-1 text-xs text-gray-400">
-                  Solo modelli text-capable
+                  Qui e nelle istruzioni dei passaggi puoi usare variabili come {'{{brand}}'}, {'{{language}}'}, {'{{date}}'} e {'{{chat.title}}'}: i valori si compilano nel pannello Variabili del prompt.
                 </p>
               </div>
 
-              {/* System Instructions Textarea */}
-              <div>
+              {/* Per-chat JSON Schema (structured output) */}
+              <div className="pb-6 border-b border-gray-800">
                 <label className="block text-white font-medium mb-2">
-                  Istruzioni sistema (per pre-model) *
+                  Schema JSON della chat
                 </label>
                 <textarea
-                  value={config.systemInstruction}
-                  onChange={(e) => handleConfigChange('systemInstruction', e.target.value)}
-                  disabled={!config.enabled}
-                  rows={4}
-                  className="w-full bg-gray-800 border border-gray-700 rounded-lg px-4 py-2 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 resize-none disabled:opacity-50 disabled:cursor-not-allowed"
-                  placeholder="Esempio: 'Riformula il messaggio dell'utente in modo più chiaro e strutturato...'"
+                  value={chatResponseSchema}
+                  onChange={(e) => handleChatResponseSchemaChange(e.target.value)}
+                  disabled={!activeChatId}
+                  rows={6}
+                  spellCheck={false}
+                  className="w-full bg-gray-800 border border-gray-700 rounded-lg px-4 py-2 text-white font-mono text-xs placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500 resize-y disabled:opacity-50 disabled:cursor-not-allowed"
+                  placeholder={EXAMPLE_RESPONSE_SCHEMA}
                 />
+                {chatResponseSchema.trim() !== '' && parseJsonSchema(chatResponseSchema).error ? (
+                  <p className="mt-1 text-xs text-red-400">{parseJsonSchema(chatResponseSchema).error}</p>
+                ) : (
+                  <p className="mt-1 text-xs text-gray-400">
+                    Le risposte di questa chat saranno JSON conformi allo schema (output strutturato). Lascia vuoto per usare le impostazioni del modello.
+                  </p>
+                )}
               </div>
 
-              {/* Temperature Slider */}
-              <div>
-                <label className="block text-white font-medium mb-2">
-                  Temperature: {config.temperature.toFixed(2)}
-                </label>
-                <input
-                  type="range"
-                  min="0"
-                  max="2"
-                  step="0.1"
-                  value={config.temperature}
-                  onChange={(e) => handleConfigChange('temperature', parseFloat(e.target.value))}
-                  disabled={!config.enabled}
-                  className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
-                />
-                <div className="flex justify-between text-xs text-gray-400 mt-1">
-                  <span>0.0 (Deterministico)</span>
-                  <span>2.0 (Creativo)</span>
-                </div>
+              {/* Enable: this chat can inherit, turn on or turn off the workspace / global pipeline */}
+              <div className="flex items-center justify-between">
+                <label className="text-white font-medium">Pipeline in questa chat</label>
+                <select
+                  value={config.enabled === null ? 'inherit' : String(config.enabled)}
+                  onChange={(e) => handleConfigChange('enabled', e.target.value === 'inherit' ? null : e.target.value === 'true')}
+                  className="bg-gray-800 border border-gray-700 rounded-lg px-3 py-1.5 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="inherit">Eredita (workspace / globale)</option>
+                  <option value="true">Attiva</option>
+                  <option value="false">Disattiva</option>
+                </select>
               </div>
+              <p className="-mt-4 text-xs text-gray-400">
+                I passaggi "prima" elaborano il messaggio prima del modello principale, quelli "dopo" la sua risposta.
+                Gli output intermedi sono visibili sul messaggio.
+              </p>
 
-              {/* TopP Slider */}
-              <div>
-                <label className="block text-white font-medium mb-2">
-                  Top P: {config.topP.toFixed(2)}
-                </label>
-                <input
-                  type="range"
-                  min="0"
-                  max="1"
-                  step="0.05"
-                  value={config.topP}
-                  onChange={(e) => handleConfigChange('topP', parseFloat(e.target.value))}
-                  disabled={!config.enabled}
-                  className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
-                />
-                <div className="flex justify-between text-xs text-gray-400 mt-1">
-                  <span>0.0</span>
-                  <span>1.0</span>
+              {/* Stages inherited from the workspace / global layers (read only, they run before or after the ones below) */}
+              {inheritedStages.length > 0 && (
+                <div className="rounded-lg border border-gray-700 border-dashed p-3 space-y-1">
+                  <p className="text-xs font-medium text-gray-300">
+                    Passaggi ereditati {resolvedPipelineConfig?.enabled ? '' : '(pipeline disattivata)'}
+                  </p>
+                  {inheritedStages.map(stage => (
+                    <p key={stage.id} className={`text-xs text-gray-400 ${stage.enabled ? '' : 'line-through'}`}>
+                      {stage.name} · {stage.position === STAGE_POSITIONS.AFTER ? 'dopo' : 'prima'} · {getModelDisplayName(stage.model)} · {PIPELINE_SOURCE_LABELS[stage.source]}
+                    </p>
+                  ))}
                 </div>
-              </div>
+              )}
 
-              {/* Max Tokens Input */}
-              <div>
-                <label className="block text-white font-medium mb-2">
-                  Max Tokens
-                </label>
-                <input
-                  type="number"
-                  min="1"
-                  max="32768"
-                  step="1"
-                  value={config.maxTokens}
-                  onChange={(e) => handleConfigChange('maxTokens', parseInt(e.target.value) || 2048)}
-                  disabled={!config.enabled}
-                  className="w-full bg-gray-800 border border-gray-700 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
-                />
-                <p className="mt-1 text-xs text-gray-400">
-                  Massimo numero di token generati (1-32768)
-                </p>
+              {/* Stages */}
+              <div className="space-y-4">
+                {config.stages.length === 0 && (
+                  <p className="text-sm text-gray-400">Nessun passaggio. Aggiungine uno qui sotto.</p>
+                )}
+                {config.stages.map((stage, index) => (
+                  <div
+                    key={stage.id}
+                    className={`rounded-lg border border-gray-700 p-4 space-y-3 ${config.enabled !== false && stage.enabled ? '' : 'opacity-60'}`}
+                  >
+                    {/* Stage header: order, name, enabled, move / remove */}
+                    <div className="flex items-center gap-2">
+                      <span className="text-xs font-mono text-gray-400 w-5">{index + 1}.</span>
+                      <input
+                        type="text"
+                        value={stage.name}
+                        onChange={(e) => updateStage(stage.id, 'name', e.target.value)}
+                        className="flex-1 bg-gray-800 border border-gray-700 rounded-lg px-3 py-1.5 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      <span className="text-xs text-gray-400">{STAGE_KINDS[stage.kind]?.label}</span>
+                      <input
+                        type="checkbox"
+                        checked={stage.enabled}
+                        onChange={(e) => updateStage(stage.id, 'enabled', e.target.checked)}
+                        title="Passaggio attivo"
+                        className="w-4 h-4 text-blue-600 bg-gray-800 border-gray-700 rounded focus:ring-blue-500"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => moveStage(index, -1)}
+                        disabled={index === 0}
+                        className="p-1 text-gray-400 hover:text-white disabled:opacity-30"
+                        title="Sposta su"
+                      >
+                        <ArrowUp size={14} />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => moveStage(index, 1)}
+                        disabled={index === config.stages.length - 1}
+                        className="p-1 text-gray-400 hover:text-white disabled:opacity-30"
+                        title="Sposta giù"
+                      >
+                        <ArrowDown size={14} />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => removeStage(stage.id)}
+                        className="p-1 text-gray-400 hover:text-red-400"
+                        title="Rimuovi passaggio"
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    </div>
+
+                    {/* Position, output handling and model */}
+                    <div className="grid grid-cols-3 gap-2">
+                      <select
+                        value={stage.position}
+                        onChange={(e) => updateStage(stage.id, 'position', e.target.value)}
+                        className="bg-gray-800 border border-gray-700 rounded-lg px-3 py-1.5 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value={STAGE_POSITIONS.BEFORE}>Prima del modello</option>
+                        <option value={STAGE_POSITIONS.AFTER}>Dopo il modello</option>
+                      </select>
+                      <select
+                        value={stage.mode}
+                        onChange={(e) => updateStage(stage.id, 'mode', e.target.value)}
+                        className="bg-gray-800 border border-gray-700 rounded-lg px-3 py-1.5 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value={STAGE_MODES.REPLACE}>Sostituisce il testo</option>
+                        <option value={STAGE_MODES.ANNOTATE}>Solo nota</option>
+                      </select>
+                      <select
+                        value={stage.model || ''}
+                        onChange={(e) => updateStage(stage.id, 'model', e.target.value || null)}
+                        className="bg-gray-800 border border-gray-700 rounded-lg px-3 py-1.5 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="">Seleziona modello...</option>
+                        {textModels.map((model) => (
+                          <option key={model} value={model}>
+                            {getModelDisplayName(model)}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+
+                    {/* Instruction (sent as system instruction) */}
+                    <textarea
+                      value={stage.instruction}
+                      onChange={(e) => updateStage(stage.id, 'instruction', e.target.value)}
+                      rows={3}
+                      className="w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-sm text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 resize-y"
+                      placeholder="Istruzioni del passaggio..."
+                    />
+
+                    {/* Parameters */}
+                    <div className="grid grid-cols-3 gap-3 text-xs text-gray-400">
+                      <label className="block">
+                        Temperature: {stage.temperature.toFixed(1)}
+                        <input
+                          type="range"
+                          min="0"
+                          max="2"
+                          step="0.1"
+                          value={stage.temperature}
+                          onChange={(e) => updateStage(stage.id, 'temperature', parseFloat(e.target.value))}
+                          className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer mt-1"
+                        />
+                      </label>
+                      <label className="block">
+                        Top P: {stage.topP.toFixed(2)}
+                        <input
+                          type="range"
+                          min="0"
+                          max="1"
+                          step="0.05"
+                          value={stage.topP}
+                          onChange={(e) => updateStage(stage.id, 'topP', parseFloat(e.target.value))}
+                          className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer mt-1"
+                        />
+                      </label>
+                      <label className="block">
+                        Max Tokens
+                        <input
+                          type="number"
+                          min="1"
+                          max="32768"
+                          value={stage.maxTokens}
+                          onChange={(e) => updateStage(stage.id, 'maxTokens', parseInt(e.target.value) || 2048)}
+                          className="w-full bg-gray-800 border border-gray-700 rounded-lg px-2 py-1 text-white mt-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                      </label>
+                    </div>
+                  </div>
+                ))}
+
+                {/* Add stage */}
+                <div className="flex items-center gap-2">
+                  <select
+                    value={newStageKind}
+                    onChange={(e) => setNewStageKind(e.target.value)}
+                    className="flex-1 bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    {Object.entries(STAGE_KINDS).map(([kind, preset]) => (
+                      <option key={kind} value={kind}>
+                        {preset.label} ({preset.position === STAGE_POSITIONS.AFTER ? 'dopo' : 'prima'})
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    onClick={addStage}
+                    disabled={!activeChatId}
+                    className="inline-flex items-center gap-1.5 px-3 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white text-sm rounded-lg transition-colors"
+                  >
+                    <Plus size={14} />
+                    Aggiungi passaggio
+                  </button>
+                </div>
               </div>
+
+              {/* Dry run on sample text (edited config, main model not called) */}
+              <PipelineDryRun config={config} disabled={!activeChatId} />
             </>
           ) : (
             <div className="text-center text-gray-400 py-8">
@@ -260,10 +465,19 @@ const PipelineConfig = ({ isOpen, onClose }) => {
 
         {/* Footer */}
         <div className="px-6 py-4 border-t border-gray-800 flex items-center justify-between">
-          {!activeChatId && (
+          {!activeChatId ? (
             <p className="text-sm text-yellow-400">
               ⚠️ Crea una chat per configurare la pipeline
             </p>
+          ) : (
+            <button
+              onClick={() => setShowTemplates(true)}
+              disabled={loading || !config}
+              className="px-4 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white rounded-lg transition-colors flex items-center gap-2"
+            >
+              <LayoutTemplate className="w-4 h-4" />
+              Template
+            </button>
           )}
           <div className="flex items-center gap-3 ml-auto">
             <button
@@ -289,6 +503,14 @@ const PipelineConfig = ({ isOpen, onClose }) => {
           </div>
         </div>
       </div>
+
+      {/* Template library (on top of this modal) */}
+      <PipelineTemplates
+        isOpen={showTemplates}
+        onClose={() => setShowTemplates(false)}
+        pipeline={config}
+        onApply={applyTemplate}
+      />
     </div>
   );
 };
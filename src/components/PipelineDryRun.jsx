@@ -0,0 +1,168 @@
+import { useState, useRef, useEffect } from 'react';
+import { useChatStore } from '../store/chatStore';
+import { getModelDisplayName } from '../constants/models';
+import { getActiveStages, STAGE_POSITIONS } from '../lib/pipelineConfig';
+import { dryRunPipeline } from '../lib/pipelineRunner';
+import { describeApiError } from '../lib/apiErrors';
+import { FlaskConical, Square } from 'lucide-react';
+
+const POSITION_LABELS = { before: 'prima', after: 'dopo' };
+
+const formatTokens = (count) => (count || 0).toLocaleString('it-IT');
+const formatSeconds = (ms) => `${((ms || 0) / 1000).toFixed(1)} s`;
+
+/**
+ * Pipeline dry run - the stages on a sample message (and a sample reply for the stages after
+ * the main model), with the output, tokens and time of each stage
+ * The main model is not called and nothing is written to the chat; stage usage still counts
+ * `config` is the chat layer being edited, so unsaved changes are tried as they are
+ */
+const PipelineDryRun = ({ config, disabled = false }) => {
+  const { activeChatId, resolvedPipelineConfig, getRequestVariables } = useChatStore();
+  const [input, setInput] = useState('');
+  const [reply, setReply] = useState('');
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  // Stop a running dry run when the panel closes
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  // The sample reply only matters with stages after the main model (inherited or in the edited chat layer)
+  const hasAfterStages = getActiveStages(resolvedPipelineConfig, STAGE_POSITIONS.AFTER).length > 0
+    || (config?.stages || []).some(stage => stage.enabled && stage.position === STAGE_POSITIONS.AFTER);
+
+  const handleRun = async () => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setRunning(true);
+    setError(null);
+    setResult(null);
+    try {
+      const variables = await getRequestVariables(activeChatId);
+      const data = await dryRunPipeline(input, {
+        chatId: activeChatId,
+        reply: reply.trim() ? reply : undefined,
+        config,
+        variables,
+        signal: controller.signal
+      });
+      setResult(data);
+    } catch (runError) {
+      if (runError.name !== 'AbortError') {
+        console.error('[PipelineDryRun] Dry run failed:', runError);
+        setError(describeApiError(runError).message);
+      }
+    } finally {
+      controllerRef.current = null;
+      setRunning(false);
+    }
+  };
+
+  const handleStop = () => controllerRef.current?.abort();
+
+  const totals = (result?.steps || []).reduce((sum, step) => ({
+    promptTokens: sum.promptTokens + (step.usage?.promptTokens || 0),
+    outputTokens: sum.outputTokens + (step.usage?.outputTokens || 0)
+  }), { promptTokens: 0, outputTokens: 0 });
+
+  return (
+    <div className="pt-6 border-t border-gray-800">
+      <label className="block text-white font-medium mb-1">Prova la pipeline</label>
+      <p className="mb-3 text-xs text-gray-400">
+        Esegue i passaggi su un testo di esempio senza chiamare il modello principale e senza scrivere nella chat. I token dei passaggi contano nel budget.
+      </p>
+
+      <textarea
+        value={input}
+        onChange={(e) => setInput(e.target.value)}
+        disabled={disabled || running}
+        rows={3}
+        className="w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-sm text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 resize-y disabled:opacity-50"
+        placeholder="Messaggio di esempio, es. 'Scrivi un post sul nostro nuovo panettone'"
+      />
+      {hasAfterStages && (
+        <textarea
+          value={reply}
+          onChange={(e) => setReply(e.target.value)}
+          disabled={disabled || running}
+          rows={3}
+          className="mt-2 w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-sm text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 resize-y disabled:opacity-50"
+          placeholder="Risposta di esempio del modello principale (facoltativa: senza, i passaggi dopo il modello non vengono eseguiti)"
+        />
+      )}
+
+      <div className="mt-2 flex items-center gap-3">
+        {running ? (
+          <button
+            onClick={handleStop}
+            className="px-3 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors flex items-center gap-2 text-sm"
+          >
+            <Square className="w-4 h-4" />
+            Interrompi
+          </button>
+        ) : (
+          <button
+            onClick={handleRun}
+            disabled={disabled || !input.trim()}
+            className="px-3 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white rounded-lg transition-colors flex items-center gap-2 text-sm"
+          >
+            <FlaskConical className="w-4 h-4" />
+            Esegui prova
+          </button>
+        )}
+        {running && <span className="text-sm text-gray-400">Esecuzione dei passaggi...</span>}
+      </div>
+
+      {error && <p className="mt-3 text-sm text-red-400">{error}</p>}
+
+      {result && (
+        <div className="mt-4 space-y-3">
+          {result.steps.length === 0 ? (
+            <p className="text-sm text-gray-400">Nessun passaggio attivo: il messaggio arriverebbe al modello principale così com'è.</p>
+          ) : (
+            <>
+              <p className="text-xs text-gray-400">
+                {result.steps.length} passaggi · {formatSeconds(result.durationMs)} · {formatTokens(totals.promptTokens)} token in ingresso · {formatTokens(totals.outputTokens)} in uscita
+              </p>
+              <ol className="space-y-2">
+                {result.steps.map((step, index) => (
+                  <li key={`${step.stageId}-${index}`} className="bg-gray-800 rounded-lg p-3 text-sm">
+                    <div className="text-white font-medium">
+                      {index + 1}. {step.name}
+                      <span className="font-normal text-gray-400">
+                        {' '}· {POSITION_LABELS[step.position] || step.position}
+                        {step.model && ` · ${getModelDisplayName(step.model)}`}
+                        {step.annotation && ' · nota'}
+                        {` · ${formatSeconds(step.durationMs)}`}
+                        {step.usage && ` · ${formatTokens(step.usage.promptTokens)} → ${formatTokens(step.usage.outputTokens)} token`}
+                      </span>
+                    </div>
+                    {step.error ? (
+                      <p className="mt-1 text-red-400">Non riuscito, saltato: {step.error}</p>
+                    ) : (
+                      <p className="mt-1 text-gray-300 whitespace-pre-wrap">{step.output}</p>
+                    )}
+                  </li>
+                ))}
+              </ol>
+              <div>
+                <p className="text-xs font-medium text-gray-300 mb-1">Prompt inviato al modello principale</p>
+                <p className="bg-gray-800 border border-gray-700 rounded-lg p-3 text-sm text-white whitespace-pre-wrap">{result.prompt}</p>
+              </div>
+              {result.reply !== null && (
+                <div>
+                  <p className="text-xs font-medium text-gray-300 mb-1">Risposta finale</p>
+                  <p className="bg-gray-800 border border-gray-700 rounded-lg p-3 text-sm text-white whitespace-pre-wrap">{result.reply}</p>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PipelineDryRun;
@@ -0,0 +1,366 @@
+import { useState, useEffect, useRef } from 'react';
+import { Copy, Download, Share2, Trash2, Upload, Check } from 'lucide-react';
+import {
+  BUILTIN_TEMPLATES,
+  createTemplateFromPipeline,
+  forkTemplate,
+  exportTemplatesJson,
+  parseTemplatesJson,
+  downloadJson,
+  listPersonalTemplates,
+  savePersonalTemplate,
+  deletePersonalTemplate,
+  listSharedTemplates,
+  shareTemplate,
+  unshareTemplate
+} from '../lib/pipelineTemplates';
+import { getCurrentUserId } from '../lib/auth';
+
+const SECTIONS = [
+  { id: 'personal', label: 'I miei template' },
+  { id: 'team', label: 'Team' },
+  { id: 'builtin', label: 'Esempi' }
+];
+
+const fileSlug = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'template';
+
+/**
+ * Pipeline Templates Modal - saved pipelines (name, description, tags) to apply to a chat,
+ * fork, share with the team and import / export as JSON
+ */
+const PipelineTemplates = ({ isOpen, onClose, pipeline, onApply }) => {
+  const [templates, setTemplates] = useState({ personal: [], team: [], builtin: BUILTIN_TEMPLATES });
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null); // template with an action in progress
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [filter, setFilter] = useState('');
+  const [draft, setDraft] = useState({ name: '', description: '', tags: '' });
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      loadTemplates();
+    }
+  }, [isOpen]);
+
+  const loadTemplates = async () => {
+    setLoading(true);
+    setError(null);
+    // Team templates are optional: a failure there still shows the personal ones
+    const [personal, team] = await Promise.allSettled([listPersonalTemplates(), listSharedTemplates()]);
+    setTemplates({
+      personal: personal.status === 'fulfilled' ? personal.value : [],
+      team: team.status === 'fulfilled' ? team.value : [],
+      builtin: BUILTIN_TEMPLATES
+    });
+    const failed = [personal, team].find(result => result.status === 'rejected');
+    if (failed) {
+      console.error('[PipelineTemplates] Error loading templates:', failed.reason);
+      setError(failed.reason.message);
+    }
+    setLoading(false);
+  };
+
+  // Run an action on a template, with its error shown in the modal
+  const runAction = async (template, action, message) => {
+    setBusyId(template.id || 'new');
+    setError(null);
+    setNotice(null);
+    try {
+      await action();
+      if (message) setNotice(message);
+    } catch (err) {
+      console.error('[PipelineTemplates] Action failed:', err);
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const addPersonal = (template) => setTemplates(prev => ({ ...prev, personal: [template, ...prev.personal] }));
+
+  const handleApply = (template) => {
+    if (pipeline?.stages?.length > 0 && !window.confirm(`Sostituire i ${pipeline.stages.length} passaggi di questa chat con "${template.name}"?`)) return;
+    onApply(template);
+    onClose();
+  };
+
+  const handleFork = (template) => runAction(template, async () => {
+    addPersonal(await savePersonalTemplate(forkTemplate(template)));
+  }, `"${template.name}" copiato nei tuoi template`);
+
+  const handleShare = (template) => runAction(template, async () => {
+    const shared = await shareTemplate(template);
+    setTemplates(prev => ({ ...prev, team: [shared, ...prev.team] }));
+  }, `"${template.name}" condiviso con il team`);
+
+  const handleDelete = (template, section) => {
+    const question = section === 'team'
+      ? `Rimuovere "${template.name}" dai template del team?`
+      : `Eliminare il template "${template.name}"?`;
+    if (!window.confirm(question)) return;
+
+    runAction(template, async () => {
+      await (section === 'team' ? unshareTemplate(template.id) : deletePersonalTemplate(template.id));
+      setTemplates(prev => ({ ...prev, [section]: prev[section].filter(t => t.id !== template.id) }));
+    });
+  };
+
+  const handleExport = (template) => {
+    downloadJson(`${fileSlug(template.name)}.json`, exportTemplatesJson([template]));
+  };
+
+  const handleExportAll = () => {
+    downloadJson('pipeline-templates.json', exportTemplatesJson(templates.personal));
+  };
+
+  const handleSaveCurrent = (e) => {
+    e.preventDefault();
+    const template = createTemplateFromPipeline(pipeline, {
+      name: draft.name,
+      description: draft.description,
+      tags: draft.tags.split(',')
+    });
+    runAction(template, async () => {
+      addPersonal(await savePersonalTemplate(template));
+      setDraft({ name: '', description: '', tags: '' });
+    }, `Template "${template.name}" salvato`);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+    if (!file) return;
+
+    runAction({ id: 'import' }, async () => {
+      const imported = parseTemplatesJson(await file.text());
+      for (const template of imported) {
+        addPersonal(await savePersonalTemplate(template));
+      }
+    }, `Template importati da ${file.name}`);
+  };
+
+  const matchesFilter = (template) => {
+    const text = filter.trim().toLowerCase();
+    if (!text) return true;
+    return [template.name, template.description, ...(template.tags || [])].some(value => value?.toLowerCase().includes(text));
+  };
+
+  if (!isOpen) return null;
+
+  const uid = getCurrentUserId();
+  const canSaveCurrent = pipeline?.stages?.length > 0 && draft.name.trim() !== '';
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-[60] flex items-center justify-center p-4">
+      <div className="bg-gray-900 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-hidden flex flex-col">
+        {/* Header */}
+        <div className="px-6 py-4 border-b border-gray-800 flex items-center justify-between">
+          <h2 className="text-xl font-semibold text-white">Template pipeline</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white transition-colors"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-y-auto px-6 py-4 space-y-5">
+          {error && (
+            <div className="bg-red-900/30 border border-red-800 text-red-300 text-sm rounded-lg px-4 py-2">
+              {error}
+            </div>
+          )}
+          {notice && (
+            <div className="bg-green-900/30 border border-green-800 text-green-300 text-sm rounded-lg px-4 py-2">
+              {notice}
+            </div>
+          )}
+
+          {/* Save the current chat pipeline as a template */}
+          <form onSubmit={handleSaveCurrent} className="rounded-lg border border-gray-700 p-4 space-y-2">
+            <p className="text-sm font-medium text-white">Salva la pipeline di questa chat come template</p>
+            <input
+              type="text"
+              value={draft.name}
+              onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="Nome (es. Caption Instagram in italiano)"
+              className="w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-1.5 text-sm text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <input
+              type="text"
+              value={draft.description}
+              onChange={(e) => setDraft(prev => ({ ...prev, description: e.target.value }))}
+              placeholder="Descrizione"
+              className="w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-1.5 text-sm text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={draft.tags}
+                onChange={(e) => setDraft(prev => ({ ...prev, tags: e.target.value }))}
+                placeholder="Tag separati da virgola"
+                className="flex-1 bg-gray-800 border border-gray-700 rounded-lg px-3 py-1.5 text-sm text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button
+                type="submit"
+                disabled={!canSaveCurrent || !!busyId}
+                className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-800 disabled:text-gray-500 disabled:cursor-not-allowed text-white text-sm rounded-lg transition-colors"
+              >
+                Salva template
+              </button>
+            </div>
+            {!(pipeline?.stages?.length > 0) && (
+              <p className="text-xs text-gray-400">La pipeline di questa chat non ha passaggi.</p>
+            )}
+          </form>
+
+          <input
+            type="text"
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            placeholder="Cerca per nome, descrizione o tag..."
+            className="w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-sm text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+
+          {loading ? (
+            <div className="text-center text-gray-400 py-8">
+              <p>Loading templates...</p>
+            </div>
+          ) : SECTIONS.map(section => {
+            const sectionTemplates = templates[section.id].filter(matchesFilter);
+            return (
+              <div key={section.id} className="space-y-2">
+                <h3 className="text-sm font-medium text-gray-300">{section.label}</h3>
+                {sectionTemplates.length === 0 ? (
+                  <p className="text-xs text-gray-500">Nessun template</p>
+                ) : (
+                  <ul className="space-y-2">
+                    {sectionTemplates.map(template => {
+                      const busy = busyId === template.id;
+                      const canDelete = section.id === 'personal' || (section.id === 'team' && template.owner?.uid === uid);
+                      return (
+                        <li
+                          key={template.id}
+                          className={`bg-gray-800 border border-gray-700 rounded-lg px-4 py-3 ${busy ? 'opacity-60' : ''}`}
+                        >
+                          <div className="flex items-start gap-3">
+                            <div className="flex-1 min-w-0">
+                              <p className="text-sm text-white truncate">{template.name}</p>
+                              {template.description && (
+                                <p className="text-xs text-gray-400">{template.description}</p>
+                              )}
+                              <p className="text-xs text-gray-500 mt-1">
+                                {template.pipeline?.stages?.length || 0} passaggi
+                                {template.owner?.email && ` · ${template.owner.email}`}
+                                {template.forkedFrom?.name && ` · da "${template.forkedFrom.name}"`}
+                              </p>
+                              {template.tags?.length > 0 && (
+                                <div className="flex flex-wrap gap-1 mt-1">
+                                  {template.tags.map(tag => (
+                                    <span key={tag} className="px-1.5 py-0.5 rounded bg-gray-700 text-xs text-gray-300">#{tag}</span>
+                                  ))}
+                                </div>
+                              )}
+                            </div>
+                            <div className="flex items-center gap-1 flex-shrink-0">
+                              <button
+                                onClick={() => handleApply(template)}
+                                disabled={busy}
+                                className="inline-flex items-center gap-1 px-2 py-1 bg-blue-600 hover:bg-blue-700 text-white text-xs rounded transition-colors"
+                                title="Applica a questa chat"
+                              >
+                                <Check className="w-3.5 h-3.5" />
+                                Applica
+                              </button>
+                              <button
+                                onClick={() => handleFork(template)}
+                                disabled={busy}
+                                className="p-1.5 text-gray-400 hover:text-white transition-colors"
+                                title="Duplica nei miei template"
+                              >
+                                <Copy className="w-4 h-4" />
+                              </button>
+                              {section.id === 'personal' && (
+                                <button
+                                  onClick={() => handleShare(template)}
+                                  disabled={busy}
+                                  className="p-1.5 text-gray-400 hover:text-white transition-colors"
+                                  title="Condividi con il team"
+                                >
+                                  <Share2 className="w-4 h-4" />
+                                </button>
+                              )}
+                              <button
+                                onClick={() => handleExport(template)}
+                                className="p-1.5 text-gray-400 hover:text-white transition-colors"
+                                title="Esporta JSON"
+                              >
+                                <Download className="w-4 h-4" />
+                              </button>
+                              {canDelete && (
+                                <button
+                                  onClick={() => handleDelete(template, section.id)}
+                                  disabled={busy}
+                                  className="p-1.5 text-gray-400 hover:text-red-400 transition-colors"
+                                  title={section.id === 'team' ? 'Rimuovi dal team' : 'Elimina'}
+                                >
+                                  <Trash2 className="w-4 h-4" />
+                                </button>
+                              )}
+                            </div>
+                          </div>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        {/* Footer */}
+        <div className="px-6 py-4 border-t border-gray-800 flex items-center justify-end gap-3">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={handleImport}
+            className="hidden"
+          />
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            disabled={!!busyId}
+            className="px-4 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white rounded-lg transition-colors flex items-center gap-2"
+          >
+            <Upload className="w-4 h-4" />
+            Importa JSON
+          </button>
+          <button
+            onClick={handleExportAll}
+            disabled={templates.personal.length === 0}
+            className="px-4 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white rounded-lg transition-colors flex items-center gap-2"
+          >
+            <Download className="w-4 h-4" />
+            Esporta i miei
+          </button>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors"
+          >
+            Chiudi
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PipelineTemplates;
@@ -0,0 +1,260 @@
+import { useState, useEffect } from 'react';
+import { useChatStore } from '../store/chatStore';
+import { getActiveStages, STAGE_POSITIONS } from '../lib/pipelineConfig';
+import { extractVariables, formatToday, SUGGESTED_VARIABLES, AUTO_VARIABLES, VARIABLE_NAME_PATTERN } from '../lib/promptVariables';
+import { Plus, Trash2 } from 'lucide-react';
+
+/**
+ * Prompt Variables Modal - values of the {{variables}} used in the system prompt and pipeline stages
+ * Per chat: users/{uid}/chats/{chatId}/pipeline/variables
+ * `missing` highlights the variables a request could not be sent without
+ */
+const PromptVariables = ({ isOpen, onClose, missing = [] }) => {
+  const { activeChatId, chats, selectedModel, resolvedPipelineConfig, loadPromptVariables, savePromptVariables, buildChatModelSettings } = useChatStore();
+  const [values, setValues] = useState({});
+  // Where each variable is used: { name: ['System prompt', 'Riformula', ...] }
+  const [usage, setUsage] = useState({});
+  const [newName, setNewName] = useState('');
+  const [nameError, setNameError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      loadVariables();
+    }
+  }, [isOpen, activeChatId]);
+
+  const loadVariables = async () => {
+    setLoading(true);
+    setNewName('');
+    setNameError(null);
+    setSaveError(null);
+    try {
+      const [stored, modelSettings] = await Promise.all([
+        activeChatId ? loadPromptVariables() : {},
+        buildChatModelSettings(selectedModel)
+      ]);
+      setValues(stored);
+
+      // Instructions that run in this chat: the main system prompt and the active stages
+      const instructions = [
+        { label: 'System prompt', text: modelSettings?.system || '' },
+        ...[...getActiveStages(resolvedPipelineConfig, STAGE_POSITIONS.BEFORE), ...getActiveStages(resolvedPipelineConfig, STAGE_POSITIONS.AFTER)]
+          .map(stage => ({ label: stage.name, text: stage.instruction }))
+      ];
+      const usedBy = {};
+      for (const { label, text } of instructions) {
+        for (const name of extractVariables(text)) {
+          usedBy[name] = [...(usedBy[name] || []), label];
+        }
+      }
+      setUsage(usedBy);
+    } catch (error) {
+      console.error('[Variables] Error loading variables:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const autoNames = AUTO_VARIABLES.map(variable => variable.name);
+  const autoValues = {
+    date: formatToday(),
+    'chat.title': chats.find(chat => chat.id === activeChatId)?.title || ''
+  };
+
+  // Suggested first, then the used / missing ones, then the custom values stored for this chat
+  const editableNames = [...new Set([
+    ...SUGGESTED_VARIABLES.map(variable => variable.name),
+    ...Object.keys(usage),
+    ...missing,
+    ...Object.keys(values)
+  ])].filter(name => !autoNames.includes(name) || values[name] !== undefined);
+
+  const labelOf = (name) => SUGGESTED_VARIABLES.find(variable => variable.name === name);
+
+  const handleAdd = () => {
+    const name = newName.trim();
+    if (!VARIABLE_NAME_PATTERN.test(name)) {
+      setNameError('Usa lettere, numeri, _ e punti, iniziando con una lettera (es. tono o prodotto.nome)');
+      return;
+    }
+    if (editableNames.includes(name)) {
+      setNameError('La variabile esiste già');
+      return;
+    }
+    setValues(prev => ({ ...prev, [name]: '' }));
+    setNewName('');
+    setNameError(null);
+  };
+
+  const handleRemove = (name) => {
+    setValues(prev => {
+      const { [name]: removed, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setSaveError(null);
+    try {
+      await savePromptVariables(values);
+      onClose();
+    } catch (error) {
+      console.error('[Variables] Error saving variables:', error);
+      setSaveError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
+      <div className="bg-gray-900 rounded-lg shadow-xl w-full max-w-xl max-h-[90vh] overflow-hidden flex flex-col">
+        {/* Header */}
+        <div className="px-6 py-4 border-b border-gray-800 flex items-center justify-between">
+          <h2 className="text-xl font-semibold text-white">Variabili del prompt</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white transition-colors"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-y-auto px-6 py-4 space-y-6">
+          <p className="text-sm text-gray-400">
+            Scrivi <code className="text-blue-300">{'{{nome}}'}</code> nel system prompt o nelle istruzioni della pipeline:
+            prima di ogni richiesta viene sostituito con il valore di questa chat.
+          </p>
+
+          {loading ? (
+            <div className="text-center text-gray-400 py-8">
+              <p>Caricamento variabili...</p>
+            </div>
+          ) : (
+            <>
+              {/* Chat values */}
+              <div className="space-y-3">
+                {editableNames.map(name => {
+                  const isMissing = missing.includes(name) && !values[name]?.trim();
+                  const isRequired = Boolean(usage[name]);
+                  return (
+                    <div key={name}>
+                      <div className="flex items-center justify-between mb-1">
+                        <label className="text-sm font-medium text-white">
+                          <code>{`{{${name}}}`}</code>
+                          {labelOf(name) && <span className="ml-2 text-gray-400 font-normal">{labelOf(name).label}</span>}
+                        </label>
+                        {!labelOf(name) && !isRequired && !missing.includes(name) && (
+                          <button
+                            onClick={() => handleRemove(name)}
+                            className="p-1 text-gray-400 hover:text-red-400 transition-colors"
+                            title="Rimuovi variabile"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        )}
+                      </div>
+                      <input
+                        type="text"
+                        value={values[name] || ''}
+                        onChange={(e) => setValues(prev => ({ ...prev, [name]: e.target.value }))}
+                        disabled={!activeChatId}
+                        placeholder={labelOf(name)?.placeholder || 'Valore...'}
+                        className={`w-full bg-gray-800 border rounded-lg px-3 py-2 text-sm text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 ${
+                          isMissing ? 'border-red-500' : 'border-gray-700'
+                        }`}
+                      />
+                      <p className={`mt-1 text-xs ${isMissing ? 'text-red-400' : 'text-gray-500'}`}>
+                        {isMissing
+                          ? `Valore obbligatorio: usata da ${usage[name]?.join(', ') || 'questa richiesta'}`
+                          : isRequired
+                            ? `Usata da ${usage[name].join(', ')}`
+                            : 'Non usata dalle istruzioni attive'}
+                      </p>
+                    </div>
+                  );
+                })}
+              </div>
+
+              {/* Custom variable */}
+              <div className="pt-4 border-t border-gray-800">
+                <label className="block text-sm font-medium text-white mb-2">Nuova variabile</label>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={newName}
+                    onChange={(e) => setNewName(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+                    disabled={!activeChatId}
+                    placeholder="Es. tono"
+                    className="flex-1 bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-sm text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+                  />
+                  <button
+                    onClick={handleAdd}
+                    disabled={!activeChatId || !newName.trim()}
+                    className="px-3 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white rounded-lg transition-colors flex items-center gap-1 text-sm"
+                  >
+                    <Plus className="w-4 h-4" />
+                    Aggiungi
+                  </button>
+                </div>
+                {nameError && <p className="mt-1 text-xs text-red-400">{nameError}</p>}
+              </div>
+
+              {/* Automatic values */}
+              <div className="pt-4 border-t border-gray-800 space-y-2">
+                <p className="text-sm font-medium text-white">Automatiche</p>
+                {AUTO_VARIABLES.filter(variable => values[variable.name] === undefined).map(variable => (
+                  <div key={variable.name} className="flex items-center justify-between text-sm">
+                    <span>
+                      <code className="text-white">{`{{${variable.name}}}`}</code>
+                      <span className="ml-2 text-gray-400">{variable.label}</span>
+                    </span>
+                    <span className="text-gray-300 truncate ml-4">{autoValues[variable.name] || '—'}</span>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="px-6 py-4 border-t border-gray-800 flex items-center justify-between">
+          {!activeChatId ? (
+            <p className="text-sm text-yellow-400">
+              ⚠️ Crea una chat per compilare le variabili
+            </p>
+          ) : (
+            <p className="text-sm text-red-400">{saveError}</p>
+          )}
+          <div className="flex items-center gap-3 ml-auto">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors"
+            >
+              Annulla
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving || loading || !activeChatId}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-800 disabled:text-gray-500 disabled:cursor-not-allowed text-white rounded-lg transition-colors"
+            >
+              {saving ? 'Salvataggio...' : 'Salva'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PromptVariables;
@@ -0,0 +1,204 @@
+import { useState, useEffect } from 'react';
+import { useChatStore } from '../store/chatStore';
+import { getModelDisplayName } from '../constants/models';
+import { fetchUsage, summarizeUsage, formatCost } from '../lib/usage';
+
+const PERIODS = [7, 30, 90];
+
+/**
+ * Compact token count (e.g. 12.3k)
+ */
+const formatTokens = (count) => (count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(Math.round(count || 0)));
+
+/**
+ * Usage Dashboard Modal - spend by model and by day for the signed-in user
+ * Costs are estimated from the server price table (list prices, see MODEL_PRICES)
+ */
+const UsageDashboard = ({ isOpen, onClose }) => {
+  const { activeChatId, sessionId } = useChatStore();
+  const [days, setDays] = useState(30);
+  const [usage, setUsage] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const chatId = activeChatId || sessionId;
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    fetchUsage({ days, chatId })
+      .then(data => {
+        if (!cancelled) setUsage(data);
+      })
+      .catch(err => {
+        console.error('[UsageDashboard] Error loading usage:', err);
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, days, chatId]);
+
+  if (!isOpen) return null;
+
+  const currency = usage?.currency || 'USD';
+  const { total, byModel, byDay } = summarizeUsage(usage?.days);
+  const maxDayCost = Math.max(...byDay.map(day => day.cost), 0);
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
+      <div className="bg-gray-900 rounded-lg shadow-xl w-full max-w-3xl max-h-[90vh] overflow-hidden flex flex-col">
+        {/* Header */}
+        <div className="px-6 py-4 border-b border-gray-800 flex items-center justify-between">
+          <h2 className="text-xl font-semibold text-white">Utilizzo e costi</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white transition-colors"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-y-auto px-6 py-4 space-y-6">
+          <div className="flex items-center justify-between gap-4">
+            <p className="text-sm text-gray-400">
+              Costi stimati con i prezzi di listino dei modelli ({currency}).
+            </p>
+            <div className="flex gap-1">
+              {PERIODS.map(period => (
+                <button
+                  key={period}
+                  onClick={() => setDays(period)}
+                  className={`px-3 py-1 rounded-lg text-sm transition-colors ${
+                    days === period ? 'bg-blue-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'
+                  }`}
+                >
+                  {period} giorni
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {error && (
+            <div className="bg-red-900/30 border border-red-800 text-red-300 text-sm rounded-lg px-4 py-2">
+              {error}
+            </div>
+          )}
+
+          {loading && !usage ? (
+            <div className="text-center text-gray-400 py-8">
+              <p>Loading usage...</p>
+            </div>
+          ) : (
+            <>
+              {/* Totals */}
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                {[
+                  { label: 'Spesa', value: formatCost(total.cost, currency) },
+                  { label: 'Richieste', value: total.requests },
+                  { label: 'Token (input / output)', value: `${formatTokens(total.promptTokens)} / ${formatTokens(total.outputTokens + total.thinkingTokens)}` },
+                  { label: 'Immagini', value: total.images }
+                ].map(item => (
+                  <div key={item.label} className="bg-gray-800 border border-gray-700 rounded-lg px-4 py-3">
+                    <p className="text-xs text-gray-400">{item.label}</p>
+                    <p className="text-lg font-semibold text-white">{item.value}</p>
+                  </div>
+                ))}
+              </div>
+
+              {usage?.chat && (
+                <p className="text-sm text-gray-300">
+                  Chat corrente: <span className="font-medium text-white">{formatCost(usage.chat.cost, currency)}</span>
+                  {' '}· {usage.chat.requests} richieste · {formatTokens(usage.chat.promptTokens + usage.chat.outputTokens + usage.chat.thinkingTokens)} token
+                  {usage.chat.images > 0 && ` · ${usage.chat.images} immagini`}
+                </p>
+              )}
+
+              {/* By model */}
+              <div>
+                <h3 className="text-sm font-medium text-white mb-2">Per modello</h3>
+                {byModel.length === 0 ? (
+                  <p className="text-sm text-gray-400">Nessun utilizzo nel periodo</p>
+                ) : (
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs text-gray-400 border-b border-gray-800">
+                        <th className="py-2 font-normal">Modello</th>
+                        <th className="py-2 font-normal text-right">Richieste</th>
+                        <th className="py-2 font-normal text-right">Input</th>
+                        <th className="py-2 font-normal text-right">Output</th>
+                        <th className="py-2 font-normal text-right">Ragionamento</th>
+                        <th className="py-2 font-normal text-right">Immagini</th>
+                        <th className="py-2 font-normal text-right">Spesa</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {byModel.map(row => (
+                        <tr key={row.model} className="text-gray-200 border-b border-gray-800/60">
+                          <td className="py-2">{getModelDisplayName(row.model)}</td>
+                          <td className="py-2 text-right">{row.requests}</td>
+                          <td className="py-2 text-right">{formatTokens(row.promptTokens)}</td>
+                          <td className="py-2 text-right">{formatTokens(row.outputTokens)}</td>
+                          <td className="py-2 text-right">{formatTokens(row.thinkingTokens)}</td>
+                          <td className="py-2 text-right">{row.images}</td>
+                          <td className="py-2 text-right text-white">{formatCost(row.cost, currency)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+
+              {/* By day */}
+              <div>
+                <h3 className="text-sm font-medium text-white mb-2">Per giorno</h3>
+                {byDay.length === 0 ? (
+                  <p className="text-sm text-gray-400">Nessun utilizzo nel periodo</p>
+                ) : (
+                  <ul className="space-y-1.5">
+                    {byDay.map(day => (
+                      <li key={day.date} className="flex items-center gap-3 text-sm">
+                        <span className="w-24 text-gray-400 flex-shrink-0">
+                          {new Date(`${day.date}T00:00:00Z`).toLocaleDateString('it-IT', { day: '2-digit', month: 'short' })}
+                        </span>
+                        <div className="flex-1 h-2 rounded-full bg-gray-800 overflow-hidden">
+                          <div
+                            className="h-full rounded-full bg-blue-500"
+                            style={{ width: maxDayCost > 0 ? `${Math.max(2, (day.cost / maxDayCost) * 100)}%` : '0%' }}
+                          />
+                        </div>
+                        <span className="w-24 text-right text-gray-200 flex-shrink-0">{formatCost(day.cost, currency)}</span>
+                        <span className="w-20 text-right text-xs text-gray-500 flex-shrink-0">{day.requests} rich.</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="px-6 py-4 border-t border-gray-800 flex items-center justify-end">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors"
+          >
+            Chiudi
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UsageDashboard;
@@ -1,6 +1,7 @@
 import { initializeApp, getApps } from 'firebase/app';
 import { getFirestore, setLogLevel } from 'firebase/firestore';
 import { getStorage } from 'firebase/storage';
+import { getAuth } from 'firebase/auth';
 
 // Firebase configuration from environment variables
 const firebaseConfig = {
@@ -91,3 +92,17 @@ try {
 
 export { storage };
 
+// Initialize Firebase Auth only if app is valid
+let auth;
+try {
+  if (app && app.name !== 'dummy-app') {
+    auth = getAuth(app);
+    console.log("✅ Firebase Auth initialized successfully");
+  } else {
+    console.warn("⚠️ Firebase Auth not initialized - using dummy Firebase app");
+  }
+} catch (error) {
+  console.error("❌ Firebase Auth initialization error:", error);
+}
+
+export { auth };
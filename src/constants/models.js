@@ -1,57 +1,37 @@
 /**
- * Model information and descriptions
- * ONLY 2 MODELS SUPPORTED
+ * Model information and descriptions, from the model registry (/api/models)
  */
-import { MODEL_CAPABILITIES } from '../lib/modelCapabilities.js';
+import { getModel, getSelectableModels } from '../lib/modelRegistry.js';
 
-export const MODEL_INFO = {
-  "gemini-2.5-flash": "Gemini 2.5 Flash: modello avanzato per generazione testo, multimodale, ottimo per task generali con buon tradeoff tra qualità e velocità.",
-  "gemini-2.5-flash-image": "Nano Banana: modello per generazione immagini tramite Vertex AI. Genera immagini da prompt testuali."
-};
+/**
+ * Default model (used until the registry is loaded, then the registry default)
+ */
+export const DEFAULT_MODEL = "gemini-2.5-flash";
 
 /**
- * All available models (2 models only)
+ * Models offered in the model selector
  */
-export const ALL_MODELS = [
-  "gemini-2.5-flash",
-  "gemini-2.5-flash-image"
-];
+export const getAvailableModels = () => getSelectableModels().map(model => model.id);
 
 /**
- * Default model
+ * Get model description (tooltip of the model selector)
  */
-export const DEFAULT_MODEL = "gemini-2.5-flash";
+export const getModelDescription = (model) => getModel(model)?.description || '';
 
 /**
  * Get model display name
  */
-export const getModelDisplayName = (model) => {
-  const capabilities = MODEL_CAPABILITIES[model];
-  if (capabilities) {
-    return capabilities.label;
-  }
-  const names = {
-    "gemini-2.5-flash": "Gemini 2.5 Flash",
-    "gemini-2.5-flash-image": "Nano Banana"
-  };
-  return names[model] || model;
-};
+export const getModelDisplayName = (model) => getModel(model)?.label || model;
 
 /**
  * Check if a model is an image model
  */
-export const isImageModel = (model) => {
-  const capabilities = MODEL_CAPABILITIES[model];
-  return capabilities?.type === 'image';
-};
+export const isImageModel = (model) => getModel(model)?.type === 'image';
 
 /**
  * Check if a model is a text model
  */
-export const isTextModel = (model) => {
-  const capabilities = MODEL_CAPABILITIES[model];
-  return capabilities?.type === 'text';
-};
+export const isTextModel = (model) => getModel(model)?.type === 'text';
 
 /**
  * Check if a model is a Gemini model
@@ -0,0 +1,151 @@
+/**
+ * API error codes (api/helpers/errors.js) as shown in the chat:
+ * an Italian message and the action that can fix the error
+ */
+
+export const ERROR_ACTIONS = {
+  RETRY: 'retry', // send the same request again
+  SWITCH_MODEL: 'switch_model', // pick another model
+  EDIT_PROMPT: 'edit_prompt', // put the prompt back in the composer to change it
+  SIGN_IN: 'sign_in', // session expired
+  FILL_VARIABLES: 'fill_variables' // open the prompt variables panel
+};
+
+const hoursUntil = (seconds) => Math.max(1, Math.ceil((seconds || 0) / 3600));
+
+// message: string or (error) => string
+const ERROR_MESSAGES = {
+  invalid_input: {
+    message: 'Il modello non ha accettato la richiesta. Modifica il testo o gli allegati.',
+    action: ERROR_ACTIONS.EDIT_PROMPT
+  },
+  missing_variables: {
+    message: (error) => `Mancano i valori delle variabili: ${(error.missingVariables || []).map(name => `{{${name}}}`).join(', ')}. Compilale nel pannello variabili.`,
+    action: ERROR_ACTIONS.FILL_VARIABLES
+  },
+  unauthenticated: {
+    message: 'La sessione è scaduta. Accedi di nuovo.',
+    action: ERROR_ACTIONS.SIGN_IN
+  },
+  forbidden: {
+    message: 'Non hai i permessi per questa operazione.'
+  },
+  model_disabled: {
+    message: 'Questo modello è disattivato. Attivalo nelle impostazioni o scegline un altro.',
+    action: ERROR_ACTIONS.SWITCH_MODEL
+  },
+  not_found: {
+    message: 'Risorsa non trovata.'
+  },
+  payload_too_large: {
+    message: 'Messaggio o allegati troppo grandi. Riduci il testo o il numero di immagini.',
+    action: ERROR_ACTIONS.EDIT_PROMPT
+  },
+  unsupported_media_type: {
+    message: 'Formato immagine non supportato. Usa PNG, JPEG, WebP o HEIC.',
+    action: ERROR_ACTIONS.EDIT_PROMPT
+  },
+  safety_blocked: {
+    message: 'La richiesta è stata bloccata dai filtri di sicurezza. Riformulala.',
+    action: ERROR_ACTIONS.EDIT_PROMPT
+  },
+  rate_limited: {
+    message: (error) => `Troppe richieste in poco tempo. Riprova tra ${error.retryAfter || 60} secondi.`,
+    action: ERROR_ACTIONS.RETRY
+  },
+  quota_exceeded: {
+    message: (error) => {
+      const unit = error.quota?.daily?.unit === 'images' ? 'immagini' : 'token';
+      const hours = hoursUntil(error.retryAfter);
+      return `Budget giornaliero di ${unit} esaurito per questo modello. Si rinnova tra circa ${hours} ${hours === 1 ? 'ora' : 'ore'}.`;
+    },
+    action: ERROR_ACTIONS.SWITCH_MODEL
+  },
+  upstream_timeout: {
+    message: 'Il modello non ha risposto in tempo.',
+    action: ERROR_ACTIONS.RETRY
+  },
+  upstream_unavailable: {
+    message: 'Il modello è momentaneamente sovraccarico o non raggiungibile.',
+    action: ERROR_ACTIONS.RETRY
+  },
+  upstream_error: {
+    message: 'Il servizio del modello ha restituito un errore.',
+    action: ERROR_ACTIONS.SWITCH_MODEL
+  },
+  internal: {
+    message: 'Errore interno del server.',
+    action: ERROR_ACTIONS.RETRY
+  },
+  // Client side: the request never reached the server
+  network: {
+    message: 'Connessione al server non riuscita. Controlla la rete.',
+    action: ERROR_ACTIONS.RETRY
+  }
+};
+
+/**
+ * Error thrown for a non-2xx API response (or an SSE error event)
+ * Keeps the fields of the error body: code, retryable, requestId, retryAfter, quota, missingVariables
+ */
+export class ApiError extends Error {
+  constructor(body = {}, status = 0) {
+    super(body.error || body.message || `API error: ${status}`);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = body.code || (status >= 500 ? 'internal' : 'invalid_input');
+    this.retryable = body.retryable ?? (status >= 500 || status === 429);
+    this.requestId = body.requestId || null;
+    this.retryAfter = body.retryAfter ?? null;
+    this.quota = body.quota || null;
+    this.missingVariables = body.missingVariables || null;
+  }
+}
+
+/**
+ * Read the error body of a failed response
+ * @param {Response} response
+ * @returns {Promise<ApiError>}
+ */
+export async function readApiError(response) {
+  const text = await response.text().catch(() => '');
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    body = { error: text || `HTTP ${response.status}` };
+  }
+  if (!body.requestId) {
+    body.requestId = response.headers.get('X-Request-Id');
+  }
+  return new ApiError(body, response.status);
+}
+
+/**
+ * What the chat shows for an error
+ * Errors without a code (thrown in the client) keep their own message
+ * @returns {{message: string, action: string|null, code: string|null, retryable: boolean, requestId: string|null}}
+ */
+export function describeApiError(error) {
+  // fetch() rejects with a TypeError when the server cannot be reached
+  const code = error?.code || (error?.name === 'TypeError' && /fetch|network/i.test(error.message) ? 'network' : null);
+  const entry = code && ERROR_MESSAGES[code];
+
+  if (!entry) {
+    return {
+      message: error?.message || 'Errore imprevisto',
+      action: null,
+      code: code || null,
+      retryable: false,
+      requestId: error?.requestId || null
+    };
+  }
+
+  return {
+    message: typeof entry.message === 'function' ? entry.message(error) : entry.message,
+    action: entry.action || null,
+    code,
+    retryable: error.retryable ?? code === 'network',
+    requestId: error.requestId || null
+  };
+}
@@ -0,0 +1,129 @@
+import {
+  GoogleAuthProvider,
+  isSignInWithEmailLink,
+  onAuthStateChanged,
+  sendSignInLinkToEmail,
+  signInWithEmailLink,
+  signInWithPopup,
+  signOut
+} from 'firebase/auth';
+import { auth } from '../config/firebase';
+
+/**
+ * Firebase Auth (email link + Google) and authenticated calls to /api
+ */
+
+// Anonymous id used before sign-in was required (users/{uuid} data is moved on first sign-in)
+const LEGACY_USER_ID_KEY = 'user_id';
+const EMAIL_FOR_SIGN_IN_KEY = 'email_for_sign_in';
+const MIGRATE_ENDPOINT = '/api/migrateUser';
+
+let currentUserId = null;
+
+/**
+ * uid of the signed-in user (Firestore paths users/{uid}/...)
+ */
+export const getCurrentUserId = () => currentUserId;
+
+/**
+ * Subscribe to sign-in / sign-out; the callback receives the Firebase user or null
+ */
+export function subscribeToAuth(callback) {
+  if (!auth) {
+    console.error('[Auth] Firebase Auth not initialized');
+    callback(null);
+    return () => {};
+  }
+  return onAuthStateChanged(auth, (user) => {
+    currentUserId = user?.uid || null;
+    callback(user);
+  });
+}
+
+/**
+ * Send the sign-in link by email (the link opens the app again)
+ */
+export async function sendEmailSignInLink(email) {
+  await sendSignInLinkToEmail(auth, email, {
+    url: window.location.origin,
+    handleCodeInApp: true
+  });
+  localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, email);
+}
+
+/**
+ * Complete the sign-in when the app is opened from an email link
+ * @returns {Promise<boolean>} true if the current URL was a sign-in link
+ */
+export async function completeEmailLinkSignIn() {
+  if (!auth || !isSignInWithEmailLink(auth, window.location.href)) {
+    return false;
+  }
+
+  // Link opened on another device: the email has to be confirmed
+  const email = localStorage.getItem(EMAIL_FOR_SIGN_IN_KEY) ||
+    window.prompt('Conferma la tua email per completare l\'accesso');
+  if (!email) return false;
+
+  await signInWithEmailLink(auth, email, window.location.href);
+  localStorage.removeItem(EMAIL_FOR_SIGN_IN_KEY);
+  // Drop the one-time sign-in parameters from the address bar
+  window.history.replaceState(null, '', window.location.pathname);
+  return true;
+}
+
+export async function signInWithGoogle() {
+  await signInWithPopup(auth, new GoogleAuthProvider());
+}
+
+export async function signOutUser() {
+  await signOut(auth);
+}
+
+/**
+ * fetch() with the Firebase ID token of the signed-in user (Authorization: Bearer)
+ */
+export async function authFetch(url, options = {}) {
+  const idToken = await auth?.currentUser?.getIdToken();
+  return fetch(url, {
+    ...options,
+    headers: {
+      ...(options.headers || {}),
+      ...(idToken && { Authorization: `Bearer ${idToken}` })
+    }
+  });
+}
+
+/**
+ * Move the anonymous localStorage user data to the signed-in account (first sign-in only)
+ * The legacy id is forgotten once the server has moved (or already moved) the data
+ */
+export async function migrateLegacyUser() {
+  const legacyUserId = localStorage.getItem(LEGACY_USER_ID_KEY);
+  if (!legacyUserId || legacyUserId === currentUserId) return null;
+
+  try {
+    const response = await authFetch(MIGRATE_ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ legacyUserId })
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      console.warn('[Auth] Anonymous data not migrated:', data.error || response.status);
+      // 400 / 409: nothing this account can migrate, do not retry on every sign-in
+      if (response.status === 400 || response.status === 409) {
+        localStorage.removeItem(LEGACY_USER_ID_KEY);
+      }
+      return null;
+    }
+
+    console.log('[Auth] Anonymous data migrated:', data);
+    localStorage.removeItem(LEGACY_USER_ID_KEY);
+    return data;
+  } catch (error) {
+    console.warn('[Auth] Anonymous data migration failed:', error);
+    return null;
+  }
+}
@@ -0,0 +1,84 @@
+import { authFetch } from './auth';
+
+/**
+ * Team document corpus ("Ground on your data") - client for /api/documents
+ */
+
+const DOCUMENTS_ENDPOINT = '/api/documents';
+
+export const ACCEPTED_DOCUMENT_TYPES = '.pdf,.md,.markdown,.csv,application/pdf,text/markdown,text/csv';
+export const MAX_DOCUMENT_BYTES = 3 * 1024 * 1024; // Same limit as api/helpers/retrieval.js
+
+/**
+ * Parse an error response from the documents API
+ */
+const toError = async (response) => {
+  const errorText = await response.text();
+  let errorData;
+  try {
+    errorData = JSON.parse(errorText);
+  } catch {
+    errorData = { error: errorText || `HTTP ${response.status}` };
+  }
+  return new Error(errorData.error || errorData.message || `API error: ${response.status}`);
+};
+
+/**
+ * List the documents of the corpus
+ */
+export async function listDocuments() {
+  const response = await authFetch(DOCUMENTS_ENDPOINT);
+  if (!response.ok) {
+    throw await toError(response);
+  }
+  const data = await response.json();
+  return data.documents || [];
+}
+
+/**
+ * Upload a PDF / Markdown / CSV file (chunked and embedded server-side)
+ * @param {File} file
+ * @returns {Promise<Object>} stored document
+ */
+export async function uploadDocument(file) {
+  if (file.size > MAX_DOCUMENT_BYTES) {
+    throw new Error(`File troppo grande (max ${MAX_DOCUMENT_BYTES / (1024 * 1024)} MB)`);
+  }
+
+  const dataUrl = await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onloadend = () => resolve(reader.result);
+    reader.onerror = reject;
+    reader.readAsDataURL(file);
+  });
+
+  const response = await authFetch(DOCUMENTS_ENDPOINT, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      fileName: file.name,
+      mimeType: file.type,
+      base64: dataUrl.split(',')[1] || ''
+    }),
+  });
+
+  if (!response.ok) {
+    throw await toError(response);
+  }
+  const data = await response.json();
+  return data.document;
+}
+
+/**
+ * Delete a document and its chunks
+ */
+export async function deleteDocument(documentId) {
+  const response = await authFetch(`${DOCUMENTS_ENDPOINT}?id=${encodeURIComponent(documentId)}`, {
+    method: 'DELETE',
+  });
+  if (!response.ok) {
+    throw await toError(response);
+  }
+}
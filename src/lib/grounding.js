@@ -0,0 +1,58 @@
+/**
+ * Google Search grounding - citation helpers for ChatUI
+ * Works on the normalized grounding saved on assistant messages:
+ * { queries: string[], sources: [{ uri, title }], supports: [{ text, sources: number[] }] }
+ */
+
+/**
+ * Split a reply into text pieces followed by their citations
+ * Each supported segment is located by its text (Gemini offsets are UTF-8 bytes,
+ * not JS string indexes), searching forward from the previous match
+ * @returns {Array<{text: string, citations: number[]}>} citations are indexes into grounding.sources
+ */
+export function splitCitedText(content, grounding) {
+  if (!content || !grounding?.supports?.length) {
+    return [{ text: content || '', citations: [] }];
+  }
+
+  const markers = new Map(); // end position → source indexes
+  let searchFrom = 0;
+
+  grounding.supports.forEach(support => {
+    let start = content.indexOf(support.text, searchFrom);
+    if (start === -1) {
+      // Segments may overlap or repeat: retry from the beginning
+      start = content.indexOf(support.text);
+    }
+    if (start === -1) return;
+
+    const end = start + support.text.length;
+    const existing = markers.get(end) || [];
+    markers.set(end, [...new Set([...existing, ...support.sources])].sort((a, b) => a - b));
+    searchFrom = end;
+  });
+
+  const pieces = [];
+  let cursor = 0;
+  [...markers.keys()].sort((a, b) => a - b).forEach(end => {
+    pieces.push({ text: content.slice(cursor, end), citations: markers.get(end) });
+    cursor = end;
+  });
+  if (cursor < content.length) {
+    pieces.push({ text: content.slice(cursor), citations: [] });
+  }
+
+  return pieces;
+}
+
+/**
+ * Label shown for a source (grounding URIs are redirect links, titles are usually the domain)
+ */
+export function getSourceLabel(source) {
+  if (source?.title) return source.title;
+  try {
+    return new URL(source.uri).hostname;
+  } catch {
+    return source?.uri || '';
+  }
+}
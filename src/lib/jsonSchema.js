@@ -0,0 +1,47 @@
+/**
+ * JSON Schema helpers for structured output (schema editors and modelSettings)
+ */
+
+/**
+ * Parse a JSON Schema typed by the user
+ * @param {string|Object} value - schema as JSON text (or already parsed)
+ * @returns {{schema: Object|null, error: string|null}}
+ */
+export function parseJsonSchema(value) {
+  if (!value || (typeof value === 'string' && value.trim() === '')) {
+    return { schema: null, error: 'Schema vuoto' };
+  }
+
+  let schema = value;
+  if (typeof value === 'string') {
+    try {
+      schema = JSON.parse(value);
+    } catch (error) {
+      return { schema: null, error: `JSON non valido: ${error.message}` };
+    }
+  }
+
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return { schema: null, error: 'Lo schema deve essere un oggetto JSON' };
+  }
+  if (!schema.type && !schema.properties && !schema.items) {
+    return { schema: null, error: 'Lo schema deve definire "type" (es. "object") o "properties"' };
+  }
+
+  return { schema, error: null };
+}
+
+/**
+ * Example schema shown as placeholder (product description with fixed fields)
+ */
+export const EXAMPLE_RESPONSE_SCHEMA = JSON.stringify({
+  type: 'object',
+  properties: {
+    nome_prodotto: { type: 'string' },
+    descrizione_breve: { type: 'string' },
+    descrizione_lunga: { type: 'string' },
+    ingredienti: { type: 'array', items: { type: 'string' } },
+    abbinamenti: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['nome_prodotto', 'descrizione_breve']
+}, null, 2);
@@ -1,77 +1,17 @@
+import { getModel, getModels } from './modelRegistry';
+
 /**
- * Model Capabilities Configuration
- * Defines which options are available for each model
+ * Model Capabilities
+ * Which options are available for each model, from the model registry (/api/models)
  */
 
-export const MODEL_CAPABILITIES = {
-  // ============================================================
-  // TEXT MODEL — Gemini 2.5 Flash Preview
-  // ============================================================
-  "gemini-2.5-flash": {
-    label: "Gemini 2.5 Flash Preview (Testo)",
-    type: "text",
-    options: {
-      temperature: true,
-      topP: true,
-      maxTokens: true,
-      systemInstruction: true,
-      thoughtBudget: {
-        enabled: true,
-        values: ["auto", "manual", "off"],
-      },
-      groundingGoogle: true,
-      groundingYourData: true,
-      structuredOutput: true,
-      streaming: true,
-      safetySettings: true,
-      region: true,
-    },
-  },
-
-  // ============================================================
-  // IMAGE MODEL — Nanobanana
-  // ============================================================
-  "gemini-2.5-flash-image": {
-    label: "Nano Banana (Generazione Immagini)",
-    type: "image",
-    options: {
-      outputType: {
-        enabled: true,
-        values: [
-          "image", 
-          "image_and_text"
-        ]
-      },
-      imageFormat: {
-        enabled: true,
-        values: [
-          "1:1",
-          "3:2",
-          "2:3",
-          "3:4",
-          "4:3",
-          "4:5",
-          "5:4",
-          "9:16"
-        ]
-      },
-      temperature: true,
-      topP: true,
-      // maxTokens SOLO se output = "image_and_text"
-      maxTokens: true,
-      systemInstruction: true,
-      streaming: false, // Immagini → niente streaming
-      safetySettings: true,
-      region: true
-    },
-  },
-};
-
 /**
  * Get capabilities for a model
  */
 export function getModelCapabilities(modelId) {
-  return MODEL_CAPABILITIES[modelId] || null;
+  const model = getModel(modelId);
+  if (!model) return null;
+  return { label: model.label, type: model.type, options: model.capabilities || {}, defaults: model.defaults || {} };
 }
 
 /**
@@ -116,6 +56,18 @@ export function getOptionValues(modelId, option) {
  * Get all supported models
  */
 export function getSupportedModels() {
-  return Object.keys(MODEL_CAPABILITIES);
+  return getModels().map(model => model.id);
+}
+
+/**
+ * Check if a supported option applies with the current output type
+ * (options with `outputTypes`, e.g. maxTokens of Nano Banana only with "image_and_text")
+ */
+export function isOptionActive(modelId, option, outputType) {
+  if (!modelSupportsOption(modelId, option)) return false;
+
+  const optionValue = getModelCapabilities(modelId).options[option];
+  if (!Array.isArray(optionValue?.outputTypes)) return true;
+  return optionValue.outputTypes.includes(outputType || 'image');
 }
 
@@ -0,0 +1,63 @@
+import { authFetch } from './auth';
+
+/**
+ * Model registry - client for /api/models
+ * Kept in this module so the synchronous helpers (modelRouter, modelCapabilities,
+ * constants/models) can read it; the store mirrors it in `models` to re-render the UI
+ */
+
+const MODELS_ENDPOINT = '/api/models';
+
+let registry = { defaultModel: null, models: [] };
+let loading = null;
+
+/**
+ * Load the registry once (later calls share the same request); a failed load can be retried
+ * @returns {Promise<{defaultModel: string, models: Array<Object>}>}
+ */
+export function ensureModelRegistry() {
+  if (registry.models.length > 0) return Promise.resolve(registry);
+  if (!loading) {
+    loading = authFetch(MODELS_ENDPOINT)
+      .then(async (response) => {
+        if (!response.ok) {
+          throw new Error(`Models API error: ${response.status}`);
+        }
+        registry = await response.json();
+        return registry;
+      })
+      .finally(() => {
+        loading = null;
+      });
+  }
+  return loading;
+}
+
+/**
+ * All models of the registry (empty until loaded)
+ */
+export function getModels() {
+  return registry.models;
+}
+
+/**
+ * Models offered in the model selector and Model Settings
+ */
+export function getSelectableModels() {
+  return registry.models.filter(model => model.selectable);
+}
+
+/**
+ * Definition of a model (case insensitive), null when unknown or not loaded yet
+ */
+export function getModel(modelId) {
+  const id = (modelId || '').toLowerCase().trim();
+  return registry.models.find(model => model.id.toLowerCase() === id) || null;
+}
+
+/**
+ * Default model of the registry
+ */
+export function getDefaultModelId() {
+  return registry.defaultModel;
+}
@@ -1,10 +1,14 @@
+import { getModel, getDefaultModelId } from './modelRegistry';
+
 /**
- * Model Router - Automatic routing for 3 supported models
+ * Model Router - endpoint and provider of a model, from the model registry (/api/models)
  * Determines endpoint, payload, and response handling based on model type
  */
 
 /**
  * Resolve model configuration
+ * Unknown models fall back to the registry default model; before the registry is loaded
+ * only the model ids are known (endpoint / type / provider are null)
  * @param {string} modelName - Model identifier
  * @returns {Object} Configuration object with type, endpoint, provider, and modelId
  */
@@ -13,43 +17,23 @@ export function resolveModelConfig(modelName) {
     throw new Error('Model name is required');
   }
 
-  const normalizedModel = modelName.toLowerCase().trim();
-
-  // Model definitions with provider routing
-  // ONLY 2 MODELS SUPPORTED
-  const models = {
-    // Text model - Google REST API
-    'gemini-2.5-flash': {
-      name: 'gemini-2.5-flash',
-      type: 'text',
-      provider: 'google-text',
-      endpoint: '/api/chat',
-      googleModel: 'gemini-2.5-flash'
-    },
-    
-    // Image model - Vertex AI Gemini (Nanobanana)
-    'gemini-2.5-flash-image': {
-      name: 'gemini-2.5-flash-image',
-      type: 'image',
-      provider: 'nanobanana',
-      endpoint: '/api/generateNanobananaImage',
-      googleModel: 'gemini-2.5-flash-image'
-    }
-  };
-
-  const config = models[normalizedModel];
+  let model = getModel(modelName);
   
-  if (!config) {
-    console.warn(`[ModelRouter] Unknown model "${modelName}", defaulting to gemini-2.5-flash`);
-    return models['gemini-2.5-flash'];
+  if (!model) {
+    const fallback = getModel(getDefaultModelId());
+    if (!fallback) {
+      return { endpoint: null, type: null, provider: null, modelId: modelName, googleModel: modelName };
+    }
+    console.warn(`[ModelRouter] Unknown model "${modelName}", defaulting to ${fallback.id}`);
+    model = fallback;
   }
 
   return {
-    endpoint: config.endpoint,
-    type: config.type,
-    provider: config.provider,
-    modelId: config.name,
-    googleModel: config.googleModel
+    endpoint: model.endpoint,
+    type: model.type,
+    provider: model.provider,
+    modelId: model.id,
+    googleModel: model.googleModel
   };
 }
 
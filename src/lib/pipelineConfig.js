@@ -1,29 +1,179 @@
 import { doc, getDoc, setDoc } from 'firebase/firestore';
 import { db } from '../config/firebase';
+import { getCurrentUserId } from './auth';
 
 /**
- * Get user ID from localStorage
+ * Pipeline: ordered stages run by text models before the main model (on the user's message)
+ * and after it (on the reply). "replace" stages pass their output to the next step,
+ * "annotate" stages (e.g. critique) only add a note shown on the message
+ *
+ * This module edits the chat layer; /api/pipeline combines it with the global and workspace
+ * layers (same schema, see api/helpers/pipelineConfig.js) and runs the stages
  */
-const getUserId = () => {
-  const stored = localStorage.getItem('user_id');
-  if (stored) {
-    return stored;
+
+// 1 = single pre-model (model / systemInstruction), 2 = ordered stages
+export const PIPELINE_SCHEMA_VERSION = 2;
+
+export const STAGE_POSITIONS = {
+  BEFORE: 'before',
+  AFTER: 'after'
+};
+
+export const STAGE_MODES = {
+  REPLACE: 'replace',
+  ANNOTATE: 'annotate'
+};
+
+// Stage kinds offered in the editor: default position, mode and instruction
+export const STAGE_KINDS = {
+  rewrite: {
+    label: 'Riformula',
+    position: STAGE_POSITIONS.BEFORE,
+    mode: STAGE_MODES.REPLACE,
+    instruction: "Riformula il messaggio dell'utente in modo più chiaro e strutturato, senza cambiarne il significato. Rispondi solo con il testo riformulato."
+  },
+  translate: {
+    label: 'Traduci',
+    position: STAGE_POSITIONS.BEFORE,
+    mode: STAGE_MODES.REPLACE,
+    instruction: 'Traduci il testo in inglese mantenendo tono e terminologia. Rispondi solo con la traduzione.'
+  },
+  image_prompt: {
+    label: 'Brief → prompt immagine',
+    position: STAGE_POSITIONS.BEFORE,
+    mode: STAGE_MODES.REPLACE,
+    instruction: "Trasforma il brief in un prompt dettagliato per un modello di generazione immagini: soggetto, composizione, luce, stile, palette e inquadratura. Rispondi solo con il prompt, in inglese."
+  },
+  critique: {
+    label: 'Critica',
+    position: STAGE_POSITIONS.AFTER,
+    mode: STAGE_MODES.ANNOTATE,
+    instruction: 'Valuta la risposta rispetto alla richiesta: accuratezza, completezza, tono. Elenca in breve i punti deboli e come migliorarli.'
+  },
+  post_process: {
+    label: 'Post-elaborazione',
+    position: STAGE_POSITIONS.AFTER,
+    mode: STAGE_MODES.REPLACE,
+    instruction: 'Rivedi la risposta: correggi errori, rendi il testo più conciso e formattalo in Markdown. Rispondi solo con la risposta rivista.'
+  },
+  custom: {
+    label: 'Personalizzato',
+    position: STAGE_POSITIONS.BEFORE,
+    mode: STAGE_MODES.REPLACE,
+    instruction: ''
   }
-  const { v4: uuidv4 } = require('uuid');
-  const newUserId = uuidv4();
-  localStorage.setItem('user_id', newUserId);
-  return newUserId;
 };
 
+const DEFAULT_STAGE_PARAMS = { temperature: 0.8, topP: 0.95, maxTokens: 2048 };
+
+/**
+ * New stage of a kind, with the kind defaults
+ */
+export function createStage(kind = 'custom', model = null) {
+  const preset = STAGE_KINDS[kind] || STAGE_KINDS.custom;
+  return {
+    id: `stage-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+    kind: STAGE_KINDS[kind] ? kind : 'custom',
+    name: preset.label,
+    position: preset.position,
+    mode: preset.mode,
+    enabled: true,
+    model,
+    instruction: preset.instruction,
+    ...DEFAULT_STAGE_PARAMS
+  };
+}
+
+const normalizeStage = (stage, index) => ({
+  ...createStage(stage.kind),
+  ...stage,
+  id: stage.id || `stage-${index + 1}`,
+  position: stage.position === STAGE_POSITIONS.AFTER ? STAGE_POSITIONS.AFTER : STAGE_POSITIONS.BEFORE,
+  mode: stage.mode === STAGE_MODES.ANNOTATE ? STAGE_MODES.ANNOTATE : STAGE_MODES.REPLACE,
+  enabled: stage.enabled !== false,
+  temperature: stage.temperature ?? DEFAULT_STAGE_PARAMS.temperature,
+  topP: stage.topP ?? DEFAULT_STAGE_PARAMS.topP,
+  maxTokens: stage.maxTokens ?? DEFAULT_STAGE_PARAMS.maxTokens
+});
+
+/**
+ * Chat layer from a stored document: `enabled` true / false, or null to inherit from the workspace / global layers
+ * Documents saved before stages existed (one pre-model) become a single "chat-rewrite" stage (the id
+ * api/helpers/pipelineConfig.js gives it, so it never replaces the global pre-model);
+ * their `enabled: false` only meant "no pre-model", so it turns that stage off and the layer inherits
+ */
+export function normalizePipelineConfig(data = {}) {
+  if (Array.isArray(data.stages)) {
+    return {
+      version: PIPELINE_SCHEMA_VERSION,
+      enabled: typeof data.enabled === 'boolean' ? data.enabled : null,
+      stages: data.stages.map(normalizeStage)
+    };
+  }
+
+  const stages = data.model
+    ? [normalizeStage({
+        id: 'chat-rewrite',
+        kind: 'rewrite',
+        name: STAGE_KINDS.rewrite.label,
+        enabled: data.enabled !== false,
+        model: data.model,
+        instruction: data.systemInstruction || '',
+        temperature: data.temperature,
+        topP: data.topP,
+        maxTokens: data.maxTokens
+      }, 0)]
+    : [];
+  return { version: PIPELINE_SCHEMA_VERSION, enabled: data.enabled === true ? true : null, stages };
+}
+
+/**
+ * Stages that run at a position of a resolved pipeline (/api/pipeline): enabled, with a model and an instruction
+ */
+export function getActiveStages(config, position) {
+  if (!config?.enabled) return [];
+  return (config.stages || []).filter(stage =>
+    stage.enabled && stage.position === position && stage.model && stage.instruction?.trim()
+  );
+}
+
+/**
+ * uid of the signed-in Firebase user
+ */
+const getUserId = () => getCurrentUserId();
+
 /**
  * Get pipeline config reference for a specific chat
  */
 const getPipelineRef = (chatId) => {
   const userId = getUserId();
-  // TODO: Firestore rules must allow read/write for this path.
   return doc(db, 'users', userId, 'chats', chatId, 'pipeline', 'config');
 };
 
+/**
+ * Get per-chat system prompt reference (sibling of the pipeline config document)
+ */
+const getSystemPromptRef = (chatId) => {
+  const userId = getUserId();
+  return doc(db, 'users', userId, 'chats', chatId, 'pipeline', 'systemPrompt');
+};
+
+/**
+ * Get per-chat response schema reference (structured JSON output)
+ */
+const getResponseSchemaRef = (chatId) => {
+  const userId = getUserId();
+  return doc(db, 'users', userId, 'chats', chatId, 'pipeline', 'responseSchema');
+};
+
+/**
+ * Get per-chat prompt variables reference ({{brand}}, {{language}}, custom ones)
+ */
+const getVariablesRef = (chatId) => {
+  const userId = getUserId();
+  return doc(db, 'users', userId, 'chats', chatId, 'pipeline', 'variables');
+};
+
 /**
  * Load pipeline configuration for a specific chat
  * @param {string} chatId - The chat ID
@@ -41,23 +191,13 @@ export async function loadPipelineConfig(chatId) {
     const pipelineSnap = await getDoc(pipelineRef);
 
     if (pipelineSnap.exists()) {
-      const data = pipelineSnap.data();
-      const config = {
-        enabled: data.enabled || false,
-        model: data.model || null,
-        systemInstruction: data.systemInstruction || '',
-        temperature: data.temperature ?? 0.8,
-        topP: data.topP ?? 0.95,
-        maxTokens: data.maxTokens ?? 2048
-      };
+      const config = normalizePipelineConfig(pipelineSnap.data());
       console.log('[Pipeline] Config loaded:', config);
       return config;
     } else {
+      // No chat layer: the chat inherits the workspace / global pipeline
       console.log('[Pipeline] Config not found, returning default');
-      // Create default config
-      const defaultConfig = getDefaultPipelineConfig();
-      await setDoc(pipelineRef, defaultConfig);
-      return defaultConfig;
+      return getDefaultPipelineConfig();
     }
   } catch (error) {
     console.error('[Pipeline] Error loading config:', error);
@@ -81,16 +221,12 @@ export async function savePipelineConfig(chatId, config) {
     const pipelineRef = getPipelineRef(chatId);
     
     const configData = {
-      enabled: config.enabled || false,
-      model: config.model || null,
-      systemInstruction: config.systemInstruction || '',
-      temperature: config.temperature ?? 0.8,
-      topP: config.topP ?? 0.95,
-      maxTokens: config.maxTokens ?? 2048,
+      ...normalizePipelineConfig(config),
       updatedAt: Date.now()
     };
     
-    await setDoc(pipelineRef, configData, { merge: true });
+    // Whole document replaced in the current schema: the single pre-model fields of older configs are dropped
+    await setDoc(pipelineRef, configData);
     console.log('[Pipeline] Config saved successfully');
     return true;
   } catch (error) {
@@ -100,16 +236,139 @@ export async function savePipelineConfig(chatId, config) {
 }
 
 /**
- * Get default pipeline configuration
+ * Get default pipeline configuration (chat layer that inherits everything)
  */
-function getDefaultPipelineConfig() {
+export function getDefaultPipelineConfig() {
   return {
-    enabled: false,
-    model: null,
-    systemInstruction: '',
-    temperature: 0.8,
-    topP: 0.95,
-    maxTokens: 2048
+    version: PIPELINE_SCHEMA_VERSION,
+    enabled: null,
+    stages: []
   };
 }
 
+/**
+ * Load the per-chat system prompt (chat persona)
+ * Chats without a stored prompt return '' and fall back to the model system prompt
+ * @param {string} chatId - The chat ID
+ * @returns {Promise<string>} System prompt text
+ */
+export async function loadChatSystemPrompt(chatId) {
+  try {
+    if (!chatId) {
+      return '';
+    }
+
+    const snap = await getDoc(getSystemPromptRef(chatId));
+    if (!snap.exists()) {
+      return '';
+    }
+
+    return snap.data().systemPrompt || '';
+  } catch (error) {
+    console.error('[Pipeline] Error loading chat system prompt:', error);
+    return '';
+  }
+}
+
+/**
+ * Save the per-chat system prompt (chat persona)
+ * @param {string} chatId - The chat ID
+ * @param {string} systemPrompt - System prompt text ('' clears the override)
+ * @returns {Promise<boolean>} Success status
+ */
+export async function saveChatSystemPrompt(chatId, systemPrompt) {
+  if (!chatId) {
+    throw new Error('chatId is required to save the chat system prompt');
+  }
+
+  console.log('[Pipeline] Saving chat system prompt for chat:', chatId);
+  await setDoc(getSystemPromptRef(chatId), {
+    systemPrompt: systemPrompt || '',
+    updatedAt: Date.now()
+  }, { merge: true });
+  return true;
+}
+
+/**
+ * Load the per-chat JSON Schema for structured output
+ * @param {string} chatId - The chat ID
+ * @returns {Promise<string>} Schema as JSON text ('' if not set)
+ */
+export async function loadChatResponseSchema(chatId) {
+  try {
+    if (!chatId) {
+      return '';
+    }
+
+    const snap = await getDoc(getResponseSchemaRef(chatId));
+    if (!snap.exists()) {
+      return '';
+    }
+
+    return snap.data().responseSchema || '';
+  } catch (error) {
+    console.error('[Pipeline] Error loading chat response schema:', error);
+    return '';
+  }
+}
+
+/**
+ * Save the per-chat JSON Schema for structured output
+ * @param {string} chatId - The chat ID
+ * @param {string} responseSchema - Schema as JSON text ('' clears the override)
+ * @returns {Promise<boolean>} Success status
+ */
+export async function saveChatResponseSchema(chatId, responseSchema) {
+  if (!chatId) {
+    throw new Error('chatId is required to save the chat response schema');
+  }
+
+  console.log('[Pipeline] Saving chat response schema for chat:', chatId);
+  await setDoc(getResponseSchemaRef(chatId), {
+    responseSchema: responseSchema || '',
+    updatedAt: Date.now()
+  }, { merge: true });
+  return true;
+}
+
+/**
+ * Load the per-chat prompt variables
+ * @param {string} chatId - The chat ID
+ * @returns {Promise<Object<string, string>>} Values by variable name ({} if not set)
+ */
+export async function loadChatVariables(chatId) {
+  try {
+    if (!chatId) {
+      return {};
+    }
+
+    const snap = await getDoc(getVariablesRef(chatId));
+    if (!snap.exists()) {
+      return {};
+    }
+
+    return snap.data().values || {};
+  } catch (error) {
+    console.error('[Pipeline] Error loading chat variables:', error);
+    return {};
+  }
+}
+
+/**
+ * Save the per-chat prompt variables (the whole set is replaced)
+ * @param {string} chatId - The chat ID
+ * @param {Object<string, string>} values - Values by variable name
+ * @returns {Promise<boolean>} Success status
+ */
+export async function saveChatVariables(chatId, values) {
+  if (!chatId) {
+    throw new Error('chatId is required to save the chat variables');
+  }
+
+  console.log('[Pipeline] Saving chat variables for chat:', chatId);
+  await setDoc(getVariablesRef(chatId), {
+    values: values || {},
+    updatedAt: Date.now()
+  });
+  return true;
+}
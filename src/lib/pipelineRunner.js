@@ -0,0 +1,83 @@
+import { authFetch } from './auth';
+import { readApiError } from './apiErrors';
+
+/**
+ * Pipeline runner - client for /api/pipeline
+ * The server combines the global, workspace and chat layers and runs the stages,
+ * so pre- and post-processing do not depend on the browser
+ */
+
+const PIPELINE_ENDPOINT = '/api/pipeline';
+
+/**
+ * Pipeline of a chat, resolved from all layers
+ * @param {string|null} chatId
+ * @returns {Promise<{version: number, enabled: boolean, stages: Array<Object>, layers: Array<string>}>}
+ */
+export async function loadResolvedPipeline(chatId) {
+  const query = chatId ? `?chatId=${encodeURIComponent(chatId)}` : '';
+  const response = await authFetch(`${PIPELINE_ENDPOINT}${query}`);
+  if (!response.ok) {
+    throw await readApiError(response);
+  }
+  const { config } = await response.json();
+  return config;
+}
+
+/**
+ * Run the active stages of a position on the server
+ * @param {'before'|'after'} position
+ * @param {string} input - user message (before) or main model reply (after)
+ * @param {Object} options
+ * @param {string} [options.chatId] - chat whose layer applies; stage usage is added to its usage too
+ * @param {string} [options.originalMessage] - the user's message, context for the stages after the main model
+ * @param {Object<string, string>} [options.variables] - values of the {{variables}} in the stage instructions
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{output: string, steps: Array<{stageId, name, kind, position, source, model, output, annotation, usage, durationMs, error}>}>}
+ */
+export async function runPipeline(position, input, { chatId, originalMessage = input, variables, signal } = {}) {
+  const response = await authFetch(PIPELINE_ENDPOINT, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    signal,
+    body: JSON.stringify({ chatId, position, input, originalMessage, variables }),
+  });
+
+  if (!response.ok) {
+    throw await readApiError(response);
+  }
+
+  const { output, steps } = await response.json();
+  return { output, steps };
+}
+
+/**
+ * Dry run: the pipeline on sample text, without the main model and without writing to the chat
+ * @param {string} input - sample user message, for the stages before the main model
+ * @param {Object} options
+ * @param {string} [options.chatId]
+ * @param {string} [options.reply] - sample main model reply, for the stages after it (skipped without one)
+ * @param {Object} [options.config] - chat layer being edited, used instead of the saved one
+ * @param {Object<string, string>} [options.variables] - values of the {{variables}} in the stage instructions
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{prompt: string, reply: string|null, steps: Array<Object>, durationMs: number}>}
+ */
+export async function dryRunPipeline(input, { chatId, reply, config, variables, signal } = {}) {
+  const response = await authFetch(PIPELINE_ENDPOINT, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    signal,
+    body: JSON.stringify({ dryRun: true, chatId, input, reply, config, variables }),
+  });
+
+  if (!response.ok) {
+    throw await readApiError(response);
+  }
+
+  const { prompt, reply: finalReply, steps, durationMs } = await response.json();
+  return { prompt, reply: finalReply, steps, durationMs };
+}
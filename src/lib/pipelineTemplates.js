@@ -0,0 +1,257 @@
+import { collection, doc, getDocs, setDoc, deleteDoc } from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { authFetch, getCurrentUserId } from './auth';
+import { readApiError } from './apiErrors';
+import { createStage, normalizePipelineConfig, PIPELINE_SCHEMA_VERSION } from './pipelineConfig';
+
+/**
+ * Pipeline templates: a named, described and tagged set of stages that can be applied to a chat
+ * - built-in: the examples below
+ * - personal: users/{uid}/pipelineTemplates (Firestore, this user only)
+ * - team: shared through /api/pipelineTemplates (same schema, owner added by the server)
+ * Templates keep stages without models when the model should be the one picked at apply time
+ */
+
+const TEMPLATES_ENDPOINT = '/api/pipelineTemplates';
+
+// JSON export envelope; import also accepts a single template or an array
+export const TEMPLATE_EXPORT_FORMAT = 'pipeline-templates';
+
+const stage = (kind, fields) => ({ ...createStage(kind), ...fields });
+
+export const BUILTIN_TEMPLATES = [
+  {
+    id: 'builtin-instagram-caption-it',
+    builtin: true,
+    name: 'Caption Instagram in italiano',
+    description: 'Dal brief alla caption: riformula la richiesta, scrive la caption e la rivede con hashtag e call to action.',
+    tags: ['social', 'instagram', 'italiano'],
+    pipeline: {
+      version: PIPELINE_SCHEMA_VERSION,
+      stages: [
+        stage('rewrite', {
+          id: 'caption-brief',
+          name: 'Brief',
+          instruction: "Riformula la richiesta come brief per una caption Instagram: prodotto o piatto, pubblico, tono, occasione. Rispondi solo con il brief."
+        }),
+        stage('post_process', {
+          id: 'caption-polish',
+          name: 'Rifinitura caption',
+          instruction: 'Rivedi la caption in italiano: massimo 2200 caratteri, prima riga che cattura, emoji con moderazione, una call to action e 5-10 hashtag pertinenti in fondo. Rispondi solo con la caption.'
+        })
+      ]
+    }
+  },
+  {
+    id: 'builtin-product-photo-prompt',
+    builtin: true,
+    name: 'Prompt foto prodotto',
+    description: 'Trasforma una descrizione del prodotto in un prompt dettagliato per i modelli immagine (Imagen, Nano Banana).',
+    tags: ['immagini', 'prodotto', 'prompt'],
+    pipeline: {
+      version: PIPELINE_SCHEMA_VERSION,
+      stages: [
+        stage('image_prompt', {
+          id: 'product-photo-prompt',
+          name: 'Prompt foto prodotto',
+          instruction: 'Trasforma la descrizione in un prompt per una foto prodotto professionale: soggetto in primo piano, superficie e sfondo, luce da studio, angolazione, profondità di campo, palette coerente con il brand. Nessun testo o logo inventato. Rispondi solo con il prompt, in inglese.'
+        })
+      ]
+    }
+  },
+  {
+    id: 'builtin-translate-review',
+    builtin: true,
+    name: 'Traduzione con revisione',
+    description: 'Traduce il messaggio in inglese prima del modello e critica la risposta.',
+    tags: ['traduzione', 'qualità'],
+    pipeline: {
+      version: PIPELINE_SCHEMA_VERSION,
+      stages: [
+        stage('translate', { id: 'translate-en' }),
+        stage('critique', { id: 'critique-reply' })
+      ]
+    }
+  }
+];
+
+/**
+ * Template in the stored shape; unknown fields are dropped
+ */
+export function normalizeTemplate(data = {}) {
+  const { stages } = normalizePipelineConfig(data.pipeline || {});
+  return {
+    ...(data.id && { id: data.id }),
+    ...(data.builtin && { builtin: true }),
+    ...(data.owner && { owner: data.owner }), // team templates: who shared it
+    ...(data.createdAt && { createdAt: data.createdAt }),
+    ...(data.updatedAt && { updatedAt: data.updatedAt }),
+    name: (data.name || '').trim(),
+    description: (data.description || '').trim(),
+    tags: Array.isArray(data.tags) ? [...new Set(data.tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))] : [],
+    pipeline: { version: PIPELINE_SCHEMA_VERSION, stages },
+    forkedFrom: data.forkedFrom?.id ? { id: data.forkedFrom.id, name: data.forkedFrom.name || '' } : null
+  };
+}
+
+// Fields of a stored copy that a new copy (fork, share, import, export) must not carry over
+const withoutStorageFields = ({ id, builtin, owner, createdAt, updatedAt, ...fields }) => fields;
+
+/**
+ * New template from the stages of a chat pipeline
+ */
+export function createTemplateFromPipeline(config, { name, description = '', tags = [] }) {
+  return normalizeTemplate({
+    name,
+    description,
+    tags,
+    pipeline: { stages: config?.stages || [] }
+  });
+}
+
+/**
+ * Personal copy of a template (built-in, team or personal), linked to its origin
+ */
+export function forkTemplate(template) {
+  return normalizeTemplate({
+    ...withoutStorageFields(template),
+    name: `${template.name} (copia)`,
+    forkedFrom: { id: template.id, name: template.name }
+  });
+}
+
+/**
+ * Chat pipeline stages from a template: new ids, and `defaultModel` for the stages without a model
+ * (or with a model that is not available any more)
+ */
+export function getTemplateStages(template, { defaultModel = null, availableModels = [] } = {}) {
+  return normalizeTemplate(template).pipeline.stages.map(({ id, ...fields }) => {
+    const model = fields.model && (availableModels.length === 0 || availableModels.includes(fields.model))
+      ? fields.model
+      : defaultModel;
+    return { ...createStage(fields.kind, model), ...fields, model };
+  });
+}
+
+// ---- JSON import / export ----
+
+/**
+ * Templates as JSON (the envelope records the schema version)
+ */
+export function exportTemplatesJson(templates) {
+  const exported = templates.map(template => withoutStorageFields(normalizeTemplate(template)));
+  return JSON.stringify({ format: TEMPLATE_EXPORT_FORMAT, version: PIPELINE_SCHEMA_VERSION, templates: exported }, null, 2);
+}
+
+/**
+ * Templates from an exported JSON file: the envelope, an array, or a single template
+ * @throws {Error} when the text is not JSON or holds no template with a name and stages
+ */
+export function parseTemplatesJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Il file non è un JSON valido');
+  }
+
+  const entries = Array.isArray(data) ? data : Array.isArray(data?.templates) ? data.templates : [data];
+  const templates = entries
+    .filter(entry => entry && typeof entry === 'object')
+    .map(entry => withoutStorageFields(normalizeTemplate(entry)))
+    .filter(template => template.name && template.pipeline.stages.length > 0);
+
+  if (templates.length === 0) {
+    throw new Error('Nessun template valido nel file (servono un nome e almeno un passaggio)');
+  }
+  return templates;
+}
+
+/**
+ * Download text as a file
+ */
+export function downloadJson(fileName, text) {
+  const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// ---- Personal templates (Firestore) ----
+
+const getTemplatesRef = () => collection(db, 'users', getCurrentUserId(), 'pipelineTemplates');
+
+/**
+ * Personal templates, newest first
+ */
+export async function listPersonalTemplates() {
+  const snapshot = await getDocs(getTemplatesRef());
+  return snapshot.docs
+    .map(snap => ({ id: snap.id, ...snap.data() }))
+    .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+}
+
+/**
+ * Create or update a personal template
+ * @returns {Promise<Object>} the stored template, with its id
+ */
+export async function savePersonalTemplate(template) {
+  const { id, builtin, owner, ...fields } = normalizeTemplate(template);
+  const ref = id && !builtin && !owner ? doc(getTemplatesRef(), id) : doc(getTemplatesRef());
+  const stored = {
+    ...fields,
+    createdAt: fields.createdAt || Date.now(),
+    updatedAt: Date.now()
+  };
+  await setDoc(ref, stored);
+  console.log('[Templates] Personal template saved:', ref.id);
+  return { id: ref.id, ...stored };
+}
+
+export async function deletePersonalTemplate(templateId) {
+  await deleteDoc(doc(getTemplatesRef(), templateId));
+}
+
+// ---- Team templates (/api/pipelineTemplates) ----
+
+export async function listSharedTemplates() {
+  const response = await authFetch(TEMPLATES_ENDPOINT);
+  if (!response.ok) {
+    throw await readApiError(response);
+  }
+  const data = await response.json();
+  return data.templates || [];
+}
+
+/**
+ * Share a copy of a template with the team
+ */
+export async function shareTemplate(template) {
+  const fields = withoutStorageFields(normalizeTemplate(template));
+  const response = await authFetch(TEMPLATES_ENDPOINT, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ template: fields }),
+  });
+  if (!response.ok) {
+    throw await readApiError(response);
+  }
+  const data = await response.json();
+  return data.template;
+}
+
+/**
+ * Remove a template you shared
+ */
+export async function unshareTemplate(templateId) {
+  const response = await authFetch(`${TEMPLATES_ENDPOINT}?id=${encodeURIComponent(templateId)}`, {
+    method: 'DELETE',
+  });
+  if (!response.ok) {
+    throw await readApiError(response);
+  }
+}
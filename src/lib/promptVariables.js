@@ -0,0 +1,66 @@
+/**
+ * Prompt variables in system instructions: {{brand}}, {{language}}, {{date}}, {{chat.title}}, ...
+ * Same syntax as api/helpers/promptTemplate.js, which renders them for the main model and
+ * every pipeline stage; here they are listed for the variables panel and checked before sending
+ */
+
+export const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w.]*)\s*\}\}/g;
+
+export const VARIABLE_NAME_PATTERN = /^[A-Za-z_][\w.]*$/;
+
+// Always shown in the panel, even when no instruction uses them yet
+export const SUGGESTED_VARIABLES = [
+  { name: 'brand', label: 'Brand', placeholder: 'Es. Trattoria Da Mario' },
+  { name: 'language', label: 'Lingua', placeholder: 'Es. italiano' }
+];
+
+// Filled in automatically: shown read-only, a stored value of the same name overrides them
+export const AUTO_VARIABLES = [
+  { name: 'date', label: 'Data di oggi' },
+  { name: 'chat.title', label: 'Titolo della chat' }
+];
+
+/**
+ * Names of the variables used in some texts, in order of appearance, without repeats
+ * @param {Array<string>|string} texts
+ */
+export function extractVariables(texts) {
+  const names = [];
+  for (const text of [].concat(texts)) {
+    if (typeof text !== 'string') continue;
+    for (const match of text.matchAll(VARIABLE_PATTERN)) {
+      if (!names.includes(match[1])) names.push(match[1]);
+    }
+  }
+  return names;
+}
+
+/**
+ * Today's date as {{date}} (the server fills it in the same format when the request has no value)
+ */
+export function formatToday() {
+  return new Intl.DateTimeFormat('it-IT', { dateStyle: 'long', timeZone: 'Europe/Rome' }).format(new Date());
+}
+
+/**
+ * Values sent with a request: the automatic ones, then the chat's own (non-empty) values
+ * @param {Object<string, string>} values - stored values of the chat
+ * @param {{chatTitle?: string}} context
+ */
+export function buildRequestVariables(values = {}, { chatTitle = '' } = {}) {
+  const variables = {
+    date: formatToday(),
+    ...(chatTitle && { 'chat.title': chatTitle })
+  };
+  for (const [name, value] of Object.entries(values || {})) {
+    if (typeof value === 'string' && value.trim()) variables[name] = value.trim();
+  }
+  return variables;
+}
+
+/**
+ * Variables used in the texts that have no value
+ */
+export function findMissingVariables(texts, variables = {}) {
+  return extractVariables(texts).filter(name => !variables[name]);
+}
@@ -0,0 +1,20 @@
+import { authFetch } from './auth';
+
+/**
+ * Per-user rate limits and daily budgets - client for /api/quota
+ * (429 messages: apiErrors.js)
+ */
+
+const QUOTA_ENDPOINT = '/api/quota';
+
+/**
+ * Remaining budget of the signed-in user for a model (Google model id)
+ * @returns {Promise<{model, requestsPerMinute: {limit, remaining, resetAt}|null, daily: {unit, limit, used, remaining, resetAt}|null}>}
+ */
+export async function fetchQuotaStatus(model) {
+  const response = await authFetch(`${QUOTA_ENDPOINT}?model=${encodeURIComponent(model)}`);
+  if (!response.ok) {
+    throw new Error(`Quota API error: ${response.status}`);
+  }
+  return response.json();
+}
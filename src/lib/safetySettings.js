@@ -0,0 +1,43 @@
+/**
+ * Safety settings: harm categories and block thresholds
+ * (same values as api/helpers/safety.js)
+ */
+
+export const HARM_CATEGORIES = [
+  { id: 'HARM_CATEGORY_HARASSMENT', label: 'Harassment' },
+  { id: 'HARM_CATEGORY_HATE_SPEECH', label: 'Hate speech' },
+  { id: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', label: 'Sexually explicit' },
+  { id: 'HARM_CATEGORY_DANGEROUS_CONTENT', label: 'Dangerous content' }
+];
+
+// '' = not sent, the model default applies
+export const SAFETY_THRESHOLDS = [
+  { value: '', label: 'Model default' },
+  { value: 'BLOCK_LOW_AND_ABOVE', label: 'Block low and above' },
+  { value: 'BLOCK_MEDIUM_AND_ABOVE', label: 'Block medium and above' },
+  { value: 'BLOCK_ONLY_HIGH', label: 'Block only high' },
+  { value: 'BLOCK_NONE', label: 'Block none' },
+  { value: 'OFF', label: 'Off' }
+];
+
+// Italian labels shown in the chat when a reply is blocked
+export const HARM_CATEGORY_LABELS_IT = {
+  HARM_CATEGORY_HARASSMENT: 'Molestie',
+  HARM_CATEGORY_HATE_SPEECH: 'Incitamento all\'odio',
+  HARM_CATEGORY_SEXUALLY_EXPLICIT: 'Sessualmente esplicito',
+  HARM_CATEGORY_DANGEROUS_CONTENT: 'Contenuti pericolosi',
+  HARM_CATEGORY_CIVIC_INTEGRITY: 'Integrità civica'
+};
+
+/**
+ * Keep only categories with an explicit threshold
+ */
+export function cleanSafetySettings(settings) {
+  if (!settings || typeof settings !== 'object') return {};
+  return Object.fromEntries(
+    Object.entries(settings).filter(([category, threshold]) =>
+      HARM_CATEGORIES.some(c => c.id === category) &&
+      SAFETY_THRESHOLDS.some(t => t.value && t.value === threshold)
+    )
+  );
+}
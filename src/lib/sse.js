@@ -0,0 +1,54 @@
+/**
+ * Server-Sent Events reader for fetch responses
+ * Used by sendMessage to consume the /api/chat streaming mode
+ */
+
+/**
+ * Check whether a fetch response is an SSE stream
+ */
+export function isEventStream(response) {
+  return (response.headers.get('Content-Type') || '').includes('text/event-stream');
+}
+
+/**
+ * Read an SSE response body and call onEvent with each parsed JSON payload
+ * @param {Response} response - fetch response with an event-stream body
+ * @param {Function} onEvent - called with each decoded `data:` payload
+ */
+export async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (rawEvent) => {
+    const data = rawEvent
+      .split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).trimStart())
+      .join('\n');
+
+    if (!data) return;
+
+    let payload;
+    try {
+      payload = JSON.parse(data);
+    } catch (error) {
+      console.warn('[SSE] Invalid event payload:', data.substring(0, 200), error);
+      return;
+    }
+    onEvent(payload);
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = events.pop();
+    events.forEach(dispatch);
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) dispatch(buffer);
+}
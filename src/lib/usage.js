@@ -0,0 +1,66 @@
+import { authFetch } from './auth';
+
+/**
+ * Usage and spend of the signed-in user - client for /api/usage
+ */
+
+const USAGE_ENDPOINT = '/api/usage';
+
+const emptyTotals = () => ({ requests: 0, promptTokens: 0, outputTokens: 0, thinkingTokens: 0, images: 0, cost: 0 });
+
+const addTotals = (target, usage) => {
+  for (const key of Object.keys(target)) {
+    target[key] += usage?.[key] || 0;
+  }
+  return target;
+};
+
+/**
+ * Daily rollups of the last `days` days and, with chatId, the rollup of that chat
+ * @returns {Promise<{currency, prices, days: Array<{date, models}>, chat: Object|null}>}
+ */
+export async function fetchUsage({ days = 30, chatId = null } = {}) {
+  const query = new URLSearchParams({ days: String(days), ...(chatId && { chatId }) });
+  const response = await authFetch(`${USAGE_ENDPOINT}?${query}`);
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Usage API error: ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Totals of the period, by model (highest spend first) and by day (newest first)
+ */
+export function summarizeUsage(days = []) {
+  const total = emptyTotals();
+  const models = {};
+  const byDay = days.map(({ date, models: dayModels }) => {
+    const dayTotal = emptyTotals();
+    for (const [model, usage] of Object.entries(dayModels || {})) {
+      addTotals(dayTotal, usage);
+      addTotals(models[model] || (models[model] = emptyTotals()), usage);
+    }
+    addTotals(total, dayTotal);
+    return { date, ...dayTotal };
+  });
+
+  const byModel = Object.entries(models)
+    .map(([model, totals]) => ({ model, ...totals }))
+    .sort((a, b) => b.cost - a.cost);
+
+  return { total, byModel, byDay };
+}
+
+/**
+ * Spend in the price table currency (4 decimals below one cent)
+ */
+export function formatCost(cost, currency = 'USD') {
+  const digits = cost > 0 && cost < 0.01 ? 4 : 2;
+  return new Intl.NumberFormat('it-IT', {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits
+  }).format(cost || 0);
+}
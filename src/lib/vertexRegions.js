@@ -0,0 +1,26 @@
+/**
+ * Vertex AI regions selectable in Model Settings
+ * (same allow-list as api/helpers/vertexRegion.js)
+ */
+
+export const VERTEX_REGIONS = [
+  { id: 'us-central1', label: 'US Central 1 (Iowa)' },
+  { id: 'us-east1', label: 'US East 1 (South Carolina)' },
+  { id: 'us-east4', label: 'US East 4 (Virginia)' },
+  { id: 'us-west1', label: 'US West 1 (Oregon)' },
+  { id: 'europe-west1', label: 'Europe West 1 (Belgium)' },
+  { id: 'europe-west4', label: 'Europe West 4 (Netherlands)' },
+  { id: 'europe-west8', label: 'Europe West 8 (Milan)' },
+  { id: 'europe-west9', label: 'Europe West 9 (Paris)' },
+  { id: 'asia-northeast1', label: 'Asia Northeast 1 (Tokyo)' },
+  { id: 'asia-southeast1', label: 'Asia Southeast 1 (Singapore)' }
+];
+
+export const isEuRegion = (regionId) => regionId.startsWith('europe-');
+
+/**
+ * Regions available with/without EU data residency
+ */
+export function getAvailableRegions(euDataResidency = false) {
+  return euDataResidency ? VERTEX_REGIONS.filter(region => isEuRegion(region.id)) : VERTEX_REGIONS;
+}
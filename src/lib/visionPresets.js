@@ -0,0 +1,25 @@
+/**
+ * Image understanding presets shown in the composer when photos are attached
+ * to a model with the `vision` capability; a preset fills in the prompt, which can still be edited
+ */
+
+export const VISION_PRESETS = [
+  {
+    id: 'describe_dish',
+    label: 'Descrivi il piatto',
+    prompt: 'Descrivi il piatto nella foto: ingredienti riconoscibili, tecnica di cottura probabile e impiattamento. Segnala gli allergeni che si vedono.'
+  },
+  {
+    id: 'extract_text',
+    label: 'Estrai il testo',
+    prompt: "Trascrivi tutto il testo presente nell'immagine (menu, etichetta o cartello) mantenendo sezioni, voci e prezzi nell'ordine in cui appaiono. Non aggiungere testo che non è visibile e segna con [?] le parti illeggibili."
+  },
+  {
+    id: 'brand_check',
+    label: 'Verifica linee guida brand',
+    prompt: 'Confronta questa foto prodotto con le linee guida del brand riportate qui sotto. Per ogni punto indica se è rispettato, non rispettato o non verificabile, con una breve motivazione, poi elenca le correzioni da fare.\n\nLinee guida:\n'
+  }
+];
+
+// Sent when photos are attached without any text
+export const DEFAULT_VISION_PROMPT = 'Descrivi questa immagine.';
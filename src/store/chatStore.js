@@ -24,22 +24,29 @@ import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
 import { db, app, storage } from '../config/firebase';
 import { DEFAULT_MODEL } from '../constants/models';
 import { resolveModelConfig } from '../lib/modelRouter';
-import { loadPipelineConfig as loadChatPipelineConfig, savePipelineConfig as saveChatPipelineConfig } from '../lib/pipelineConfig';
-import { modelSupportsOption } from '../lib/modelCapabilities';
+import { ensureModelRegistry, getModel } from '../lib/modelRegistry';
+import { loadPipelineConfig as loadChatPipelineConfig, savePipelineConfig as saveChatPipelineConfig, loadChatSystemPrompt, loadChatResponseSchema, loadChatVariables, saveChatVariables, getActiveStages, getDefaultPipelineConfig, STAGE_POSITIONS } from '../lib/pipelineConfig';
+import { buildRequestVariables, findMissingVariables } from '../lib/promptVariables';
+import { loadResolvedPipeline, runPipeline } from '../lib/pipelineRunner';
+import { parseJsonSchema } from '../lib/jsonSchema';
+import { cleanSafetySettings } from '../lib/safetySettings';
+import { modelSupportsOption, isOptionActive } from '../lib/modelCapabilities';
+import { isEventStream, readEventStream } from '../lib/sse';
+import { getCurrentUserId, authFetch } from '../lib/auth';
+import { fetchQuotaStatus } from '../lib/quota';
+import { ApiError, readApiError } from '../lib/apiErrors';
+import { DEFAULT_VISION_PROMPT } from '../lib/visionPresets';
+
+// Images from earlier turns sent as context (same default as api/helpers/historyMedia.js)
+const DEFAULT_HISTORY_IMAGE_MAX_TURNS = 4;
+
+// Manual thinking budget when none is saved (same default as ModelSettings)
+const DEFAULT_THINKING_BUDGET_TOKENS = 1024;
 
 /**
- * Get or create user ID from localStorage
+ * uid of the signed-in Firebase user (the app only renders the chat once signed in)
  */
-const getUserId = () => {
-  const stored = localStorage.getItem('user_id');
-  if (stored) {
-    return stored;
-  }
-  const newUserId = uuidv4();
-  localStorage.setItem('user_id', newUserId);
-  console.log('[Store] New user ID created:', newUserId);
-  return newUserId;
-};
+const getUserId = () => getCurrentUserId();
 
 /**
  * Get or create session ID from localStorage (legacy, now uses activeChatId)
@@ -99,8 +106,73 @@ export const useChatStore = create((set, get) => ({
   listenerVersion: 0,          // increments on each listener setup to prevent stale listeners
   loading: false,
   selectedModel: DEFAULT_MODEL,
-  userId: getUserId(), // User ID for Firestore paths
+  userId: null, // Signed-in user uid for Firestore paths (set by setAuthUser)
   reuseLastAssistantImage: false,
+  quotaByModel: {}, // Remaining rate limit / daily budget per model (from /api/quota and API replies)
+  models: [], // Model registry (/api/models): model selector, Model Settings and request routing
+  
+  /**
+   * Load the model registry; a selected model that is no longer offered falls back to the default
+   */
+  loadModels: async () => {
+    try {
+      const { models, defaultModel } = await ensureModelRegistry();
+      set({ models });
+      if (!models.some(model => model.id === get().selectedModel && model.selectable)) {
+        set({ selectedModel: defaultModel });
+      }
+      return models;
+    } catch (error) {
+      console.error('[Store] Error loading model registry:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Switch the store to the signed-in user (null on sign-out)
+   * Drops the previous user's chats, messages and cached configs
+   */
+  setAuthUser: (uid) => {
+    const { unsubscribe } = get();
+    if (unsubscribe) {
+      unsubscribe();
+    }
+    set({
+      userId: uid,
+      chats: [],
+      activeChatId: null,
+      currentChatId: null,
+      unsubscribe: null,
+      activeListenerChatId: null,
+      modelConfigs: {},
+      quotaByModel: {},
+      firestoreError: null
+    });
+    get().replaceMessages([]);
+  },
+
+  /**
+   * Store the quota status returned by the API for a model (ignored when missing)
+   */
+  setQuotaStatus: (modelId, quota) => {
+    if (!modelId || !quota) return;
+    set({ quotaByModel: { ...get().quotaByModel, [modelId]: quota } });
+  },
+
+  /**
+   * Load the remaining budget of the signed-in user for a model
+   */
+  loadQuotaStatus: async (modelId) => {
+    if (!modelId) return null;
+    try {
+      const quota = await fetchQuotaStatus(resolveModelConfig(modelId).modelId);
+      get().setQuotaStatus(modelId, quota);
+      return quota;
+    } catch (error) {
+      console.warn('[Store] Quota status not available:', error);
+      return null;
+    }
+  },
   
   /**
    * Set selected model
@@ -1019,9 +1091,9 @@ export const useChatStore = create((set, get) => ({
       // Determine file extension from mime type
       const extension = mimeType.split('/')[1] || 'png';
       
-      // Generate storage path: chats/{chatId}/{timestamp}.{ext}
+      // Generate storage path: users/{uid}/chats/{chatId}/{timestamp}.{ext} (the only path storage.rules allow)
       const timestamp = messageId ? messageId.replace('temp-', '') : Date.now();
-      const storagePath = `chats/${chatId}/${timestamp}.${extension}`;
+      const storagePath = `users/${userId}/chats/${chatId}/${timestamp}.${extension}`;
       
       console.log('[Store] Uploading image to Storage:', storagePath, 'mimeType:', mimeType, 'size:', bytes.length, 'bytes');
       
@@ -1101,10 +1173,12 @@ export const useChatStore = create((set, get) => ({
 
   /**
    * Generate image from prompt (Imagen 4 via Vertex AI)
+   * `extraMetadata` (e.g. pipeline steps) is added to the assistant message
    */
-  generateImagenImage: async (prompt, model = null) => {
+  generateImagenImage: async (prompt, model = null, extraMetadata = null) => {
     const { selectedModel } = get();
     const modelToUse = model || selectedModel;
+    await ensureModelRegistry(); // Endpoint of the model comes from the registry
     const config = resolveModelConfig(modelToUse);
     const tempMessageId = `temp-${Date.now()}`;
     
@@ -1118,66 +1192,76 @@ export const useChatStore = create((set, get) => ({
       console.log('[Store] Endpoint:', apiUrl);
       console.log('[Store] Prompt:', prompt);
 
-      // Build modelSettings from current config
-      const modelSettings = get().buildModelSettings(modelToUse);
-      const { debugMode } = get();
+      // Build modelSettings from current config (with per-chat system prompt)
+      const modelSettings = await get().buildChatModelSettings(modelToUse);
+      const { debugMode, activeChatId, sessionId } = get();
       
-      const response = await fetch(apiUrl, {
+      const response = await authFetch(apiUrl, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          model: config.googleModel,
+          model: config.modelId,
           prompt: prompt,
           ...(modelSettings && { modelSettings }),
+          chatId: activeChatId || sessionId, // Usage of the generation is added to this chat
           debugMode: debugMode
         }),
       });
 
       if (!response.ok) {
-        const errorText = await response.text();
-        let errorData;
-        try {
-          errorData = JSON.parse(errorText);
-        } catch {
-          errorData = { error: errorText || `HTTP ${response.status}` };
-        }
-        throw new Error(errorData.error || errorData.message || `API error: ${response.status}`);
+        // Typed error (code, retryable, requestId); 429 bodies also carry the current quota
+        const apiError = await readApiError(response);
+        get().setQuotaStatus(modelToUse, apiError.quota);
+        throw apiError;
       }
 
       const data = await response.json();
       console.log('[Store] Image generation response received');
+      get().setQuotaStatus(modelToUse, data.quota);
       
-      // Extract imageBase64 from response
-      const imageBase64 = data.image || data.imageBase64;
+      // Images stored by the server in the chat's Storage folder (`imageUrls`), or inline base64
+      // (`images`, each image once) when Storage is not configured
+      const storedUrls = Array.isArray(data.imageUrls) ? data.imageUrls : [];
+      const imageDataUrls = storedUrls.length > 0
+        ? storedUrls
+        : (Array.isArray(data.images) ? data.images : []).map(imageBase64 => `data:image/png;base64,${imageBase64}`);
       
-      if (!imageBase64) {
+      if (imageDataUrls.length === 0) {
         console.error('[Store] No image data in response:', data);
         throw new Error('No image data in API response');
       }
 
-      // Create data URL for immediate display: "data:image/png;base64,..."
-      const imageDataUrl = `data:image/png;base64,${imageBase64}`;
+      const imageDataUrl = imageDataUrls[0];
       
-      console.log('[Store] Image extracted from API response');
-      console.log('[Store] Final base64 length:', imageBase64.length, 'characters');
+      console.log('[Store] Images extracted from API response:', imageDataUrls.length, storedUrls.length > 0 ? '(Storage URLs)' : '(base64)');
+      if (data.filtered?.length > 0) {
+        console.warn('[Store] Images removed by the safety filters:', data.filtered);
+      }
 
-      // Add assistant message with base64 image (local cache only)
+      // Add assistant message with the images (local cache only); more than one is shown as a gallery
       const assistantMessage = {
         id: tempMessageId,
         type: 'image',
         role: 'assistant',
         sender: 'assistant',
         model: modelToUse,
-        base64: imageDataUrl, // Store as data URL for display
+        base64: imageDataUrl, // Data URL or Storage URL, used as src for display
+        ...(storedUrls.length > 0 && { imageUrl: imageDataUrl }),
+        ...(imageDataUrls.length > 1 && { images: imageDataUrls }),
+        metadata: {
+          ...(extraMetadata || {}),
+          ...(data.usage && { usage: data.usage }),
+          ...(data.filtered?.length > 0 && { filteredImages: data.filtered.length })
+        },
         timestamp: Date.now()
       };
 
       // Add message using normalized helper
       get().addOrUpdateMessage(tempMessageId, assistantMessage);
 
-      console.log('[Store] Image message added to UI, rendering from base64');
+      console.log('[Store] Image message added to UI, rendering from', storedUrls.length > 0 ? 'Storage' : 'base64');
       console.log('[Store] Image saved in local cache (NOT persisted).');
 
       return imageDataUrl;
@@ -1191,10 +1275,12 @@ export const useChatStore = create((set, get) => ({
 
   /**
    * Generate image from prompt (Nanobanana via Vertex AI streaming)
+   * `extraMetadata` (e.g. pipeline steps) is added to the assistant message
    */
-  generateNanobananaImage: async (prompt, model = null, attachments = []) => {
+  generateNanobananaImage: async (prompt, model = null, attachments = [], extraMetadata = null) => {
     const { selectedModel } = get();
     const modelToUse = model || selectedModel;
+    await ensureModelRegistry(); // Endpoint of the model comes from the registry
     const config = resolveModelConfig(modelToUse);
     const tempMessageId = `temp-${Date.now()}`;
     console.log('[ImageFlow] User attachments (input):', attachments);
@@ -1300,40 +1386,40 @@ export const useChatStore = create((set, get) => ({
       console.log('[ImageFlow] Final attachments sent:', finalAttachments);
       console.log('[FixB] Sending attachments count:', finalAttachments.length);
 
-      // Build modelSettings from current config
-      const modelSettings = get().buildModelSettings(modelToUse);
-      const { debugMode } = get();
+      // Build modelSettings from current config (with per-chat system prompt)
+      const modelSettings = await get().buildChatModelSettings(modelToUse);
+      const { debugMode, activeChatId, sessionId } = get();
+      const variables = await get().getRequestVariables(activeChatId || sessionId);
       
-      const response = await fetch(apiUrl, {
+      const response = await authFetch(apiUrl, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          model: config.googleModel,
+          model: config.modelId,
           prompt: prompt,
           ...(finalAttachments.length > 0 && { attachments: finalAttachments }),
           ...(finalAttachments.length > 1 && {
             systemInstruction: 'Use the FIRST image as the main input. Use the SECOND image only as contextual reference.'
           }),
           ...(modelSettings && { modelSettings }),
+          variables, // Values of the {{variables}} of the system prompt
+          chatId: activeChatId || sessionId, // Usage of the generation is added to this chat
           debugMode: debugMode
         }),
       });
 
       if (!response.ok) {
-        const errorText = await response.text();
-        let errorData;
-        try {
-          errorData = JSON.parse(errorText);
-        } catch {
-          errorData = { error: errorText || `HTTP ${response.status}` };
-        }
-        throw new Error(errorData.error || errorData.message || `API error: ${response.status}`);
+        // Typed error (code, retryable, requestId); 429 bodies also carry the current quota
+        const apiError = await readApiError(response);
+        get().setQuotaStatus(modelToUse, apiError.quota);
+        throw apiError;
       }
 
       const data = await response.json();
       console.log('[Store] Nanobanana response received');
+      get().setQuotaStatus(modelToUse, data.quota);
       
       // Handle TEXT+IMAGE, TEXT, or IMAGE responses
       const hasText = data.text || data.reply;
@@ -1368,7 +1454,7 @@ export const useChatStore = create((set, get) => ({
           attachments: null,
           model: modelToUse || null,
           messageType: 'image',
-          metadata: {},
+          metadata: { ...(extraMetadata || {}), ...(data.usage && { usage: data.usage }) },
           timestamp: Date.now() + 1,
           tempMessage: true // Mark as temp message for deduplication
         };
@@ -1429,7 +1515,7 @@ export const useChatStore = create((set, get) => ({
             'assistant',                 // role
             null,                        // text
             modelToUse,                  // model
-            { provider: 'nanobanana' },  // metadata
+            { provider: 'nanobanana', ...(extraMetadata || {}), ...(data.usage && { usage: data.usage }) },  // metadata (with tokens / cost, pipeline steps)
             'image',                     // type
             base64ForDb,                 // base64 (solo se niente URL)
             null,                        // attachments
@@ -1442,7 +1528,12 @@ export const useChatStore = create((set, get) => ({
         console.log('[Store] TEXT+IMAGE messages added to UI');
         return imageDataUrl;
       } else if (hasText) {
-        // TEXT only mode (unified schema)
+        // TEXT only mode (unified schema) - also used for replies blocked by the safety filters
+        const textMetadata = {
+          ...(extraMetadata || {}),
+          ...(data.safety && { safety: data.safety }),
+          ...(data.usage && { usage: data.usage })
+        };
         const textMessage = {
           id: tempMessageId,
           role: 'assistant',
@@ -1452,7 +1543,7 @@ export const useChatStore = create((set, get) => ({
           attachments: null,
           model: modelToUse || null,
           messageType: 'text',
-          metadata: {},
+          metadata: textMetadata,
           timestamp: Date.now(),
           tempMessage: true // Mark as temp message for deduplication
         };
@@ -1462,7 +1553,7 @@ export const useChatStore = create((set, get) => ({
         
         // Save text to Firestore
         try {
-          await get().saveMessageWithoutImageToFirestore('assistant', hasText, modelToUse, null, 'text', null, null);
+          await get().saveMessageWithoutImageToFirestore('assistant', hasText, modelToUse, Object.keys(textMetadata).length > 0 ? textMetadata : null, 'text', null, null);
         } catch (firestoreError) {
           console.warn('[Store] Firestore save failed for assistant text:', firestoreError);
         }
@@ -1483,7 +1574,7 @@ export const useChatStore = create((set, get) => ({
           attachments: null,
           model: modelToUse || null,
           messageType: 'image',
-          metadata: {},
+          metadata: { ...(extraMetadata || {}), ...(data.usage && { usage: data.usage }) },
           timestamp: Date.now(),
           tempMessage: true // Mark as temp message for deduplication
         };
@@ -1535,7 +1626,7 @@ export const useChatStore = create((set, get) => ({
             'assistant',                 // role
             null,                        // text
             modelToUse,                  // model
-            { provider: 'nanobanana' },  // metadata
+            { provider: 'nanobanana', ...(extraMetadata || {}), ...(data.usage && { usage: data.usage }) },  // metadata (with tokens / cost, pipeline steps)
             'image',                     // type
             base64ForDb,                 // base64 (solo se niente URL)
             null,                        // attachments
@@ -1560,6 +1651,42 @@ export const useChatStore = create((set, get) => ({
     }
   },
 
+  /**
+   * Collect image references of a message for the conversation history
+   * Prefers Storage URLs (small payload); falls back to base64 only for images not uploaded yet
+   */
+  getHistoryImageRefs: (msg) => {
+    const refs = [];
+    const seen = new Set();
+    const add = (ref) => {
+      const key = ref.imageUrl || ref.base64;
+      if (!key || seen.has(key)) return;
+      seen.add(key);
+      refs.push(ref);
+    };
+
+    if (msg.imageUrl) {
+      add({ mimeType: 'image/png', imageUrl: msg.imageUrl });
+    }
+
+    (msg.attachments || []).forEach(att => {
+      if (att?.imageUrl) {
+        add({ mimeType: att.mimeType || 'image/jpeg', imageUrl: att.imageUrl });
+      } else if (att?.base64) {
+        add({ mimeType: att.mimeType || 'image/jpeg', base64: att.base64 });
+      }
+    });
+
+    // Temp assistant images only exist as data URLs until the Storage upload completes
+    if (refs.length === 0 && typeof msg.base64 === 'string' && msg.base64.startsWith('data:image')) {
+      add({ base64: msg.base64 });
+      // Imagen galleries (sampleCount > 1) only exist in the local cache
+      (msg.images || []).forEach(image => add({ base64: image }));
+    }
+
+    return refs;
+  },
+
   /**
    * Send a message using automatic model routing
    * Includes pipeline pre-processing if enabled
@@ -1594,99 +1721,65 @@ export const useChatStore = create((set, get) => ({
     console.log("[DEBUG/STORE] Incoming attachments:", attachments);
     
     try {
-      // 1) Load pipeline config for this chat
+      // Endpoints of the pipeline stages and main model come from the model registry
+      await ensureModelRegistry();
+
+      // 1) Pipeline of this chat: stages before the main model rewrite the message
+      // (the user still sees the original one), stages after it work on the reply
       const originalUserMessage = messageText; // Store original for UI display
       let finalUserMessage = messageText; // Will be sent to main model
-      let pipelineUsed = false;
-      let pipelineModel = null; // Store pipeline model for badge
+      let afterStages = [];
+      let pipelineSteps = []; // Intermediate outputs, kept on the assistant message
+
+      // Values of the {{variables}} in the system prompt and stage instructions (variables panel)
+      const variables = await get().getRequestVariables(chatId);
       
       try {
-        const pipeline = await loadChatPipelineConfig(chatId);
+        // Resolved on the server: global → workspace → chat layers
+        const pipeline = await loadResolvedPipeline(chatId);
+        set({ resolvedPipelineConfig: pipeline });
+        const beforeStages = getActiveStages(pipeline, STAGE_POSITIONS.BEFORE);
+        afterStages = getActiveStages(pipeline, STAGE_POSITIONS.AFTER);
         
-        console.log('[PIPELINE] Enabled for chat ID:', chatId);
-        console.log('[PIPELINE] Config:', {
+        console.log('[PIPELINE] Config for chat ID:', chatId, {
+          layers: pipeline.layers,
           enabled: pipeline.enabled,
-          hasModel: !!pipeline.model,
-          hasSystemInstruction: !!pipeline.systemInstruction
+          before: beforeStages.length,
+          after: afterStages.length
         });
+
+        // Every instruction that runs for this message needs its values: checked before
+        // anything is shown, saved or sent (the server checks again)
+        const systemPrompt = (await get().buildChatModelSettings(selectedModel))?.system || '';
+        const missingVariables = findMissingVariables(
+          [systemPrompt, ...beforeStages.map(stage => stage.instruction), ...afterStages.map(stage => stage.instruction)],
+          variables
+        );
+        if (missingVariables.length > 0) {
+          throw new ApiError({
+            error: `Missing values for prompt variables: ${missingVariables.join(', ')}`,
+            code: 'missing_variables',
+            missingVariables
+          }, 400);
+        }
         
-        if (pipeline.enabled && pipeline.model && pipeline.systemInstruction && pipeline.systemInstruction.trim() !== '') {
-          console.log('[PIPELINE] ✅ Pipeline is ACTIVE');
-          console.log('[PIPELINE] Pre-model:', pipeline.model);
-          console.log('[PIPELINE] System instruction length:', pipeline.systemInstruction.length);
-          console.log('[PIPELINE] Original user input:', originalUserMessage);
-          
-          pipelineModel = pipeline.model; // Store for badge
-          
-          // Call pre-model API
-          const apiUrl = import.meta.env.VITE_API_URL || '/api/chat';
-          const preModelConfig = resolveModelConfig(pipeline.model);
-          
-          // Build message for pre-model: system instruction + user message (NO XML TAGS)
-          // The backend will handle system instructions correctly
-          const preModelMessage = `${pipeline.systemInstruction}\n\nUser message: ${originalUserMessage}`;
-          
-          const preModelSettings = {
-            system: pipeline.systemInstruction, // Pass system instruction via modelSettings
-            temperature: pipeline.temperature,
-            top_p: pipeline.topP,
-            max_output_tokens: pipeline.maxTokens
-          };
-          
-          console.log('[PIPELINE] Calling pre-model API:', pipeline.model);
-          console.log('[PIPELINE] Pre-model message (first 200 chars):', preModelMessage.substring(0, 200));
-          
-          const preResponse = await fetch(apiUrl, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-              message: preModelMessage,
-              model: preModelConfig.googleModel,
-              modelSettings: preModelSettings
-            }),
-          });
-          
-          if (!preResponse.ok) {
-            const errorText = await preResponse.text();
-            throw new Error(`Pre-model API error: ${preResponse.status} - ${errorText}`);
-          }
-          
-          const preData = await preResponse.json();
+        if (beforeStages.length > 0 && originalUserMessage.trim() !== '') {
+          const { output, steps } = await runPipeline(STAGE_POSITIONS.BEFORE, originalUserMessage, { chatId, variables });
+          finalUserMessage = output || originalUserMessage;
+          pipelineSteps = steps;
           
-          // Extract preprocessed text (must be a clean string)
-          const preprocessedText = preData.reply || preData.text || originalUserMessage;
-          
-          // Ensure it's a string and clean it
-          if (typeof preprocessedText !== 'string') {
-            console.warn('[PIPELINE] Pre-model returned non-string, using original message');
-            finalUserMessage = originalUserMessage;
-          } else {
-            // Clean the preprocessed text (remove any XML tags or invalid characters)
-            const cleanedText = preprocessedText
-              .replace(/<system_instruction>.*?<\/system_instruction>/gi, '')
-              .replace(/<system>.*?<\/system>/gi, '')
-              .trim();
-            
-            finalUserMessage = cleanedText || originalUserMessage;
-            pipelineUsed = true;
-            
-            console.log('[PIPELINE] ✅ Pre-model output:');
-            console.log(finalUserMessage);
-            console.log('[PIPELINE] Final message sent to main model:');
-            console.log(JSON.stringify({ role: 'user', parts: [{ text: finalUserMessage }] }, null, 2));
-          }
-        } else {
-          console.log('[PIPELINE] ⚠️ Disabled or incomplete config');
+          console.log('[PIPELINE] Final message sent to main model:');
+          console.log(finalUserMessage);
         }
       } catch (pipelineError) {
+        // Missing variables stop the message (the variables panel opens from the error)
+        if (pipelineError.code === 'missing_variables') throw pipelineError;
         console.error('[PIPELINE] ❌ Error in pipeline pre-processing:', pipelineError);
         console.warn('[PIPELINE] ⚠️ Continuing with original message (fallback)');
         // Continue with original message if pipeline fails
         finalUserMessage = originalUserMessage;
-        pipelineUsed = false;
       }
+      const pipelineMetadata = () => (pipelineSteps.length > 0 ? { pipeline: { steps: pipelineSteps } } : null);
       
       // 2) Resolve model configuration (endpoint, type, googleModel)
       const config = resolveModelConfig(selectedModel);
@@ -1745,12 +1838,12 @@ export const useChatStore = create((set, get) => ({
       if (config.provider === 'nanobanana') {
         // Nanobanana via Vertex AI generateContent
         const prompt = finalUserMessage; // Use preprocessed message if pipeline was used
-        await get().generateNanobananaImage(prompt, selectedModel, attachments);
+        await get().generateNanobananaImage(prompt, selectedModel, attachments, pipelineMetadata());
         return null;
       } else if (config.provider === 'imagen') {
         // Imagen 4 via Vertex AI generateImage
         const prompt = finalUserMessage; // Use preprocessed message if pipeline was used
-        await get().generateImagenImage(prompt, selectedModel);
+        await get().generateImagenImage(prompt, selectedModel, pipelineMetadata());
         return null;
       } else if (config.provider === 'google-text') {
         // Text generation (default)
@@ -1759,12 +1852,16 @@ export const useChatStore = create((set, get) => ({
         console.log('[Store] Calling API:', apiUrl);
         console.log('[Store] Request body:', { 
           message: finalUserMessage, 
-          model: config.googleModel,
-          isPreprocessed: pipelineUsed 
+          model: config.modelId,
+          isPreprocessed: pipelineSteps.length > 0
         });
 
-        // Build modelSettings from current config
-        const modelSettings = get().buildModelSettings(selectedModel);
+        // Build modelSettings from current config (with per-chat system prompt)
+        // Stages after the main model need the whole reply: no streaming then
+        const chatModelSettings = await get().buildChatModelSettings(selectedModel);
+        const modelSettings = afterStages.length > 0 && chatModelSettings?.streaming
+          ? { ...chatModelSettings, streaming: false }
+          : chatModelSettings;
         const { debugMode } = get();
         
         // Create abort controller for stopping generation
@@ -1772,82 +1869,137 @@ export const useChatStore = create((set, get) => ({
         get().setAbortController(controller);
         get().setIsGenerating(true);
         
-        // Build conversation history from current messages in store (SAFE MODE - Option C: text only)
-        const messages = get().getMessages();
+        // Build conversation history from current messages in store
+        // Text turns plus image references (attachments / generated images); the server
+        // inlines the images within the configured byte and turn budget
+        const messages = get().getMessages().filter(msg => msg.id !== userMessage.id);
+        // The realtime listener may already have swapped the temp user message for the saved one
+        const lastMessage = messages[messages.length - 1];
+        if (lastMessage?.role === 'user' && lastMessage.content === userMessage.content) {
+          messages.pop();
+        }
+        
+        // Only the newest image turns are sent (the server applies the same limit plus the byte budget)
+        const maxImageTurns = modelSettings?.history_image_max_turns ?? DEFAULT_HISTORY_IMAGE_MAX_TURNS;
+        let imageTurns = 0;
         const conversationHistory = messages
-          .filter(msg => {
-            // Include only text messages with content
-            if (msg.type === 'text' && msg.content && msg.content.trim() !== '') {
-              return true;
-            }
-            // Include vision/audio messages (they have text content)
-            if ((msg.type === 'vision' || msg.type === 'audio') && msg.content && msg.content.trim() !== '') {
-              return true;
-            }
-            // SKIP image messages in context (SAFE MODE - Option C)
-            return false;
-          })
           .map(msg => ({
             role: msg.role,
-            content: msg.content,
-            type: msg.type
-          }));
+            content: msg.content || '',
+            type: msg.type,
+            images: get().getHistoryImageRefs(msg)
+          }))
+          .reverse()
+          .map(msg => {
+            if (msg.images.length === 0) return msg;
+            imageTurns++;
+            return imageTurns <= maxImageTurns ? msg : { ...msg, images: [] };
+          })
+          .reverse()
+          .filter(msg => msg.content.trim() !== '' || msg.images.length > 0);
         
         try {
-          const response = await fetch(apiUrl, {
+          const response = await authFetch(apiUrl, {
             method: 'POST',
             headers: {
               'Content-Type': 'application/json',
             },
             signal: controller.signal,
             body: JSON.stringify({
-              message: finalUserMessage, // Use preprocessed message if pipeline was used
+              // Use preprocessed message if pipeline was used; photos sent without text get a default prompt
+              message: finalUserMessage.trim() || (attachments.length > 0 ? DEFAULT_VISION_PROMPT : finalUserMessage),
               conversationHistory: conversationHistory.length > 0 ? conversationHistory : undefined, // Optional field
-              model: config.googleModel,
+              model: config.modelId,
               ...(modelSettings && { modelSettings }),
+              variables, // Values of the {{variables}} of the system prompt
               ...(attachments.length > 0 && { attachments }),
+              chatId, // Usage of the reply is added to this chat
               debugMode: debugMode
             }),
           });
 
           if (!response.ok) {
-            const errorText = await response.text();
-            let errorData;
-            try {
-              errorData = JSON.parse(errorText);
-            } catch {
-              errorData = { error: errorText || `HTTP ${response.status}` };
-            }
-            throw new Error(errorData.error || errorData.message || `API error: ${response.status}`);
+            // Typed error (code, retryable, requestId); 429 bodies also carry the current quota
+            const apiError = await readApiError(response);
+            get().setQuotaStatus(selectedModel, apiError.quota);
+            throw apiError;
           }
 
-        const data = await response.json();
-        console.log('[Store] API response received:', data);
+          const metadata = pipelineMetadata();
 
-        // Add assistant message to UI (unified schema)
-        const assistantMessage = {
-          id: `temp-${Date.now() + 1}`,
-          role: 'assistant',
-          type: 'text',
-          content: data.reply || 'No response generated',
-          base64: null,
-          attachments: null,
-          model: selectedModel || null,
-          messageType: 'text', // Always replicate type
-          metadata: {
-            ...(pipelineUsed && pipelineModel ? { preprocessedBy: pipelineModel } : {})
-          },
-          timestamp: Date.now(),
-          tempMessage: true // Mark as temp message for deduplication
-        };
+          // Streaming mode: grow the assistant message in place as SSE chunks arrive
+          if (isEventStream(response)) {
+            const reply = await get().consumeReplyStream(response, metadata, selectedModel);
+            get().setIsGenerating(false);
+            get().setAbortController(null);
+            return reply;
+          }
+
+          const data = await response.json();
+          console.log('[Store] API response received:', data);
+          get().setQuotaStatus(selectedModel, data.quota);
+          
+          // Stages after the main model: the last "replace" output becomes the reply,
+          // the main model draft stays viewable among the steps (blocked replies are left as they are)
+          if (afterStages.length > 0 && data.reply && !data.safety) {
+            try {
+              const { output, steps } = await runPipeline(STAGE_POSITIONS.AFTER, data.reply, {
+                originalMessage: originalUserMessage,
+                chatId,
+                variables,
+                signal: controller.signal
+              });
+              pipelineSteps = [
+                ...pipelineSteps,
+                { stageId: 'main', name: 'Modello principale', kind: 'main', position: 'main', model: selectedModel, output: data.reply, usage: data.usage || null },
+                ...steps
+              ];
+              data.reply = output;
+            } catch (pipelineError) {
+              if (pipelineError.name === 'AbortError') throw pipelineError;
+              // The main model reply is kept as it is
+              console.error('[PIPELINE] ❌ Error in pipeline post-processing:', pipelineError);
+            }
+          }
+          const stepsMetadata = pipelineMetadata();
+          
+          // Context window usage, search grounding, document citations, schema check,
+          // thinking (summary + tokens), safety block details and tokens / cost shown with the reply
+          const replyMetadata = data.context || data.grounding || data.retrieval || data.structured || data.thoughts || data.thinking || data.safety || data.usage
+            ? {
+                ...(stepsMetadata || {}),
+                ...(data.usage && { usage: data.usage }),
+                ...(data.context && { context: data.context }),
+                ...(data.grounding && { grounding: data.grounding }),
+                ...(data.retrieval && { retrieval: data.retrieval }),
+                ...(data.structured && { structured: data.structured }),
+                ...(data.thoughts && { thoughts: data.thoughts }),
+                ...(data.thinking && { thinking: data.thinking }),
+                ...(data.safety && { safety: data.safety })
+              }
+            : stepsMetadata;
+
+          // Add assistant message to UI (unified schema)
+          const assistantMessage = {
+            id: `temp-${Date.now() + 1}`,
+            role: 'assistant',
+            type: 'text',
+            content: data.reply || 'No response generated',
+            base64: null,
+            attachments: null,
+            model: selectedModel || null,
+            messageType: 'text', // Always replicate type
+            metadata: replyMetadata || {},
+            timestamp: Date.now(),
+            tempMessage: true // Mark as temp message for deduplication
+          };
 
           // Add assistant message using normalized helper
           get().addOrUpdateMessage(assistantMessage.id, assistantMessage);
 
           // Save assistant message to Firestore (TEXT ONLY)
           try {
-            const metadata = pipelineUsed && pipelineModel ? { preprocessedBy: pipelineModel } : null;
-            await get().saveMessageWithoutImageToFirestore('assistant', data.reply || 'No response generated', selectedModel, metadata, 'text', null, null);
+            await get().saveMessageWithoutImageToFirestore('assistant', data.reply || 'No response generated', selectedModel, replyMetadata, 'text', null, null);
             console.log('[Store] Text message saved to Firestore successfully');
           } catch (firestoreError) {
             console.warn('[Store] Firestore save failed for assistant message:', firestoreError);
@@ -1862,6 +2014,14 @@ export const useChatStore = create((set, get) => ({
           
           if (error.name === 'AbortError') {
             console.log('[Store] Generation aborted by user');
+            
+            // Streaming: keep the partial reply that was already shown
+            const { streamingMessageId } = get();
+            if (streamingMessageId) {
+              await get().finalizeStreamedMessage(streamingMessageId, selectedModel, { stopped: true });
+              return null;
+            }
+            
             // Remove the last assistant message if it was being generated using normalized helper
             const { messages } = get();
             const lastAssistantMessage = messages.find(msg => msg.role === 'assistant' && msg.tempMessage);
@@ -1911,6 +2071,117 @@ export const useChatStore = create((set, get) => ({
    */
   abortController: null, // For stopping generation
   isGenerating: false, // Generation state
+  streamingMessageId: null, // Assistant message currently growing from an SSE stream
+
+  /**
+   * Consume a streamed /api/chat reply
+   * Creates the assistant message immediately and appends every chunk to it
+   */
+  consumeReplyStream: async (response, metadata, model) => {
+    const messageId = `temp-${Date.now() + 1}`;
+    
+    get().addOrUpdateMessage(messageId, {
+      id: messageId,
+      role: 'assistant',
+      type: 'text',
+      content: '',
+      base64: null,
+      attachments: null,
+      model: model || null,
+      messageType: 'text',
+      metadata: { ...(metadata || {}), streaming: true },
+      timestamp: Date.now(),
+      tempMessage: true // Mark as temp message for deduplication
+    });
+    set({ streamingMessageId: messageId });
+
+    let reply = '';
+    let thoughts = '';
+    let finalPayload = null;
+    
+    try {
+      await readEventStream(response, (event) => {
+        if (event.type === 'thought') {
+          // Thought summaries stream in before the reply text
+          thoughts += event.text || '';
+          const message = get().messagesById.get(messageId);
+          get().addOrUpdateMessage(messageId, { metadata: { ...(message?.metadata || {}), thoughts } });
+        } else if (event.type === 'chunk') {
+          reply += event.text || '';
+          get().addOrUpdateMessage(messageId, { content: reply });
+        } else if (event.type === 'done') {
+          finalPayload = event;
+        } else if (event.type === 'error') {
+          throw new ApiError(event, 500);
+        }
+      });
+    } catch (error) {
+      // AbortError is handled by sendMessage (keeps the partial reply)
+      if (error.name !== 'AbortError') {
+        set({ streamingMessageId: null });
+        get().removeMessage(messageId);
+      }
+      throw error;
+    }
+
+    if (finalPayload?.reply) {
+      reply = finalPayload.reply;
+      get().addOrUpdateMessage(messageId, { content: reply });
+    }
+
+    console.log('[Store] Stream completed, reply length:', reply.length);
+    get().setQuotaStatus(model, finalPayload?.quota);
+    await get().finalizeStreamedMessage(messageId, model, {
+      finishReason: finalPayload?.finishReason || null,
+      context: finalPayload?.context || null,
+      grounding: finalPayload?.grounding || null,
+      retrieval: finalPayload?.retrieval || null,
+      structured: finalPayload?.structured || null,
+      thoughts: finalPayload?.thoughts || null,
+      thinking: finalPayload?.thinking || null,
+      safety: finalPayload?.safety || null,
+      usage: finalPayload?.usage || null
+    });
+    return reply;
+  },
+
+  /**
+   * Persist a streamed assistant message once the stream ends (or is stopped)
+   */
+  finalizeStreamedMessage: async (messageId, model, extraMetadata = {}) => {
+    set({ streamingMessageId: null });
+
+    const message = get().messagesById.get(messageId);
+    if (!message) return;
+
+    const { streaming, ...baseMetadata } = message.metadata || {};
+    const metadata = { ...baseMetadata };
+    if (extraMetadata.stopped) {
+      metadata.stopped = true;
+    }
+    // Reply details sent with the final SSE event
+    ['context', 'grounding', 'retrieval', 'structured', 'thoughts', 'thinking', 'safety', 'usage'].forEach(key => {
+      if (extraMetadata[key]) {
+        metadata[key] = extraMetadata[key];
+      }
+    });
+
+    if (!message.content || message.content.trim() === '') {
+      // Nothing was generated before the stop: drop the empty bubble
+      get().removeMessage(messageId);
+      return;
+    }
+
+    // Refresh timestamp so the realtime listener can match and replace the temp message
+    get().addOrUpdateMessage(messageId, { metadata, timestamp: Date.now() });
+
+    try {
+      await get().saveMessageWithoutImageToFirestore('assistant', message.content, model, Object.keys(metadata).length > 0 ? metadata : null, 'text', null, null);
+      console.log('[Store] Streamed message saved to Firestore successfully');
+    } catch (firestoreError) {
+      console.warn('[Store] Firestore save failed for streamed message:', firestoreError);
+    }
+  },
 
   /**
    * Update a message in the messages array
@@ -2085,6 +2356,10 @@ export const useChatStore = create((set, get) => ({
           outputType: data.outputType ?? 'TEXT',
           aspectRatio: data.aspectRatio || '1:1',
           sampleCount: data.sampleCount ?? 1,
+          negativePrompt: data.negativePrompt || '',
+          seed: data.seed ?? null,
+          personGeneration: data.personGeneration || null,
+          addWatermark: data.addWatermark ?? null,
           safetySettings: data.safetySettings || {},
           enabled: data.enabled !== false,
           updatedAt: data.updatedAt || Date.now()
@@ -2097,18 +2372,24 @@ export const useChatStore = create((set, get) => ({
         
         return config;
       } else {
-        // Create default config
+        // Create default config (defaults of the model registry)
+        await ensureModelRegistry().catch(() => null);
+        const defaults = getModel(modelId)?.defaults || {};
         const defaultConfig = {
           modelId,
           displayName: modelId,
           description: '',
           systemPrompt: '',
-          temperature: 0.7,
-          topP: 0.95,
-          maxOutputTokens: 8192,
-          outputType: (modelId.includes('image') || modelId.includes('imagen')) ? 'IMAGE' : 'TEXT',
-          aspectRatio: '1:1',
-          sampleCount: 1,
+          temperature: defaults.temperature ?? 0.7,
+          topP: defaults.topP ?? 0.95,
+          maxOutputTokens: defaults.maxOutputTokens ?? 8192,
+          outputType: defaults.outputType ?? 'TEXT',
+          aspectRatio: defaults.aspectRatio ?? '1:1',
+          sampleCount: defaults.sampleCount ?? 1,
+          negativePrompt: '',
+          seed: null,
+          personGeneration: defaults.personGeneration ?? null,
+          addWatermark: defaults.addWatermark ?? null,
           safetySettings: {},
           enabled: true,
           updatedAt: Date.now()
@@ -2220,19 +2501,10 @@ export const useChatStore = create((set, get) => ({
       ignoredFields.push('topP');
     }
     
-    // Max Tokens - Special handling for nanobanana
+    // Max Tokens - limited to some output types on image models (e.g. nanobanana: "image_and_text" only)
     if (modelSupportsOption(modelId, 'maxTokens')) {
-      // For nanobanana, only include maxTokens if outputType is "image_and_text"
-      if (modelId === 'gemini-2.5-flash-image') {
-        const outputType = config.outputType || 'image';
-        if (outputType === 'image_and_text' && config.maxOutputTokens !== undefined) {
-          modelSettings.max_output_tokens = config.maxOutputTokens;
-        }
-      } else {
-        // For text models, always include if defined
-        if (config.maxOutputTokens !== undefined) {
-          modelSettings.max_output_tokens = config.maxOutputTokens;
-        }
+      if (isOptionActive(modelId, 'maxTokens', config.outputType) && config.maxOutputTokens !== undefined) {
+        modelSettings.max_output_tokens = config.maxOutputTokens;
       }
     } else if (config.maxOutputTokens !== undefined) {
       ignoredFields.push('maxTokens');
@@ -2258,6 +2530,126 @@ export const useChatStore = create((set, get) => ({
       ignoredFields.push('imageFormat');
     }
     
+    // Imagen: images per request, negative prompt, person generation, watermark and seed
+    // (the seed is only sent with the watermark off, Vertex AI rejects the combination)
+    if (modelSupportsOption(modelId, 'sampleCount') && Number.isFinite(config.sampleCount)) {
+      modelSettings.sample_count = config.sampleCount;
+    }
+    if (modelSupportsOption(modelId, 'negativePrompt') && config.negativePrompt?.trim()) {
+      modelSettings.negative_prompt = config.negativePrompt.trim();
+    } else if (config.negativePrompt?.trim()) {
+      ignoredFields.push('negativePrompt');
+    }
+    if (modelSupportsOption(modelId, 'personGeneration') && config.personGeneration) {
+      modelSettings.person_generation = config.personGeneration;
+    } else if (config.personGeneration) {
+      ignoredFields.push('personGeneration');
+    }
+    const addWatermark = config.addWatermark !== false;
+    if (modelSupportsOption(modelId, 'watermark')) {
+      modelSettings.add_watermark = addWatermark;
+    }
+    if (modelSupportsOption(modelId, 'seed') && Number.isFinite(config.seed)) {
+      if (addWatermark) {
+        ignoredFields.push('seed');
+      } else {
+        modelSettings.seed = config.seed;
+      }
+    }
+    
+    // Google Search grounding
+    if (modelSupportsOption(modelId, 'groundingGoogle')) {
+      modelSettings.grounding_google = config.groundingGoogle === true;
+    } else if (config.groundingGoogle) {
+      ignoredFields.push('groundingGoogle');
+    }
+    
+    // Structured output (JSON reply constrained by a JSON Schema)
+    if (modelSupportsOption(modelId, 'structuredOutput')) {
+      const { schema, error } = config.structuredOutput ? parseJsonSchema(config.responseSchema) : {};
+      if (schema) {
+        modelSettings.structured_output = true;
+        modelSettings.response_schema = schema;
+      } else {
+        if (config.structuredOutput) {
+          console.warn(`[MODEL] Structured output enabled for ${modelId} without a valid schema:`, error);
+        }
+        modelSettings.structured_output = false;
+      }
+    } else if (config.structuredOutput) {
+      ignoredFields.push('structuredOutput');
+    }
+    
+    // Ground on your data (retrieval over the team document corpus)
+    if (modelSupportsOption(modelId, 'groundingYourData')) {
+      modelSettings.grounding_your_data = config.groundingYourData === true;
+    } else if (config.groundingYourData) {
+      ignoredFields.push('groundingYourData');
+    }
+    
+    // Context window budget (older turns trimmed or summarized above it)
+    if (modelSupportsOption(modelId, 'contextWindow')) {
+      if (Number.isFinite(config.contextTokenBudget)) {
+        modelSettings.context_token_budget = config.contextTokenBudget;
+      }
+      if (config.contextStrategy) {
+        modelSettings.context_strategy = config.contextStrategy;
+      }
+    }
+    
+    // History image budget (images from earlier turns sent as context)
+    if (modelSupportsOption(modelId, 'historyImages')) {
+      if (Number.isFinite(config.historyImageMaxTurns)) {
+        modelSettings.history_image_max_turns = config.historyImageMaxTurns;
+      }
+      if (Number.isFinite(config.historyImageMaxBytes)) {
+        modelSettings.history_image_max_bytes = config.historyImageMaxBytes;
+      }
+    }
+    
+    // Thinking budget: auto = dynamic (-1), manual = fixed token budget, off = 0
+    if (modelSupportsOption(modelId, 'thoughtBudget')) {
+      const mode = config.thoughtBudget || 'auto';
+      if (mode === 'off') {
+        modelSettings.thinking_budget = 0;
+      } else if (mode === 'manual') {
+        modelSettings.thinking_budget = Number.isFinite(config.thinkingBudgetTokens)
+          ? config.thinkingBudgetTokens
+          : DEFAULT_THINKING_BUDGET_TOKENS;
+      } else {
+        modelSettings.thinking_budget = -1;
+      }
+    } else if (config.thoughtBudget) {
+      ignoredFields.push('thoughtBudget');
+    }
+    
+    // Safety settings: threshold per harm category ("Model default" entries are not sent)
+    if (modelSupportsOption(modelId, 'safetySettings')) {
+      modelSettings.safety_settings = cleanSafetySettings(config.safetySettings);
+    } else if (config.safetySettings && Object.keys(config.safetySettings).length > 0) {
+      ignoredFields.push('safetySettings');
+    }
+    
+    // Vertex AI region, secondary region (failover on 429 / 503) and EU data residency
+    if (modelSupportsOption(modelId, 'region')) {
+      if (config.region) {
+        modelSettings.region = config.region;
+      }
+      if (config.fallbackRegion) {
+        modelSettings.fallback_region = config.fallbackRegion;
+      }
+      modelSettings.eu_data_residency = config.euDataResidency === true;
+    } else if (config.region) {
+      ignoredFields.push('region');
+    }
+    
+    // Streaming (SSE) - UI default is ON unless explicitly disabled
+    if (modelSupportsOption(modelId, 'streaming')) {
+      modelSettings.streaming = config.streaming !== false;
+    } else if (config.streaming) {
+      ignoredFields.push('streaming');
+    }
+    
     // Log ignored fields
     if (ignoredFields.length > 0) {
       console.log(`[MODEL] Ignored unsupported fields for ${modelId}:`, ignoredFields);
@@ -2268,6 +2660,50 @@ export const useChatStore = create((set, get) => ({
     return Object.keys(modelSettings).length > 0 ? modelSettings : null;
   },
 
+  /**
+   * Build modelSettings for the active chat
+   * Same as buildModelSettings, but per-chat overrides (if stored) replace the model ones:
+   * system prompt and JSON Schema for structured output
+   */
+  buildChatModelSettings: async (modelId) => {
+    const modelSettings = get().buildModelSettings(modelId);
+    const supportsSystemPrompt = modelSupportsOption(modelId, 'systemInstruction');
+    const supportsStructuredOutput = modelSupportsOption(modelId, 'structuredOutput');
+
+    if (!supportsSystemPrompt && !supportsStructuredOutput) {
+      return modelSettings;
+    }
+
+    const { activeChatId, sessionId } = get();
+    const chatId = activeChatId || sessionId;
+    const [chatSystemPrompt, chatResponseSchema] = await Promise.all([
+      supportsSystemPrompt ? loadChatSystemPrompt(chatId) : '',
+      supportsStructuredOutput ? loadChatResponseSchema(chatId) : ''
+    ]);
+
+    const overrides = {};
+
+    if (chatSystemPrompt && chatSystemPrompt.trim() !== '') {
+      console.log(`[MODEL] Using per-chat system prompt for ${modelId}`);
+      overrides.system = chatSystemPrompt;
+    }
+
+    if (chatResponseSchema && chatResponseSchema.trim() !== '') {
+      const { schema, error } = parseJsonSchema(chatResponseSchema);
+      if (schema) {
+        console.log(`[MODEL] Using per-chat response schema for ${modelId}`);
+        overrides.structured_output = true;
+        overrides.response_schema = schema;
+      } else {
+        console.warn('[MODEL] Ignoring invalid per-chat response schema:', error);
+      }
+    }
+
+    return Object.keys(overrides).length > 0
+      ? { ...(modelSettings || {}), ...overrides }
+      : modelSettings;
+  },
+
   /**
    * Load all model configs
    * Path: users/{uid}/modelSettings
@@ -2293,6 +2729,10 @@ export const useChatStore = create((set, get) => ({
           outputType: data.outputType ?? 'TEXT',
           aspectRatio: data.aspectRatio || '1:1',
           sampleCount: data.sampleCount ?? 1,
+          negativePrompt: data.negativePrompt || '',
+          seed: data.seed ?? null,
+          personGeneration: data.personGeneration || null,
+          addWatermark: data.addWatermark ?? null,
           safetySettings: data.safetySettings || {},
           enabled: data.enabled !== false,
           updatedAt: data.updatedAt || Date.now()
@@ -2311,7 +2751,8 @@ export const useChatStore = create((set, get) => ({
   /**
    * Pipeline Configuration Management (per-chat)
    */
-  pipelineConfig: null, // Cache for current chat's pipeline config
+  pipelineConfig: null, // Cache for current chat's pipeline config (chat layer, edited in PipelineConfig)
+  resolvedPipelineConfig: null, // Pipeline that runs in the current chat (global → workspace → chat, from /api/pipeline)
 
   /**
    * Load pipeline configuration for current active chat
@@ -2320,14 +2761,7 @@ export const useChatStore = create((set, get) => ({
     try {
       const { activeChatId } = get();
       if (!activeChatId) {
-        return {
-          enabled: false,
-          model: null,
-          systemInstruction: '',
-          temperature: 0.8,
-          topP: 0.95,
-          maxTokens: 2048
-        };
+        return getDefaultPipelineConfig();
       }
 
       // Load from Firestore using the new per-chat structure
@@ -2335,18 +2769,27 @@ export const useChatStore = create((set, get) => ({
       
       // Update cache
       set({ pipelineConfig: config });
+      get().loadResolvedPipelineConfig();
       
       return config;
     } catch (error) {
       console.error('[Store] Error loading pipeline config:', error);
-      return {
-        enabled: false,
-        model: null,
-        systemInstruction: '',
-        temperature: 0.8,
-        topP: 0.95,
-        maxTokens: 2048
-      };
+      return getDefaultPipelineConfig();
+    }
+  },
+
+  /**
+   * Load the pipeline that runs in the current chat, with the inherited layers
+   * Failures are logged: the badge just stays hidden
+   */
+  loadResolvedPipelineConfig: async () => {
+    try {
+      const config = await loadResolvedPipeline(get().activeChatId);
+      set({ resolvedPipelineConfig: config });
+      return config;
+    } catch (error) {
+      console.error('[Store] Error loading resolved pipeline config:', error);
+      return null;
     }
   },
 
@@ -2365,6 +2808,7 @@ export const useChatStore = create((set, get) => ({
       
       // Update cache
       set({ pipelineConfig: config });
+      get().loadResolvedPipelineConfig();
       
       console.log('[Store] Pipeline config saved successfully');
       return true;
@@ -2375,6 +2819,46 @@ export const useChatStore = create((set, get) => ({
     }
   },
 
+  /**
+   * Prompt variables of the current chat ({{brand}}, {{language}}, custom ones), edited in PromptVariables
+   */
+  promptVariables: {},
+
+  /**
+   * Load the prompt variables of the active chat
+   */
+  loadPromptVariables: async () => {
+    const values = await loadChatVariables(get().activeChatId);
+    set({ promptVariables: values });
+    return values;
+  },
+
+  /**
+   * Save the prompt variables of the active chat (empty values are dropped)
+   */
+  savePromptVariables: async (values) => {
+    const { activeChatId } = get();
+    if (!activeChatId) {
+      throw new Error('No active chat to save prompt variables');
+    }
+
+    const cleaned = Object.fromEntries(Object.entries(values || {})
+      .map(([name, value]) => [name, typeof value === 'string' ? value.trim() : ''])
+      .filter(([, value]) => value));
+    await saveChatVariables(activeChatId, cleaned);
+    set({ promptVariables: cleaned });
+    return cleaned;
+  },
+
+  /**
+   * Values sent with a request of a chat: its stored variables plus {{date}} and {{chat.title}}
+   */
+  getRequestVariables: async (chatId) => {
+    const values = await loadChatVariables(chatId);
+    const chatTitle = get().chats.find(chat => chat.id === chatId)?.title || '';
+    return buildRequestVariables(values, { chatTitle });
+  },
+
   /**
    * Normalized Message Structure Helpers (Step 1)
    * These functions maintain both normalized structure and legacy messages array